@@ -3,38 +3,1032 @@
  * A frontend-first media management application with mock backend
  */
 
+// Core - Media library logic shared with other tools, loaded as modules by core/global.js
+const { MediaItems, MediaValidation, MediaQuery, MediaLibrary, FileTypes, ZipArchive, LibraryImport, LibraryMerge, OfflineQueue } = window.MediaMixCore || stopWithoutCore();
+
+/**
+ * Tell the user the app cannot start because the core modules did not load,
+ * e.g. when the page is opened from a file (browsers block module scripts there) or the network failed
+ */
+function stopWithoutCore() {
+    // Runs before I18n exists, so the message is not translated
+    const alert = document.createElement('div');
+    alert.className = 'app-load-error';
+    alert.setAttribute('role', 'alert');
+    alert.textContent = 'MediaMix Hub could not load all of its scripts. Check your connection and reload the page, ' +
+        'or open the hub from a web server rather than from a file.';
+    document.body.prepend(alert);
+    throw new Error('MediaMix Hub core modules did not load (core/global.js)');
+}
+
 // Application State
 const AppState = {
-    mediaItems: [],
     currentEditId: null,
+    currentViewId: null,
+    filters: null,        // Gallery filter state, restored from the URL on startup
+    tags: [],
+    collections: [],
+    playlists: [],
+    openPlaylistId: null, // Playlist shown in the playlist dialog
+    playingPlaylistId: null, // Playlist loaded in the mini-player
+    playlistDragIndex: null, // Index of the playlist item being dragged
+    previewUrl: null,
+    imageEdit: null,      // Item open in the image editor: { id, original } where original is its file
+    clip: null,           // Trim range in the View modal: { id, file, media, duration, start, end, ... }
+    pendingImport: null,  // Library export read by the import dialog: { fileName, manifest, entries, plan }
+    thumbnailUrls: new Map(), // Object URLs of loaded card thumbnails, keyed by item ID
+    layout: 'grid',
+    selectedIds: new Set(), // Cards ticked for bulk actions
+    selectionAnchor: null,  // Last ticked card, start of a shift-click range
+    visibleIds: [],         // IDs of the cards on screen, in display order
+    focusedCardId: null,    // Card reached by Tab in the gallery; the arrow keys move it
+    duplicatePrompt: null,  // Open duplicate upload dialog: { duplicates, resolve }
+    duplicateScan: null,    // Running duplicate finder scan: { cancelled }
+    unsavedHashes: new Map(), // Hashes the duplicate finder could not save, by item ID
+    shareIds: null,         // Items of the read-only share view, or null for the full hub
+    applyingRoute: false,   // Set while dialogs are opened or closed to match the URL
+    routeBack: false,       // Set while history.back() removes a closed dialog's entry
+    historyToast: null,   // Toast offering to undo or redo the last action
+    externalChangeTimer: null, // Batches re-renders for changes made in other tabs
+    galleryRefreshTimer: null, // Batches re-renders for library change events
     isLoading: false
 };
 
 // DOM Elements - Cached for performance
 const DOM = {
     // Upload Section
+    uploadSection: null,
     uploadForm: null,
     fileInput: null,
     descriptionInput: null,
     uploadBtn: null,
     uploadSpinner: null,
-    uploadError: null,
-    uploadSuccess: null,
     fileInfo: null,
+    uploadQueue: null,
+    clearQueue: null,
     charCount: null,
+    uploadTagInput: null,
     
     // Gallery Section
     galleryContainer: null,
+    galleryView: null,
     galleryStats: null,
     emptyState: null,
+    noResults: null,
+    
+    // Gallery Toolbar
+    searchInput: null,
+    typeFilters: null,
+    minSizeFilter: null,
+    maxSizeFilter: null,
+    fromDateFilter: null,
+    toDateFilter: null,
+    minDurationFilter: null,
+    maxDurationFilter: null,
+    orientationFilter: null,
+    sortField: null,
+    sortOrder: null,
+    clearFilters: null,
+    layoutToggle: null,
+    
+    // Collections and Tags Sidebar
+    collectionList: null,
+    tagList: null,
+    newCollection: null,
+    newTag: null,
+    tagSuggestions: null,
+    trashList: null,
+    playlistList: null,
+    newPlaylist: null,
+    
+    // Bulk Action Bar
+    bulkBar: null,
+    selectAll: null,
+    selectionCount: null,
+    bulkDelete: null,
+    bulkDownload: null,
+    bulkShare: null,
+    bulkRestore: null,
+    bulkPurge: null,
+    bulkPlaylist: null,
+    bulkReplace: null,
+    findText: null,
+    replaceText: null,
+    matchCase: null,
+    replaceButton: null,
+    
+    // Trash View
+    trashBanner: null,
+    trashInfo: null,
+    emptyTrash: null,
+    trashEmpty: null,
     
     // Edit Modal
     editModal: null,
     editDescriptionInput: null,
     editCharCount: null,
+    editTagInput: null,
+    editCollections: null,
     modalClose: null,
     cancelEdit: null,
-    saveEdit: null
+    saveEdit: null,
+    
+    // Library Export and Import
+    exportZip: null,
+    exportJson: null,
+    exportCsv: null,
+    importLibrary: null,
+    importFile: null,
+    findDuplicates: null,
+    openStorage: null,
+    importModal: null,
+    importModalClose: null,
+    importFileName: null,
+    importModes: null,
+    importSummary: null,
+    cancelImport: null,
+    confirmImport: null,
+    
+    // Share View
+    shareBanner: null,
+    shareInfo: null,
+    copyShareLink: null,
+    
+    // Offline Sync
+    syncStatus: null,
+    syncMessage: null,
+    reviewConflicts: null,
+    conflictModal: null,
+    conflictModalClose: null,
+    conflictList: null,
+    closeConflicts: null,
+    
+    // Clip Trimming
+    clipEditor: null,
+    clipRange: null,
+    clipTimeline: null,
+    clipSelection: null,
+    clipPlayhead: null,
+    setClipStart: null,
+    setClipEnd: null,
+    playClip: null,
+    exportClip: null,
+    clipStatus: null,
+    
+    // Image Editor
+    editImage: null,
+    imageEditorModal: null,
+    imageEditorTitle: null,
+    imageEditorClose: null,
+    imageEditor: null,
+    cropAspect: null,
+    clearCrop: null,
+    imageTransforms: null,
+    resizeWidth: null,
+    resizeHeight: null,
+    resizeLock: null,
+    imageAdjustments: null,
+    imageEditorSize: null,
+    resetImageEdit: null,
+    cancelImageEdit: null,
+    saveImageEdit: null,
+    
+    // Duplicate Detection
+    duplicateModal: null,
+    duplicateModalClose: null,
+    duplicateList: null,
+    cancelDuplicates: null,
+    confirmDuplicates: null,
+    duplicateFinderModal: null,
+    duplicateFinderClose: null,
+    duplicateFinderStatus: null,
+    duplicateGroups: null,
+    closeDuplicateFinder: null,
+    
+    // Storage Panel
+    storageModal: null,
+    storageModalClose: null,
+    storageAlert: null,
+    storageMeter: null,
+    storageMeterFill: null,
+    storageUsage: null,
+    storagePersistence: null,
+    persistStorage: null,
+    storageBreakdown: null,
+    storageActions: null,
+    storageLargest: null,
+    closeStorage: null,
+    
+    // Playlist Dialog
+    playlistModal: null,
+    playlistTitle: null,
+    playlistModalClose: null,
+    playlistInfo: null,
+    playlistItems: null,
+    renamePlaylist: null,
+    deletePlaylist: null,
+    playPlaylist: null,
+    
+    // Mini-Player
+    miniPlayer: null,
+    playerScreen: null,
+    playerTitle: null,
+    playerSubtitle: null,
+    playerShuffle: null,
+    playerPrevious: null,
+    playerPlay: null,
+    playerNext: null,
+    playerRepeat: null,
+    playerSeek: null,
+    playerTime: null,
+    playerDuration: null,
+    playerClose: null,
+    
+    // Notifications and Activity Feed
+    notifications: null,
+    openActivity: null,
+    activityModal: null,
+    activityModalClose: null,
+    activityFilter: null,
+    activityList: null,
+    clearActivity: null,
+    closeActivity: null,
+    
+    // Keyboard Shortcuts
+    shortcutsModal: null,
+    shortcutsModalClose: null,
+    closeShortcuts: null,
+    
+    // Screen Reader Announcements
+    liveStatus: null,
+    liveAlert: null,
+    
+    // Language
+    localeSelect: null
+};
+
+// I18n - Message catalogues, plural forms and locale-aware formatting
+const I18n = {
+    defaultLocale: 'en',
+
+    /**
+     * Locales that have a catalogue, with their names in their own language.
+     * English is built in; the others are loaded from locales/<code>.json when chosen.
+     */
+    locales: {
+        en: 'English',
+        de: 'Deutsch',
+        es: 'Español',
+        ar: 'العربية'
+    },
+
+    rtlLanguages: ['ar', 'fa', 'he', 'ur'],
+
+    locale: 'en',
+    formats: new Map(), // Intl formatters for the current locale, keyed by type and options
+
+    /**
+     * Messages by locale. A message is a string or, when it depends on {count},
+     * an object of plural forms keyed by Intl.PluralRules category ('one', 'few', 'other'...).
+     */
+    catalogues: {
+        en: {
+            'app.tagline': 'Manage your media files with ease',
+            'app.language': 'Language',
+
+            'library.exportZip': 'Export Library (ZIP)',
+            'library.exportJson': 'Export JSON',
+            'library.exportCsv': 'Export CSV',
+            'library.import': 'Import Library...',
+            'library.findDuplicates': 'Find Duplicates',
+            'library.storage': 'Storage',
+            'library.activity': 'Activity',
+
+            'share.copyLink': 'Copy Link',
+            'share.openLibrary': 'Open Full Library',
+            'share.itemMissing': 'The linked item is not in the library.',
+            'share.info': { one: 'Viewing a shared item', other: 'Viewing {count} shared items' },
+            'share.count': { one: '{count} shared item', other: '{count} shared items' },
+            'share.missing': { one: '{count} no longer available', other: '{count} no longer available' },
+            'share.copyPrompt': 'Copy this link:',
+            'share.linkCopied': 'Link copied to the clipboard.',
+            'share.shareLinkCopied': { one: 'Share link for {count} item copied to the clipboard.', other: 'Share link for {count} items copied to the clipboard.' },
+
+            'upload.heading': 'Upload Media',
+            'upload.selectFiles': 'Select Files:',
+            'upload.dropHint': 'or drag and drop files anywhere in this section',
+            'upload.clearFinished': 'Clear finished',
+            'upload.descriptionLabel': 'Description (shared by files without their own):',
+            'upload.descriptionPlaceholder': 'Enter a description for your media...',
+            'upload.tagsLabel': 'Tags (applied to every file in the batch):',
+            'upload.tagsPlaceholder': 'Add tags, separated by commas...',
+            'upload.submit': 'Upload Media',
+            'upload.noFiles': 'Please select a file to upload.',
+            'upload.stillChecking': 'The selected files are still being checked. Please try again in a moment.',
+            'upload.noValidFiles': 'No valid files to upload. See the list below the file picker for what was rejected.',
+            'upload.descriptionRequired': 'Please enter a description for your media, or one for each file.',
+            'upload.mergeFailed': 'Failed to merge "{name}" into the existing item; it was skipped.',
+            'upload.outOfSpace': { one: '{count} upload failed because storage is full. Free up space, then use Retry.', other: '{count} uploads failed because storage is full. Free up space, then use Retry.' },
+            'upload.failed': { one: '{count} upload failed. Use Retry to try again.', other: '{count} uploads failed. Use Retry to try again.' },
+            'upload.skipped': { one: '{count} duplicate skipped', other: '{count} duplicates skipped' },
+            'upload.merged': '{count} merged into existing items',
+            'upload.success': { one: 'Successfully uploaded {count} file!', other: 'Successfully uploaded {count} files!' },
+            'upload.successWithNote': { one: 'Successfully uploaded {count} file! ({note})', other: 'Successfully uploaded {count} files! ({note})' },
+            'upload.nothingNew': 'Nothing new to upload: {note}.',
+
+            'gallery.heading': 'Media Gallery',
+            'gallery.loadFailed': 'Failed to load media gallery.',
+            'gallery.count': { one: '{count} item', other: '{count} items' },
+            'gallery.countInTrash': { one: '{count} item in the trash', other: '{count} items in the trash' },
+            'gallery.shown': { one: '{shown} of {count} item', other: '{shown} of {count} items' },
+            'gallery.shownInTrash': { one: '{shown} of {count} item in the trash', other: '{shown} of {count} items in the trash' },
+
+            'filters.searchPlaceholder': 'Search names and descriptions...',
+            'filters.searchLabel': 'Search media',
+            'filters.byType': 'Filter by type',
+            'filters.image': 'Images',
+            'filters.video': 'Videos',
+            'filters.audio': 'Audio',
+            'filters.size': 'Size (MB)',
+            'filters.min': 'Min',
+            'filters.minSize': 'Minimum size in MB',
+            'filters.max': 'Max',
+            'filters.maxSize': 'Maximum size in MB',
+            'filters.uploaded': 'Uploaded',
+            'filters.uploadedFrom': 'Uploaded from',
+            'filters.uploadedUntil': 'Uploaded until',
+            'filters.duration': 'Duration (s)',
+            'filters.minDuration': 'Minimum duration in seconds',
+            'filters.maxDuration': 'Maximum duration in seconds',
+            'filters.shape': 'Shape',
+            'filters.anyShape': 'Any',
+            'filters.landscape': 'Landscape',
+            'filters.portrait': 'Portrait',
+            'filters.square': 'Square',
+            'filters.clear': 'Clear filters',
+
+            'sort.label': 'Sort by',
+            'sort.date': 'Upload date',
+            'sort.name': 'Name',
+            'sort.size': 'Size',
+            'sort.duration': 'Duration',
+            'sort.resolution': 'Resolution',
+            'sort.captured': 'Capture date',
+            'sort.ascending': 'Ascending',
+            'sort.descending': 'Descending',
+
+            'layout.label': 'Gallery layout',
+            'layout.grid': 'Grid',
+            'layout.list': 'Compact list',
+            'layout.large': 'Large tiles',
+
+            'sidebar.collections': 'Collections',
+            'sidebar.newCollection': 'New collection',
+            'sidebar.playlists': 'Playlists',
+            'sidebar.newPlaylist': 'New playlist',
+            'sidebar.tags': 'Tags',
+            'sidebar.newTag': 'New tag',
+            'sidebar.allMedia': 'All media',
+            'sidebar.noTags': 'No tags yet',
+            'sidebar.trash': 'Trash',
+            'sidebar.noPlaylists': 'No playlists yet',
+
+            'bulk.selectAll': 'Select all',
+            'bulk.delete': 'Delete',
+            'bulk.download': 'Download ZIP',
+            'bulk.share': 'Copy Share Link',
+            'bulk.restore': 'Restore',
+            'bulk.purge': 'Delete Forever',
+            'bulk.playlistLabel': 'Add selected items to a playlist',
+            'bulk.find': 'Find in descriptions',
+            'bulk.replaceWith': 'Replace with',
+            'bulk.matchCase': 'Match case',
+            'bulk.replace': 'Replace',
+            'bulk.replaceFailed': 'Failed to update descriptions.',
+            'bulk.selected': '{count} of {total} selected',
+            'bulk.selectAllShown': { one: 'Select all {count} shown', other: 'Select all {count} shown' },
+            'bulk.moved': { one: 'Moved {count} item to the trash.', other: 'Moved {count} items to the trash.' },
+            'bulk.deleteFailed': 'Failed to delete the selected items. Please try again.',
+            'bulk.restored': { one: 'Restored {count} item.', other: 'Restored {count} items.' },
+            'bulk.restoreFailed': 'Failed to restore the selected items. Please try again.',
+            'bulk.confirmPurge': { one: 'Permanently delete {count} item? This cannot be undone.', other: 'Permanently delete {count} items? This cannot be undone.' },
+            'bulk.purged': { one: 'Deleted {count} item permanently.', other: 'Deleted {count} items permanently.' },
+            'bulk.preparing': 'Preparing...',
+            'bulk.nothingToDownload': 'None of the selected items have stored file content to download.',
+            'bulk.downloadSkipped': { one: '{count} selected item has no stored file content and was left out.', other: '{count} selected items have no stored file content and were left out.' },
+            'bulk.downloadFailed': 'Failed to download the selected items. Please try again.',
+            'bulk.findEmpty': 'Enter the text to find.',
+            'bulk.replaceInvalid': 'No descriptions were changed: the result would be empty or longer than 500 characters.',
+            'bulk.notFound': 'None of the selected descriptions contain "{text}".',
+            'bulk.replaced': { one: 'Updated {count} description.', other: 'Updated {count} descriptions.' },
+            'bulk.replaceSkipped': { one: '{count} skipped because the result would be empty or too long.', other: '{count} skipped because the result would be empty or too long.' },
+            'bulk.addToPlaylist': 'Add to playlist…',
+            'bulk.newPlaylist': 'New playlist…',
+
+            'trash.empty': 'Empty Trash',
+            'trash.retention': { one: 'Items in the trash are deleted permanently after {count} day.', other: 'Items in the trash are deleted permanently after {count} days.' },
+            'trash.moved': 'Moved "{name}" to the trash.',
+            'trash.deleteFailed': 'Failed to delete media item. Please try again.',
+            'trash.restored': 'Restored "{name}".',
+            'trash.restoreFailed': 'Failed to restore media item. Please try again.',
+            'trash.confirmPurge': 'Permanently delete "{name}"? This cannot be undone.',
+            'trash.purged': 'Media item deleted permanently.',
+            'trash.confirmEmpty': { one: 'Permanently delete {count} item in the trash? This cannot be undone.', other: 'Permanently delete {count} items in the trash? This cannot be undone.' },
+            'trash.purgeFailed': { one: '{count} item could not be deleted. Please try again.', other: '{count} items could not be deleted. Please try again.' },
+            'trash.emptied': 'Trash emptied.',
+
+            'empty.libraryTitle': 'No media files yet',
+            'empty.libraryText': 'Upload your first image, video, or audio file to get started!',
+            'empty.trashTitle': 'The trash is empty',
+            'empty.trashText': 'Deleted media stays here for a while so it can be restored.',
+            'empty.resultsTitle': 'No matching media',
+            'empty.resultsText': 'Try a different search or clear the filters.',
+
+            'common.close': 'Close',
+            'common.cancel': 'Cancel',
+            'common.listSeparator': ', ',
+            'common.descriptionTooLong': 'Description must be 500 characters or less.',
+            'common.itemInvalid': 'The media item has invalid data and was not saved.',
+            'common.fixedField': 'The ID, upload date, type and size of a media item cannot be changed.',
+            'common.tryAgain': '{message} Please try again.',
+
+            'edit.title': 'Edit Media',
+            'edit.tags': 'Tags',
+            'edit.tagsPlaceholder': 'Add tags...',
+            'edit.collections': 'Collections',
+            'edit.save': 'Save Changes',
+            'edit.saveFailed': 'Failed to update media item.',
+            'edit.noCollections': 'No collections yet. Create one from the gallery sidebar.',
+            'edit.descriptionEmpty': 'Description cannot be empty.',
+            'edit.saved': 'Media item updated successfully!',
+
+            'view.title': 'View Media',
+            'view.setThumbnail': 'Use Frame as Thumbnail',
+            'view.editImage': 'Edit Image',
+            'view.itemTitle': 'View: {name}',
+            'view.loading': 'Loading preview...',
+            'view.noPreview': 'File preview not available',
+            'view.notStored': 'The file content for this item was not stored',
+            'view.thumbnailUpdated': 'Thumbnail updated from the current frame!',
+            'view.thumbnailFailed': 'Failed to capture the current frame. Play or seek the video first.',
+
+            'clip.title': 'Trim',
+            'clip.inMarker': 'In marker',
+            'clip.outMarker': 'Out marker',
+            'clip.setIn': 'Set In',
+            'clip.setOut': 'Set Out',
+            'clip.play': 'Play Clip',
+            'clip.export': 'Export Clip',
+            'clip.tooShort': 'The clip is too short',
+            'clip.noAudioDecoding': 'This browser cannot decode audio',
+            'clip.noVideoRecording': 'This browser cannot record video clips',
+            'clip.startMarkerAt': 'In marker at {time}',
+            'clip.endMarkerAt': 'Out marker at {time}',
+            'clip.recording': 'Recording the clip in real time...',
+            'clip.extracting': 'Extracting the clip...',
+            'clip.recordingProgress': 'Recording the clip in real time... {percent}',
+            'clip.saved': 'Clip saved as "{name}".',
+            'clip.cancelled': 'Clip export cancelled.',
+            'clip.exportFailed': 'Failed to export the clip: {reason}',
+
+            'editor.title': 'Edit Image',
+            'editor.crop': 'Crop',
+            'editor.aspect': 'Crop aspect ratio',
+            'editor.free': 'Free',
+            'editor.original': 'Original',
+            'editor.clearCrop': 'Clear',
+            'editor.cropHint': 'Drag on the image to select an area, or drag inside it to move it.',
+            'editor.rotateFlip': 'Rotate and flip',
+            'editor.rotateLeft': 'Rotate left',
+            'editor.rotateRight': 'Rotate right',
+            'editor.flipX': 'Flip horizontally',
+            'editor.flipY': 'Flip vertically',
+            'editor.resize': 'Resize',
+            'editor.width': 'Width in pixels',
+            'editor.height': 'Height in pixels',
+            'editor.keepProportions': 'Keep proportions',
+            'editor.adjust': 'Adjust',
+            'editor.brightness': 'Brightness',
+            'editor.contrast': 'Contrast',
+            'editor.saturation': 'Saturation',
+            'editor.saveAs': 'Save as',
+            'editor.saveVersion': 'New version of this item',
+            'editor.saveCopy': 'New item linked to the original',
+            'editor.reset': 'Reset',
+            'editor.save': 'Save',
+            'editor.openFailed': 'This image could not be opened for editing.',
+            'editor.itemTitle': 'Edit: {name}',
+            'editor.sizeChange': '{sourceWidth} × {sourceHeight} → {width} × {height} px',
+            'editor.size': '{sourceWidth} × {sourceHeight} px',
+            'editor.copySaved': 'Edited copy saved.',
+            'editor.versionSaved': 'New version saved.',
+            'editor.saveFailed': 'Failed to save the edited image.',
+            'editor.encodeFailed': 'Your browser could not save an image this large. Choose a smaller size.',
+            'editor.sizeInvalid': 'Width and height must be between 1 and {max} pixels.',
+
+            'import.title': 'Import Library',
+            'import.mode': 'Mode',
+            'import.merge': 'Merge into the current library',
+            'import.replace': 'Replace the current library',
+            'import.dryRun': 'Dry run',
+            'import.confirm': 'Import',
+            'import.noManifest': 'The archive has no manifest.json',
+            'import.badManifest': 'The library manifest is not valid JSON',
+            'import.notExport': 'This file is not a MediaMix Hub library export',
+            'import.newerVersion': 'This library was exported by a newer version of MediaMix Hub',
+            'import.failed': 'Failed to import library.',
+            'import.readFailed': 'Could not import "{name}": {reason}',
+            'import.summary.total': { one: '{count} item in the export', other: '{count} items in the export' },
+            'import.summary.remove': { one: '{count} current item will be moved to the trash', other: '{count} current items will be moved to the trash' },
+            'import.summary.add': { one: '{count} item will be added ({size} of file content)', other: '{count} items will be added ({size} of file content)' },
+            'import.summary.unchanged': { one: '{count} item is already in the library and will be skipped', other: '{count} items are already in the library and will be skipped' },
+            'import.summary.renamed': { one: '{count} item with a clashing ID will get a new ID', other: '{count} items with a clashing ID will get a new ID' },
+            'import.summary.missingFiles': { one: '{count} item has no file content in the export and will be metadata only', other: '{count} items have no file content in the export and will be metadata only' },
+            'import.summary.invalid': { one: '{count} invalid item will be skipped', other: '{count} invalid items will be skipped' },
+            'import.summary.unnamed': 'Unnamed item',
+            'import.summary.newTags': { one: '{count} new tag', other: '{count} new tags' },
+            'import.summary.newCollections': { one: '{count} new collection', other: '{count} new collections' },
+            'import.summary.newPlaylists': { one: '{count} new playlist', other: '{count} new playlists' },
+            'import.confirmReplace': { one: 'Replace the current library? {count} item will be moved to the trash.', other: 'Replace the current library? {count} items will be moved to the trash.' },
+            'import.progress': 'Importing {done}/{total}...',
+            'import.partial': { one: 'Imported {count} item; {failed} failed. See the console for details.', other: 'Imported {count} items; {failed} failed. See the console for details.' },
+            'import.success': { one: 'Imported {count} item successfully!', other: 'Imported {count} items successfully!' },
+
+            'sync.conflictsTitle': 'Sync Conflicts',
+            'sync.conflictsIntro': 'These changes were made offline but could not be applied: the server copy changed in the meantime, or the server refused them. Choose what to keep.',
+            'sync.deletedOnServer': 'It was deleted on the server.',
+            'sync.alsoChanged': 'It was also changed on the server ({fields}).',
+            'sync.changedAfterDelete': 'It was changed on the server after you deleted it ({fields}).',
+            'sync.unknownItem': 'Unknown item',
+            'sync.viewingDeleted': 'The item you were viewing was deleted in another tab.',
+            'sync.editingDeleted': 'The item you were editing was deleted in another tab.',
+            'sync.syncedWithConflicts': { one: 'Synced offline changes, but {count} needs your review.', other: 'Synced offline changes, but {count} need your review.' },
+            'sync.synced': { one: 'Synced {count} offline change.', other: 'Synced {count} offline changes.' },
+            'sync.offlinePending': { one: 'Offline: {count} change will sync when you reconnect', other: 'Offline: {count} changes will sync when you reconnect' },
+            'sync.offline': 'Offline: changes will sync when you reconnect',
+            'sync.syncing': { one: 'Syncing {count} change...', other: 'Syncing {count} changes...' },
+            'sync.waiting': { one: '{count} change waiting to sync', other: '{count} changes waiting to sync' },
+            'sync.review': { one: 'Review {count} conflict', other: 'Review {count} conflicts' },
+            'sync.resolved': 'All conflicts are resolved.',
+            'sync.youAdded': 'You added this item while offline.',
+            'sync.youDeleted': 'You deleted this item while offline.',
+            'sync.youChanged': 'You changed {fields} while offline.',
+            'sync.keepMine': 'Keep Mine',
+            'sync.keepTheirs': 'Keep Server Version',
+            'sync.discardMine': 'Discard My Change',
+            'sync.retry': 'Try Again',
+            'sync.resolveFailed': 'Failed to resolve the conflict. Check your connection and try again.',
+
+            'duplicates.uploadTitle': 'Already in Your Library',
+            'duplicates.uploadIntro': 'These files have exactly the same content as media you already have. Choose what to do with each one.',
+            'duplicates.cancelUpload': 'Cancel Upload',
+            'duplicates.continue': 'Continue',
+            'duplicates.finderTitle': 'Find Duplicates',
+            'duplicates.sameAs': 'Same as {name}, uploaded {date}',
+            'duplicates.sameAsTrashed': 'Same as {name}, uploaded {date} (in the trash)',
+            'duplicates.sameAsEarlier': 'Same as {name}, also in this upload',
+            'duplicates.choiceLabel': 'What to do with {name}',
+            'duplicates.skip': 'Skip',
+            'duplicates.upload': 'Upload anyway',
+            'duplicates.merge': 'Merge descriptions',
+            'duplicates.reading': 'Reading files to compare them: {done} of {total}...',
+            'duplicates.none': { one: 'No duplicates found among {count} item.', other: 'No duplicates found among {count} items.' },
+            'duplicates.found': 'Found {identical} and {similar}.',
+            'duplicates.identicalSets': { one: '{count} set of identical files', other: '{count} sets of identical files' },
+            'duplicates.similarSets': { one: '{count} set of similar images', other: '{count} sets of similar images' },
+            'duplicates.trash': 'Move to Trash',
+            'duplicates.identicalGroup': { one: 'Identical files · {count} copy · {size} could be freed', other: 'Identical files · {count} copies · {size} could be freed' },
+            'duplicates.similarGroup': { one: 'Similar images · {count} item', other: 'Similar images · {count} items' },
+
+            'storage.title': 'Storage',
+            'storage.fullAlert': 'Storage is full, so nothing more can be saved. Free up space below, then try again.',
+            'storage.spaceUsed': 'Space used',
+            'storage.persist': 'Keep my library',
+            'storage.byType': 'By type',
+            'storage.freeUp': 'Free up space',
+            'storage.largest': 'Largest items',
+            'storage.readOnly': 'Stored library could not be loaded safely and is read-only',
+            'storage.libraryFull': 'Browser storage is full, so the library could not be saved',
+            'storage.unavailable': 'Browser storage is unavailable, so the library could not be saved',
+            'storage.newerTab': 'The library was saved by a newer version of MediaMix Hub in another tab',
+            'storage.fileFull': 'Browser storage is full, so the file could not be saved',
+            'storage.serverFull': 'The server has no space left for this file',
+            'storage.reclaimBackup': 'Copy of the library kept from before the last upgrade',
+            'storage.reclaimQuarantine': 'Unreadable items set aside when the library was loaded',
+            'storage.notEnoughSpace': 'Not enough storage space: this needs {needed} but only {free} is free.',
+            'storage.indexFull': 'Not enough storage space: the library index is full.',
+            'storage.confirmLow': 'Storage is almost full and this may not fit. Continue anyway?',
+            'storage.fullRetry': '{message} Storage is full: free up space, then try again.',
+            'storage.lowWarning': 'Storage is almost full. Open Storage to free up space before adding more.',
+            'storage.manage': 'Manage Storage',
+            'storage.usage': '{used} of {quota} used ({percent}).',
+            'storage.noEstimate': 'This browser does not report how much storage is available.',
+            'storage.onServer': 'Your library is stored on the server.',
+            'storage.indexUsage': 'The library index takes {used} of about {limit} ({percent}).',
+            'storage.persistent': 'Storage is persistent: the browser will not clear your library to make room.',
+            'storage.notPersistent': 'The browser may clear your library when the device runs low on space.',
+            'storage.items': { one: '{count} item', other: '{count} items' },
+            'storage.emptyTrash': { one: 'Empty the trash ({count} item)', other: 'Empty the trash ({count} items)' },
+            'storage.exportHint': 'Download a ZIP backup of the library, then delete large items you no longer need here',
+            'storage.export': 'Export Library',
+            'storage.frees': 'frees {size}',
+            'storage.noFiles': 'No stored files yet.',
+            'storage.inTrash': '(in the trash)',
+            'storage.download': 'Download',
+            'storage.persisted': 'Storage is now persistent.',
+            'storage.persistDeclined': 'The browser declined to make storage persistent. Installing the hub or bookmarking it can help.',
+            'storage.confirmReclaim': 'Delete this data permanently? This cannot be undone.',
+            'storage.freed': 'Space freed.',
+            'storage.freeFailed': 'Failed to free the space. Please try again.',
+            'storage.noFile': 'This item has no stored file content to download.',
+            'storage.confirmPurge': 'Permanently delete "{name}" ({size})? This cannot be undone.',
+            'storage.purgeFailed': 'Failed to delete the item. Please try again.',
+
+            'notifications.label': 'Notifications',
+            'notifications.dismiss': 'Dismiss',
+
+            'activity.title': 'Activity',
+            'activity.filter': 'Show',
+            'activity.all': 'All changes',
+            'activity.type.create': 'Added',
+            'activity.type.update': 'Edited',
+            'activity.type.trash': 'Moved to trash',
+            'activity.type.restore': 'Restored',
+            'activity.type.delete': 'Deleted',
+            'activity.source.undo': 'by undo',
+            'activity.source.redo': 'by redo',
+            'activity.source.import': 'by import',
+            'activity.source.retention': 'removed from the trash automatically',
+            'activity.more': { one: '{names} and {count} more', other: '{names} and {count} more' },
+            'activity.empty': 'No activity yet. Changes to the library will be listed here.',
+            'activity.noMatches': 'No changes of this kind.',
+            'activity.clear': 'Clear Activity',
+            'activity.confirmClear': 'Clear the whole activity feed? Your media is not affected.',
+
+            'shortcuts.title': 'Keyboard Shortcuts',
+            'shortcuts.move': 'Move between media cards',
+            'shortcuts.firstLast': 'First or last card',
+            'shortcuts.view': 'View the focused item',
+            'shortcuts.edit': 'Edit the focused item',
+            'shortcuts.delete': 'Move the focused item to the trash, or delete it forever in the trash',
+            'shortcuts.undo': 'Undo',
+            'shortcuts.redo': 'Redo',
+            'shortcuts.close': 'Close a dialog',
+            'shortcuts.help': 'Show this list',
+            'shortcuts.or': 'or',
+
+            'playlist.title': 'Playlist',
+            'playlist.rename': 'Rename',
+            'playlist.delete': 'Delete',
+            'playlist.playAll': 'Play All',
+            'playlist.nameEmpty': 'Playlist name cannot be empty',
+            'playlist.nameTooLong': 'Playlist name must be 100 characters or less',
+            'playlist.play': 'Play playlist',
+            'playlist.newPrompt': 'Name for the new playlist:',
+            'playlist.created': 'Playlist "{name}" created!',
+            'playlist.createFailed': 'Failed to create playlist. Please try again.',
+            'playlist.renamePrompt': 'New name for the playlist:',
+            'playlist.renamed': 'Playlist renamed successfully!',
+            'playlist.renameFailed': 'Failed to rename playlist. Please try again.',
+            'playlist.confirmDelete': 'Delete the playlist "{name}"? Its media items will not be deleted.',
+            'playlist.deleted': 'Playlist deleted successfully!',
+            'playlist.deleteFailed': 'Failed to delete playlist. Please try again.',
+            'playlist.onlyPlayable': 'Only audio and video items can be added to a playlist.',
+            'playlist.added': { one: 'Added {count} item to "{name}".', other: 'Added {count} items to "{name}".' },
+            'playlist.alreadyIn': { one: '{count} was already in it.', other: '{count} were already in it.' },
+            'playlist.imagesSkipped': { one: '{count} image skipped.', other: '{count} images skipped.' },
+            'playlist.addFailed': 'Failed to add items to the playlist. Please try again.',
+            'playlist.emptyHint': 'Select audio or video items in the gallery and use "Add to playlist" to fill this playlist.',
+            'playlist.info': { one: '{count} item, {duration}. Drag items to change their order.', other: '{count} items, {duration}. Drag items to change their order.' },
+            'playlist.empty': 'This playlist is empty.',
+            'playlist.deletedItem': 'Deleted item',
+            'playlist.inTrash': '(in trash)',
+            'playlist.playFrom': 'Play from here',
+            'playlist.moveUp': 'Move up',
+            'playlist.moveDown': 'Move down',
+            'playlist.remove': 'Remove from playlist',
+            'playlist.updateFailed': 'Failed to update the playlist. Please try again.',
+            'playlist.nothingToPlay': 'This playlist has nothing to play yet.',
+
+            'player.label': 'Media player',
+            'player.shuffle': 'Shuffle',
+            'player.previous': 'Previous',
+            'player.next': 'Next',
+            'player.seek': 'Seek',
+            'player.close': 'Stop and close player',
+            'player.nothingPlayable': 'None of the items in the queue can be played',
+            'player.position': '{title} · {index} of {count}',
+            'player.pause': 'Pause',
+            'player.play': 'Play',
+            'player.repeat.off': 'Repeat: off',
+            'player.repeat.all': 'Repeat: all',
+            'player.repeat.one': 'Repeat: current item',
+
+            'fileKind.image': '{format} image',
+            'fileKind.video': '{format} video',
+            'fileKind.audio': '{format} audio',
+            'fileKind.program': '{format} program',
+            'fileKind.document': '{format} document',
+            'fileKind.archive': '{format} archive',
+
+            'validation.unreadable': 'The file could not be read.',
+            'validation.unrecognised': 'Unrecognised format: the content is not an image, video or audio file.',
+            'validation.notMedia': 'This is a {label}, not an image, video or audio file.',
+            'validation.notAllowed': '{label} files are not allowed here.',
+            'validation.tooLarge.image': 'Too large ({size}): images can be at most {max}.',
+            'validation.tooLarge.video': 'Too large ({size}): videos can be at most {max}.',
+            'validation.tooLarge.audio': 'Too large ({size}): audio files can be at most {max}.',
+            'validation.noSpace': 'Not enough library space: {left} of {total} left.',
+            'validation.damaged': 'The {label} is damaged or cannot be displayed.',
+            'validation.imageTooLarge': 'Image too large ({width} × {height} pixels): the limit is {maxWidth} × {maxHeight}.',
+
+            'offline.noUploads': 'File content can only be uploaded while online',
+            'offline.noMetaChanges': 'Tags, collections and playlists can only be changed while online',
+
+            'tag.nameEmpty': 'Tag name cannot be empty',
+            'tag.remove': 'Remove tag {tag}',
+            'tag.rename': 'Rename tag',
+            'tag.delete': 'Delete tag',
+            'tag.newPrompt': 'Name for the new tag:',
+            'tag.created': 'Tag "{name}" created!',
+            'tag.createFailed': 'Failed to create tag. Please try again.',
+            'tag.renamePrompt': 'New name for the tag:',
+            'tag.renamed': 'Tag renamed successfully!',
+            'tag.renameFailed': 'Failed to rename tag. Please try again.',
+            'tag.confirmDelete': 'Delete the tag "{name}"? It will be removed from every media item.',
+            'tag.deleted': 'Tag deleted successfully!',
+            'tag.deleteFailed': 'Failed to delete tag. Please try again.',
+
+            'collection.nameEmpty': 'Collection name cannot be empty',
+            'collection.nameTooLong': 'Collection name must be 100 characters or less',
+            'collection.rename': 'Rename collection',
+            'collection.delete': 'Delete collection',
+            'collection.newPrompt': 'Name for the new collection:',
+            'collection.created': 'Collection "{name}" created!',
+            'collection.createFailed': 'Failed to create collection. Please try again.',
+            'collection.renamePrompt': 'New name for the collection:',
+            'collection.renamed': 'Collection renamed successfully!',
+            'collection.renameFailed': 'Failed to rename collection. Please try again.',
+            'collection.confirmDelete': 'Delete the collection "{name}"? Its media items will not be deleted.',
+            'collection.deleted': 'Collection deleted successfully!',
+            'collection.deleteFailed': 'Failed to delete collection. Please try again.',
+
+            'queue.uploadFailed': 'Upload failed',
+            'queue.inQueue': { one: '{count} file in queue', other: '{count} files in queue' },
+            'queue.ready': '{count} ready to upload',
+            'queue.checking': '{count} being checked',
+            'queue.rejected': '{count} rejected',
+            'queue.sharedDescription': 'Use shared description',
+            'queue.retry': 'Retry',
+            'queue.remove': 'Remove',
+            'queue.status.checking': 'Checking...',
+            'queue.status.pending': 'Ready',
+            'queue.status.queued': 'Waiting...',
+            'queue.status.done': 'Uploaded',
+            'queue.status.cancelled': 'Cancelled',
+            'queue.status.skipped': 'Skipped (duplicate)',
+            'queue.status.merged': 'Merged into existing item',
+            'queue.status.invalid': 'Rejected',
+
+            'load.readOnly': 'Your saved library could not be loaded safely. Changes will not be saved until this is fixed.',
+            'load.fromBackup': 'Your saved library could not be read, so an older backup was loaded and recent changes may be missing. The unreadable copy was kept in quarantine.',
+            'load.unreadable': 'Your saved library could not be read and there was no backup to load. The unreadable copy was kept in quarantine.',
+            'load.quarantined': { one: '{count} saved item could not be read and was moved to quarantine.', other: '{count} saved items could not be read and were moved to quarantine.' },
+
+            'history.merge': 'merge into "{name}"',
+            'history.upload': 'upload of "{name}"',
+            'history.imageEdit': 'image edit of "{name}"',
+            'history.create': 'creation of "{name}"',
+            'history.edit': 'edit of "{name}"',
+            'history.delete': 'deletion of "{name}"',
+            'history.restore': 'restore of "{name}"',
+            'history.deleteItems': { one: 'deletion of {count} item', other: 'deletion of {count} items' },
+            'history.restoreItems': { one: 'restore of {count} item', other: 'restore of {count} items' },
+            'history.import': { one: 'import of {count} item', other: 'import of {count} items' },
+            'history.replace': { one: 'replace in {count} description', other: 'replace in {count} descriptions' },
+            'history.undoButton': 'Undo',
+            'history.redoButton': 'Redo',
+            'history.undid': 'Undid {action}.',
+            'history.redid': 'Redid {action}.',
+            'history.undoFailed': 'That action can no longer be undone.',
+            'history.redoFailed': 'That action can no longer be redone.',
+
+            'card.deleted': { one: 'Deleted {date} · {count} day left', other: 'Deleted {date} · {count} days left' },
+            'card.restore': 'Restore',
+            'card.purge': 'Delete Forever',
+            'card.view': 'View',
+            'card.edit': 'Edit',
+            'card.copyLink': 'Copy Link',
+            'card.delete': 'Delete',
+            'card.select': 'Select {name}',
+
+            'details.title': 'File Details',
+            'details.label': '{label}:',
+            'details.fileName': 'File Name',
+            'details.fileType': 'File Type',
+            'details.fileSize': 'File Size',
+            'details.unknown': 'Unknown',
+            'details.uploadDate': 'Upload Date',
+            'details.description': 'Description',
+            'details.tags': 'Tags',
+            'details.none': 'None',
+            'details.collections': 'Collections',
+            'details.version': 'Version',
+            'details.derivedFrom': 'Derived From',
+            'details.deletedOriginal': 'A deleted item',
+
+            'fileType.image': 'Image',
+            'fileType.video': 'Video',
+            'fileType.audio': 'Audio',
+            'fileType.unknown': 'Unknown',
+
+            'metadata.dimensions': 'Dimensions',
+            'metadata.pixels': '{width} × {height} px',
+            'metadata.duration': 'Duration',
+            'metadata.codec': 'Codec',
+            'metadata.sampleRate': 'Sample Rate',
+            'metadata.channels': 'Channels',
+            'metadata.channels.1': 'Mono',
+            'metadata.channels.2': 'Stereo',
+            'metadata.title': 'Title',
+            'metadata.artist': 'Artist',
+            'metadata.album': 'Album',
+            'metadata.camera': 'Camera',
+            'metadata.lens': 'Lens',
+            'metadata.captured': 'Captured',
+            'metadata.orientation': 'Orientation',
+            'metadata.location': 'Location',
+            'metadata.orientation.1': 'Normal',
+            'metadata.orientation.2': 'Mirrored',
+            'metadata.orientation.3': 'Rotated 180°',
+            'metadata.orientation.4': 'Mirrored, rotated 180°',
+            'metadata.orientation.5': 'Mirrored, rotated 90° CCW',
+            'metadata.orientation.6': 'Rotated 90° CW',
+            'metadata.orientation.7': 'Mirrored, rotated 90° CW',
+            'metadata.orientation.8': 'Rotated 90° CCW',
+            'metadata.kilohertz': '{value} kHz',
+
+            'export.failed': 'Failed to export library. Please try again.'
+        }
+    },
+
+    /**
+     * Pick the locale to start in: the one chosen before, else the browser's preference
+     * @returns {string} Locale code from I18n.locales
+     */
+    detectLocale() {
+        const saved = Preferences.get('locale', null);
+        if (this.locales[saved]) return saved;
+
+        const preferred = (navigator.languages || [navigator.language])
+            .map(tag => String(tag || '').split('-')[0].toLowerCase())
+            .find(code => this.locales[code]);
+        return preferred || this.defaultLocale;
+    },
+
+    /**
+     * Switch locale: load its catalogue, set the page language and direction, and translate the page
+     * @param {string} locale - Locale code from I18n.locales
+     * @returns {Promise<string>} The locale in use, English if the catalogue could not be loaded
+     */
+    async setLocale(locale) {
+        if (!this.locales[locale]) locale = this.defaultLocale;
+
+        if (!this.catalogues[locale]) {
+            try {
+                const response = await fetch(`locales/${locale}.json`);
+                if (!response.ok) {
+                    throw new Error(`Request failed with status ${response.status}`);
+                }
+                this.catalogues[locale] = await response.json();
+            } catch (error) {
+                console.warn('Failed to load messages for locale:', locale, error);
+                locale = this.defaultLocale;
+            }
+        }
+
+        this.locale = locale;
+        this.formats.clear();
+        document.documentElement.lang = locale;
+        document.documentElement.dir = this.isRtl() ? 'rtl' : 'ltr';
+        this.translate(document);
+        return locale;
+    },
+
+    /**
+     * Whether the current locale is written right to left
+     * @returns {boolean} True for right-to-left scripts
+     */
+    isRtl() {
+        return this.rtlLanguages.includes(this.locale.split('-')[0]);
+    },
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-attr="attribute:key;..." sets attributes
+     * @param {ParentNode} root - Element or document to translate
+     */
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':');
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    },
+
+    /**
+     * Look up a message, falling back to English and then to the key itself
+     * @param {string} key - Message key
+     * @param {number} [count] - Chooses the plural form
+     * @returns {string} Message pattern
+     */
+    lookup(key, count) {
+        const catalogue = this.catalogues[this.locale] || {};
+        let message = key in catalogue ? catalogue[key] : this.catalogues[this.defaultLocale][key];
+        if (message === undefined) {
+            console.warn('Missing message:', key);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            // English fallbacks only have 'one' and 'other', so unknown categories use 'other'
+            const category = this.getFormat(Intl.PluralRules).select(count === undefined ? 0 : count);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+        return message;
+    },
+
+    /**
+     * Get a message as plain text
+     * @param {string} key - Message key
+     * @param {Object} [params] - Values for {placeholders}; numbers are formatted for the locale
+     * @returns {string} Message text
+     */
+    t(key, params = {}) {
+        return this.fill(this.lookup(key, params.count), params);
+    },
+
+    /**
+     * Get a message for use in HTML: the message is escaped, the params are inserted as given
+     * @param {string} key - Message key
+     * @param {Object} [params] - Values for {placeholders}, already escaped where needed
+     * @returns {string} HTML string
+     */
+    html(key, params = {}) {
+        return this.fill(escapeHtml(this.lookup(key, params.count)), params);
+    },
+
+    /**
+     * Replace {placeholders} in a message
+     * @param {string} message - Message pattern
+     * @param {Object} params - Placeholder values
+     * @returns {string} Filled-in message
+     */
+    fill(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    /**
+     * Get a cached Intl formatter for the current locale
+     * @param {Function} Type - Intl constructor, e.g. Intl.NumberFormat
+     * @param {Object} [options] - Formatter options
+     * @returns {Object} Formatter
+     */
+    getFormat(Type, options = {}) {
+        const key = `${Type.name} ${JSON.stringify(options)}`;
+        if (!this.formats.has(key)) {
+            this.formats.set(key, new Type(this.locale, options));
+        }
+        return this.formats.get(key);
+    },
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number to format
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options) {
+        return this.getFormat(Intl.NumberFormat, options).format(value);
+    },
+
+    /**
+     * Join names into a list, e.g. "a, b and c", for the current locale
+     * @param {Array<string>} values - List entries
+     * @returns {string} Formatted list
+     */
+    formatList(values) {
+        return typeof Intl.ListFormat === 'function'
+            ? this.getFormat(Intl.ListFormat, { type: 'conjunction' }).format(values)
+            : values.join(', ');
+    }
 };
 
 // Utility Functions
@@ -44,23 +1038,22 @@ const Utils = {
      * @returns {string} Unique identifier
      */
     generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+        return MediaItems.generateId();
     },
 
     /**
-     * Format date for display
+     * Format date for display in the current locale
      * @param {Date|string} date - Date to format
      * @returns {string} Formatted date string
      */
     formatDate(date) {
-        const d = new Date(date);
-        return d.toLocaleDateString('en-US', {
+        return I18n.getFormat(Intl.DateTimeFormat, {
             year: 'numeric',
             month: 'short',
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit'
-        });
+        }).format(new Date(date));
     },
 
     /**
@@ -91,46 +1084,130 @@ const Utils = {
     },
 
     /**
-     * Format file size for display
+     * Format file size for display, with the current locale's number format and unit names
      * @param {number} bytes - File size in bytes
      * @returns {string} Formatted file size
      */
     formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
         const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+        const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(k)), units.length - 1) : 0;
+        return I18n.formatNumber(bytes / Math.pow(k, i), {
+            style: 'unit',
+            unit: units[i],
+            // The short form of "byte" is just "byte" in many locales
+            unitDisplay: i === 0 ? 'long' : 'short',
+            maximumFractionDigits: 2
+        });
     },
 
     /**
-     * Validate file type
-     * @param {File} file - File to validate
-     * @returns {boolean} True if valid file type
+     * Format a duration for display
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration as m:ss or h:mm:ss
      */
-    isValidFileType(file) {
-        const validTypes = [
-            'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-            'video/mp4', 'video/webm', 'video/ogg',
-            'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/mpeg'
-        ];
-        return validTypes.includes(file.type);
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
     },
 
     /**
      * Show message to user
      * @param {string} message - Message text
-     * @param {string} type - Message type ('error' or 'success')
+     * @param {string} type - Message type ('error', 'warning', 'info' or 'success')
      * @param {number} duration - Display duration in ms
      */
     showMessage(message, type = 'error', duration = 5000) {
-        const element = type === 'error' ? DOM.uploadError : DOM.uploadSuccess;
-        element.textContent = message;
-        element.style.display = 'block';
-        
+        Notifications.show(message, { type, duration });
+    },
+
+    /**
+     * Get the message to show for a failed action
+     * @param {Error} error - Error thrown by the library or a backend
+     * @param {string} fallbackKey - I18n key used when the error has no message
+     * @returns {string} Translated message for a ValidationError, else the error's own message
+     */
+    getErrorMessage(error, fallbackKey) {
+        if (error && error.name === 'ValidationError') {
+            const { kind, max } = error.params;
+            const keys = {
+                'description.empty': 'edit.descriptionEmpty',
+                'description.tooLong': 'common.descriptionTooLong',
+                'tag.empty': 'tag.nameEmpty',
+                'name.empty': `${kind}.nameEmpty`,
+                'name.tooLong': `${kind}.nameTooLong`,
+                'item.invalid': 'common.itemInvalid',
+                'item.fixedField': 'common.fixedField'
+            };
+            if (keys[error.code]) return I18n.t(keys[error.code], { max });
+        }
+        return (error && error.message) || I18n.t(fallbackKey);
+    },
+
+    /**
+     * Have screen readers read out a message
+     *
+     * Toasts appear and disappear, which screen readers don't reliably notice,
+     * so messages also go to a live region that is always there.
+     * @param {string} message - Message text
+     * @param {boolean} [urgent=false] - Interrupt whatever is being read, for errors
+     */
+    announce(message, urgent = false) {
+        const region = urgent ? DOM.liveAlert : DOM.liveStatus;
+        // Clear first so that repeating the same message is announced again
+        region.textContent = '';
         setTimeout(() => {
-            element.style.display = 'none';
-        }, duration);
+            region.textContent = message;
+        }, 100);
+    },
+
+    /**
+     * Copy text to the clipboard
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} Whether it was copied
+     */
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // No clipboard API outside secure contexts: copy from a hidden text field instead
+            const field = document.createElement('textarea');
+            field.value = text;
+            field.setAttribute('readonly', '');
+            field.style.position = 'fixed';
+            field.style.opacity = '0';
+            document.body.appendChild(field);
+            field.select();
+            let copied = false;
+            try {
+                copied = document.execCommand('copy');
+            } catch (copyError) {
+                console.warn('Failed to copy text:', copyError);
+            }
+            field.remove();
+            return copied;
+        }
+    },
+
+    /**
+     * Save a Blob to the user's downloads
+     * @param {Blob} blob - Content to save
+     * @param {string} fileName - Suggested file name
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
 
     /**
@@ -144,626 +1221,10928 @@ const Utils = {
     }
 };
 
-// Mock Backend API - Placeholder for future Azure integration
-class MockBackendAPI {
-    constructor() {
-        this.storageKey = 'mediamix_hub_data';
-        this.backupKey = 'mediamix_hub_backup';
-    }
-
+// Gallery Filters - The gallery's filter state (see MediaQuery) mirrored in the URL query string
+const GalleryFilters = {
     /**
-     * Initialize storage and load existing data
+     * Read filter state from a URL query string
+     * @param {string} search - Query string, e.g. location.search
+     * @returns {Object} Filter state
      */
-    async init() {
-        try {
-            const data = this.loadFromStorage();
-            AppState.mediaItems = data.mediaItems || [];
-            console.log('Mock backend initialized with', AppState.mediaItems.length, 'items');
-        } catch (error) {
-            console.error('Failed to initialize mock backend:', error);
-            AppState.mediaItems = [];
+    fromQueryString(search) {
+        const params = new URLSearchParams(search);
+        const filters = MediaQuery.defaults();
+        const validTypes = ['image', 'video', 'audio'];
+
+        filters.query = params.get('q') || '';
+        filters.types = (params.get('type') || '').split(',').filter(type => validTypes.includes(type));
+        filters.tags = (params.get('tags') || '').split(',').map(tag => MediaValidation.normalizeTag(tag)).filter(Boolean);
+        filters.collection = params.get('collection') || '';
+        filters.minSize = this.parseNumberParam(params.get('minSize'));
+        filters.maxSize = this.parseNumberParam(params.get('maxSize'));
+        filters.from = this.parseDateParam(params.get('from'));
+        filters.to = this.parseDateParam(params.get('to'));
+        filters.minDuration = this.parseNumberParam(params.get('minDuration'));
+        filters.maxDuration = this.parseNumberParam(params.get('maxDuration'));
+        if (['landscape', 'portrait', 'square'].includes(params.get('orientation'))) {
+            filters.orientation = params.get('orientation');
         }
-    }
+        filters.trash = params.get('view') === 'trash';
+        if (params.get('sort') in MediaQuery.comparators) filters.sort = params.get('sort');
+        if (params.get('order') === 'desc') filters.order = 'desc';
+
+        return filters;
+    },
 
     /**
-     * Load data from localStorage with fallback
-     * @returns {Object} Stored data object
+     * Write filter state to a query string, leaving out defaults
+     * @param {Object} filters - Filter state
+     * @param {string} [search] - Existing query string whose other parameters are kept
+     * @returns {string} Query string including the leading '?', or '' if empty
      */
-    loadFromStorage() {
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? JSON.parse(data) : { mediaItems: [], version: '1.0' };
-        } catch (error) {
-            console.warn('Primary storage failed, trying backup:', error);
-            try {
-                const backup = localStorage.getItem(this.backupKey);
-                return backup ? JSON.parse(backup) : { mediaItems: [], version: '1.0' };
-            } catch (backupError) {
-                console.error('Backup storage also failed:', backupError);
-                return { mediaItems: [], version: '1.0' };
+    toQueryString(filters, search = '') {
+        const params = new URLSearchParams(search);
+        const values = {
+            q: filters.query.trim(),
+            type: filters.types.join(','),
+            tags: filters.tags.join(','),
+            collection: filters.collection,
+            minSize: filters.minSize,
+            maxSize: filters.maxSize,
+            from: filters.from,
+            to: filters.to,
+            minDuration: filters.minDuration,
+            maxDuration: filters.maxDuration,
+            orientation: filters.orientation,
+            view: filters.trash ? 'trash' : '',
+            sort: filters.sort !== 'date' ? filters.sort : '',
+            order: filters.order !== 'asc' ? filters.order : ''
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === '' || value === null) {
+                params.delete(key);
+            } else {
+                params.set(key, value);
             }
-        }
+        });
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    },
+
+    /**
+     * Parse a non-negative number parameter
+     * @param {string|null} value - Raw parameter value
+     * @returns {string} Number as a string, or '' if invalid
+     */
+    parseNumberParam(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number >= 0 ? String(number) : '';
+    },
+
+    /**
+     * Parse a YYYY-MM-DD date parameter
+     * @param {string|null} value - Raw parameter value
+     * @returns {string} Date string, or '' if invalid
+     */
+    parseDateParam(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
     }
+};
 
+// Hash Router - Item dialogs and the share view addressed by the URL fragment, e.g. #/media/:id/edit
+const HashRouter = {
     /**
-     * Save data to localStorage with backup
-     * @param {Object} data - Data to save
+     * Read a route from a URL fragment
+     *
+     * Fragments look like #/media/:id, #/media/:id/edit, #/share/:id,:id and #/share/:id,:id/media/:id.
+     * Anything else is the plain gallery.
+     * @param {string} hash - Fragment, e.g. location.hash
+     * @returns {Object} { shareIds, id, edit } where shareIds lists the items of the share view or is null,
+     *     id is the item whose dialog is open or null, and edit is true for the edit dialog
      */
-    saveToStorage(data) {
+    parse(hash) {
+        const route = { shareIds: null, id: null, edit: false };
+        const match = /^#?(?:\/share\/([^/]+))?(?:\/media\/([^/]+)(\/edit)?)?\/?$/.exec(hash || '');
+        if (!match) return route;
+
         try {
-            const dataString = JSON.stringify(data);
-            localStorage.setItem(this.storageKey, dataString);
-            localStorage.setItem(this.backupKey, dataString);
+            if (match[1]) route.shareIds = [...new Set(match[1].split(',').map(decodeURIComponent).filter(Boolean))];
+            if (match[2]) route.id = decodeURIComponent(match[2]);
         } catch (error) {
-            console.error('Failed to save to storage:', error);
-            throw new Error('Storage quota exceeded or unavailable');
+            // Malformed escape sequence
+            return { shareIds: null, id: null, edit: false };
         }
-    }
+        // The share view is read-only
+        route.edit = Boolean(match[3]) && !route.shareIds;
+        return route;
+    },
 
     /**
-     * Create a new media item
-     * @param {Object} mediaData - Media item data
-     * @returns {Promise<Object>} Created media item
+     * Build the URL fragment for a route
+     * @param {Object} route - { shareIds, id, edit }
+     * @returns {string} Fragment including the '#', or '' for the plain gallery
      */
-    async createMedia(mediaData) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        const mediaItem = {
-            id: Utils.generateId(),
-            fileName: mediaData.fileName,
-            description: mediaData.description,
-            uploadDate: new Date().toISOString(),
-            fileType: mediaData.fileType,
-            fileSize: mediaData.fileSize
-        };
-
-        AppState.mediaItems.push(mediaItem);
-        this.saveToStorage({
-            mediaItems: AppState.mediaItems,
-            lastUpdated: new Date().toISOString(),
-            version: '1.0'
-        });
-
-        return mediaItem;
-    }
+    format(route) {
+        let path = '';
+        if (route.shareIds && route.shareIds.length > 0) {
+            path += `/share/${route.shareIds.map(encodeURIComponent).join(',')}`;
+        }
+        if (route.id) {
+            path += `/media/${encodeURIComponent(route.id)}${route.edit && !route.shareIds ? '/edit' : ''}`;
+        }
+        return path ? `#${path}` : '';
+    },
 
     /**
-     * Get all media items
-     * @returns {Promise<Array>} Array of media items
+     * Build a full link to a route, without the current gallery filters
+     * @param {Object} route - { shareIds, id, edit }
+     * @returns {string} Absolute URL
      */
-    async getMedia() {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 200));
-        return [...AppState.mediaItems];
+    link(route) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = this.format(route);
+        return url.href;
     }
+};
 
+// Upload Validator - Checks files against the upload policy, identifying their format from the content
+const UploadValidator = {
     /**
-     * Update a media item
-     * @param {string} id - Media item ID
-     * @param {Object} updates - Updates to apply
-     * @returns {Promise<Object>} Updated media item
+     * Policy used for every rule AppConfig.uploadPolicy leaves out; a null limit turns its rule off
      */
-    async updateMedia(id, updates) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        const index = AppState.mediaItems.findIndex(item => item.id === id);
-        if (index === -1) {
-            throw new Error('Media item not found');
-        }
+    defaultPolicy: {
+        allowedTypes: [
+            'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic',
+            'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime', 'video/x-matroska',
+            'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/webm', 'audio/flac'
+        ],
+        maxFileSize: {                               // Bytes, per category
+            image: 50 * 1024 * 1024,
+            video: 2 * 1024 * 1024 * 1024,
+            audio: 500 * 1024 * 1024
+        },
+        maxLibrarySize: 10 * 1024 * 1024 * 1024,    // Bytes across all stored items, trash included
+        maxImageDimensions: { width: 16384, height: 16384 }
+    },
 
-        AppState.mediaItems[index] = { ...AppState.mediaItems[index], ...updates };
-        this.saveToStorage({
-            mediaItems: AppState.mediaItems,
-            lastUpdated: new Date().toISOString(),
-            version: '1.0'
-        });
+    /**
+     * Describe a MIME type for error messages, e.g. "GIF image"
+     * @param {string} type - MIME type
+     * @returns {string} Translated label, or the MIME type itself when unknown
+     */
+    getTypeLabel(type) {
+        const [format, kind] = FileTypes.labels[type] || [];
+        return format ? I18n.t(`fileKind.${kind}`, { format }) : type;
+    },
 
-        return AppState.mediaItems[index];
-    }
+    /**
+     * The policy in force: the defaults with AppConfig.uploadPolicy applied on top
+     * @returns {Object} Upload policy
+     */
+    getPolicy() {
+        const overrides = AppConfig.uploadPolicy || {};
+        return {
+            ...this.defaultPolicy,
+            ...overrides,
+            maxFileSize: { ...this.defaultPolicy.maxFileSize, ...(overrides.maxFileSize || {}) }
+        };
+    },
 
     /**
-     * Delete a media item
-     * @param {string} id - Media item ID
-     * @returns {Promise<void>}
+     * Check a file against the upload policy
+     * @param {File} file - Selected file
+     * @param {number} [usedBytes] - Library space already taken, including files queued before this one
+     * @returns {Promise<Object>} { file, error } where file carries the real MIME type and error is '' when valid
      */
-    async deleteMedia(id) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        const index = AppState.mediaItems.findIndex(item => item.id === id);
-        if (index === -1) {
-            throw new Error('Media item not found');
+    async validate(file, usedBytes = 0) {
+        const policy = this.getPolicy();
+
+        let type;
+        try {
+            type = FileTypes.identify(new Uint8Array(await file.slice(0, 512).arrayBuffer()));
+        } catch (error) {
+            return { file, error: I18n.t('validation.unreadable') };
         }
 
-        AppState.mediaItems.splice(index, 1);
-        this.saveToStorage({
-            mediaItems: AppState.mediaItems,
-            lastUpdated: new Date().toISOString(),
-            version: '1.0'
-        });
-    }
-}
+        if (!type) {
+            return { file, error: I18n.t('validation.unrecognised') };
+        }
+
+        // Only where the bytes cannot tell audio from video does the browser's guess decide
+        if (FileTypes.ambiguousTypes[type] === file.type) {
+            type = file.type;
+        }
+
+        const label = this.getTypeLabel(type);
+        const fileType = Utils.getFileType(type);
+        if (fileType === 'unknown') {
+            return { file, error: I18n.t('validation.notMedia', { label }) };
+        }
+        if (!policy.allowedTypes.includes(type)) {
+            return { file, error: I18n.t('validation.notAllowed', { label }) };
+        }
+
+        const maxSize = policy.maxFileSize[fileType];
+        if (maxSize && file.size > maxSize) {
+            return {
+                file,
+                error: I18n.t(`validation.tooLarge.${fileType}`, {
+                    size: Utils.formatFileSize(file.size),
+                    max: Utils.formatFileSize(maxSize)
+                })
+            };
+        }
+
+        if (policy.maxLibrarySize && usedBytes + file.size > policy.maxLibrarySize) {
+            const left = Math.max(0, policy.maxLibrarySize - usedBytes);
+            return {
+                file,
+                error: I18n.t('validation.noSpace', {
+                    left: Utils.formatFileSize(left),
+                    total: Utils.formatFileSize(policy.maxLibrarySize)
+                })
+            };
+        }
+
+        // Upload under the real type, whatever the file name suggested
+        const checked = type === file.type
+            ? file
+            : new File([file], file.name, { type, lastModified: file.lastModified });
+
+        if (fileType === 'image' && policy.maxImageDimensions) {
+            const { width: maxWidth, height: maxHeight } = policy.maxImageDimensions;
+            let size;
+            try {
+                size = await MetadataExtractor.readImageDimensions(checked);
+            } catch (error) {
+                return { file, error: I18n.t('validation.damaged', { label }) };
+            }
+            if (size.width > maxWidth || size.height > maxHeight) {
+                return {
+                    file,
+                    error: I18n.t('validation.imageTooLarge', { width: size.width, height: size.height, maxWidth, maxHeight })
+                };
+            }
+        }
+
+        return { file: checked, error: '' };
+    }
+};
+
+// Content Hasher - SHA-256 fingerprints for exact duplicates, difference hashes for similar-looking images
+const ContentHasher = {
+    /**
+     * Most bits two perceptual hashes may differ in for the images to count as near-duplicates
+     */
+    similarDistance: 8,
+
+    /**
+     * Bytes read at a time when hashing; larger files are never held in memory whole
+     */
+    chunkSize: 8 * 1024 * 1024,
+
+    /**
+     * Compute the SHA-256 hash of some content
+     * @param {Blob} blob - Content
+     * @returns {Promise<string>} Hash as 64 hex digits
+     */
+    async sha256(blob) {
+        let digest;
+        if (blob.size <= this.chunkSize) {
+            digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+        } else {
+            // Web Crypto only hashes a whole buffer, so large files go through the incremental version
+            const hash = this.createSha256();
+            for (let offset = 0; offset < blob.size; offset += this.chunkSize) {
+                hash.update(new Uint8Array(await blob.slice(offset, offset + this.chunkSize).arrayBuffer()));
+            }
+            digest = hash.digest();
+        }
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Start an incremental SHA-256 (FIPS 180-4)
+     * @returns {Object} { update(bytes), digest() } where digest() returns the hash as 32 bytes
+     */
+    createSha256() {
+        if (!this.sha256Constants) {
+            // Fractional parts of the cube roots (K) and square roots (H) of the first primes
+            const primes = [];
+            for (let n = 2; primes.length < 64; n++) {
+                if (primes.every(prime => n % prime !== 0)) primes.push(n);
+            }
+            const fraction = x => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+            this.sha256Constants = {
+                k: Uint32Array.from(primes, prime => fraction(Math.cbrt(prime))),
+                h: Uint32Array.from(primes.slice(0, 8), prime => fraction(Math.sqrt(prime)))
+            };
+        }
+
+        const k = this.sha256Constants.k;
+        const state = Uint32Array.from(this.sha256Constants.h);
+        const words = new Uint32Array(64);
+        const block = new Uint8Array(64); // Bytes waiting for a full block
+        let blockLength = 0;
+        let total = 0;
+        const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+
+        const compress = (bytes, offset) => {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const a = words[i - 15];
+                const b = words[i - 2];
+                words[i] = words[i - 16] + (rotate(a, 7) ^ rotate(a, 18) ^ (a >>> 3)) +
+                    words[i - 7] + (rotate(b, 17) ^ rotate(b, 19) ^ (b >>> 10));
+            }
+
+            let a = state[0];
+            let b = state[1];
+            let c = state[2];
+            let d = state[3];
+            let e = state[4];
+            let f = state[5];
+            let g = state[6];
+            let h = state[7];
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + words[i]) | 0;
+                const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            state[0] += a;
+            state[1] += b;
+            state[2] += c;
+            state[3] += d;
+            state[4] += e;
+            state[5] += f;
+            state[6] += g;
+            state[7] += h;
+        };
+
+        return {
+            update(bytes) {
+                total += bytes.length;
+                let offset = 0;
+                if (blockLength > 0) {
+                    offset = Math.min(64 - blockLength, bytes.length);
+                    block.set(bytes.subarray(0, offset), blockLength);
+                    blockLength += offset;
+                    if (blockLength < 64) return;
+                    compress(block, 0);
+                    blockLength = 0;
+                }
+                for (; offset + 64 <= bytes.length; offset += 64) {
+                    compress(bytes, offset);
+                }
+                block.set(bytes.subarray(offset));
+                blockLength = bytes.length - offset;
+            },
+
+            digest() {
+                // Padding: a 1 bit, zeros, then the message length in bits as a 64-bit number
+                const tail = new Uint8Array(blockLength < 56 ? 64 : 128);
+                tail.set(block.subarray(0, blockLength));
+                tail[blockLength] = 0x80;
+                const view = new DataView(tail.buffer);
+                view.setUint32(tail.length - 8, Math.floor(total / 0x20000000));
+                view.setUint32(tail.length - 4, (total * 8) >>> 0);
+                for (let offset = 0; offset < tail.length; offset += 64) {
+                    compress(tail, offset);
+                }
+
+                const digest = new Uint8Array(32);
+                const output = new DataView(digest.buffer);
+                state.forEach((value, i) => output.setUint32(i * 4, value));
+                return digest;
+            }
+        };
+    },
+
+    /**
+     * Compute a 64-bit difference hash: shrink to 9×8 grey pixels and record whether each is brighter than its right neighbour
+     * @param {Blob} image - Image, usually the thumbnail since the hash ignores detail anyway
+     * @returns {Promise<string>} Hash as 16 hex digits
+     */
+    async perceptual(image) {
+        const bitmap = await createImageBitmap(image);
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0, 9, 8);
+        bitmap.close();
+
+        const { data } = context.getImageData(0, 0, 9, 8);
+        const grey = index => data[index * 4] * 0.299 + data[index * 4 + 1] * 0.587 + data[index * 4 + 2] * 0.114;
+        let hash = '';
+        for (let y = 0; y < 8; y++) {
+            let bits = 0;
+            for (let x = 0; x < 8; x++) {
+                bits = (bits << 1) | (grey(y * 9 + x) > grey(y * 9 + x + 1) ? 1 : 0);
+            }
+            hash += bits.toString(16).padStart(2, '0');
+        }
+        return hash;
+    },
+
+    /**
+     * Hashes stored on a media item; a hash that cannot be computed is left null
+     * @param {Blob} file - File content
+     * @param {string} fileType - File category (image, video, audio)
+     * @param {Blob|null} [thumbnail] - Thumbnail, used for the perceptual hash of images
+     * @param {string|null} [contentHash] - SHA-256 already computed for the file
+     * @returns {Promise<Object>} { contentHash, perceptualHash }
+     */
+    async hash(file, fileType, thumbnail = null, contentHash = null) {
+        const hashes = { contentHash, perceptualHash: null };
+        try {
+            if (!contentHash) hashes.contentHash = await this.sha256(file);
+        } catch (error) {
+            // e.g. the file was removed from disk since it was picked
+            console.warn('Failed to hash file content:', error);
+        }
+        if (fileType === 'image') {
+            try {
+                hashes.perceptualHash = await this.perceptual(thumbnail || file);
+            } catch (error) {
+                console.warn('Failed to compute perceptual hash:', error);
+            }
+        }
+        return hashes;
+    },
+
+    /**
+     * Count the bits two perceptual hashes differ in
+     * @param {string} a - Hex hash
+     * @param {string} b - Hex hash of the same length
+     * @returns {number} Hamming distance
+     */
+    distance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (bits) {
+                distance += bits & 1;
+                bits >>= 1;
+            }
+        }
+        return distance;
+    },
+
+    /**
+     * Group items with identical content, and images that look alike
+     * @param {Array<Object>} items - Media items with their hashes filled in
+     * @returns {Object} { exact, similar } arrays of item groups, each with at least two items
+     */
+    findDuplicates(items) {
+        const byHash = new Map();
+        items.filter(item => item.contentHash).forEach(item => {
+            byHash.set(item.contentHash, [...(byHash.get(item.contentHash) || []), item]);
+        });
+        const exact = [...byHash.values()].filter(group => group.length > 1);
+
+        // Union-find over images close enough to each other
+        const images = items.filter(item => item.fileType === 'image' && item.perceptualHash);
+        const parent = images.map((item, index) => index);
+        const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+        for (let i = 0; i < images.length; i++) {
+            for (let j = i + 1; j < images.length; j++) {
+                if (this.distance(images[i].perceptualHash, images[j].perceptualHash) <= this.similarDistance) {
+                    parent[root(j)] = root(i);
+                }
+            }
+        }
+
+        const clusters = new Map();
+        images.forEach((item, index) => {
+            clusters.set(root(index), [...(clusters.get(root(index)) || []), item]);
+        });
+        // A cluster of byte-identical copies is already listed as exact
+        const similar = [...clusters.values()].filter(group =>
+            group.length > 1 && new Set(group.map(item => item.contentHash || item.id)).size > 1
+        );
+
+        return { exact, similar };
+    }
+};
+
+// Metadata Extractor - Reads dimensions, EXIF, duration, sample rate and ID3 tags in the browser
+const MetadataExtractor = {
+    /**
+     * Maximum time to wait for the browser to load media metadata
+     */
+    loadTimeout: 10000,
+
+    /**
+     * Extract metadata from a file; fields that cannot be read are left out
+     * @param {File} file - Uploaded file
+     * @returns {Promise<Object>} Metadata object
+     */
+    async extract(file) {
+        const fileType = Utils.getFileType(file.type);
+        const metadata = {};
+
+        const steps = [];
+        if (fileType === 'image') {
+            steps.push(this.readImageDimensions(file));
+            if (file.type === 'image/jpeg') steps.push(this.readExif(file));
+        } else if (fileType === 'video' || fileType === 'audio') {
+            steps.push(this.readMediaElementInfo(file, fileType));
+            steps.push(this.readCodec(file));
+        }
+        if (fileType === 'audio') {
+            steps.push(this.readAudioHeader(file));
+            if (file.type === 'audio/mpeg') steps.push(this.readId3(file));
+        }
+
+        // One unreadable part must not lose the others
+        const results = await Promise.allSettled(steps);
+        results.forEach(result => {
+            if (result.status === 'fulfilled') {
+                Object.assign(metadata, result.value);
+            } else {
+                console.warn('Metadata extraction step failed:', result.reason);
+            }
+        });
+
+        return metadata;
+    },
+
+    /**
+     * Read image pixel dimensions
+     * @param {File} file - Image file
+     * @returns {Promise<Object>} { width, height }
+     */
+    readImageDimensions(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            const timer = setTimeout(() => finish(new Error('Timed out decoding image')), this.loadTimeout);
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                img.onload = null;
+                img.onerror = null;
+                URL.revokeObjectURL(url);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve({ width: img.naturalWidth, height: img.naturalHeight });
+                }
+            };
+
+            img.onload = () => finish();
+            img.onerror = () => finish(new Error('Image could not be decoded'));
+            img.src = url;
+        });
+    },
+
+    /**
+     * Read duration and video resolution through a media element
+     * @param {File} file - Video or audio file
+     * @param {string} fileType - 'video' or 'audio'
+     * @returns {Promise<Object>} { duration, width?, height? }
+     */
+    readMediaElementInfo(file, fileType) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const element = document.createElement(fileType);
+            const timer = setTimeout(() => finish(new Error('Timed out reading media metadata')), this.loadTimeout);
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                element.removeAttribute('src');
+                element.load();
+                URL.revokeObjectURL(url);
+
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                const info = {};
+                if (Number.isFinite(element.duration)) info.duration = element.duration;
+                if (fileType === 'video' && element.videoWidth) {
+                    info.width = element.videoWidth;
+                    info.height = element.videoHeight;
+                }
+                resolve(info);
+            };
+
+            element.preload = 'metadata';
+            element.muted = true;
+            element.addEventListener('loadedmetadata', () => finish(), { once: true });
+            element.addEventListener('error', () => finish(new Error('Media could not be decoded')), { once: true });
+            element.src = url;
+        });
+    },
+
+    /**
+     * Display names of the codec identifiers found in MP4 sample entries and Matroska tracks
+     */
+    codecNames: {
+        avc1: 'H.264', avc3: 'H.264', hvc1: 'H.265', hev1: 'H.265', av01: 'AV1', vp08: 'VP8', vp09: 'VP9',
+        mp4v: 'MPEG-4 Visual', mp4a: 'AAC', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3', Opus: 'Opus', fLaC: 'FLAC', alac: 'ALAC',
+        'V_MPEG4/ISO/AVC': 'H.264', 'V_MPEGH/ISO/HEVC': 'H.265', V_AV1: 'AV1', V_VP8: 'VP8', V_VP9: 'VP9', V_THEORA: 'Theora',
+        A_AAC: 'AAC', A_OPUS: 'Opus', A_VORBIS: 'Vorbis', A_FLAC: 'FLAC', A_MPEG: 'MP3', A_AC3: 'AC-3', A_EAC3: 'E-AC-3'
+    },
+
+    /**
+     * Read the codecs of a file's streams from its container
+     * @param {File} file - Video or audio file
+     * @returns {Promise<Object>} { codec } listing video before audio, e.g. "H.264, AAC"
+     */
+    async readCodec(file) {
+        const view = await this.readBytes(file, 0, 64 * 1024);
+        const magic = this.readAscii(view, 0, 4);
+        let codecs = [];
+
+        if (this.readAscii(view, 4, 4) === 'ftyp') {
+            codecs = await this.readMp4Codecs(file);
+        } else if (view.byteLength >= 4 && view.getUint32(0) === 0x1A45DFA3) {
+            codecs = this.readMatroskaCodecs(view);
+        } else if (magic === 'OggS') {
+            // Each stream starts with a header page naming its codec
+            const head = this.readAscii(view, 0, view.byteLength);
+            codecs = [['\x80theora', 'Theora'], ['\x01vorbis', 'Vorbis'], ['OpusHead', 'Opus'], ['\x7FFLAC', 'FLAC']]
+                .filter(([signature]) => head.includes(signature))
+                .map(([, name]) => name);
+        } else if (magic === 'fLaC') {
+            codecs = ['FLAC'];
+        } else if (magic === 'RIFF' && this.readAscii(view, 8, 4) === 'WAVE') {
+            codecs = ['PCM'];
+        } else if (file.type === 'audio/mpeg') {
+            codecs = ['MP3'];
+        }
+
+        const names = [...new Set(codecs.map(codec => this.codecNames[codec] || codec))];
+        return names.length ? { codec: names.join(', ') } : {};
+    },
+
+    /**
+     * Read the sample entry type of every track in an MP4 or QuickTime file
+     * @param {File} file - MP4, M4A or MOV file
+     * @returns {Promise<Array<string>>} Sample entry types, e.g. ['avc1', 'mp4a']
+     */
+    async readMp4Codecs(file) {
+        // The movie box may follow the media data, so walk the top-level boxes to find it
+        let offset = 0;
+        while (offset + 8 <= file.size) {
+            const header = await this.readBytes(file, offset, offset + 16);
+            let size = header.getUint32(0);
+            if (size === 1 && header.byteLength >= 16) size = Number(header.getBigUint64(8));
+            if (size === 0) size = file.size - offset;
+            if (size < 8) break;
+
+            if (this.readAscii(header, 4, 4) === 'moov') {
+                const moov = await this.readBytes(file, offset, offset + Math.min(size, 16 * 1024 * 1024));
+                return this.findSampleEntries(moov, 8, moov.byteLength);
+            }
+            offset += size;
+        }
+        return [];
+    },
+
+    /**
+     * Collect the first sample entry type of each track inside a range of MP4 boxes
+     * @param {DataView} view - Byte view
+     * @param {number} start - Offset of the first box
+     * @param {number} end - Offset after the last box
+     * @returns {Array<string>} Sample entry types
+     */
+    findSampleEntries(view, start, end) {
+        const containers = ['trak', 'mdia', 'minf', 'stbl'];
+        const entries = [];
+        let offset = start;
+        while (offset + 8 <= end) {
+            const size = view.getUint32(offset);
+            const type = this.readAscii(view, offset + 4, 4);
+            if (size < 8) break;
+
+            if (containers.includes(type)) {
+                entries.push(...this.findSampleEntries(view, offset + 8, Math.min(offset + size, end)));
+            } else if (type === 'stsd' && offset + 24 <= end) {
+                // Version and flags, entry count, then the first entry's size and type
+                entries.push(this.readAscii(view, offset + 20, 4));
+            }
+            offset += size;
+        }
+        return entries;
+    },
+
+    /**
+     * Read the CodecID of every video and audio track in a Matroska or WebM header
+     * @param {DataView} view - Start of the file
+     * @returns {Array<string>} Codec IDs, e.g. ['V_VP9', 'A_OPUS']
+     */
+    readMatroskaCodecs(view) {
+        const codecs = [];
+        for (let i = 0; i + 2 < view.byteLength; i++) {
+            // CodecID element (0x86) with a one-byte size
+            if (view.getUint8(i) !== 0x86 || !(view.getUint8(i + 1) & 0x80)) continue;
+
+            const id = this.readAscii(view, i + 2, view.getUint8(i + 1) & 0x7F);
+            if (/^[VA]_[A-Z0-9/_.-]+$/.test(id)) codecs.push(id);
+        }
+        return codecs;
+    },
+
+    /**
+     * Read bytes from a file
+     * @param {Blob} blob - File or slice
+     * @param {number} start - Start offset
+     * @param {number} end - End offset (exclusive)
+     * @returns {Promise<DataView>} View over the bytes
+     */
+    async readBytes(blob, start, end) {
+        const buffer = await blob.slice(start, end).arrayBuffer();
+        return new DataView(buffer);
+    },
+
+    /**
+     * Read ASCII text from a DataView
+     * @param {DataView} view - Byte view
+     * @param {number} offset - Start offset
+     * @param {number} length - Number of bytes
+     * @returns {string} Decoded text
+     */
+    readAscii(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    },
+
+    /**
+     * Read EXIF camera, lens, capture date, orientation and GPS from a JPEG
+     * @param {File} file - JPEG file
+     * @returns {Promise<Object>} EXIF-derived metadata
+     */
+    async readExif(file) {
+        // The APP1 segment holding EXIF is at most 64 KB and sits near the start
+        const view = await this.readBytes(file, 0, 256 * 1024);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return {};
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            if ((marker & 0xFF00) !== 0xFF00) break;
+
+            if (marker === 0xFFE1 && this.readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+                return this.parseTiff(view, offset + 10);
+            }
+            // Start of scan: image data follows, no more metadata segments
+            if (marker === 0xFFDA) break;
+            offset += 2 + length;
+        }
+        return {};
+    },
+
+    /**
+     * Parse the TIFF structure inside an EXIF segment
+     * @param {DataView} view - Byte view
+     * @param {number} tiffStart - Offset of the TIFF header
+     * @returns {Object} EXIF-derived metadata
+     */
+    parseTiff(view, tiffStart) {
+        const little = this.readAscii(view, tiffStart, 2) === 'II';
+        const ifd0 = this.readIfd(view, tiffStart, tiffStart + view.getUint32(tiffStart + 4, little), little);
+        const exif = ifd0[0x8769] ? this.readIfd(view, tiffStart, tiffStart + ifd0[0x8769], little) : {};
+        const gps = ifd0[0x8825] ? this.readIfd(view, tiffStart, tiffStart + ifd0[0x8825], little) : {};
+
+        const metadata = {};
+        const make = (ifd0[0x010F] || '').trim();
+        const model = (ifd0[0x0110] || '').trim();
+        if (make || model) {
+            // Many models already start with the make ("Canon Canon EOS R5")
+            metadata.camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+        }
+
+        const lens = (exif[0xA434] || '').trim();
+        if (lens) metadata.lens = lens;
+
+        const captured = exif[0x9003] || ifd0[0x0132];
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(captured || '');
+        if (match) {
+            metadata.captureDate = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+        }
+
+        if (ifd0[0x0112]) metadata.orientation = ifd0[0x0112];
+
+        if (Array.isArray(gps[2]) && Array.isArray(gps[4])) {
+            const toDegrees = ([d, m, s]) => d + m / 60 + s / 3600;
+            let latitude = toDegrees(gps[2]);
+            let longitude = toDegrees(gps[4]);
+            if (gps[1] === 'S') latitude = -latitude;
+            if (gps[3] === 'W') longitude = -longitude;
+            if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+                metadata.gps = {
+                    latitude: Number(latitude.toFixed(6)),
+                    longitude: Number(longitude.toFixed(6))
+                };
+            }
+        }
+
+        return metadata;
+    },
+
+    /**
+     * Read the entries of one TIFF image file directory
+     * @param {DataView} view - Byte view
+     * @param {number} tiffStart - Offset of the TIFF header
+     * @param {number} ifdStart - Offset of the directory
+     * @param {boolean} little - Little-endian byte order
+     * @returns {Object} Values keyed by numeric tag
+     */
+    readIfd(view, tiffStart, ifdStart, little) {
+        const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        const values = {};
+        if (ifdStart + 2 > view.byteLength) return values;
+
+        const count = view.getUint16(ifdStart, little);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdStart + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+            const size = typeSizes[type];
+            if (!size) continue;
+
+            const dataStart = size * length > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+            if (dataStart + size * length > view.byteLength) continue;
+
+            values[tag] = this.readIfdValue(view, type, dataStart, length, little);
+        }
+        return values;
+    },
+
+    /**
+     * Decode a single TIFF directory value
+     * @param {DataView} view - Byte view
+     * @param {number} type - TIFF field type
+     * @param {number} start - Offset of the value
+     * @param {number} length - Number of components
+     * @param {boolean} little - Little-endian byte order
+     * @returns {*} String, number or array of numbers
+     */
+    readIfdValue(view, type, start, length, little) {
+        if (type === 2) {
+            return this.readAscii(view, start, length).replace(/\0+$/, '');
+        }
+
+        const read = (index) => {
+            switch (type) {
+                case 3: return view.getUint16(start + index * 2, little);
+                case 4: return view.getUint32(start + index * 4, little);
+                case 9: return view.getInt32(start + index * 4, little);
+                case 5: return view.getUint32(start + index * 8, little) / (view.getUint32(start + index * 8 + 4, little) || 1);
+                case 10: return view.getInt32(start + index * 8, little) / (view.getInt32(start + index * 8 + 4, little) || 1);
+                default: return view.getUint8(start + index);
+            }
+        };
+
+        if (length === 1) return read(0);
+        return Array.from({ length }, (_, index) => read(index));
+    },
+
+    /**
+     * Read the sample rate and channel count from WAV, MP3, Ogg Vorbis or Opus headers
+     * @param {File} file - Audio file
+     * @returns {Promise<Object>} { sampleRate, channels }
+     */
+    async readAudioHeader(file) {
+        const view = await this.readBytes(file, 0, 64 * 1024);
+        const magic = this.readAscii(view, 0, 4);
+
+        if (magic === 'RIFF' && this.readAscii(view, 8, 4) === 'WAVE') {
+            let offset = 12;
+            while (offset + 8 <= view.byteLength) {
+                const chunkSize = view.getUint32(offset + 4, true);
+                if (this.readAscii(view, offset, 4) === 'fmt ') {
+                    return {
+                        channels: view.getUint16(offset + 10, true),
+                        sampleRate: view.getUint32(offset + 12, true)
+                    };
+                }
+                offset += 8 + chunkSize + (chunkSize % 2);
+            }
+            return {};
+        }
+
+        if (magic === 'OggS') {
+            const head = this.readAscii(view, 0, Math.min(view.byteLength, 512));
+            const vorbis = head.indexOf('\x01vorbis');
+            if (vorbis !== -1) {
+                return {
+                    channels: view.getUint8(vorbis + 11),
+                    sampleRate: view.getUint32(vorbis + 12, true)
+                };
+            }
+            const opus = head.indexOf('OpusHead');
+            if (opus !== -1) {
+                // Opus always decodes at 48 kHz; the header stores the original input rate
+                return {
+                    channels: view.getUint8(opus + 9),
+                    sampleRate: view.getUint32(opus + 12, true) || 48000
+                };
+            }
+            return {};
+        }
+
+        return this.readMp3FrameHeader(file);
+    },
+
+    /**
+     * Read the sample rate and channel mode from the first MPEG audio frame
+     * @param {File} file - MP3 file
+     * @returns {Promise<Object>} { sampleRate, channels }
+     */
+    async readMp3FrameHeader(file) {
+        let start = 0;
+        const head = await this.readBytes(file, 0, 10);
+        if (this.readAscii(head, 0, 3) === 'ID3' && head.byteLength >= 10) {
+            start = 10 + this.readSyncsafe(head, 6);
+        }
+
+        const view = await this.readBytes(file, start, start + 16 * 1024);
+        const rates = {
+            3: [44100, 48000, 32000], // MPEG 1
+            2: [22050, 24000, 16000], // MPEG 2
+            0: [11025, 12000, 8000]   // MPEG 2.5
+        };
+
+        for (let i = 0; i + 4 <= view.byteLength; i++) {
+            const header = view.getUint32(i);
+            if ((header & 0xFFE00000) >>> 0 !== 0xFFE00000) continue;
+
+            const version = (header >>> 19) & 0x3;
+            const rateIndex = (header >>> 10) & 0x3;
+            if (!rates[version] || rateIndex === 3) continue;
+
+            const channelMode = (header >>> 6) & 0x3;
+            return {
+                sampleRate: rates[version][rateIndex],
+                channels: channelMode === 3 ? 1 : 2
+            };
+        }
+        return {};
+    },
+
+    /**
+     * Read a 28-bit syncsafe integer used by ID3v2
+     * @param {DataView} view - Byte view
+     * @param {number} offset - Start offset
+     * @returns {number} Decoded integer
+     */
+    readSyncsafe(view, offset) {
+        return ((view.getUint8(offset) & 0x7F) << 21) |
+            ((view.getUint8(offset + 1) & 0x7F) << 14) |
+            ((view.getUint8(offset + 2) & 0x7F) << 7) |
+            (view.getUint8(offset + 3) & 0x7F);
+    },
+
+    /**
+     * Read the ID3 title, artist and album of an MP3, preferring ID3v2 over ID3v1
+     * @param {File} file - MP3 file
+     * @returns {Promise<Object>} { title, artist, album }
+     */
+    async readId3(file) {
+        const tags = await this.readId3v2(file);
+        if (tags.title || tags.artist || tags.album) return tags;
+        return this.readId3v1(file);
+    },
+
+    /**
+     * Read text frames from an ID3v2.2, 2.3 or 2.4 tag
+     * @param {File} file - MP3 file
+     * @returns {Promise<Object>} { title, artist, album }
+     */
+    async readId3v2(file) {
+        const header = await this.readBytes(file, 0, 10);
+        if (header.byteLength < 10 || this.readAscii(header, 0, 3) !== 'ID3') return {};
+
+        const major = header.getUint8(3);
+        const flags = header.getUint8(5);
+        const tagSize = this.readSyncsafe(header, 6);
+        const view = await this.readBytes(file, 10, 10 + Math.min(tagSize, 1024 * 1024));
+
+        const frameIds = major === 2
+            ? { TT2: 'title', TP1: 'artist', TAL: 'album' }
+            : { TIT2: 'title', TPE1: 'artist', TALB: 'album' };
+        const idLength = major === 2 ? 3 : 4;
+        const headerLength = major === 2 ? 6 : 10;
+
+        let offset = 0;
+        if (flags & 0x40 && major > 2) {
+            // Skip the extended header
+            offset = major === 4 ? this.readSyncsafe(view, 0) : view.getUint32(0) + 4;
+        }
+
+        const tags = {};
+        while (offset + headerLength <= view.byteLength) {
+            const id = this.readAscii(view, offset, idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+            let size;
+            if (major === 2) {
+                size = (view.getUint8(offset + 3) << 16) | (view.getUint8(offset + 4) << 8) | view.getUint8(offset + 5);
+            } else if (major === 4) {
+                size = this.readSyncsafe(view, offset + 4);
+            } else {
+                size = view.getUint32(offset + 4);
+            }
+
+            const dataStart = offset + headerLength;
+            if (frameIds[id] && size > 1 && dataStart + size <= view.byteLength) {
+                const text = this.decodeId3Text(view, dataStart, size);
+                if (text) tags[frameIds[id]] = text;
+            }
+            offset = dataStart + size;
+        }
+        return tags;
+    },
+
+    /**
+     * Decode an ID3v2 text frame body
+     * @param {DataView} view - Byte view
+     * @param {number} start - Offset of the encoding byte
+     * @param {number} size - Frame body size
+     * @returns {string} Decoded text
+     */
+    decodeId3Text(view, start, size) {
+        const encodings = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+        const encoding = encodings[view.getUint8(start)] || 'iso-8859-1';
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + start + 1, size - 1);
+        return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '').split('\0')[0].trim();
+    },
+
+    /**
+     * Read the fixed-width ID3v1 tag at the end of an MP3
+     * @param {File} file - MP3 file
+     * @returns {Promise<Object>} { title, artist, album }
+     */
+    async readId3v1(file) {
+        if (file.size < 128) return {};
+
+        const view = await this.readBytes(file, file.size - 128, file.size);
+        if (this.readAscii(view, 0, 3) !== 'TAG') return {};
+
+        const field = (offset, length) => new TextDecoder('iso-8859-1')
+            .decode(new Uint8Array(view.buffer, offset, length))
+            .replace(/\0.*$/, '')
+            .trim();
+
+        const tags = {};
+        if (field(3, 30)) tags.title = field(3, 30);
+        if (field(33, 30)) tags.artist = field(33, 30);
+        if (field(63, 30)) tags.album = field(63, 30);
+        return tags;
+    }
+};
+
+// Thumbnail Generator - Renders small preview images for media cards
+const ThumbnailGenerator = {
+    /**
+     * Longest edge of generated thumbnails in pixels
+     */
+    maxSize: 320,
+
+    /**
+     * Largest audio file decoded for a waveform; bigger files get no thumbnail
+     */
+    maxWaveformBytes: 50 * 1024 * 1024,
+
+    /**
+     * Maximum time to wait for an image or video frame to load
+     */
+    loadTimeout: 10000,
+
+    /**
+     * Generate a thumbnail for a file
+     * @param {Blob} file - File content
+     * @param {string} fileType - File category (image, video, audio)
+     * @param {Object} [metadata] - Extracted metadata, used for the video poster time
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if none could be made
+     */
+    async generate(file, fileType, metadata = {}) {
+        try {
+            if (fileType === 'image') return await this.fromImage(file);
+            if (fileType === 'video') return await this.fromVideo(file, this.getPosterTime(metadata.duration));
+            if (fileType === 'audio') return await this.fromAudio(file);
+        } catch (error) {
+            console.warn('Thumbnail generation failed:', error);
+        }
+        return null;
+    },
+
+    /**
+     * Pick the poster frame time for a video
+     * @param {number} [duration] - Video duration in seconds
+     * @returns {number} Time in seconds
+     */
+    getPosterTime(duration) {
+        const time = AppConfig.videoPosterTime;
+        if (!Number.isFinite(duration) || duration <= 0) return time;
+        // Short clips: stay inside the video
+        return Math.min(time, duration / 2);
+    },
+
+    /**
+     * Scale a drawable source down onto a canvas and encode it
+     * @param {CanvasImageSource} source - Image, video or canvas
+     * @param {number} width - Source width
+     * @param {number} height - Source height
+     * @returns {Promise<Blob>} JPEG thumbnail
+     */
+    drawScaled(source, width, height) {
+        const scale = Math.min(1, this.maxSize / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const context = canvas.getContext('2d');
+        // JPEG has no alpha; keep transparent images readable on white
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        return this.toBlob(canvas);
+    },
+
+    /**
+     * Encode a canvas as a JPEG blob
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @returns {Promise<Blob>} Encoded image
+     */
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Canvas could not be encoded'));
+                }
+            }, 'image/jpeg', 0.8);
+        });
+    },
+
+    /**
+     * Create a scaled-down copy of an image
+     * @param {Blob} file - Image file
+     * @returns {Promise<Blob>} Thumbnail image
+     */
+    fromImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            const timer = setTimeout(() => finish(new Error('Timed out decoding image')), this.loadTimeout);
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                img.onload = null;
+                img.onerror = null;
+                if (error) {
+                    URL.revokeObjectURL(url);
+                    reject(error);
+                    return;
+                }
+                this.drawScaled(img, img.naturalWidth, img.naturalHeight)
+                    .then(resolve, reject)
+                    .finally(() => URL.revokeObjectURL(url));
+            };
+
+            img.onload = () => finish();
+            img.onerror = () => finish(new Error('Image could not be decoded'));
+            img.src = url;
+        });
+    },
+
+    /**
+     * Grab a video frame as a poster image
+     * @param {Blob} file - Video file
+     * @param {number} time - Frame time in seconds
+     * @returns {Promise<Blob>} Thumbnail image
+     */
+    fromVideo(file, time) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            const timer = setTimeout(() => finish(new Error('Timed out grabbing video frame')), this.loadTimeout);
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                const cleanup = () => {
+                    video.removeAttribute('src');
+                    video.load();
+                    URL.revokeObjectURL(url);
+                };
+                if (error) {
+                    cleanup();
+                    reject(error);
+                    return;
+                }
+                this.fromVideoElement(video).then(resolve, reject).finally(cleanup);
+            };
+
+            video.preload = 'auto';
+            video.muted = true;
+            video.playsInline = true;
+            video.addEventListener('loadedmetadata', () => {
+                video.currentTime = Math.min(time, Math.max(0, video.duration - 0.1) || 0);
+            }, { once: true });
+            video.addEventListener('seeked', () => finish(), { once: true });
+            video.addEventListener('error', () => finish(new Error('Video could not be decoded')), { once: true });
+            video.src = url;
+        });
+    },
+
+    /**
+     * Capture the frame a video element is currently showing
+     * @param {HTMLVideoElement} video - Loaded video element
+     * @returns {Promise<Blob>} Thumbnail image
+     */
+    fromVideoElement(video) {
+        if (!video.videoWidth || !video.videoHeight) {
+            return Promise.reject(new Error('Video has no frame to capture'));
+        }
+        return this.drawScaled(video, video.videoWidth, video.videoHeight);
+    },
+
+    /**
+     * Render an audio waveform image
+     * @param {Blob} file - Audio file
+     * @returns {Promise<Blob|null>} Waveform image, or null for very large files
+     */
+    async fromAudio(file) {
+        if (file.size > this.maxWaveformBytes) return null;
+
+        const AudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!AudioContextClass) return null;
+
+        // A 1-frame offline context is enough to use decodeAudioData without audio output
+        const context = new AudioContextClass(1, 1, 44100);
+        const audioBuffer = await context.decodeAudioData(await file.arrayBuffer());
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.maxSize;
+        canvas.height = Math.round(this.maxSize * 0.5);
+        this.drawWaveform(canvas, this.getPeaks(audioBuffer, canvas.width / 3));
+
+        return this.toBlob(canvas);
+    },
+
+    /**
+     * Compute peak amplitudes across all channels
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {number} buckets - Number of peaks to compute
+     * @returns {Array<number>} Peaks between 0 and 1
+     */
+    getPeaks(audioBuffer, buckets) {
+        const count = Math.floor(buckets);
+        const peaks = new Array(count).fill(0);
+        const samplesPerBucket = Math.max(1, Math.floor(audioBuffer.length / count));
+
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < count; i++) {
+                const start = i * samplesPerBucket;
+                const end = Math.min(start + samplesPerBucket, data.length);
+                // Sampling every few values keeps long recordings fast
+                const step = Math.max(1, Math.floor((end - start) / 200));
+                for (let j = start; j < end; j += step) {
+                    const value = Math.abs(data[j]);
+                    if (value > peaks[i]) peaks[i] = value;
+                }
+            }
+        }
+        return peaks;
+    },
+
+    /**
+     * Draw waveform bars onto a canvas
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Array<number>} peaks - Peaks between 0 and 1
+     */
+    drawWaveform(canvas, peaks) {
+        const context = canvas.getContext('2d');
+        const middle = canvas.height / 2;
+        const barWidth = canvas.width / peaks.length;
+
+        context.fillStyle = '#f1f3f5';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#007bff';
+
+        peaks.forEach((peak, i) => {
+            const barHeight = Math.max(1, peak * (canvas.height - 8));
+            context.fillRect(i * barWidth, middle - barHeight / 2, Math.max(1, barWidth - 1), barHeight);
+        });
+    }
+};
+
+// Clip Extractor - Cuts a time range out of audio (as WAV) or video (as WebM)
+const ClipExtractor = {
+    /**
+     * Shortest clip that can be extracted, in seconds
+     */
+    minDuration: 0.1,
+
+    /**
+     * Extract a clip from an audio or video file
+     * @param {Blob} file - Source file
+     * @param {string} fileType - 'audio' or 'video'
+     * @param {number} start - Clip start in seconds
+     * @param {number} end - Clip end in seconds
+     * @param {Object} [options] - { onProgress(fraction), signal }
+     * @returns {Promise<Object>} { file, metadata } for the clip
+     */
+    extract(file, fileType, start, end, options = {}) {
+        if (!(end - start >= this.minDuration)) {
+            throw new Error(I18n.t('clip.tooShort'));
+        }
+        return fileType === 'audio'
+            ? this.extractAudio(file, start, end, options)
+            : this.extractVideo(file, start, end, options);
+    },
+
+    /**
+     * Decode audio with Web Audio and encode the range as 16-bit PCM WAV
+     * @param {Blob} file - Audio file
+     * @param {number} start - Clip start in seconds
+     * @param {number} end - Clip end in seconds
+     * @param {Object} options - { onProgress, signal }
+     * @returns {Promise<Object>} { file, metadata }
+     */
+    async extractAudio(file, start, end, options) {
+        const AudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!AudioContextClass) {
+            throw new Error(I18n.t('clip.noAudioDecoding'));
+        }
+
+        // A 1-frame offline context is enough to use decodeAudioData without audio output
+        const context = new AudioContextClass(1, 1, 44100);
+        const audioBuffer = await context.decodeAudioData(await file.arrayBuffer());
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('Clip extraction cancelled', 'AbortError');
+        }
+
+        const { sampleRate, numberOfChannels } = audioBuffer;
+        const first = Math.floor(Math.max(0, start) * sampleRate);
+        const last = Math.min(audioBuffer.length, Math.ceil(end * sampleRate));
+        const channels = [];
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel).subarray(first, last));
+        }
+        if (options.onProgress) options.onProgress(1);
+
+        return {
+            file: new Blob([this.encodeWav(channels, sampleRate)], { type: 'audio/wav' }),
+            metadata: {
+                duration: (last - first) / sampleRate,
+                sampleRate,
+                channels: numberOfChannels
+            }
+        };
+    },
+
+    /**
+     * Encode PCM samples as a 16-bit WAV file
+     * @param {Array<Float32Array>} channels - Samples between -1 and 1, one array per channel
+     * @param {number} sampleRate - Samples per second
+     * @returns {ArrayBuffer} WAV file content
+     */
+    encodeWav(channels, sampleRate) {
+        const frames = channels.length > 0 ? channels[0].length : 0;
+        const blockAlign = channels.length * 2;
+        const dataSize = frames * blockAlign;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeAscii = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeAscii(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeAscii(8, 'WAVE');
+        writeAscii(12, 'fmt ');
+        view.setUint32(16, 16, true);          // fmt chunk size
+        view.setUint16(20, 1, true);           // PCM
+        view.setUint16(22, channels.length, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, 16, true);          // Bits per sample
+        writeAscii(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // Interleave the channels
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels.length; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+        return buffer;
+    },
+
+    /**
+     * Pick a WebM type this browser's MediaRecorder can write
+     * @returns {string|null} MIME type, or null if WebM recording is unsupported
+     */
+    getVideoRecorderType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    },
+
+    /**
+     * Play the range through a hidden video element and record it with MediaRecorder
+     *
+     * Recording runs in real time, so a 30 second clip takes about 30 seconds.
+     * @param {Blob} file - Video file
+     * @param {number} start - Clip start in seconds
+     * @param {number} end - Clip end in seconds
+     * @param {Object} options - { onProgress, signal }
+     * @returns {Promise<Object>} { file, metadata }
+     */
+    async extractVideo(file, start, end, options) {
+        const mimeType = this.getVideoRecorderType();
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!mimeType || !AudioContextClass) {
+            throw new Error(I18n.t('clip.noVideoRecording'));
+        }
+
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.src = url;
+        const audioContext = new AudioContextClass();
+
+        try {
+            await this.waitForEvent(video, 'loadedmetadata', options.signal);
+            video.currentTime = start;
+            await this.waitForEvent(video, 'seeked', options.signal);
+
+            // Route the sound into the recording only, so nothing plays out loud
+            const destination = audioContext.createMediaStreamDestination();
+            audioContext.createMediaElementSource(video).connect(destination);
+            const captured = video.captureStream ? video.captureStream() : video.mozCaptureStream();
+            const stream = new MediaStream([
+                ...captured.getVideoTracks(),
+                ...destination.stream.getAudioTracks()
+            ]);
+
+            const chunks = [];
+            const recorder = new MediaRecorder(stream, { mimeType });
+            recorder.addEventListener('dataavailable', event => {
+                if (event.data.size > 0) chunks.push(event.data);
+            });
+
+            await new Promise((resolve, reject) => {
+                let finished = false;
+                // Playback that stops advancing, e.g. at frames the browser can't decode, ends the recording
+                let stallTimer = null;
+                const watchStall = () => {
+                    clearTimeout(stallTimer);
+                    stallTimer = setTimeout(() => finish(new Error('Timed out playing the clip')), ThumbnailGenerator.loadTimeout);
+                };
+                const finish = (error) => {
+                    if (finished) return;
+                    finished = true;
+                    clearTimeout(stallTimer);
+                    video.removeEventListener('timeupdate', handleTime);
+                    video.removeEventListener('ended', handleEnded);
+                    video.removeEventListener('error', handleError);
+                    if (options.signal) options.signal.removeEventListener('abort', handleAbort);
+                    video.pause();
+                    recorder.addEventListener('stop', () => (error ? reject(error) : resolve()), { once: true });
+                    if (recorder.state !== 'inactive') {
+                        recorder.stop();
+                    } else if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                };
+                const handleTime = () => {
+                    watchStall();
+                    if (options.onProgress) {
+                        options.onProgress(Math.min(1, (video.currentTime - start) / (end - start)));
+                    }
+                    if (video.currentTime >= end) finish();
+                };
+                const handleEnded = () => finish();
+                const handleError = () => finish(new Error('Video could not be decoded'));
+                const handleAbort = () => finish(new DOMException('Clip extraction cancelled', 'AbortError'));
+
+                video.addEventListener('timeupdate', handleTime);
+                video.addEventListener('ended', handleEnded);
+                video.addEventListener('error', handleError);
+                if (options.signal) options.signal.addEventListener('abort', handleAbort);
+
+                recorder.start(1000);
+                watchStall();
+                video.play().catch(finish);
+            });
+
+            return {
+                file: new Blob(chunks, { type: 'video/webm' }),
+                metadata: {
+                    // MediaRecorder leaves the duration out of the WebM header
+                    duration: end - start,
+                    width: video.videoWidth,
+                    height: video.videoHeight
+                }
+            };
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            audioContext.close().catch(() => {});
+        }
+    },
+
+    /**
+     * Wait for a media element event, failing on errors, cancellation or timeout
+     * @param {HTMLMediaElement} element - Media element
+     * @param {string} eventName - Event to wait for
+     * @param {AbortSignal} [signal] - Abort signal
+     * @returns {Promise<void>}
+     */
+    waitForEvent(element, eventName, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => finish(new Error(`Timed out waiting for ${eventName}`)), ThumbnailGenerator.loadTimeout);
+            const finish = (error) => {
+                clearTimeout(timer);
+                element.removeEventListener(eventName, handleEvent);
+                element.removeEventListener('error', handleError);
+                if (signal) signal.removeEventListener('abort', handleAbort);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const handleEvent = () => finish();
+            const handleError = () => finish(new Error('Video could not be decoded'));
+            const handleAbort = () => finish(new DOMException('Clip extraction cancelled', 'AbortError'));
+
+            element.addEventListener(eventName, handleEvent);
+            element.addEventListener('error', handleError);
+            if (signal) signal.addEventListener('abort', handleAbort);
+        });
+    }
+};
+
+// Preferences - Small UI settings remembered in localStorage
+const Preferences = {
+    keys: {
+        layout: 'mediamix_hub_layout',
+        playerShuffle: 'mediamix_hub_player_shuffle',
+        playerRepeat: 'mediamix_hub_player_repeat',
+        locale: 'mediamix_hub_locale'
+    },
+
+    /**
+     * Read a preference
+     * @param {string} name - Preference name from Preferences.keys
+     * @param {*} fallback - Value used when nothing is stored
+     * @returns {*} Stored value or fallback
+     */
+    get(name, fallback) {
+        try {
+            const value = localStorage.getItem(this.keys[name]);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    /**
+     * Store a preference
+     * @param {string} name - Preference name from Preferences.keys
+     * @param {*} value - JSON-serializable value
+     */
+    set(name, value) {
+        try {
+            localStorage.setItem(this.keys[name], JSON.stringify(value));
+        } catch (error) {
+            console.warn('Failed to save preference:', name, error);
+        }
+    }
+};
+
+// Dialog Focus - Makes every .modal-overlay a modal dialog: focus moves in, stays in, and returns on close
+const DialogFocus = {
+    stack: [],      // Open overlays, most recent last: { overlay, returnTo, returnId }
+    background: [], // Elements made inert while a dialog is open
+    lastFocus: null, // Last element focused outside the dialogs
+
+    /**
+     * Follow the show class of every dialog on the page
+     * @param {Array<HTMLElement>} background - Page content behind the dialogs
+     */
+    init(background) {
+        this.background = background.filter(Boolean);
+        const observer = new MutationObserver(records => {
+            records.forEach(record => this.update(record.target));
+        });
+        document.querySelectorAll('.modal-overlay').forEach(overlay => {
+            observer.observe(overlay, { attributes: true, attributeFilter: ['class'] });
+        });
+        document.addEventListener('keydown', event => this.trapTab(event));
+        // Dialogs often focus a field as they open, before the observer runs, so track focus as it moves
+        document.addEventListener('focusin', event => {
+            if (!event.target.closest('.modal-overlay')) this.lastFocus = event.target;
+        });
+    },
+
+    /**
+     * React to a dialog opening or closing
+     * @param {HTMLElement} overlay - The dialog's .modal-overlay
+     */
+    update(overlay) {
+        const open = overlay.classList.contains('show');
+        const index = this.stack.findIndex(entry => entry.overlay === overlay);
+
+        if (open && index === -1) {
+            const returnTo = this.lastFocus;
+            // Cards are re-rendered while dialogs are open, so remember which one to come back to
+            const card = returnTo && returnTo.closest ? returnTo.closest('[data-id]') : null;
+            this.stack.push({ overlay, returnTo, returnId: card ? card.getAttribute('data-id') : null });
+            // Dialogs that focus a field themselves keep it
+            if (!overlay.contains(document.activeElement)) {
+                overlay.querySelector('[role="dialog"]').focus();
+            }
+        } else if (!open && index !== -1) {
+            const [entry] = this.stack.splice(index, 1);
+            // Inert elements can't take focus, so release the page before restoring
+            this.setBackgroundInert();
+            if (index === this.stack.length) this.restore(entry);
+        }
+
+        this.setBackgroundInert();
+    },
+
+    /**
+     * Make the page behind the dialogs unreachable while any dialog is open
+     */
+    setBackgroundInert() {
+        this.background.forEach(element => {
+            element.inert = this.stack.length > 0;
+        });
+    },
+
+    /**
+     * Give focus back to what had it before a dialog opened
+     * @param {Object} entry - Closed stack entry
+     */
+    restore(entry) {
+        const top = this.stack[this.stack.length - 1];
+        if (top) {
+            top.overlay.querySelector('[role="dialog"]').focus();
+        } else if (entry.returnTo && entry.returnTo.isConnected && entry.returnTo !== document.body) {
+            entry.returnTo.focus();
+        } else if (entry.returnId) {
+            const card = DOM.galleryView.reveal(DOM.galleryView.indexOf(entry.returnId));
+            if (card) focusMediaCard(card);
+        }
+    },
+
+    /**
+     * Keep Tab and Shift+Tab inside the topmost dialog
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    trapTab(event) {
+        const top = this.stack[this.stack.length - 1];
+        if (event.key !== 'Tab' || !top) return;
+
+        const focusable = this.getFocusable(top.overlay);
+        const active = document.activeElement;
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!top.overlay.contains(active) || (event.shiftKey && active === top.overlay.querySelector('[role="dialog"]'))) {
+            event.preventDefault();
+            (event.shiftKey ? last : first).focus();
+        } else if (event.shiftKey && active === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && active === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Visible elements inside a dialog that Tab can reach
+     * @param {HTMLElement} container - Dialog overlay
+     * @returns {Array<HTMLElement>} Focusable elements in document order
+     */
+    getFocusable(container) {
+        const selector = 'a[href], button, input, select, textarea, audio[controls], video[controls], [tabindex]:not([tabindex="-1"])';
+        return Array.from(container.querySelectorAll(selector))
+            .filter(element => !element.disabled && element.getClientRects().length > 0);
+    }
+};
+
+// Notifications - Stacked toasts with a severity, optional action buttons and a close button
+const Notifications = {
+    limit: 4,    // Toasts shown at once; the oldest makes way for a new one
+    toasts: [],  // Shown toasts, oldest first: { element, message, type, duration, actions, timer }
+    icons: {
+        success: '✔',
+        info: 'ℹ',
+        warning: '⚠',
+        error: '✖'
+    },
+
+    /**
+     * Show a toast; the same message shown again restarts its timer instead of stacking a copy
+     * @param {string} message - Message text
+     * @param {Object} [options]
+     * @param {string} [options.type='info'] - 'success', 'info', 'warning' or 'error'
+     * @param {number} [options.duration=5000] - Milliseconds until it closes itself, 0 to stay until dismissed
+     * @param {Array<Object>} [options.actions] - Buttons { label, run }; clicking one also closes the toast
+     * @returns {Object} The toast, for dismiss()
+     */
+    show(message, { type = 'info', duration = 5000, actions = [] } = {}) {
+        Utils.announce(message, type === 'error');
+
+        const repeated = actions.length === 0 &&
+            this.toasts.find(toast => toast.message === message && toast.type === type && toast.actions.length === 0);
+        if (repeated) {
+            this.startTimer(repeated);
+            return repeated;
+        }
+
+        const element = document.createElement('div');
+        element.className = `notification notification-${type}`;
+        element.innerHTML = `
+            <span class="notification-icon" aria-hidden="true">${this.icons[type] || this.icons.info}</span>
+            <p class="notification-message">${escapeHtml(message)}</p>
+            ${actions.map((action, index) => `
+                <button type="button" class="notification-action" data-index="${index}">${escapeHtml(action.label)}</button>
+            `).join('')}
+            <button type="button" class="notification-close" aria-label="${I18n.html('notifications.dismiss')}">&times;</button>
+        `;
+
+        const toast = { element, message, type, duration, actions, timer: null };
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            this.dismiss(toast);
+            if (button.classList.contains('notification-action')) {
+                actions[Number(button.getAttribute('data-index'))].run();
+            }
+        });
+        // A toast stays while the pointer or focus is on it, so it can be read and acted on
+        element.addEventListener('mouseenter', () => clearTimeout(toast.timer));
+        element.addEventListener('mouseleave', () => this.startTimer(toast));
+        element.addEventListener('focusin', () => clearTimeout(toast.timer));
+        element.addEventListener('focusout', () => this.startTimer(toast));
+
+        DOM.notifications.appendChild(element);
+        this.toasts.push(toast);
+        if (this.toasts.length > this.limit) {
+            this.dismiss(this.toasts[0]);
+        }
+        this.startTimer(toast);
+        return toast;
+    },
+
+    /**
+     * (Re)start the timer that closes a toast
+     * @param {Object} toast - Toast from show()
+     */
+    startTimer(toast) {
+        clearTimeout(toast.timer);
+        if (toast.duration > 0) {
+            toast.timer = setTimeout(() => this.dismiss(toast), toast.duration);
+        }
+    },
+
+    /**
+     * Close a toast; closing one that is already gone does nothing
+     * @param {Object} toast - Toast from show()
+     */
+    dismiss(toast) {
+        const index = this.toasts.indexOf(toast);
+        if (index === -1) return;
+
+        clearTimeout(toast.timer);
+        this.toasts.splice(index, 1);
+        toast.element.remove();
+    }
+};
+
+// Activity Log - Feed of the items created, changed and deleted, saved in localStorage
+const ActivityLog = {
+    storageKey: 'mediamix_hub_activity',
+    types: ['create', 'update', 'trash', 'restore', 'delete'],
+    itemLimit: 20, // Items named per entry; the rest are only counted
+    groupWindow: 1000, // Changes of one type and source this close together share an entry, e.g. a bulk action
+    // Changes not made in this tab by the user: 'external' ones were picked up from other tabs, which
+    // record their own, or from the server after a sync; 'background' ones the hub made itself
+    unrecordedSources: ['external', 'background'],
+    group: null, // Entry still taking changes: { id, type, source, time, items: Map of ID to name, timer }
+
+    /**
+     * Read the saved entries
+     * @returns {Array<Object>} Entries, newest first: { id, type, time, source, items: [{ id, name }], count }
+     */
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(entries)
+                ? entries.filter(entry => entry && this.types.includes(entry.type) && Array.isArray(entry.items))
+                : [];
+        } catch (error) {
+            console.warn('Failed to read the activity feed:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Record every change a media library reports; this is the only place activity is recorded
+     * @param {MediaLibrary} library - Library to follow
+     */
+    watch(library) {
+        const record = (type, item, source) => {
+            if (!this.unrecordedSources.includes(source)) this.record(type, [item], source);
+        };
+        library.on('item:created', ({ item, source }) => record('create', item, source));
+        library.on('item:updated', ({ item, previous, source }) => record(this.getUpdateType(item, previous), item, source));
+        library.on('item:deleted', ({ item, source }) => record('delete', item, source));
+    },
+
+    /**
+     * Tell what kind of change an update was
+     * @param {Object} item - Updated media item
+     * @param {Object|null} previous - The item before the update, if it was loaded
+     * @returns {string} 'trash', 'restore' or 'update'
+     */
+    getUpdateType(item, previous) {
+        const wasTrashed = Boolean(previous && previous.deletedAt);
+        if (!wasTrashed && item.deletedAt) return 'trash';
+        if (wasTrashed && !item.deletedAt) return 'restore';
+        return 'update';
+    },
+
+    /**
+     * Add a change made to some items to the feed, as a new entry or into the entry of
+     * the same action when it follows within groupWindow
+     * @param {string} type - One of ActivityLog.types
+     * @param {Array<Object>} items - Media items involved
+     * @param {string|null} [source] - What made the change, when not the user directly: 'undo', 'redo', 'import' or 'retention'
+     */
+    record(type, items, source = null) {
+        if (items.length === 0) return;
+
+        if (!this.group || this.group.type !== type || this.group.source !== source) {
+            this.group = { id: Utils.generateId(), type, source, time: new Date().toISOString(), items: new Map() };
+        }
+        const group = this.group;
+        items.forEach(item => group.items.set(item.id, item.fileName));
+        clearTimeout(group.timer);
+        group.timer = setTimeout(() => {
+            if (this.group === group) this.group = null;
+        }, this.groupWindow);
+
+        const entry = {
+            id: group.id,
+            type,
+            time: group.time,
+            source,
+            items: [...group.items].slice(0, this.itemLimit).map(([id, name]) => ({ id, name })),
+            count: group.items.size
+        };
+        // Read the feed again first, as other tabs add to it too
+        const others = this.load().filter(existing => existing.id !== entry.id);
+        this.save([entry, ...others].slice(0, AppConfig.activityLimit));
+    },
+
+    /**
+     * Delete every entry
+     */
+    clear() {
+        this.group = null;
+        localStorage.removeItem(this.storageKey);
+    },
+
+    /**
+     * Write the entries, dropping the oldest ones when storage is full
+     * @param {Array<Object>} entries - Entries, newest first
+     */
+    save(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            if (StorageMonitor.isQuotaError(error) && entries.length > 1) {
+                this.save(entries.slice(0, Math.ceil(entries.length / 2)));
+            } else {
+                console.warn('Failed to save the activity feed:', error);
+            }
+        }
+    }
+};
+
+// Library Transfer - Export and import of the whole library as ZIP, JSON or CSV
+const LibraryTransfer = {
+    format: 'mediamix-hub-library',
+
+    /**
+     * Build the library manifest, optionally collecting file content for a ZIP
+     * @param {BackendAPI} api - Backend to read from
+     * @param {boolean} includeFiles - Whether to fetch file content and thumbnails
+     * @returns {Promise<Object>} { manifest, files } where files are ZIP entries
+     */
+    async buildManifest(api, includeFiles) {
+        const [items, meta] = await Promise.all([api.getMedia(), api.getLibraryMeta()]);
+        const files = [];
+
+        const mediaItems = [];
+        for (const item of items) {
+            const entry = { ...item, file: null, thumbnail: null };
+
+            if (includeFiles && item.hasFile) {
+                const blob = await api.getMediaFile(item.id);
+                if (blob) {
+                    entry.file = `files/${item.id}/${this.safeFileName(item.fileName)}`;
+                    files.push({ name: entry.file, data: blob, date: new Date(item.uploadDate) });
+                }
+            }
+            if (includeFiles && item.hasThumbnail) {
+                const blob = await api.getMediaThumbnail(item.id);
+                if (blob) {
+                    entry.thumbnail = `thumbnails/${item.id}.jpg`;
+                    files.push({ name: entry.thumbnail, data: blob });
+                }
+            }
+            mediaItems.push(entry);
+        }
+
+        return {
+            manifest: {
+                format: this.format,
+                version: StorageSchema.currentVersion,
+                exportedAt: new Date().toISOString(),
+                mediaItems,
+                tags: meta.tags,
+                collections: meta.collections,
+                playlists: meta.playlists
+            },
+            files
+        };
+    },
+
+    /**
+     * Export the library, including stored file content, as a ZIP archive
+     * @param {BackendAPI} api - Backend to read from
+     * @returns {Promise<Blob>} ZIP archive
+     */
+    async exportZip(api) {
+        const { manifest, files } = await this.buildManifest(api, true);
+        return ZipArchive.create([
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+            ...files
+        ]);
+    },
+
+    /**
+     * Export the library metadata as JSON
+     * @param {BackendAPI} api - Backend to read from
+     * @returns {Promise<Blob>} JSON file
+     */
+    async exportJson(api) {
+        const { manifest } = await this.buildManifest(api, false);
+        return new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+    },
+
+    /**
+     * Export item metadata as CSV for spreadsheets and reporting
+     * @param {Array} items - Media items
+     * @param {Array} collections - Collections, used to resolve names
+     * @returns {Blob} CSV file
+     */
+    exportCsv(items, collections) {
+        const columns = [
+            ['id', item => item.id],
+            ['fileName', item => item.fileName],
+            ['fileType', item => item.fileType],
+            ['mimeType', item => item.mimeType],
+            ['fileSize', item => item.fileSize],
+            ['uploadDate', item => item.uploadDate],
+            ['description', item => item.description],
+            ['tags', item => (item.tags || []).join('; ')],
+            ['collections', item => collections
+                .filter(collection => (item.collectionIds || []).includes(collection.id))
+                .map(collection => collection.name)
+                .join('; ')],
+            ['width', item => (item.metadata || {}).width],
+            ['height', item => (item.metadata || {}).height],
+            ['duration', item => (item.metadata || {}).duration],
+            ['camera', item => (item.metadata || {}).camera],
+            ['captureDate', item => (item.metadata || {}).captureDate],
+            ['artist', item => (item.metadata || {}).artist],
+            ['title', item => (item.metadata || {}).title],
+            ['album', item => (item.metadata || {}).album],
+            ['deletedAt', item => item.deletedAt],
+            ['version', item => item.version],
+            ['originalId', item => item.originalId],
+            ['contentHash', item => item.contentHash]
+        ];
+
+        const rows = [
+            columns.map(([name]) => name),
+            ...items.map(item => columns.map(([, read]) => read(item)))
+        ];
+        const csv = rows.map(row => row.map(value => this.csvEscape(value)).join(',')).join('\r\n');
+
+        // Byte order mark so spreadsheet apps detect UTF-8
+        return new Blob(['﻿', csv], { type: 'text/csv;charset=utf-8' });
+    },
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} CSV-safe field
+     */
+    csvEscape(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Make a file name safe for use inside an archive path
+     * @param {string} name - Original file name
+     * @returns {string} Sanitized file name
+     */
+    safeFileName(name) {
+        return (name || 'file').replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_');
+    },
+
+    /**
+     * Read a library export (ZIP archive or JSON manifest)
+     * @param {File} file - Selected file
+     * @returns {Promise<Object>} { manifest, entries } where entries maps archive paths to Blobs
+     */
+    async readArchive(file) {
+        let entries = new Map();
+        let manifestText;
+
+        if (file.name.toLowerCase().endsWith('.json') || file.type === 'application/json') {
+            manifestText = await file.text();
+        } else {
+            entries = await ZipArchive.read(file);
+            const manifestBlob = entries.get('manifest.json');
+            if (!manifestBlob) {
+                throw new Error(I18n.t('import.noManifest'));
+            }
+            manifestText = await manifestBlob.text();
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestText);
+        } catch (error) {
+            throw new Error(I18n.t('import.badManifest'));
+        }
+        if (!manifest || manifest.format !== this.format) {
+            throw new Error(I18n.t('import.notExport'));
+        }
+        if (StorageSchema.compareVersions(manifest.version || '1.0', StorageSchema.currentVersion) > 0) {
+            throw new Error(I18n.t('import.newerVersion'));
+        }
+
+        return { manifest: StorageSchema.migrate(manifest).data, entries };
+    }
+};
+
+// Backend Configuration - Override by defining window.MediaMixConfig before app.js loads
+const AppConfig = {
+    backend: 'local',              // 'local' (localStorage), 'indexeddb' or 'rest'
+    apiBaseUrl: '/api/media',      // Base URL used by the 'rest' backend
+    apiLibraryUrl: '/api/library', // Tag and collection document used by the 'rest' backend
+    uploadConcurrency: 3,          // Maximum number of simultaneous uploads
+    videoPosterTime: 1,            // Seconds into a video for its thumbnail frame
+    offlineQueue: true,            // Queue 'rest' backend changes made offline and replay them later
+    serviceWorker: true,           // Cache the app shell so the hub opens without a connection
+    trashRetentionDays: 30,        // Days before items in the trash are deleted permanently
+    undoLimit: 50,                 // Number of actions that can be undone
+    maxImageDimension: 8192,       // Largest width or height the image editor will save
+    uploadPolicy: {},              // Overrides for UploadValidator.defaultPolicy, e.g. { maxLibrarySize: 1073741824 }
+    storageWarningRatio: 0.9,      // Ask before an upload or import would fill browser storage beyond this fraction
+    activityLimit: 500,            // Entries kept in the activity feed, which is saved in this browser only
+    autoStart: true,               // Start the hub when the page loads; benchmark.html loads the code without starting it
+    ...(window.MediaMixConfig || {})
+};
+
+// Storage Monitor - Browser storage usage, persistence and quota errors
+const StorageMonitor = {
+    // Space a new item's record takes in the library index, roughly
+    recordBytes: 2048,
+
+    /**
+     * Whether an error means storage is full
+     * @param {Error} error - Error from localStorage, IndexedDB or a backend
+     * @returns {boolean} True for quota errors
+     */
+    isQuotaError(error) {
+        if (!error) return false;
+        // Firefox reports a full localStorage as NS_ERROR_DOM_QUOTA_REACHED (code 1014)
+        return error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014;
+    },
+
+    /**
+     * Create the error backends throw when storage is full
+     * @param {string} message - What could not be saved
+     * @returns {Error} Error named QuotaExceededError
+     */
+    quotaError(message) {
+        const error = new Error(message);
+        error.name = 'QuotaExceededError';
+        return error;
+    },
+
+    /**
+     * Ask the browser how much storage the hub uses and may use
+     * @returns {Promise<Object|null>} { usage, quota, persisted }, or null where unsupported
+     */
+    async estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+            return { usage, quota, persisted };
+        } catch (error) {
+            console.warn('Failed to estimate storage usage:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Whether the browser lets the hub ask for persistent storage
+     * @returns {boolean} True when navigator.storage.persist() exists
+     */
+    canPersist() {
+        return Boolean(navigator.storage && navigator.storage.persist);
+    },
+
+    /**
+     * Ask the browser not to clear the hub's storage when space runs low
+     * @returns {Promise<boolean>} Whether storage is now persistent
+     */
+    async requestPersistence() {
+        if (!this.canPersist()) return false;
+
+        try {
+            return await navigator.storage.persist();
+        } catch (error) {
+            console.warn('Failed to request persistent storage:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Collect everything the storage panel and the space checks need
+     * @param {BackendAPI} api - Backend in use
+     * @returns {Promise<Object>} { estimate, local, index, reclaimable }
+     */
+    async report(api) {
+        const [info, estimate] = await Promise.all([api.getStorageInfo(), this.estimate()]);
+        // Space in the browser only matters to backends that keep the library in it
+        return { ...info, estimate: info.local ? estimate : null };
+    },
+
+    /**
+     * Break down the space taken by media items
+     * @param {Array<Object>} items - Media items, including trashed ones
+     * @param {number} [largestCount=10] - How many of the largest items to list
+     * @returns {Object} { types: { image, video, audio }, trash, total, largest } with { count, bytes } per group
+     */
+    summarize(items, largestCount = 10) {
+        const group = () => ({ count: 0, bytes: 0 });
+        const summary = { types: { image: group(), video: group(), audio: group() }, trash: group(), total: group() };
+
+        items.forEach(item => {
+            const groups = [item.deletedAt ? summary.trash : summary.types[item.fileType], summary.total];
+            groups.filter(Boolean).forEach(target => {
+                target.count++;
+                target.bytes += item.fileSize || 0;
+            });
+        });
+        summary.largest = items
+            .filter(item => item.hasFile)
+            .sort((a, b) => (b.fileSize || 0) - (a.fileSize || 0))
+            .slice(0, largestCount);
+        return summary;
+    },
+
+    /**
+     * Forecast whether writing more data would fit
+     * @param {Object} report - From report()
+     * @param {number} bytes - File content about to be written
+     * @param {number} [records=0] - Items about to be added to the library index
+     * @returns {Object} { level: 'ok', 'low' or 'full', free } where free is null when unknown
+     */
+    forecast(report, bytes, records = 0) {
+        let level = 'ok';
+        let free = null;
+        const raise = next => {
+            if (next === 'full' || level === 'ok') level = next;
+        };
+
+        if (report.estimate && report.estimate.quota > 0) {
+            const { usage, quota } = report.estimate;
+            free = Math.max(0, quota - usage);
+            if (bytes > free) raise('full');
+            else if (usage + bytes > quota * AppConfig.storageWarningRatio) raise('low');
+        }
+        if (report.index) {
+            const needed = report.index.bytes + records * this.recordBytes;
+            if (needed > report.index.limit) raise('full');
+            else if (needed > report.index.limit * AppConfig.storageWarningRatio) raise('low');
+        }
+        return { level, free };
+    }
+};
+
+// IndexedDB Store - Minimal promise wrapper around a single key-value object store
+class IDBStore {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(dbName, storeName) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Open database connection
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Save a value
+     * @param {string} key - Record key
+     * @param {*} value - Value to store (anything structured-cloneable, including Blobs)
+     * @returns {Promise<void>}
+     */
+    async put(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - Record key
+     * @returns {Promise<*|null>} Stored value, or null if none exists
+     */
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Get every value in the store
+     * @returns {Promise<Array>} All stored values
+     */
+    async getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * Backend API contract
+ *
+ * Every storage backend implements these methods. The UI changes media items through
+ * a MediaLibrary (core/media-library.js) wrapping the instance returned by createBackend(),
+ * and uses that instance directly only for file content, tags, collections and playlists.
+ *
+ * Media items have the shape:
+ *   { id, fileName, description, uploadDate, fileType, fileSize, mimeType,
+ *     tags, collectionIds, metadata, hasFile, hasThumbnail, deletedAt,
+ *     version, originalId, contentHash, perceptualHash }
+ *
+ * deletedAt is the ISO date an item was moved to the trash, or null.
+ * version counts saved edits of the file content, starting at 1.
+ * originalId is the ID of the item an edited copy or clip was made from, or null.
+ * contentHash is the SHA-256 of the file content and perceptualHash a 64-bit
+ * difference hash of an image (both hex, see ContentHasher), or null if unknown.
+ *
+ * metadata holds whatever MetadataExtractor could read, e.g. width, height,
+ * duration, codec, sampleRate, channels, camera, lens, captureDate, orientation,
+ * gps { latitude, longitude }, title, artist, album.
+ *
+ * Tag, collection and playlist management are implemented here on top
+ * of getLibraryMeta()/saveLibraryMeta() and the item methods; backends may
+ * override them with something more efficient.
+ *
+ * Methods that transfer file content accept an options object with:
+ *   onProgress(fraction) - Called with upload progress between 0 and 1
+ *   signal               - AbortSignal used to cancel the transfer
+ *
+ * A write that fails because storage is full rejects with an error named
+ * QuotaExceededError (see StorageMonitor) and leaves the library unchanged.
+ */
+class BackendAPI {
+    constructor() {
+        // Summary of the last init(), e.g. { migratedFrom, quarantined, readOnly }
+        this.loadReport = null;
+        this.channel = null;
+        this.listeners = {
+            externalChange: () => {}
+        };
+    }
+
+    /**
+     * Initialize the backend and load existing data
+     * @returns {Promise<void>}
+     */
+    async init() {}
+
+    /**
+     * Register a listener
+     * @param {string} event - 'externalChange' when another tab changed the library
+     * @param {Function} callback - Listener
+     */
+    on(event, callback) {
+        this.listeners[event] = callback;
+    }
+
+    /**
+     * Start listening for library changes made in other tabs
+     */
+    watchOtherTabs() {
+        if (typeof BroadcastChannel === 'undefined') return;
+        this.channel = new BroadcastChannel('mediamix_hub');
+        this.channel.addEventListener('message', () => this.handleOtherTabChange());
+    }
+
+    /**
+     * Tell other tabs that this tab changed the library
+     */
+    notifyOtherTabs() {
+        if (this.channel) {
+            this.channel.postMessage({ type: 'libraryChanged' });
+        }
+    }
+
+    /**
+     * Pick up a change made in another tab; backends with an in-memory copy reload it first
+     * @returns {Promise<void>}
+     */
+    async handleOtherTabChange() {
+        this.listeners.externalChange();
+    }
+
+    /**
+     * Create a new media item, uploading mediaData.file and mediaData.thumbnail when present
+     * @param {Object} mediaData - Media item data
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Created media item
+     */
+    async createMedia(mediaData, options) {
+        throw new Error('createMedia is not implemented');
+    }
+
+    /**
+     * List all media items
+     * @returns {Promise<Array>} Array of media items
+     */
+    async getMedia() {
+        throw new Error('getMedia is not implemented');
+    }
+
+    /**
+     * Get a single media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object>} Media item
+     */
+    async getMediaById(id) {
+        throw new Error('getMediaById is not implemented');
+    }
+
+    /**
+     * Update a media item
+     * @param {string} id - Media item ID
+     * @param {Object} updates - Updates to apply
+     * @returns {Promise<Object>} Updated media item
+     */
+    async updateMedia(id, updates) {
+        throw new Error('updateMedia is not implemented');
+    }
+
+    /**
+     * Delete a media item and its file content
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object|null>} The item if it was kept because it was changed elsewhere meanwhile, otherwise null
+     */
+    async deleteMedia(id) {
+        throw new Error('deleteMedia is not implemented');
+    }
+
+    /**
+     * Store a complete media item record as-is, keeping its ID and dates (used by library import)
+     * @param {Object} item - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @returns {Promise<Object>} Stored media item
+     */
+    async putMedia(item, content) {
+        throw new Error('putMedia is not implemented');
+    }
+
+    /**
+     * Upload (or replace) the file content of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} file - File content
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaFile(id, file, options) {
+        throw new Error('uploadMediaFile is not implemented');
+    }
+
+    /**
+     * Get the stored file content of a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} File content, or null if none was stored
+     */
+    async getMediaFile(id) {
+        throw new Error('getMediaFile is not implemented');
+    }
+
+    /**
+     * Store (or replace) the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaThumbnail(id, thumbnail) {
+        throw new Error('uploadMediaThumbnail is not implemented');
+    }
+
+    /**
+     * Get the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if none was stored
+     */
+    async getMediaThumbnail(id) {
+        throw new Error('getMediaThumbnail is not implemented');
+    }
+
+    /**
+     * Get the library-level metadata (tag registry, collections and playlists)
+     * @returns {Promise<Object>} { tags: Array<string>, collections: Array<Object>, playlists: Array<Object> }
+     */
+    async getLibraryMeta() {
+        throw new Error('getLibraryMeta is not implemented');
+    }
+
+    /**
+     * Save the library-level metadata
+     * @param {Object} meta - { tags, collections, playlists }
+     * @returns {Promise<void>}
+     */
+    async saveLibraryMeta(meta) {
+        throw new Error('saveLibraryMeta is not implemented');
+    }
+
+    /**
+     * Apply updates to several media items
+     * @param {Array<Object>} updates - { id, changes } per item
+     * @returns {Promise<Array<Object>>} Updated media items
+     */
+    async updateMediaBatch(updates) {
+        const updated = [];
+        for (const { id, changes } of updates) {
+            updated.push(await this.updateMedia(id, changes));
+        }
+        return updated;
+    }
+
+    /**
+     * Permanently delete several media items and their file content
+     * @param {Array<string>} ids - Media item IDs
+     * @returns {Promise<Array<Object>>} Items kept because they were changed elsewhere meanwhile
+     */
+    async deleteMediaBatch(ids) {
+        const kept = [];
+        for (const id of ids) {
+            const item = await this.deleteMedia(id);
+            if (item) kept.push(item);
+        }
+        return kept;
+    }
+
+    /**
+     * List registered tags
+     * @returns {Promise<Array<string>>} Tag names
+     */
+    async getTags() {
+        return [...(await this.getLibraryMeta()).tags];
+    }
+
+    /**
+     * Register a tag
+     * @param {string} name - Tag name
+     * @returns {Promise<string>} Normalized tag name
+     */
+    async createTag(name) {
+        const tag = MediaValidation.requireTag(name);
+        const meta = await this.getLibraryMeta();
+        if (!meta.tags.includes(tag)) {
+            await this.saveLibraryMeta({ ...meta, tags: [...meta.tags, tag].sort() });
+        }
+        return tag;
+    }
+
+    /**
+     * Rename a tag on the registry and on every item carrying it
+     * @param {string} oldName - Current tag name
+     * @param {string} newName - New tag name
+     * @returns {Promise<string>} Normalized new tag name
+     */
+    async renameTag(oldName, newName) {
+        const from = MediaValidation.requireTag(oldName);
+        const to = MediaValidation.requireTag(newName);
+        const meta = await this.getLibraryMeta();
+        const tags = meta.tags.filter(tag => tag !== from && tag !== to);
+        await this.saveLibraryMeta({ ...meta, tags: [...tags, to].sort() });
+
+        const items = await this.getMedia();
+        for (const item of items) {
+            if ((item.tags || []).includes(from)) {
+                await this.updateMedia(item.id, { tags: this.replaceTag(item.tags, from, to) });
+            }
+        }
+        return to;
+    }
+
+    /**
+     * Delete a tag from the registry and from every item carrying it
+     * @param {string} name - Tag name
+     * @returns {Promise<void>}
+     */
+    async deleteTag(name) {
+        const tag = MediaValidation.normalizeTag(name);
+        const meta = await this.getLibraryMeta();
+        await this.saveLibraryMeta({ ...meta, tags: meta.tags.filter(t => t !== tag) });
+
+        const items = await this.getMedia();
+        for (const item of items) {
+            if ((item.tags || []).includes(tag)) {
+                await this.updateMedia(item.id, { tags: item.tags.filter(t => t !== tag) });
+            }
+        }
+    }
+
+    /**
+     * List collections
+     * @returns {Promise<Array<Object>>} Collections { id, name, createdDate }
+     */
+    async getCollections() {
+        return [...(await this.getLibraryMeta()).collections];
+    }
+
+    /**
+     * Create a named collection
+     * @param {string} name - Collection name
+     * @returns {Promise<Object>} Created collection
+     */
+    async createCollection(name) {
+        const collectionName = MediaValidation.requireName(name, 'collection');
+        const meta = await this.getLibraryMeta();
+        const collection = {
+            id: Utils.generateId(),
+            name: collectionName,
+            createdDate: new Date().toISOString()
+        };
+        await this.saveLibraryMeta({ ...meta, collections: [...meta.collections, collection] });
+        return collection;
+    }
+
+    /**
+     * Rename a collection
+     * @param {string} id - Collection ID
+     * @param {string} name - New collection name
+     * @returns {Promise<Object>} Updated collection
+     */
+    async renameCollection(id, name) {
+        const collectionName = MediaValidation.requireName(name, 'collection');
+        const meta = await this.getLibraryMeta();
+        const collection = meta.collections.find(c => c.id === id);
+        if (!collection) {
+            throw new Error('Collection not found');
+        }
+
+        const updated = { ...collection, name: collectionName };
+        await this.saveLibraryMeta({
+            ...meta,
+            collections: meta.collections.map(c => (c.id === id ? updated : c))
+        });
+        return updated;
+    }
+
+    /**
+     * Delete a collection; its items stay in the library
+     * @param {string} id - Collection ID
+     * @returns {Promise<void>}
+     */
+    async deleteCollection(id) {
+        const meta = await this.getLibraryMeta();
+        if (!meta.collections.some(c => c.id === id)) {
+            throw new Error('Collection not found');
+        }
+        await this.saveLibraryMeta({ ...meta, collections: meta.collections.filter(c => c.id !== id) });
+
+        const items = await this.getMedia();
+        for (const item of items) {
+            if ((item.collectionIds || []).includes(id)) {
+                await this.updateMedia(item.id, { collectionIds: item.collectionIds.filter(c => c !== id) });
+            }
+        }
+    }
+
+    /**
+     * List playlists
+     * @returns {Promise<Array<Object>>} Playlists { id, name, itemIds, createdDate }
+     */
+    async getPlaylists() {
+        return [...(await this.getLibraryMeta()).playlists];
+    }
+
+    /**
+     * Create an empty playlist
+     * @param {string} name - Playlist name
+     * @returns {Promise<Object>} Created playlist
+     */
+    async createPlaylist(name) {
+        const playlistName = MediaValidation.requireName(name, 'playlist');
+        const meta = await this.getLibraryMeta();
+        const playlist = {
+            id: Utils.generateId(),
+            name: playlistName,
+            itemIds: [],
+            createdDate: new Date().toISOString()
+        };
+        await this.saveLibraryMeta({ ...meta, playlists: [...meta.playlists, playlist] });
+        return playlist;
+    }
+
+    /**
+     * Change a playlist's name or its ordered item IDs
+     * @param {string} id - Playlist ID
+     * @param {Object} changes - { name?, itemIds? }
+     * @returns {Promise<Object>} Updated playlist
+     */
+    async updatePlaylist(id, changes) {
+        const meta = await this.getLibraryMeta();
+        const playlist = meta.playlists.find(p => p.id === id);
+        if (!playlist) {
+            throw new Error('Playlist not found');
+        }
+
+        const updated = { ...playlist };
+        if (changes.name !== undefined) updated.name = MediaValidation.requireName(changes.name, 'playlist');
+        if (changes.itemIds !== undefined) updated.itemIds = [...new Set(changes.itemIds)];
+        await this.saveLibraryMeta({
+            ...meta,
+            playlists: meta.playlists.map(p => (p.id === id ? updated : p))
+        });
+        return updated;
+    }
+
+    /**
+     * Delete a playlist; its items stay in the library
+     * @param {string} id - Playlist ID
+     * @returns {Promise<void>}
+     */
+    async deletePlaylist(id) {
+        const meta = await this.getLibraryMeta();
+        if (!meta.playlists.some(p => p.id === id)) {
+            throw new Error('Playlist not found');
+        }
+        await this.saveLibraryMeta({ ...meta, playlists: meta.playlists.filter(p => p.id !== id) });
+    }
+
+    /**
+     * Describe where the backend keeps the library, for the storage panel
+     * @returns {Promise<Object>} { local, index, reclaimable } where local is true when the library
+     *     lives in this browser, index is { bytes, limit } of a size-limited library index or null,
+     *     and reclaimable lists { key, label, bytes } of data that can be deleted to free space
+     */
+    async getStorageInfo() {
+        return { local: false, index: null, reclaimable: [] };
+    }
+
+    /**
+     * Delete data getStorageInfo() listed as reclaimable
+     * @param {string} key - Key of the reclaimable entry
+     * @returns {Promise<void>}
+     */
+    async reclaimStorage(key) {
+        throw new Error(`Nothing to reclaim for ${key}`);
+    }
+
+    /**
+     * Replace one tag with another in a tag list without duplicates
+     * @param {Array<string>} tags - Tag list
+     * @param {string} from - Tag to replace
+     * @param {string} to - Replacement tag
+     * @returns {Array<string>} Updated tag list
+     */
+    replaceTag(tags, from, to) {
+        return [...new Set(tags.map(tag => (tag === from ? to : tag)))];
+    }
+
+    /**
+     * Throw an AbortError if the transfer was cancelled
+     * @param {AbortSignal} [signal] - Abort signal
+     */
+    checkAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Upload cancelled', 'AbortError');
+        }
+    }
+}
+
+// Storage Schema - Versions, migrations and validation for the mediamix_hub_data document
+const StorageSchema = {
+    /**
+     * Version written by this build
+     */
+    currentVersion: '2.0',
+
+    /**
+     * Ordered migrations; each upgrades a document from one version to the next
+     */
+    migrations: [
+        {
+            from: '1.0',
+            to: '2.0',
+            /**
+             * 1.0 stored only name, description, date, type and size per item.
+             * 2.0 adds MIME type, stored-content flags, tags, collections and metadata.
+             */
+            migrate(data) {
+                return {
+                    ...data,
+                    mediaItems: (data.mediaItems || []).map(item => ({
+                        mimeType: '',
+                        hasFile: false,
+                        hasThumbnail: false,
+                        tags: [],
+                        collectionIds: [],
+                        metadata: {},
+                        ...item
+                    })),
+                    tags: data.tags || [],
+                    collections: data.collections || []
+                };
+            }
+        }
+    ],
+
+    /**
+     * Compare two version strings numerically
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative, zero or positive like a comparator
+     */
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    },
+
+    /**
+     * Run every migration needed to bring a document to the current version
+     * @param {Object} data - Stored document
+     * @returns {Object} { data, migratedFrom } where migratedFrom is null if nothing ran
+     */
+    migrate(data) {
+        const startVersion = data.version || '1.0';
+        let migrated = { ...data, version: startVersion };
+
+        while (migrated.version !== this.currentVersion) {
+            const step = this.migrations.find(migration => migration.from === migrated.version);
+            if (!step) {
+                throw new Error(`No migration path from storage version ${migrated.version}`);
+            }
+            migrated = { ...step.migrate(migrated), version: step.to };
+        }
+
+        return {
+            data: migrated,
+            migratedFrom: startVersion !== this.currentVersion ? startVersion : null
+        };
+    },
+
+    /**
+     * Validate every item of a migrated document
+     * @param {Object} data - Document at the current version
+     * @returns {Object} { items, quarantined } with quarantine entries { item, errors, quarantinedAt }
+     */
+    validateItems(data) {
+        const items = [];
+        const quarantined = [];
+        const seenIds = new Set();
+        const quarantinedAt = new Date().toISOString();
+
+        (Array.isArray(data.mediaItems) ? data.mediaItems : []).forEach(raw => {
+            const { item, errors } = MediaItems.validate(raw);
+            if (item && seenIds.has(item.id)) {
+                errors.push('Duplicate id');
+            }
+
+            if (errors.length > 0) {
+                quarantined.push({ item: raw, errors, quarantinedAt });
+            } else {
+                seenIds.add(item.id);
+                items.push(item);
+            }
+        });
+
+        return { items, quarantined };
+    }
+};
+
+// Mock Backend API - localStorage metadata with file content in IndexedDB
+class MockBackendAPI extends BackendAPI {
+    constructor() {
+        super();
+        this.storageKey = 'mediamix_hub_data';
+        this.backupKey = 'mediamix_hub_backup';
+        this.quarantineKey = 'mediamix_hub_quarantine';
+        this.fileStore = new IDBStore('mediamix_hub_files', 'files');
+        this.thumbnailStore = new IDBStore('mediamix_hub_thumbnails', 'thumbnails');
+        this.items = [];    // Stored media items
+        this.meta = { tags: [], collections: [], playlists: [] };
+        this.readOnly = false;
+        this.revision = 0;  // Revision of the stored document this tab last read or wrote
+        this.base = null;   // That document's items and meta as JSON, the common ancestor for merges
+    }
+
+    /**
+     * Initialize storage and load existing data, migrating and validating it
+     */
+    async init() {
+        try {
+            const { data: stored, fallback } = this.loadFromStorage();
+            let data = stored;
+            let migratedFrom = null;
+
+            if (StorageSchema.compareVersions(stored.version || '1.0', StorageSchema.currentVersion) > 0) {
+                // Saved by a newer build: show what we can but never overwrite it
+                console.warn('Stored library version', stored.version, 'is newer than', StorageSchema.currentVersion);
+                this.readOnly = true;
+            } else {
+                ({ data, migratedFrom } = StorageSchema.migrate(stored));
+            }
+
+            const { items, quarantined } = StorageSchema.validateItems(data);
+            this.items = items;
+            this.meta = {
+                tags: data.tags || [],
+                collections: data.collections || [],
+                playlists: data.playlists || []
+            };
+
+            this.revision = stored.revision || 0;
+            this.rememberBase();
+
+            if (quarantined.length > 0) {
+                console.warn('Quarantined', quarantined.length, 'invalid media items');
+                this.addToQuarantine(quarantined);
+            }
+
+            if ((migratedFrom || quarantined.length > 0) && !this.readOnly) {
+                this.saveMigrated(stored, migratedFrom);
+            }
+
+            this.loadReport = { migratedFrom, quarantined: quarantined.length, readOnly: this.readOnly, fallback };
+            console.log('Mock backend initialized with', this.items.length, 'items');
+        } catch (error) {
+            console.error('Failed to initialize mock backend:', error);
+            this.items = [];
+            // Don't let an empty library overwrite data we failed to read
+            this.readOnly = true;
+            this.loadReport = { migratedFrom: null, quarantined: 0, readOnly: true, fallback: null, error: error.message };
+        }
+    }
+
+    /**
+     * Write a migrated or cleaned-up library back to storage
+     * @param {Object} stored - Document as it was loaded
+     * @param {string|null} migratedFrom - Version the document was migrated from
+     */
+    saveMigrated(stored, migratedFrom) {
+        try {
+            if (migratedFrom) {
+                // Keep the pre-migration document so the upgrade can be rolled back by hand
+                localStorage.setItem(this.backupKey, JSON.stringify(stored));
+            }
+            this.persist();
+            if (migratedFrom) {
+                console.log('Migrated stored library from version', migratedFrom, 'to', StorageSchema.currentVersion);
+            }
+        } catch (error) {
+            // The in-memory library is valid; the next successful save writes it
+            console.warn('Failed to save migrated library:', error);
+        }
+    }
+
+    /**
+     * Load data from localStorage, falling back to the backup when the library cannot be parsed
+     *
+     * The backup is the pre-migration snapshot and may be much older, so the unreadable library
+     * is kept in the quarantine first; if that fails, the hub opens read-only instead of saving over it.
+     * @returns {Object} { data, fallback } where fallback is 'backup' or 'empty' when the library could not be read, else null
+     */
+    loadFromStorage() {
+        const empty = { mediaItems: [], version: StorageSchema.currentVersion };
+        let data = null;
+        try {
+            data = localStorage.getItem(this.storageKey);
+            return { data: data ? JSON.parse(data) : empty, fallback: null };
+        } catch (error) {
+            console.warn('Primary storage failed, trying backup:', error);
+            const kept = data !== null && this.addToQuarantine([{
+                raw: data,
+                errors: ['Stored library could not be parsed'],
+                quarantinedAt: new Date().toISOString()
+            }]);
+            if (!kept) {
+                this.readOnly = true;
+            }
+            try {
+                const backup = localStorage.getItem(this.backupKey);
+                return backup ? { data: JSON.parse(backup), fallback: 'backup' } : { data: empty, fallback: 'empty' };
+            } catch (backupError) {
+                console.error('Backup storage also failed:', backupError);
+                return { data: empty, fallback: 'empty' };
+            }
+        }
+    }
+
+    /**
+     * Save data to localStorage
+     *
+     * mediamix_hub_backup is not rewritten here; it holds the last pre-migration snapshot.
+     * @param {Object} data - Data to save
+     */
+    saveToStorage(data) {
+        if (this.readOnly) {
+            throw new Error(I18n.t('storage.readOnly'));
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Failed to save to storage:', error);
+            if (StorageMonitor.isQuotaError(error)) {
+                throw StorageMonitor.quotaError(I18n.t('storage.libraryFull'));
+            }
+            throw new Error(I18n.t('storage.unavailable'));
+        }
+    }
+
+    /**
+     * Get items that failed validation on load
+     * @returns {Array<Object>} Quarantine entries { item | raw, errors, quarantinedAt }
+     */
+    getQuarantine() {
+        try {
+            return JSON.parse(localStorage.getItem(this.quarantineKey)) || [];
+        } catch (error) {
+            console.error('Failed to read quarantine:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Append entries to the quarantine list
+     * @param {Array<Object>} entries - Quarantine entries
+     * @returns {boolean} Whether they were saved
+     */
+    addToQuarantine(entries) {
+        try {
+            localStorage.setItem(this.quarantineKey, JSON.stringify([...this.getQuarantine(), ...entries]));
+            return true;
+        } catch (error) {
+            console.error('Failed to save quarantined items:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Describe the localStorage library index and what can be deleted from it
+     * @returns {Promise<Object>} { local, index, reclaimable }
+     */
+    async getStorageInfo() {
+        const size = key => (localStorage.getItem(key) || '').length;
+        let used = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            used += key.length + size(key);
+        }
+
+        const reclaimable = [
+            { key: 'backup', label: I18n.t('storage.reclaimBackup'), bytes: size(this.backupKey) },
+            { key: 'quarantine', label: I18n.t('storage.reclaimQuarantine'), bytes: size(this.quarantineKey) }
+        ].filter(entry => entry.bytes > 0);
+
+        // Browsers allow each site about 5 MB of localStorage, counted in characters
+        return { local: true, index: { bytes: used, limit: 5 * 1024 * 1024 }, reclaimable };
+    }
+
+    /**
+     * Delete the pre-upgrade backup or the quarantine
+     * @param {string} key - 'backup' or 'quarantine'
+     * @returns {Promise<void>}
+     */
+    async reclaimStorage(key) {
+        const storageKeys = { backup: this.backupKey, quarantine: this.quarantineKey };
+        if (!storageKeys[key]) {
+            return super.reclaimStorage(key);
+        }
+        localStorage.removeItem(storageKeys[key]);
+    }
+
+    /**
+     * Persist the current media items
+     *
+     * The stored document carries a revision number. If another tab saved since this one last
+     * read it, its changes are merged in first rather than overwritten. If the save fails,
+     * the library goes back to what is stored so memory never runs ahead of storage.
+     */
+    persist() {
+        const previousRevision = this.revision;
+        const stored = this.readStoredDocument();
+        if (stored && (stored.revision || 0) !== this.revision) {
+            this.mergeStored(stored);
+        }
+
+        const revision = this.revision + 1;
+        try {
+            this.saveToStorage({
+                mediaItems: this.items,
+                tags: this.meta.tags,
+                collections: this.meta.collections,
+                playlists: this.meta.playlists,
+                lastUpdated: new Date().toISOString(),
+                version: StorageSchema.currentVersion,
+                revision
+            });
+        } catch (error) {
+            if (!this.readOnly) {
+                this.restoreBase();
+                // The other tab's changes are merged again by the next save
+                this.revision = previousRevision;
+            }
+            throw error;
+        }
+        this.revision = revision;
+        this.rememberBase();
+    }
+
+    /**
+     * Return the library to the snapshot taken by rememberBase(), undoing unsaved changes
+     */
+    restoreBase() {
+        if (!this.base) return;
+
+        this.items = [...this.base.items.values()].map(json => JSON.parse(json));
+        this.meta = {
+            tags: [...this.base.tags],
+            collections: [...this.base.collections.values()].map(json => JSON.parse(json)),
+            playlists: [...this.base.playlists.values()].map(json => JSON.parse(json))
+        };
+    }
+
+    /**
+     * Read the stored document as another tab may have left it
+     * @returns {Object|null} Stored document, or null if missing or unreadable
+     */
+    readStoredDocument() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Failed to read stored library before saving:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Snapshot the library as it now is in storage, for later three-way merges
+     */
+    rememberBase() {
+        this.base = {
+            items: new Map(this.items.map(item => [item.id, JSON.stringify(item)])),
+            tags: [...this.meta.tags],
+            collections: new Map(this.meta.collections.map(c => [c.id, JSON.stringify(c)])),
+            playlists: new Map(this.meta.playlists.map(p => [p.id, JSON.stringify(p)]))
+        };
+    }
+
+    /**
+     * Merge a document another tab saved into this tab's library
+     * @param {Object} stored - Stored document with a different revision
+     */
+    mergeStored(stored) {
+        if (StorageSchema.compareVersions(stored.version || '1.0', StorageSchema.currentVersion) > 0) {
+            // A newer build took over the library in another tab
+            this.readOnly = true;
+            throw new Error(I18n.t('storage.newerTab'));
+        }
+
+        const data = StorageSchema.migrate(stored).data;
+        const { items } = StorageSchema.validateItems(data);
+        const base = this.base || { items: new Map(), tags: [], collections: new Map(), playlists: new Map() };
+
+        this.items = LibraryMerge.records(base.items, this.items, items);
+        this.meta = {
+            tags: LibraryMerge.tags(base.tags, this.meta.tags, data.tags || []),
+            collections: LibraryMerge.records(base.collections, this.meta.collections, data.collections || []),
+            playlists: LibraryMerge.records(base.playlists, this.meta.playlists, data.playlists || [])
+        };
+        this.revision = stored.revision || 0;
+        console.log('Merged library changes from another tab (revision', this.revision + ')');
+    }
+
+    /**
+     * Follow saves made in other tabs through the storage event
+     */
+    watchOtherTabs() {
+        window.addEventListener('storage', event => {
+            if (event.key === this.storageKey && event.newValue) {
+                this.handleOtherTabChange();
+            }
+        });
+    }
+
+    /**
+     * Take in the document another tab saved
+     * @returns {Promise<void>}
+     */
+    async handleOtherTabChange() {
+        const stored = this.readStoredDocument();
+        if (!stored || (stored.revision || 0) === this.revision) return;
+
+        try {
+            this.mergeStored(stored);
+            this.rememberBase();
+        } catch (error) {
+            console.error('Failed to load changes from another tab:', error);
+        }
+        this.listeners.externalChange();
+    }
+
+    /**
+     * Create a new media item
+     * @param {Object} mediaData - Media item data
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Created media item
+     */
+    async createMedia(mediaData, options = {}) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 500));
+        this.checkAborted(options.signal);
+
+        const mediaItem = MediaItems.create(mediaData);
+
+        // Store file content first so metadata never points at missing bytes
+        try {
+            if (mediaData.file) {
+                try {
+                    await this.fileStore.put(mediaItem.id, mediaData.file);
+                    mediaItem.hasFile = true;
+                } catch (error) {
+                    // An item without its file is no use when the reason is a full disk
+                    if (StorageMonitor.isQuotaError(error)) {
+                        throw StorageMonitor.quotaError(I18n.t('storage.fileFull'));
+                    }
+                    console.warn('Failed to store file content, keeping metadata only:', error);
+                }
+            }
+            if (mediaData.thumbnail) {
+                try {
+                    await this.thumbnailStore.put(mediaItem.id, mediaData.thumbnail);
+                    mediaItem.hasThumbnail = true;
+                } catch (error) {
+                    console.warn('Failed to store thumbnail:', error);
+                }
+            }
+            if (options.onProgress) options.onProgress(1);
+
+            this.items.push(mediaItem);
+            this.persist();
+        } catch (error) {
+            await this.discardContent(mediaItem);
+            throw error;
+        }
+
+        return mediaItem;
+    }
+
+    /**
+     * Delete stored content of an item that could not be saved
+     * @param {Object} item - Media item with hasFile and hasThumbnail set for what was stored
+     * @returns {Promise<void>}
+     */
+    async discardContent(item) {
+        try {
+            if (item.hasFile) await this.fileStore.delete(item.id);
+            if (item.hasThumbnail) await this.thumbnailStore.delete(item.id);
+        } catch (error) {
+            console.warn('Failed to remove stored file content:', error);
+        }
+    }
+
+    /**
+     * Get all media items
+     * @returns {Promise<Array>} Array of media items
+     */
+    async getMedia() {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 200));
+        return [...this.items];
+    }
+
+    /**
+     * Get a single media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object>} Media item
+     */
+    async getMediaById(id) {
+        const item = this.items.find(item => item.id === id);
+        if (!item) {
+            throw new Error('Media item not found');
+        }
+        return { ...item };
+    }
+
+    /**
+     * Update a media item
+     * @param {string} id - Media item ID
+     * @param {Object} updates - Updates to apply
+     * @returns {Promise<Object>} Updated media item
+     */
+    async updateMedia(id, updates) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new Error('Media item not found');
+        }
+
+        const updated = { ...this.items[index], ...updates };
+        this.items[index] = updated;
+        this.persist();
+
+        return updated;
+    }
+
+    /**
+     * Delete a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object|null>} The item if another tab edited it meanwhile and it was kept, otherwise null
+     */
+    async deleteMedia(id) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new Error('Media item not found');
+        }
+
+        const [removed] = this.items.splice(index, 1);
+        this.persist();
+
+        // Saving merges in other tabs' changes, and an edit made there brings the item back
+        const kept = this.items.find(item => item.id === id);
+        if (kept) return kept;
+
+        try {
+            if (removed.hasFile) await this.fileStore.delete(id);
+            if (removed.hasThumbnail) await this.thumbnailStore.delete(id);
+        } catch (error) {
+            console.warn('Failed to remove stored file content:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Apply updates to several media items, saving once
+     * @param {Array<Object>} updates - { id, changes } per item
+     * @returns {Promise<Array<Object>>} Updated media items
+     */
+    async updateMediaBatch(updates) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        // Check every ID first so a bad one leaves nothing half-applied
+        const indexes = updates.map(({ id }) => {
+            const index = this.items.findIndex(item => item.id === id);
+            if (index === -1) {
+                throw new Error('Media item not found');
+            }
+            return index;
+        });
+
+        const updated = updates.map(({ changes }, i) => {
+            this.items[indexes[i]] = { ...this.items[indexes[i]], ...changes };
+            return this.items[indexes[i]];
+        });
+        this.persist();
+
+        return updated;
+    }
+
+    /**
+     * Permanently delete several media items, saving once
+     * @param {Array<string>} ids - Media item IDs
+     * @returns {Promise<Array<Object>>} Items another tab edited meanwhile, which were kept
+     */
+    async deleteMediaBatch(ids) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        const idSet = new Set(ids);
+        const removed = this.items.filter(item => idSet.has(item.id));
+        if (removed.length !== idSet.size) {
+            throw new Error('Media item not found');
+        }
+
+        this.items = this.items.filter(item => !idSet.has(item.id));
+        this.persist();
+
+        // Saving merges in other tabs' changes, and an edit made there brings the item back
+        const kept = this.items.filter(item => idSet.has(item.id));
+        const keptIds = new Set(kept.map(item => item.id));
+
+        for (const item of removed.filter(item => !keptIds.has(item.id))) {
+            try {
+                if (item.hasFile) await this.fileStore.delete(item.id);
+                if (item.hasThumbnail) await this.thumbnailStore.delete(item.id);
+            } catch (error) {
+                console.warn('Failed to remove stored file content:', error);
+            }
+        }
+        return kept;
+    }
+
+    /**
+     * Store a complete media item record as-is
+     * @param {Object} item - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @returns {Promise<Object>} Stored media item
+     */
+    async putMedia(item, content = {}) {
+        const mediaItem = { ...item, hasFile: false, hasThumbnail: false };
+
+        if (content.file) {
+            await this.fileStore.put(mediaItem.id, content.file);
+            mediaItem.hasFile = true;
+        }
+        if (content.thumbnail) {
+            await this.thumbnailStore.put(mediaItem.id, content.thumbnail);
+            mediaItem.hasThumbnail = true;
+        }
+
+        const index = this.items.findIndex(existing => existing.id === mediaItem.id);
+        if (index === -1) {
+            this.items.push(mediaItem);
+        } else {
+            this.items[index] = mediaItem;
+        }
+        try {
+            this.persist();
+        } catch (error) {
+            if (index === -1) await this.discardContent(mediaItem);
+            throw error;
+        }
+
+        return mediaItem;
+    }
+
+    /**
+     * Upload (or replace) the file content of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} file - File content
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaFile(id, file, options = {}) {
+        if (!this.items.some(item => item.id === id)) {
+            throw new Error('Media item not found');
+        }
+        this.checkAborted(options.signal);
+
+        await this.fileStore.put(id, file);
+        if (options.onProgress) options.onProgress(1);
+
+        // Look the item up again: another tab's changes may have been merged in meanwhile
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new Error('Media item not found');
+        }
+        const updated = { ...this.items[index], hasFile: true, fileSize: file.size };
+        this.items[index] = updated;
+        this.persist();
+
+        return updated;
+    }
+
+    /**
+     * Get stored file content for a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} File content, or null if none was stored
+     */
+    async getMediaFile(id) {
+        const item = this.items.find(item => item.id === id);
+        if (!item || !item.hasFile) return null;
+
+        try {
+            return await this.fileStore.get(id);
+        } catch (error) {
+            console.error('Failed to read stored file content:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store (or replace) the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaThumbnail(id, thumbnail) {
+        if (!this.items.some(item => item.id === id)) {
+            throw new Error('Media item not found');
+        }
+
+        await this.thumbnailStore.put(id, thumbnail);
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new Error('Media item not found');
+        }
+        const updated = { ...this.items[index], hasThumbnail: true };
+        this.items[index] = updated;
+        this.persist();
+
+        return updated;
+    }
+
+    /**
+     * Get the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if none was stored
+     */
+    async getMediaThumbnail(id) {
+        const item = this.items.find(item => item.id === id);
+        if (!item || !item.hasThumbnail) return null;
+
+        try {
+            return await this.thumbnailStore.get(id);
+        } catch (error) {
+            console.error('Failed to read stored thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the tag registry, collections and playlists
+     * @returns {Promise<Object>} { tags, collections, playlists }
+     */
+    async getLibraryMeta() {
+        return {
+            tags: [...this.meta.tags],
+            collections: [...this.meta.collections],
+            playlists: [...this.meta.playlists]
+        };
+    }
+
+    /**
+     * Save the tag registry, collections and playlists
+     * @param {Object} meta - { tags, collections, playlists }
+     * @returns {Promise<void>}
+     */
+    async saveLibraryMeta(meta) {
+        this.meta = { tags: meta.tags, collections: meta.collections, playlists: meta.playlists };
+        this.persist();
+    }
+
+    /**
+     * Rename a tag everywhere, saving storage once
+     * @param {string} oldName - Current tag name
+     * @param {string} newName - New tag name
+     * @returns {Promise<string>} Normalized new tag name
+     */
+    async renameTag(oldName, newName) {
+        const from = MediaValidation.requireTag(oldName);
+        const to = MediaValidation.requireTag(newName);
+
+        this.meta.tags = [...this.meta.tags.filter(tag => tag !== from && tag !== to), to].sort();
+        this.items = this.items.map(item => (
+            (item.tags || []).includes(from) ? { ...item, tags: this.replaceTag(item.tags, from, to) } : item
+        ));
+        this.persist();
+        return to;
+    }
+
+    /**
+     * Delete a tag everywhere, saving storage once
+     * @param {string} name - Tag name
+     * @returns {Promise<void>}
+     */
+    async deleteTag(name) {
+        const tag = MediaValidation.normalizeTag(name);
+
+        this.meta.tags = this.meta.tags.filter(t => t !== tag);
+        this.items = this.items.map(item => (
+            (item.tags || []).includes(tag) ? { ...item, tags: item.tags.filter(t => t !== tag) } : item
+        ));
+        this.persist();
+    }
+
+    /**
+     * Delete a collection and its memberships, saving storage once
+     * @param {string} id - Collection ID
+     * @returns {Promise<void>}
+     */
+    async deleteCollection(id) {
+        if (!this.meta.collections.some(c => c.id === id)) {
+            throw new Error('Collection not found');
+        }
+
+        this.meta.collections = this.meta.collections.filter(c => c.id !== id);
+        this.items = this.items.map(item => (
+            (item.collectionIds || []).includes(id)
+                ? { ...item, collectionIds: item.collectionIds.filter(c => c !== id) }
+                : item
+        ));
+        this.persist();
+    }
+}
+
+// IndexedDB Backend API - Metadata and file content both kept in IndexedDB
+class IndexedDBBackendAPI extends BackendAPI {
+    constructor() {
+        super();
+        this.itemStore = new IDBStore('mediamix_hub_db', 'media');
+        this.fileStore = new IDBStore('mediamix_hub_files', 'files');
+        this.thumbnailStore = new IDBStore('mediamix_hub_thumbnails', 'thumbnails');
+        this.metaStore = new IDBStore('mediamix_hub_meta', 'meta');
+    }
+
+    /**
+     * Open the database so failures surface at startup
+     */
+    async init() {
+        try {
+            const items = await this.itemStore.getAll();
+            console.log('IndexedDB backend initialized with', items.length, 'items');
+        } catch (error) {
+            console.error('Failed to initialize IndexedDB backend:', error);
+        }
+    }
+
+    /**
+     * The whole library lives in this browser's IndexedDB
+     * @returns {Promise<Object>} { local, index, reclaimable }
+     */
+    async getStorageInfo() {
+        return { local: true, index: null, reclaimable: [] };
+    }
+
+    /**
+     * Create a new media item
+     * @param {Object} mediaData - Media item data
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Created media item
+     */
+    async createMedia(mediaData, options = {}) {
+        this.checkAborted(options.signal);
+
+        const mediaItem = MediaItems.create(mediaData);
+        try {
+            if (mediaData.file) {
+                await this.fileStore.put(mediaItem.id, mediaData.file);
+                mediaItem.hasFile = true;
+            }
+            if (mediaData.thumbnail) {
+                await this.thumbnailStore.put(mediaItem.id, mediaData.thumbnail);
+                mediaItem.hasThumbnail = true;
+            }
+            if (options.onProgress) options.onProgress(1);
+
+            await this.itemStore.put(mediaItem.id, mediaItem);
+        } catch (error) {
+            // Leave no file content behind for an item that was never saved
+            await Promise.all([
+                this.fileStore.delete(mediaItem.id),
+                this.thumbnailStore.delete(mediaItem.id)
+            ]).catch(cleanupError => console.warn('Failed to remove stored file content:', cleanupError));
+            throw error;
+        }
+
+        this.notifyOtherTabs();
+        return mediaItem;
+    }
+
+    /**
+     * Get all media items, oldest first
+     * @returns {Promise<Array>} Array of media items
+     */
+    async getMedia() {
+        const items = await this.itemStore.getAll();
+        return items.sort((a, b) => a.uploadDate.localeCompare(b.uploadDate));
+    }
+
+    /**
+     * Get a single media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object>} Media item
+     */
+    async getMediaById(id) {
+        const item = await this.itemStore.get(id);
+        if (!item) {
+            throw new Error('Media item not found');
+        }
+        return item;
+    }
+
+    /**
+     * Update a media item
+     * @param {string} id - Media item ID
+     * @param {Object} updates - Updates to apply
+     * @returns {Promise<Object>} Updated media item
+     */
+    async updateMedia(id, updates) {
+        const item = await this.getMediaById(id);
+        const updated = { ...item, ...updates, id };
+        await this.itemStore.put(id, updated);
+        this.notifyOtherTabs();
+        return updated;
+    }
+
+    /**
+     * Delete a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<void>}
+     */
+    async deleteMedia(id) {
+        await this.getMediaById(id);
+        await this.itemStore.delete(id);
+        await this.fileStore.delete(id);
+        await this.thumbnailStore.delete(id);
+        this.notifyOtherTabs();
+    }
+
+    /**
+     * Store a complete media item record as-is
+     * @param {Object} item - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @returns {Promise<Object>} Stored media item
+     */
+    async putMedia(item, content = {}) {
+        const mediaItem = { ...item, hasFile: false, hasThumbnail: false };
+
+        if (content.file) {
+            await this.fileStore.put(mediaItem.id, content.file);
+            mediaItem.hasFile = true;
+        }
+        if (content.thumbnail) {
+            await this.thumbnailStore.put(mediaItem.id, content.thumbnail);
+            mediaItem.hasThumbnail = true;
+        }
+
+        await this.itemStore.put(mediaItem.id, mediaItem);
+
+        this.notifyOtherTabs();
+        return mediaItem;
+    }
+
+    /**
+     * Upload (or replace) the file content of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} file - File content
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaFile(id, file, options = {}) {
+        const item = await this.getMediaById(id);
+        this.checkAborted(options.signal);
+
+        await this.fileStore.put(id, file);
+        if (options.onProgress) options.onProgress(1);
+
+        const updated = { ...item, hasFile: true, fileSize: file.size };
+        await this.itemStore.put(id, updated);
+        this.notifyOtherTabs();
+        return updated;
+    }
+
+    /**
+     * Get stored file content for a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} File content, or null if none was stored
+     */
+    async getMediaFile(id) {
+        try {
+            return await this.fileStore.get(id);
+        } catch (error) {
+            console.error('Failed to read stored file content:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store (or replace) the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaThumbnail(id, thumbnail) {
+        const item = await this.getMediaById(id);
+        await this.thumbnailStore.put(id, thumbnail);
+
+        const updated = { ...item, hasThumbnail: true };
+        await this.itemStore.put(id, updated);
+        this.notifyOtherTabs();
+        return updated;
+    }
+
+    /**
+     * Get the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if none was stored
+     */
+    async getMediaThumbnail(id) {
+        try {
+            return await this.thumbnailStore.get(id);
+        } catch (error) {
+            console.error('Failed to read stored thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the tag registry, collections and playlists
+     * @returns {Promise<Object>} { tags, collections, playlists }
+     */
+    async getLibraryMeta() {
+        const meta = await this.metaStore.get('library');
+        return {
+            tags: (meta && meta.tags) || [],
+            collections: (meta && meta.collections) || [],
+            playlists: (meta && meta.playlists) || []
+        };
+    }
+
+    /**
+     * Save the tag registry, collections and playlists
+     * @param {Object} meta - { tags, collections, playlists }
+     * @returns {Promise<void>}
+     */
+    async saveLibraryMeta(meta) {
+        await this.metaStore.put('library', {
+            tags: meta.tags,
+            collections: meta.collections,
+            playlists: meta.playlists
+        });
+        this.notifyOtherTabs();
+    }
+}
+
+/**
+ * REST Backend API - Talks to a media service over HTTP
+ *
+ * Endpoints, relative to AppConfig.apiBaseUrl (default /api/media):
+ *   GET    /             -> 200 [MediaItem, ...]
+ *   GET    /:id          -> 200 MediaItem | 404
+ *   POST   /             JSON { fileName, description, fileType, fileSize, mimeType } -> 201 MediaItem
+ *   PUT    /:id          JSON full MediaItem, created or replaced as-is (library import) -> 200 MediaItem
+ *   PATCH  /:id          JSON partial MediaItem -> 200 MediaItem | 404
+ *   DELETE /:id          -> 204 | 404
+ *   PUT    /:id/file     raw bytes, Content-Type set to the file's MIME type -> 200 MediaItem
+ *   GET    /:id/file     -> 200 raw bytes | 404
+ *   PUT    /:id/thumbnail  raw image bytes -> 200 MediaItem
+ *   GET    /:id/thumbnail  -> 200 raw image bytes | 404
+ *
+ * Tag registry and collections live at AppConfig.apiLibraryUrl (default /api/library):
+ *   GET    /             -> 200 { tags: [string], collections: [{ id, name, createdDate }],
+ *                                  playlists: [{ id, name, itemIds: [string], createdDate }] }
+ *   PUT    /             JSON { tags, collections, playlists } -> 204
+ *
+ * Error responses may carry a JSON body { "error": "message" }.
+ */
+class RestBackendAPI extends BackendAPI {
+    /**
+     * @param {string} baseUrl - Base URL of the media collection
+     * @param {string} libraryUrl - URL of the tag and collection document
+     */
+    constructor(baseUrl, libraryUrl) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.libraryUrl = libraryUrl;
+    }
+
+    /**
+     * Check the service is reachable
+     */
+    async init() {
+        try {
+            const items = await this.getMedia();
+            console.log('REST backend initialized with', items.length, 'items');
+        } catch (error) {
+            console.error('Failed to initialize REST backend:', error);
+        }
+    }
+
+    /**
+     * Build the URL for a path below the base URL
+     * @param {string} [path] - Path relative to the base URL
+     * @returns {string} Full URL
+     */
+    url(path = '') {
+        return this.baseUrl + path;
+    }
+
+    /**
+     * Fetch a URL, reporting a request that got no response as a NetworkError
+     * @param {string} url - Request URL
+     * @param {Object} [init] - fetch() init options
+     * @returns {Promise<Response>} Response
+     */
+    async send(url, init) {
+        try {
+            return await fetch(url, init);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // fetch() rejects with a TypeError when the request never got a response
+            const networkError = new Error(`Could not reach the server: ${error.message}`);
+            networkError.name = 'NetworkError';
+            throw networkError;
+        }
+    }
+
+    /**
+     * Send a JSON request and parse the JSON response
+     * @param {string} path - Path relative to the base URL
+     * @param {Object} [init] - fetch() init options
+     * @returns {Promise<*>} Parsed response body, or null for empty responses
+     */
+    async request(path, init = {}) {
+        const headers = { Accept: 'application/json', ...(init.headers || {}) };
+        if (init.body !== undefined && typeof init.body === 'string') {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await this.send(this.url(path), { ...init, headers });
+        if (!response.ok) {
+            throw await this.toError(response);
+        }
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Convert a failed response into an Error
+     * @param {Response} response - fetch() response
+     * @returns {Promise<Error>} Error describing the failure, with the HTTP status as error.status
+     */
+    async toError(response) {
+        let message = `Request failed with status ${response.status}`;
+        if (response.status === 404) {
+            message = 'Media item not found';
+        } else {
+            try {
+                const body = await response.json();
+                if (body && body.error) message = body.error;
+            } catch (error) {
+                // Body was not JSON; keep the status message
+            }
+        }
+
+        // 507 Insufficient Storage: the server's quota for the library is used up
+        const error = response.status === 507 ? StorageMonitor.quotaError(message) : new Error(message);
+        error.status = response.status;
+        return error;
+    }
+
+    /**
+     * Create a new media item
+     * @param {Object} mediaData - Media item data
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Created media item
+     */
+    async createMedia(mediaData, options = {}) {
+        const { file, thumbnail, ...metadata } = mediaData;
+        let created = await this.request('', {
+            method: 'POST',
+            body: JSON.stringify(metadata),
+            signal: options.signal
+        });
+
+        if (thumbnail) {
+            try {
+                created = await this.uploadMediaThumbnail(created.id, thumbnail);
+            } catch (error) {
+                console.warn('Failed to upload thumbnail:', error);
+            }
+        }
+
+        if (!file) return created;
+
+        try {
+            return await this.uploadMediaFile(created.id, file, options);
+        } catch (error) {
+            // Don't leave a metadata-only record behind when the upload fails
+            await this.deleteMedia(created.id).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Get all media items
+     * @returns {Promise<Array>} Array of media items
+     */
+    async getMedia() {
+        return (await this.request('')) || [];
+    }
+
+    /**
+     * Get a single media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object>} Media item
+     */
+    async getMediaById(id) {
+        return this.request(`/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Update a media item
+     * @param {string} id - Media item ID
+     * @param {Object} updates - Updates to apply
+     * @returns {Promise<Object>} Updated media item
+     */
+    async updateMedia(id, updates) {
+        return this.request(`/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    /**
+     * Delete a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<void>}
+     */
+    async deleteMedia(id) {
+        await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    /**
+     * Store a complete media item record as-is
+     * @param {Object} item - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @returns {Promise<Object>} Stored media item
+     */
+    async putMedia(item, content = {}) {
+        let stored = await this.request(`/${encodeURIComponent(item.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ ...item, hasFile: false, hasThumbnail: false })
+        });
+
+        if (content.thumbnail) {
+            stored = await this.uploadMediaThumbnail(item.id, content.thumbnail);
+        }
+        if (content.file) {
+            stored = await this.uploadMediaFile(item.id, content.file);
+        }
+        return stored;
+    }
+
+    /**
+     * Upload the file content of a media item
+     *
+     * Uses XMLHttpRequest because fetch() does not report upload progress.
+     * @param {string} id - Media item ID
+     * @param {Blob} file - File content
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Updated media item
+     */
+    uploadMediaFile(id, file, options = {}) {
+        return new Promise((resolve, reject) => {
+            const { onProgress, signal } = options;
+            if (signal && signal.aborted) {
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            xhr.open('PUT', this.url(`/${encodeURIComponent(id)}/file`));
+            xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+            xhr.setRequestHeader('Accept', 'application/json');
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                });
+            }
+
+            const onAbort = () => xhr.abort();
+            if (signal) signal.addEventListener('abort', onAbort);
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            xhr.addEventListener('load', () => {
+                cleanup();
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    if (onProgress) onProgress(1);
+                    resolve(xhr.responseText ? JSON.parse(xhr.responseText) : null);
+                } else {
+                    const error = xhr.status === 507
+                        ? StorageMonitor.quotaError(I18n.t('storage.serverFull'))
+                        : new Error(xhr.status === 404
+                            ? 'Media item not found'
+                            : `Upload failed with status ${xhr.status}`);
+                    error.status = xhr.status;
+                    reject(error);
+                }
+            });
+            xhr.addEventListener('error', () => {
+                cleanup();
+                const error = new Error('Network error during upload');
+                error.name = 'NetworkError';
+                reject(error);
+            });
+            xhr.addEventListener('abort', () => {
+                cleanup();
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+            });
+
+            xhr.send(file);
+        });
+    }
+
+    /**
+     * Get stored file content for a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} File content, or null if none was stored
+     */
+    async getMediaFile(id) {
+        try {
+            const response = await this.send(this.url(`/${encodeURIComponent(id)}/file`));
+            return response.ok ? await response.blob() : null;
+        } catch (error) {
+            console.error('Failed to download file content:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store (or replace) the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaThumbnail(id, thumbnail) {
+        const response = await this.send(this.url(`/${encodeURIComponent(id)}/thumbnail`), {
+            method: 'PUT',
+            headers: { 'Content-Type': thumbnail.type || 'image/jpeg', Accept: 'application/json' },
+            body: thumbnail
+        });
+        if (!response.ok) {
+            throw await this.toError(response);
+        }
+        return response.json();
+    }
+
+    /**
+     * Get the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if none was stored
+     */
+    async getMediaThumbnail(id) {
+        try {
+            const response = await this.send(this.url(`/${encodeURIComponent(id)}/thumbnail`));
+            return response.ok ? await response.blob() : null;
+        } catch (error) {
+            console.error('Failed to download thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the tag registry, collections and playlists
+     * @returns {Promise<Object>} { tags, collections, playlists }
+     */
+    async getLibraryMeta() {
+        const response = await this.send(this.libraryUrl, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw await this.toError(response);
+        }
+        const meta = await response.json();
+        return {
+            tags: (meta && meta.tags) || [],
+            collections: (meta && meta.collections) || [],
+            playlists: (meta && meta.playlists) || []
+        };
+    }
+
+    /**
+     * Save the tag registry, collections and playlists
+     * @param {Object} meta - { tags, collections, playlists }
+     * @returns {Promise<void>}
+     */
+    async saveLibraryMeta(meta) {
+        const response = await this.send(this.libraryUrl, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tags: meta.tags, collections: meta.collections, playlists: meta.playlists })
+        });
+        if (!response.ok) {
+            throw await this.toError(response);
+        }
+    }
+}
+
+/**
+ * Offline Backend API - Keeps a remote backend usable without a connection
+ *
+ * Reads are served from a local copy of the last successful listing. Changes
+ * made while offline (or while older changes are still waiting) are recorded
+ * in the outbox of an OfflineQueue (see core/offline-queue.js), which replays
+ * them in order when the connection returns and holds back the ones that
+ * conflict with the server or that it refuses. This class saves that state
+ * and decides when to replay.
+ */
+class OfflineBackendAPI extends BackendAPI {
+    /**
+     * @param {BackendAPI} remote - Backend that talks to the server
+     */
+    constructor(remote) {
+        super();
+        this.remote = remote;
+        this.store = new IDBStore('mediamix_hub_offline', 'state');
+        this.queue = new OfflineQueue(remote); // Local copy, outbox and conflicts
+        this.meta = { tags: [], collections: [], playlists: [] };
+        this.syncing = false;
+        this.retryDelay = 30000; // Wait before replaying again when the server could not be reached
+        this.retryTimer = null;
+        // 'change' fires when the outbox or conflicts change, with { replayed, idMap } after a sync
+        this.listeners.change = () => {};
+    }
+
+    /**
+     * Load the local copy and outbox, then sync if online
+     */
+    async init() {
+        await this.loadState();
+
+        window.addEventListener('online', () => this.sync());
+
+        if (this.isOnline()) {
+            await this.remote.init();
+            await this.sync();
+        }
+        console.log('Offline queue initialized with', this.queue.outbox.length, 'pending change(s)');
+    }
+
+    /**
+     * Whether the browser believes it has a connection
+     * @returns {boolean} True if online
+     */
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * Save the local copy, outbox and conflicts
+     */
+    async saveState() {
+        try {
+            await Promise.all([
+                this.store.put('items', this.queue.items),
+                this.store.put('meta', this.meta),
+                this.store.put('outbox', this.queue.outbox),
+                this.store.put('conflicts', this.queue.conflicts)
+            ]);
+            this.notifyOtherTabs();
+        } catch (error) {
+            console.error('Failed to save offline copy:', error);
+        }
+    }
+
+    /**
+     * Load the local copy, outbox and conflicts
+     * @returns {Promise<void>}
+     */
+    async loadState() {
+        try {
+            const [items, meta, outbox, conflicts] = await Promise.all(
+                ['items', 'meta', 'outbox', 'conflicts'].map(key => this.store.get(key))
+            );
+            this.queue.items = items || [];
+            this.meta = meta || this.meta;
+            this.queue.outbox = outbox || [];
+            this.queue.conflicts = conflicts || [];
+        } catch (error) {
+            console.error('Failed to load offline copy:', error);
+        }
+    }
+
+    /**
+     * Reload the local copy another tab saved
+     * @returns {Promise<void>}
+     */
+    async handleOtherTabChange() {
+        // A replay in progress saves its own result; reloading now would lose it
+        if (this.syncing) return;
+        await this.loadState();
+        this.listeners.change();
+        this.listeners.externalChange();
+    }
+
+    /**
+     * Run a change against the server unless it has to be queued
+     * @param {Function} call - Performs the remote call
+     * @param {string} [itemId] - ID of the item it changes
+     * @returns {Promise<Object>} { sent: true, result } or { sent: false } when it must be queued
+     */
+    async sendOrQueue(call, itemId) {
+        // Queued changes go first so the server sees everything in order, and changes to an
+        // item whose creation the server refused wait with it
+        if (!this.isOnline() || this.queue.outbox.length > 0 || (itemId && this.queue.findHeldCreate(itemId))) {
+            return { sent: false };
+        }
+        try {
+            return { sent: true, result: await call() };
+        } catch (error) {
+            if (this.queue.isRetryable(error)) return { sent: false };
+            throw error;
+        }
+    }
+
+    /**
+     * Add a change to the outbox
+     * @param {Object} entry - Outbox entry without id and queuedAt
+     */
+    async enqueue(entry) {
+        const queued = this.queue.add(entry);
+        await this.saveState();
+        this.listeners.change();
+
+        // Online but the server was unreachable: try again straight away
+        if (queued && this.isOnline()) this.sync();
+    }
+
+    /**
+     * Create a media item, queueing it while offline
+     * @param {Object} mediaData - Media item data
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Created media item
+     */
+    async createMedia(mediaData, options = {}) {
+        const attempt = await this.sendOrQueue(() => this.remote.createMedia(mediaData, options));
+        if (attempt.sent) {
+            this.queue.storeLocal(attempt.result);
+            await this.saveState();
+            return attempt.result;
+        }
+
+        this.checkAborted(options.signal);
+        const { file, thumbnail, ...data } = mediaData;
+        const item = { ...MediaItems.create(data), hasFile: Boolean(file), hasThumbnail: Boolean(thumbnail) };
+        this.queue.items.push(item);
+        await this.enqueue({ op: 'create', itemId: item.id, item, data, file: file || null, thumbnail: thumbnail || null });
+        if (options.onProgress) options.onProgress(1);
+
+        return item;
+    }
+
+    /**
+     * Get all media items, from the server when reachable
+     * @returns {Promise<Array>} Array of media items
+     */
+    async getMedia() {
+        if (this.isOnline() && this.queue.outbox.length === 0 && !this.syncing) {
+            try {
+                this.queue.adoptRemoteItems(await this.remote.getMedia());
+                await this.saveState();
+            } catch (error) {
+                if (!this.queue.isRetryable(error)) throw error;
+            }
+        }
+        return [...this.queue.items];
+    }
+
+    /**
+     * Get a single media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object>} Media item
+     */
+    async getMediaById(id) {
+        const item = this.queue.items.find(item => item.id === id);
+        if (item) return { ...item };
+        return this.remote.getMediaById(id);
+    }
+
+    /**
+     * Update a media item, queueing the change while offline
+     * @param {string} id - Media item ID
+     * @param {Object} updates - Updates to apply
+     * @returns {Promise<Object>} Updated media item
+     */
+    async updateMedia(id, updates) {
+        const attempt = await this.sendOrQueue(() => this.remote.updateMedia(id, updates), id);
+        if (attempt.sent) {
+            this.queue.storeLocal(attempt.result);
+            await this.saveState();
+            return attempt.result;
+        }
+
+        const base = this.queue.items.find(item => item.id === id);
+        if (!base) {
+            throw new Error('Media item not found');
+        }
+        const updated = { ...base, ...updates, id };
+        this.queue.storeLocal(updated);
+        await this.enqueue({ op: 'update', itemId: id, changes: updates, base });
+
+        return updated;
+    }
+
+    /**
+     * Delete a media item, queueing the deletion while offline
+     * @param {string} id - Media item ID
+     * @returns {Promise<void>}
+     */
+    async deleteMedia(id) {
+        const attempt = await this.sendOrQueue(() => this.remote.deleteMedia(id), id);
+        const base = this.queue.items.find(item => item.id === id);
+        this.queue.items = this.queue.items.filter(item => item.id !== id);
+
+        if (attempt.sent) {
+            await this.saveState();
+            return;
+        }
+        if (!base) {
+            throw new Error('Media item not found');
+        }
+
+        if (this.queue.findPendingCreate(id)) {
+            // Never reached the server: forget every queued or held back change for it
+            this.queue.forget(id);
+            await this.saveState();
+            this.listeners.change();
+        } else {
+            await this.enqueue({ op: 'delete', itemId: id, base });
+        }
+    }
+
+    /**
+     * Upload the file content of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} file - File content
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaFile(id, file, options = {}) {
+        return this.attachContent(id, 'file', file, () => this.remote.uploadMediaFile(id, file, options));
+    }
+
+    /**
+     * Store the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaThumbnail(id, thumbnail) {
+        return this.attachContent(id, 'thumbnail', thumbnail, () => this.remote.uploadMediaThumbnail(id, thumbnail));
+    }
+
+    /**
+     * Send file content to the server, or attach it to a queued creation
+     * @param {string} id - Media item ID
+     * @param {string} kind - 'file' or 'thumbnail'
+     * @param {Blob} blob - Content
+     * @param {Function} upload - Performs the remote upload
+     * @returns {Promise<Object>} Updated media item
+     */
+    async attachContent(id, kind, blob, upload) {
+        const pending = this.queue.findPendingCreate(id);
+        if (!pending) {
+            const attempt = await this.sendOrQueue(upload, id);
+            if (!attempt.sent) {
+                throw new Error(I18n.t('offline.noUploads'));
+            }
+            this.queue.storeLocal(attempt.result);
+            await this.saveState();
+            return attempt.result;
+        }
+
+        pending[kind] = blob;
+        const item = this.queue.items.find(item => item.id === id);
+        const updated = { ...item, [kind === 'file' ? 'hasFile' : 'hasThumbnail']: true };
+        this.queue.storeLocal(updated);
+        await this.saveState();
+        return updated;
+    }
+
+    /**
+     * Get file content, including content waiting to be uploaded
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} File content, or null if unavailable
+     */
+    async getMediaFile(id) {
+        const pending = this.queue.findPendingCreate(id);
+        if (pending) return pending.file;
+        return this.isOnline() ? this.remote.getMediaFile(id) : null;
+    }
+
+    /**
+     * Get a thumbnail, including one waiting to be uploaded
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if unavailable
+     */
+    async getMediaThumbnail(id) {
+        const pending = this.queue.findPendingCreate(id);
+        if (pending) return pending.thumbnail;
+        return this.isOnline() ? this.remote.getMediaThumbnail(id) : null;
+    }
+
+    /**
+     * Get tags, collections and playlists, from the server when reachable
+     * @returns {Promise<Object>} { tags, collections, playlists }
+     */
+    async getLibraryMeta() {
+        if (this.isOnline()) {
+            try {
+                this.meta = await this.remote.getLibraryMeta();
+                await this.saveState();
+            } catch (error) {
+                if (!this.queue.isRetryable(error)) throw error;
+            }
+        }
+        return {
+            tags: [...this.meta.tags],
+            collections: [...this.meta.collections],
+            // Copies saved before playlists existed have none
+            playlists: [...(this.meta.playlists || [])]
+        };
+    }
+
+    /**
+     * Save tags, collections and playlists; this needs a connection
+     * @param {Object} meta - { tags, collections, playlists }
+     * @returns {Promise<void>}
+     */
+    async saveLibraryMeta(meta) {
+        try {
+            await this.remote.saveLibraryMeta(meta);
+        } catch (error) {
+            if (error.name === 'NetworkError') {
+                throw new Error(I18n.t('offline.noMetaChanges'));
+            }
+            throw error;
+        }
+        this.meta = meta;
+        await this.saveState();
+    }
+
+    /**
+     * Store a complete media item record; library import needs a connection
+     * @param {Object} item - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @returns {Promise<Object>} Stored media item
+     */
+    async putMedia(item, content = {}) {
+        const stored = await this.remote.putMedia(item, content);
+        this.queue.storeLocal(stored);
+        await this.saveState();
+        return stored;
+    }
+
+
+    /**
+     * Number of changes waiting to be sent
+     * @returns {number} Outbox size
+     */
+    getPendingCount() {
+        return this.queue.outbox.length;
+    }
+
+    /**
+     * Changes held back because the server copy changed or the server refused them
+     * @returns {Array<Object>} Conflicts
+     */
+    getConflicts() {
+        return [...this.queue.conflicts];
+    }
+
+    /**
+     * Replay the outbox against the server
+     * @returns {Promise<void>}
+     */
+    async sync() {
+        if (this.syncing || !this.isOnline()) return;
+        this.syncing = true;
+        clearTimeout(this.retryTimer);
+        this.listeners.change();
+
+        let result = { replayed: 0, idMap: new Map() };
+        try {
+            // Saved after each change so an interrupted sync resumes where it stopped
+            result = await this.queue.replayAll(() => this.saveState());
+
+            if (this.queue.outbox.length === 0) {
+                this.queue.adoptRemoteItems(await this.remote.getMedia());
+                await this.saveState();
+            }
+        } catch (error) {
+            console.warn('Sync stopped:', error);
+        } finally {
+            this.syncing = false;
+        }
+
+        if (this.queue.outbox.length > 0) {
+            this.retryTimer = setTimeout(() => this.sync(), this.retryDelay);
+        }
+
+        this.listeners.change(result);
+    }
+
+    /**
+     * Settle a conflict
+     * @param {string} conflictId - Conflict ID
+     * @param {string} keep - 'mine' to apply the held-back change (or send a refused one again), 'theirs' to drop it
+     * @returns {Promise<void>}
+     */
+    async resolveConflict(conflictId, keep) {
+        const conflict = await this.queue.settle(conflictId, keep);
+        if (!conflict) return;
+
+        await this.saveState();
+        this.listeners.change();
+        if (conflict.entries && keep === 'mine' && this.isOnline()) this.sync();
+    }
+}
+
+/**
+ * Create the backend selected in configuration
+ * @param {Object} config - Application configuration
+ * @returns {BackendAPI} Backend instance
+ */
+function createBackend(config) {
+    switch (config.backend) {
+        case 'indexeddb':
+            return new IndexedDBBackendAPI();
+        case 'rest': {
+            const remote = new RestBackendAPI(config.apiBaseUrl, config.apiLibraryUrl);
+            return config.offlineQueue ? new OfflineBackendAPI(remote) : remote;
+        }
+        case 'local':
+            return new MockBackendAPI();
+        default:
+            console.warn(`Unknown backend "${config.backend}", falling back to local storage`);
+            return new MockBackendAPI();
+    }
+}
+
+// Initialize configured backend
+const mediaAPI = createBackend(AppConfig);
+
+// Media items of the backend; every change to them goes through here so subscribers see it
+const library = new MediaLibrary(mediaAPI);
+
+// Upload Queue - Runs batch uploads through the media library with a concurrency limit
+class UploadQueue {
+    /**
+     * @param {MediaLibrary} library - Library the uploaded items are created in
+     * @param {number} concurrency - Maximum number of simultaneous uploads
+     */
+    constructor(library, concurrency) {
+        this.library = library;
+        this.concurrency = Math.max(1, concurrency);
+        this.entries = [];
+        this.active = 0;
+        this.listeners = {
+            change: () => {},
+            uploaded: () => {},
+            drained: () => {}
+        };
+    }
+
+    /**
+     * Register a callback
+     * @param {string} event - 'change' (entry), 'uploaded' (entry, item) or 'drained' (summary)
+     * @param {Function} callback - Callback to invoke
+     */
+    on(event, callback) {
+        this.listeners[event] = callback;
+    }
+
+    /**
+     * Add files to the queue; each is checked against the upload policy in the background
+     * @param {FileList|Array<File>} files - Files to add
+     * @param {number} [usedBytes] - Library space already taken by stored items
+     * @returns {Array<Object>} Added queue entries, 'checking' until validated
+     */
+    add(files, usedBytes = 0) {
+        const added = Array.from(files).map(file => ({
+            id: Utils.generateId(),
+            file: file,
+            description: '',
+            status: 'checking',
+            error: '',
+            outOfSpace: false,
+            progress: 0,
+            controller: null
+        }));
+        this.entries.push(...added);
+        this.check(added, usedBytes);
+        return added;
+    }
+
+    /**
+     * Validate new entries one at a time, so each counts the space taken by those accepted before it
+     * @param {Array<Object>} entries - Entries to check
+     * @param {number} usedBytes - Library space already taken by stored items
+     * @returns {Promise<void>}
+     */
+    async check(entries, usedBytes) {
+        for (const entry of entries) {
+            const reserved = this.entries
+                .filter(other => ['pending', 'queued', 'uploading'].includes(other.status))
+                .reduce((sum, other) => sum + other.file.size, 0);
+            const { file, error } = await UploadValidator.validate(entry.file, usedBytes + reserved);
+
+            // The row may have been removed while its file was being read
+            if (!this.entries.includes(entry)) continue;
+
+            entry.file = file;
+            entry.error = error;
+            this.setStatus(entry, error ? 'invalid' : 'pending');
+        }
+    }
+
+    /**
+     * Find a queue entry
+     * @param {string} id - Queue entry ID
+     * @returns {Object|undefined} Queue entry
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id);
+    }
+
+    /**
+     * Remove an entry that is not currently uploading
+     * @param {string} id - Queue entry ID
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id || entry.status === 'uploading');
+    }
+
+    /**
+     * Remove every uploaded, cancelled or invalid entry
+     */
+    clearFinished() {
+        this.entries = this.entries.filter(entry => !['done', 'cancelled', 'invalid', 'skipped', 'merged'].includes(entry.status));
+    }
+
+    /**
+     * Leave a pending entry out of the upload because its file is already in the library
+     * @param {string} id - Queue entry ID
+     * @param {string} outcome - 'skipped', or 'merged' when its description went to the existing item
+     */
+    skip(id, outcome = 'skipped') {
+        const entry = this.get(id);
+        if (!entry || entry.status !== 'pending') return;
+
+        this.setStatus(entry, outcome);
+    }
+
+    /**
+     * Entries that will be uploaded by the next start()
+     * @returns {Array<Object>} Pending entries
+     */
+    getPending() {
+        return this.entries.filter(entry => entry.status === 'pending');
+    }
+
+    /**
+     * Whether any upload is queued or in progress
+     * @returns {boolean} True while the queue is busy
+     */
+    isBusy() {
+        return this.entries.some(entry => entry.status === 'queued' || entry.status === 'uploading');
+    }
+
+    /**
+     * Queue all pending entries for upload
+     * @param {string} sharedDescription - Description for entries without their own
+     * @param {Array<string>} [tags] - Tags applied to every entry in the batch
+     */
+    start(sharedDescription, tags = []) {
+        this.getPending().forEach(entry => {
+            entry.sharedDescription = sharedDescription;
+            entry.tags = tags;
+            this.setStatus(entry, 'queued');
+        });
+        this.pump();
+        // Everything may have been skipped as a duplicate
+        this.checkDrained();
+    }
+
+    /**
+     * Cancel a queued or in-progress upload
+     * @param {string} id - Queue entry ID
+     */
+    cancel(id) {
+        const entry = this.get(id);
+        if (!entry) return;
+
+        if (entry.status === 'queued') {
+            this.setStatus(entry, 'cancelled');
+            this.checkDrained();
+        } else if (entry.status === 'uploading' && entry.controller) {
+            entry.controller.abort();
+        }
+    }
+
+    /**
+     * Queue a failed or cancelled entry again
+     * @param {string} id - Queue entry ID
+     */
+    retry(id) {
+        const entry = this.get(id);
+        if (!entry || !['failed', 'cancelled'].includes(entry.status)) return;
+
+        entry.error = '';
+        entry.outOfSpace = false;
+        entry.progress = 0;
+        this.setStatus(entry, 'queued');
+        this.pump();
+    }
+
+    /**
+     * Start queued uploads until the concurrency limit is reached
+     */
+    pump() {
+        while (this.active < this.concurrency) {
+            const next = this.entries.find(entry => entry.status === 'queued');
+            if (!next) break;
+            this.upload(next);
+        }
+    }
+
+    /**
+     * Upload a single entry
+     * @param {Object} entry - Queue entry
+     */
+    async upload(entry) {
+        this.active++;
+        entry.controller = new AbortController();
+        this.setStatus(entry, 'uploading');
+
+        const { file } = entry;
+        const fileType = Utils.getFileType(file.type);
+        const metadata = await MetadataExtractor.extract(file);
+        const thumbnail = await ThumbnailGenerator.generate(file, fileType, metadata);
+        const hashes = await ContentHasher.hash(file, fileType, thumbnail, entry.contentHash);
+        const mediaData = {
+            fileName: file.name,
+            // Read when the upload starts, as a failed row can be edited before it is retried
+            description: entry.description.trim() || entry.sharedDescription,
+            fileType: fileType,
+            fileSize: file.size,
+            mimeType: file.type,
+            tags: entry.tags,
+            metadata: metadata,
+            thumbnail: thumbnail,
+            file: file,
+            ...hashes
+        };
+
+        try {
+            const item = await this.library.create(mediaData, {
+                signal: entry.controller.signal,
+                onProgress: (fraction) => {
+                    entry.progress = fraction;
+                    this.listeners.change(entry);
+                }
+            });
+            entry.progress = 1;
+            this.setStatus(entry, 'done');
+            this.listeners.uploaded(entry, item);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.setStatus(entry, 'cancelled');
+            } else {
+                console.error('Upload failed:', error);
+                entry.error = Utils.getErrorMessage(error, 'queue.uploadFailed');
+                entry.outOfSpace = StorageMonitor.isQuotaError(error);
+                this.setStatus(entry, 'failed');
+            }
+        } finally {
+            entry.controller = null;
+            this.active--;
+            this.pump();
+            this.checkDrained();
+        }
+    }
+
+    /**
+     * Update an entry's status and notify listeners
+     * @param {Object} entry - Queue entry
+     * @param {string} status - New status
+     */
+    setStatus(entry, status) {
+        entry.status = status;
+        this.listeners.change(entry);
+    }
+
+    /**
+     * Notify listeners once nothing is queued or uploading
+     */
+    checkDrained() {
+        if (this.isBusy()) return;
+
+        const count = status => this.entries.filter(entry => entry.status === status).length;
+        this.listeners.drained({
+            done: count('done'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+            skipped: count('skipped'),
+            merged: count('merged'),
+            outOfSpace: this.entries.filter(entry => entry.status === 'failed' && entry.outOfSpace).length
+        });
+    }
+}
+
+// Initialize upload queue
+const uploadQueue = new UploadQueue(library, AppConfig.uploadConcurrency);
+
+// Undo History - Undo and redo stacks for create, edit and delete actions
+class UndoHistory {
+    /**
+     * @param {number} limit - Maximum number of actions remembered
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+    }
+
+    /**
+     * Remember an action that has just been performed
+     * @param {Object} action - { label, ids, undo, redo } where undo(options) and redo(options) return Promises
+     *     and pass options, { source: 'undo' } or { source: 'redo' }, on to the library
+     */
+    record(action) {
+        this.undoStack.push(action);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new action makes the redo branch unreachable
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the most recent action
+     * @returns {Promise<Object|null>} The undone action, or null if there was nothing to undo
+     */
+    undo() {
+        return this.step(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Redo the most recently undone action
+     * @returns {Promise<Object|null>} The redone action, or null if there was nothing to redo
+     */
+    redo() {
+        return this.step(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Run the newest action of one stack and move it onto the other
+     * @param {Array} from - Stack to take the action from
+     * @param {Array} to - Stack to put it on when it succeeds
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Promise<Object|null>} The action, or null if none ran
+     */
+    async step(from, to, direction) {
+        if (this.busy || from.length === 0) return null;
+
+        const action = from.pop();
+        this.busy = true;
+        try {
+            await action[direction]({ source: direction });
+            to.push(action);
+            return action;
+        } finally {
+            // A failed action is dropped; it would most likely fail again
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Drop every action that touches items which are gone for good
+     * @param {Array<string>} ids - IDs of permanently deleted items
+     */
+    forget(ids) {
+        const gone = new Set(ids);
+        const keep = action => !action.ids.some(id => gone.has(id));
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+    }
+}
+
+// Initialize undo history
+const undoHistory = new UndoHistory(AppConfig.undoLimit);
+
+// Media Player - Plays a queue of audio and video items; lives outside the modals so playback survives browsing
+class MediaPlayer {
+    /**
+     * @param {BackendAPI} api - Backend the files are read from
+     */
+    constructor(api) {
+        this.api = api;
+        this.media = document.createElement('video');
+        this.media.className = 'mini-player-media';
+        this.media.playsInline = true;
+        this.media.preload = 'auto';
+        this.queue = [];        // Item IDs in playlist order
+        this.order = [];        // Indexes into queue in playing order, shuffled or not
+        this.position = -1;     // Index into order of the current item
+        this.current = null;    // Media item being played
+        this.title = '';        // Name of what is being played, e.g. the playlist
+        this.shuffle = false;
+        this.repeat = 'off';    // 'off', 'all' or 'one'
+        this.url = null;
+        this.artworkUrl = null;
+        this.loadToken = 0;     // Ignores items that finish loading after another was chosen
+        this.skipped = 0;       // Unplayable items skipped in a row
+        this.listeners = {
+            change: () => {},
+            time: () => {},
+            error: () => {}
+        };
+
+        this.media.addEventListener('ended', () => this.handleEnded());
+        this.media.addEventListener('error', () => {
+            if (this.current) this.skip();
+        });
+        ['play', 'pause', 'loadedmetadata'].forEach(type => {
+            this.media.addEventListener(type, () => {
+                this.updatePositionState();
+                this.emitChange();
+            });
+        });
+        this.media.addEventListener('timeupdate', () => {
+            this.updatePositionState();
+            this.listeners.time(this.media.currentTime, this.getDuration());
+        });
+
+        this.setupMediaSession();
+    }
+
+    /**
+     * Register an event listener
+     * @param {string} event - 'change', 'time' or 'error'
+     * @param {Function} callback - Listener
+     */
+    on(event, callback) {
+        this.listeners[event] = callback;
+    }
+
+    /**
+     * Notify listeners that the track or playback state changed
+     */
+    emitChange() {
+        this.listeners.change(this.getState());
+    }
+
+    /**
+     * Describe the player for rendering
+     * @returns {Object} { item, title, index, count, playing, shuffle, repeat }
+     */
+    getState() {
+        return {
+            item: this.current,
+            title: this.title,
+            index: this.position,
+            count: this.order.length,
+            playing: Boolean(this.current) && !this.media.paused,
+            shuffle: this.shuffle,
+            repeat: this.repeat
+        };
+    }
+
+    /**
+     * Duration of the current item
+     * @returns {number} Seconds, or 0 while unknown
+     */
+    getDuration() {
+        const duration = this.media.duration;
+        return Number.isFinite(duration) ? duration : (this.current?.metadata?.duration || 0);
+    }
+
+    /**
+     * Replace the queue and start playing
+     * @param {Array<string>} itemIds - Item IDs in playlist order
+     * @param {number} [startIndex] - Queue index to start from
+     * @param {string} [title] - Name of what is being played
+     * @returns {Promise<void>}
+     */
+    async load(itemIds, startIndex = 0, title = '') {
+        this.queue = [...itemIds];
+        this.title = title;
+        this.skipped = 0;
+        if (this.queue.length === 0) {
+            this.stop();
+            return;
+        }
+        this.buildOrder(Math.min(Math.max(startIndex, 0), this.queue.length - 1));
+        await this.playAt(this.position);
+    }
+
+    /**
+     * Work out the playing order, keeping a given queue index as the current item
+     * @param {number} currentIndex - Queue index that should be current
+     */
+    buildOrder(currentIndex) {
+        const indexes = this.queue.map((id, index) => index);
+
+        if (!this.shuffle) {
+            this.order = indexes;
+            this.position = currentIndex;
+            return;
+        }
+
+        const rest = indexes.filter(index => index !== currentIndex);
+        for (let i = rest.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [rest[i], rest[j]] = [rest[j], rest[i]];
+        }
+        this.order = [currentIndex, ...rest];
+        this.position = 0;
+    }
+
+    /**
+     * Load and play the item at a position in the playing order
+     * @param {number} position - Index into this.order
+     * @returns {Promise<void>}
+     */
+    async playAt(position) {
+        if (position < 0 || position >= this.order.length) return;
+
+        const token = ++this.loadToken;
+        const id = this.queue[this.order[position]];
+        this.position = position;
+
+        let item = null;
+        let file = null;
+        try {
+            item = await this.api.getMediaById(id);
+            if (item && !item.deletedAt) {
+                file = await this.api.getMediaFile(id);
+            }
+        } catch (error) {
+            console.warn('Failed to load playlist item:', id, error);
+        }
+        if (token !== this.loadToken) return;
+
+        if (!file) {
+            // Deleted items, and items whose file has not been downloaded, are skipped
+            this.current = item;
+            this.skip();
+            return;
+        }
+
+        this.current = item;
+        this.releaseUrl();
+        this.url = URL.createObjectURL(file);
+        this.media.src = this.url;
+        this.updateMetadata();
+        this.emitChange();
+
+        try {
+            await this.media.play();
+            this.skipped = 0;
+        } catch (error) {
+            // Autoplay may be refused until the user interacts; the item stays loaded and paused
+            if (error.name !== 'AbortError' && error.name !== 'NotAllowedError') {
+                console.warn('Playback failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Move past an item that cannot be played
+     */
+    skip() {
+        this.skipped++;
+        if (this.skipped >= this.order.length) {
+            this.stop();
+            this.listeners.error(new Error(I18n.t('player.nothingPlayable')));
+            return;
+        }
+        if (this.position < this.order.length - 1 || this.repeat !== 'off') {
+            this.playAt((this.position + 1) % this.order.length);
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Play or pause
+     */
+    togglePlay() {
+        if (!this.current) return;
+
+        if (this.media.paused) {
+            this.media.play().catch(error => console.warn('Playback failed:', error));
+        } else {
+            this.media.pause();
+        }
+    }
+
+    /**
+     * Go to the next item, wrapping around when repeating
+     */
+    next() {
+        if (this.order.length === 0) return;
+
+        if (this.position < this.order.length - 1) {
+            this.playAt(this.position + 1);
+        } else if (this.repeat === 'all') {
+            this.playAt(0);
+        }
+    }
+
+    /**
+     * Restart the current item, or go to the previous one when near its start
+     */
+    previous() {
+        if (this.order.length === 0) return;
+
+        if (this.media.currentTime > 3) {
+            this.seek(0);
+        } else if (this.position > 0) {
+            this.playAt(this.position - 1);
+        } else if (this.repeat === 'all') {
+            this.playAt(this.order.length - 1);
+        } else {
+            this.seek(0);
+        }
+    }
+
+    /**
+     * Jump to a time in the current item
+     * @param {number} time - Seconds
+     */
+    seek(time) {
+        if (!this.current) return;
+        this.media.currentTime = Math.min(Math.max(time, 0), this.getDuration() || 0);
+    }
+
+    /**
+     * Continue with the next item when one finishes
+     */
+    handleEnded() {
+        if (this.repeat === 'one') {
+            this.seek(0);
+            this.media.play().catch(error => console.warn('Playback failed:', error));
+        } else if (this.position < this.order.length - 1 || this.repeat === 'all') {
+            this.next();
+        } else {
+            this.emitChange();
+        }
+    }
+
+    /**
+     * Turn shuffle on or off without interrupting the current item
+     * @param {boolean} enabled - Whether to shuffle
+     */
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        if (this.order.length > 0) {
+            this.buildOrder(this.order[this.position]);
+        }
+        this.emitChange();
+    }
+
+    /**
+     * Set the repeat mode
+     * @param {string} mode - 'off', 'all' or 'one'
+     */
+    setRepeat(mode) {
+        this.repeat = ['off', 'all', 'one'].includes(mode) ? mode : 'off';
+        this.emitChange();
+    }
+
+    /**
+     * Stop playback and clear the queue
+     */
+    stop() {
+        this.loadToken++;
+        this.media.pause();
+        this.media.removeAttribute('src');
+        this.media.load();
+        this.releaseUrl();
+        this.queue = [];
+        this.order = [];
+        this.position = -1;
+        this.current = null;
+        this.title = '';
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+        }
+        this.emitChange();
+    }
+
+    /**
+     * Revoke the object URLs of the previous item
+     */
+    releaseUrl() {
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+        if (this.artworkUrl) {
+            URL.revokeObjectURL(this.artworkUrl);
+            this.artworkUrl = null;
+        }
+    }
+
+    /**
+     * Route hardware media keys and system media controls to the player
+     */
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => this.togglePlay(),
+            pause: () => this.togglePlay(),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next(),
+            stop: () => this.stop(),
+            seekto: details => this.seek(details.seekTime),
+            seekbackward: details => this.seek(this.media.currentTime - (details.seekOffset || 10)),
+            seekforward: details => this.seek(this.media.currentTime + (details.seekOffset || 10))
+        };
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Browsers throw for actions they do not support
+            }
+        });
+    }
+
+    /**
+     * Describe the current item to the system media controls
+     */
+    async updateMetadata() {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        const item = this.current;
+        const metadata = item.metadata || {};
+        const describe = artwork => new MediaMetadata({
+            title: metadata.title || item.fileName,
+            artist: metadata.artist || '',
+            album: metadata.album || this.title,
+            artwork
+        });
+        navigator.mediaSession.metadata = describe([]);
+
+        if (!item.hasThumbnail) return;
+        try {
+            const thumbnail = await this.api.getMediaThumbnail(item.id);
+            if (!thumbnail || this.current !== item) return;
+            this.artworkUrl = URL.createObjectURL(thumbnail);
+            navigator.mediaSession.metadata = describe([
+                { src: this.artworkUrl, type: thumbnail.type || 'image/jpeg' }
+            ]);
+        } catch (error) {
+            console.warn('Failed to load artwork:', error);
+        }
+    }
+
+    /**
+     * Keep the system media controls' progress bar in step
+     */
+    updatePositionState() {
+        if (!('mediaSession' in navigator)) return;
+
+        navigator.mediaSession.playbackState = this.current ? (this.media.paused ? 'paused' : 'playing') : 'none';
+        const duration = this.media.duration;
+        if (!navigator.mediaSession.setPositionState || !Number.isFinite(duration) || duration <= 0) return;
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: this.media.playbackRate,
+                position: Math.min(this.media.currentTime, duration)
+            });
+        } catch (error) {
+            // Ignore position updates the browser rejects mid-seek
+        }
+    }
+}
+
+// Initialize media player
+const mediaPlayer = new MediaPlayer(mediaAPI);
+
+// Tag Input - Chip-style tag editor with autocomplete from a shared <datalist>
+class TagInput {
+    /**
+     * @param {HTMLElement} container - Element holding a .tag-input-field text input
+     */
+    constructor(container) {
+        this.container = container;
+        this.input = container.querySelector('.tag-input-field');
+        this.chips = document.createElement('span');
+        this.chips.className = 'tag-input-chips';
+        this.container.insertBefore(this.chips, this.input);
+        this.tags = [];
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('input', () => this.handleInput());
+        this.input.addEventListener('blur', () => this.commitInput());
+        this.chips.addEventListener('click', (e) => {
+            const remove = e.target.closest('.tag-remove');
+            if (remove) {
+                this.removeTag(remove.getAttribute('data-tag'));
+            }
+        });
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) this.input.focus();
+        });
+    }
+
+    /**
+     * Get the current tags, including any text still being typed
+     * @returns {Array<string>} Normalized tag names
+     */
+    getTags() {
+        this.commitInput();
+        return [...this.tags];
+    }
+
+    /**
+     * Replace the current tags
+     * @param {Array<string>} tags - Tag names
+     */
+    setTags(tags) {
+        this.tags = [];
+        this.input.value = '';
+        (tags || []).forEach(tag => this.addTag(tag));
+        this.render();
+    }
+
+    /**
+     * Add a tag if it is not already present
+     * @param {string} name - Tag name
+     */
+    addTag(name) {
+        const tag = MediaValidation.normalizeTag(name);
+        if (tag && !this.tags.includes(tag)) {
+            this.tags.push(tag);
+            this.render();
+        }
+    }
+
+    /**
+     * Remove a tag
+     * @param {string} tag - Tag name
+     */
+    removeTag(tag) {
+        this.tags = this.tags.filter(t => t !== tag);
+        this.render();
+    }
+
+    /**
+     * Turn the typed text into tags
+     */
+    commitInput() {
+        const value = this.input.value;
+        if (!value.trim()) return;
+
+        value.split(',').forEach(part => this.addTag(part));
+        this.input.value = '';
+    }
+
+    /**
+     * Add tags on Enter or comma, remove the last one on Backspace
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            this.commitInput();
+        } else if (event.key === 'Backspace' && !this.input.value && this.tags.length) {
+            this.removeTag(this.tags[this.tags.length - 1]);
+        }
+    }
+
+    /**
+     * Commit a pasted or autocompleted value containing commas
+     */
+    handleInput() {
+        if (this.input.value.includes(',')) {
+            this.commitInput();
+        }
+    }
+
+    /**
+     * Render the tag chips
+     */
+    render() {
+        this.chips.innerHTML = this.tags.map(tag => `
+            <span class="tag-chip">
+                ${escapeHtml(tag)}
+                <button type="button" class="tag-remove" data-tag="${escapeHtml(tag)}" aria-label="${I18n.html('tag.remove', { tag: escapeHtml(tag) })}">&times;</button>
+            </span>
+        `).join('');
+    }
+}
+
+// Gallery View - Keeps only the cards near the viewport in the page, reusing unchanged ones
+class GalleryView {
+    /**
+     * @param {HTMLElement} container - Grid the cards are rendered into
+     * @param {Function} renderCard - Returns the HTML of an item's card
+     */
+    constructor(container, renderCard) {
+        this.container = container;
+        this.renderCard = renderCard;
+        this.items = [];
+        this.cards = new Map();   // Rendered cards by item ID: { element, html }
+        this.columns = 1;
+        this.rowHeight = 0;       // Height of a row of cards plus the gap, 0 until measured
+        this.gap = 0;
+        this.overscan = 2;        // Rows kept rendered above and below the viewport
+        this.measureBatch = 60;   // Cards rendered to measure the layout from
+        this.frame = null;
+        this.listeners = {
+            render: () => {}
+        };
+
+        // Spacers stand in for the rows above and below the rendered ones
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        this.container.replaceChildren(this.topSpacer, this.bottomSpacer);
+
+        window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+        window.addEventListener('resize', () => {
+            this.rowHeight = 0;
+            this.scheduleUpdate();
+        });
+    }
+
+    /**
+     * Register a callback
+     * @param {string} event - 'render' (added cards), called after every update
+     * @param {Function} callback - Callback to invoke
+     */
+    on(event, callback) {
+        this.listeners[event] = callback;
+    }
+
+    /**
+     * Show a new list of items, keeping the cards of those that did not change
+     * @param {Array<Object>} items - Items in display order
+     */
+    setItems(items) {
+        this.items = items;
+        this.update();
+    }
+
+    /**
+     * Measure the layout again, after the card size or the number of columns changed
+     */
+    relayout() {
+        this.rowHeight = 0;
+        this.update();
+    }
+
+    /**
+     * Build an item's card again on the next update even if its HTML is unchanged
+     * @param {string} id - Item ID
+     */
+    invalidate(id) {
+        const card = this.cards.get(id);
+        if (card) card.html = null;
+    }
+
+    /**
+     * Position of an item in the list
+     * @param {string} id - Item ID
+     * @returns {number} Index, or -1 if the item is not shown
+     */
+    indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
+    /**
+     * Get an item's card if it is rendered
+     * @param {string} id - Item ID
+     * @returns {HTMLElement|null} .media-card element
+     */
+    getCard(id) {
+        const card = this.cards.get(id);
+        return card ? card.element : null;
+    }
+
+    /**
+     * Scroll an item's card into the rendered rows
+     * @param {number} index - Item index
+     * @returns {HTMLElement|null} Its .media-card element, or null if there is no such item
+     */
+    reveal(index) {
+        const item = this.items[index];
+        if (!item) return null;
+
+        if (!this.cards.has(item.id) && this.rowHeight) {
+            const row = Math.floor(index / this.columns);
+            const top = this.container.getBoundingClientRect().top + window.scrollY + row * this.rowHeight;
+            window.scrollTo(window.scrollX, top - (window.innerHeight - this.rowHeight) / 2);
+            this.update();
+        }
+        return this.getCard(item.id);
+    }
+
+    /**
+     * Update on the next animation frame, at most once per frame
+     */
+    scheduleUpdate() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Render the rows that are in or near the viewport
+     */
+    update() {
+        if (!this.rowHeight) {
+            if (this.cards.size === 0) {
+                this.renderRange(0, Math.min(this.items.length, this.measureBatch));
+            }
+            this.measure();
+        }
+
+        if (!this.rowHeight) {
+            // Nothing to measure while the gallery is hidden or empty, so every card is rendered
+            this.columns = Math.max(1, this.items.length);
+            this.renderRange(0, this.items.length);
+            return;
+        }
+
+        const top = this.container.getBoundingClientRect().top;
+        const firstRow = Math.max(0, Math.floor(-top / this.rowHeight) - this.overscan);
+        const lastRow = Math.max(0, Math.ceil((window.innerHeight - top) / this.rowHeight) + this.overscan);
+        const end = Math.min(this.items.length, lastRow * this.columns);
+        this.renderRange(Math.min(firstRow * this.columns, end), end);
+    }
+
+    /**
+     * Work out the number of columns and the row height from the rendered cards
+     */
+    measure() {
+        const cards = Array.from(this.container.children)
+            .filter(element => element.classList.contains('media-card'))
+            .slice(0, this.measureBatch);
+        this.rowHeight = 0;
+        if (cards.length === 0) return;
+
+        const tops = cards.map(card => card.getBoundingClientRect().top);
+        const columns = tops.findIndex(top => top !== tops[0]);
+        const height = cards[0].getBoundingClientRect().height;
+        if (!height) return;
+
+        this.columns = columns === -1 ? cards.length : columns;
+        this.gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        // Card heights vary with their text, so rows are measured on average
+        const rows = Math.ceil(cards.length / this.columns);
+        this.rowHeight = rows > 1
+            ? (tops[(rows - 1) * this.columns] - tops[0]) / (rows - 1)
+            : height + this.gap;
+    }
+
+    /**
+     * Make the cards of a range of items the only ones in the page
+     * @param {number} start - Index of the first item
+     * @param {number} end - Index after the last item
+     */
+    renderRange(start, end) {
+        const range = this.items.slice(start, end);
+        const shown = new Set(range.map(item => item.id));
+        const added = [];
+        let previous = this.topSpacer;
+
+        // Cards that left the range go first, so the ones that stay don't have to move past them
+        this.cards.forEach((card, id) => {
+            if (!shown.has(id)) {
+                card.element.remove();
+                this.cards.delete(id);
+            }
+        });
+
+        range.forEach(item => {
+            const html = this.renderCard(item);
+            let card = this.cards.get(item.id);
+            let refocus = false;
+
+            if (!card || card.html !== html) {
+                // A rebuilt card keeps keyboard focus
+                refocus = Boolean(card) && card.element === document.activeElement;
+                if (card) card.element.remove();
+                card = { element: this.createCard(html), html };
+                this.cards.set(item.id, card);
+                added.push(card.element);
+            }
+
+            if (previous.nextSibling !== card.element) {
+                previous.after(card.element);
+            }
+            if (refocus) card.element.focus({ preventScroll: true });
+            previous = card.element;
+        });
+
+        const rows = Math.ceil(this.items.length / this.columns);
+        this.setSpacerRows(this.topSpacer, Math.floor(start / this.columns));
+        this.setSpacerRows(this.bottomSpacer, rows - Math.ceil(end / this.columns));
+
+        this.listeners.render(added);
+    }
+
+    /**
+     * Create a card element from its HTML
+     * @param {string} html - Card HTML
+     * @returns {HTMLElement} .media-card element
+     */
+    createCard(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    /**
+     * Create an empty full-width row that holds the place of unrendered cards
+     * @returns {HTMLElement} Spacer element
+     */
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'gallery-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.hidden = true;
+        return spacer;
+    }
+
+    /**
+     * Size a spacer to stand in for a number of rows
+     * @param {HTMLElement} spacer - Spacer element
+     * @param {number} rows - Rows it replaces
+     */
+    setSpacerRows(spacer, rows) {
+        const height = rows * this.rowHeight - this.gap;
+        spacer.hidden = height <= 0;
+        spacer.style.height = `${Math.max(0, height)}px`;
+    }
+}
+
+// Image Editor - Crop, rotate, flip, resize and colour adjustments with a live canvas preview
+class ImageEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Preview canvas; crop areas are dragged out on it
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.image = null;
+        this.state = null;
+        this.drag = null;           // Crop gesture in progress { mode, startX, startY, crop }
+        this.previewSize = 720;     // Longest side of the preview in canvas pixels
+        // Older Safari ignores context.filter, so adjustments fall back to pixel maths there
+        this.filterSupported = typeof CanvasRenderingContext2D !== 'undefined' &&
+            'filter' in CanvasRenderingContext2D.prototype;
+        this.listeners = {
+            change: () => {}
+        };
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => this.handlePointerUp());
+        canvas.addEventListener('pointercancel', () => this.handlePointerUp());
+    }
+
+    /**
+     * Register the listener called whenever the edit changes
+     * @param {string} event - 'change'
+     * @param {Function} callback - Listener
+     */
+    on(event, callback) {
+        this.listeners[event] = callback;
+    }
+
+    /**
+     * Decode an image and start a fresh edit
+     * @param {Blob} file - Image file
+     * @returns {Promise<void>}
+     */
+    load(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            const timer = setTimeout(() => finish(new Error('Timed out decoding image')), ThumbnailGenerator.loadTimeout);
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                img.onload = null;
+                img.onerror = null;
+                URL.revokeObjectURL(url);
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                this.image = img;
+                this.reset();
+                resolve();
+            };
+
+            img.onload = () => finish();
+            img.onerror = () => finish(new Error('Image could not be decoded'));
+            img.src = url;
+        });
+    }
+
+    /**
+     * Undo every change made since the image was loaded
+     */
+    reset() {
+        this.state = {
+            rotation: 0,        // Clockwise degrees: 0, 90, 180 or 270
+            flipX: false,
+            flipY: false,
+            crop: null,         // { x, y, width, height } in rotated image pixels, or null for all
+            aspect: null,       // Width / height the crop is held to, or null for free
+            width: null,        // Output size, or null for the crop size
+            height: null,
+            brightness: 100,    // Percentages, 100 = unchanged
+            contrast: 100,
+            saturation: 100
+        };
+        this.update();
+    }
+
+    /**
+     * Whether anything has been changed
+     * @returns {boolean} True if saving would alter the image
+     */
+    isModified() {
+        const s = this.state;
+        return s.rotation !== 0 || s.flipX || s.flipY || s.crop !== null || s.width !== null ||
+            s.brightness !== 100 || s.contrast !== 100 || s.saturation !== 100;
+    }
+
+    /**
+     * Size of the image after rotation
+     * @returns {Object} { width, height }
+     */
+    getRotatedSize() {
+        const { naturalWidth: width, naturalHeight: height } = this.image;
+        return this.state.rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+    }
+
+    /**
+     * Area of the rotated image that will be kept
+     * @returns {Object} { x, y, width, height }
+     */
+    getCropRect() {
+        return this.state.crop || { x: 0, y: 0, ...this.getRotatedSize() };
+    }
+
+    /**
+     * Size of the saved image
+     * @returns {Object} { width, height }
+     */
+    getOutputSize() {
+        if (this.state.width && this.state.height) {
+            return { width: this.state.width, height: this.state.height };
+        }
+        const crop = this.getCropRect();
+        // Browsers can't allocate canvases much larger than this, so bigger images are scaled down to it
+        const scale = Math.min(1, AppConfig.maxImageDimension / Math.max(crop.width, crop.height));
+        return {
+            width: Math.max(1, Math.round(crop.width * scale)),
+            height: Math.max(1, Math.round(crop.height * scale))
+        };
+    }
+
+    /**
+     * Rotate by a quarter turn
+     * @param {number} degrees - 90 or -90
+     */
+    rotate(degrees) {
+        const crop = this.state.crop;
+        const { width, height } = this.getRotatedSize();
+        // Turn the crop area with the image so the selection stays on the same content
+        if (crop) {
+            this.state.crop = degrees > 0
+                ? { x: height - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+                : { x: crop.y, y: width - crop.x - crop.width, width: crop.height, height: crop.width };
+        }
+        if (this.state.aspect) {
+            this.state.aspect = 1 / this.state.aspect;
+        }
+        if (this.state.width && this.state.height) {
+            [this.state.width, this.state.height] = [this.state.height, this.state.width];
+        }
+        this.state.rotation = (this.state.rotation + degrees + 360) % 360;
+        this.update();
+    }
+
+    /**
+     * Mirror the image
+     * @param {string} axis - 'x' to flip left-right, 'y' to flip top-bottom
+     */
+    flip(axis) {
+        const crop = this.state.crop;
+        const { width, height } = this.getRotatedSize();
+        if (axis === 'x') {
+            this.state.flipX = !this.state.flipX;
+            if (crop) crop.x = width - crop.x - crop.width;
+        } else {
+            this.state.flipY = !this.state.flipY;
+            if (crop) crop.y = height - crop.y - crop.height;
+        }
+        this.update();
+    }
+
+    /**
+     * Hold the crop area to an aspect ratio
+     * @param {number|null} aspect - Width / height, or null for free cropping
+     */
+    setAspect(aspect) {
+        this.state.aspect = aspect;
+        if (aspect) {
+            // Largest area of that shape centred on the current selection
+            const current = this.getCropRect();
+            const bounds = this.getRotatedSize();
+            let width = current.width;
+            let height = width / aspect;
+            if (height > current.height) {
+                height = current.height;
+                width = height * aspect;
+            }
+            this.setCrop({
+                x: current.x + (current.width - width) / 2,
+                y: current.y + (current.height - height) / 2,
+                width: Math.min(width, bounds.width),
+                height: Math.min(height, bounds.height)
+            });
+            return;
+        }
+        this.update();
+    }
+
+    /**
+     * Select the area to keep, clamped to the image
+     * @param {Object|null} rect - { x, y, width, height } in rotated image pixels, or null for all
+     */
+    setCrop(rect) {
+        if (rect) {
+            const bounds = this.getRotatedSize();
+            const width = Math.max(1, Math.round(Math.min(rect.width, bounds.width)));
+            const height = Math.max(1, Math.round(Math.min(rect.height, bounds.height)));
+            rect = {
+                x: Math.round(Math.min(Math.max(0, rect.x), bounds.width - width)),
+                y: Math.round(Math.min(Math.max(0, rect.y), bounds.height - height)),
+                width,
+                height
+            };
+        }
+        this.state.crop = rect;
+        // A new selection invalidates any explicit output size
+        this.state.width = null;
+        this.state.height = null;
+        this.update();
+    }
+
+    /**
+     * Scale the result to a given size
+     * @param {number|null} width - Output width, or null for the crop size
+     * @param {number|null} height - Output height, or null for the crop size
+     */
+    setOutputSize(width, height) {
+        const valid = value => Number.isFinite(value) && value >= 1 && value <= AppConfig.maxImageDimension;
+        if (valid(width) && valid(height)) {
+            this.state.width = Math.round(width);
+            this.state.height = Math.round(height);
+        } else {
+            this.state.width = null;
+            this.state.height = null;
+        }
+        this.update();
+    }
+
+    /**
+     * Change a colour adjustment
+     * @param {string} name - 'brightness', 'contrast' or 'saturation'
+     * @param {number} value - Percentage, 100 = unchanged
+     */
+    setAdjustment(name, value) {
+        this.state[name] = Math.min(200, Math.max(0, Number(value) || 0));
+        this.update();
+    }
+
+    /**
+     * CSS filter for the colour adjustments
+     * @returns {string} Canvas filter string
+     */
+    getFilter() {
+        const { brightness, contrast, saturation } = this.state;
+        return `brightness(${brightness}%) contrast(${contrast}%) saturate(${saturation}%)`;
+    }
+
+    /**
+     * Draw the rotated and flipped image onto a context
+     * @param {CanvasRenderingContext2D} context - Target
+     * @param {number} scale - Size of the drawing relative to the image
+     */
+    drawRotated(context, scale) {
+        const { width, height } = this.getRotatedSize();
+        context.save();
+        context.scale(scale, scale);
+        context.translate(width / 2, height / 2);
+        // Flips apply to the rotated picture, so they come before the rotation here
+        context.scale(this.state.flipX ? -1 : 1, this.state.flipY ? -1 : 1);
+        context.rotate(this.state.rotation * Math.PI / 180);
+        context.drawImage(this.image, -this.image.naturalWidth / 2, -this.image.naturalHeight / 2);
+        context.restore();
+    }
+
+    /**
+     * Redraw the preview and notify the listener
+     */
+    update() {
+        this.render();
+        this.listeners.change(this.state);
+    }
+
+    /**
+     * Draw the preview: the whole rotated image with the crop area highlighted
+     */
+    render() {
+        if (!this.image) return;
+
+        const { width, height } = this.getRotatedSize();
+        const scale = Math.min(1, this.previewSize / Math.max(width, height));
+        this.canvas.width = Math.max(1, Math.round(width * scale));
+        this.canvas.height = Math.max(1, Math.round(height * scale));
+
+        const context = this.context;
+        context.filter = this.getFilter();
+        this.drawRotated(context, scale);
+        context.filter = 'none';
+        if (!this.filterSupported) {
+            this.applyAdjustments(context, this.canvas.width, this.canvas.height);
+        }
+
+        const crop = this.state.crop;
+        if (!crop) return;
+
+        // Dim everything outside the crop area
+        const x = crop.x * scale;
+        const y = crop.y * scale;
+        const w = crop.width * scale;
+        const h = crop.height * scale;
+        context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        context.fillRect(0, 0, this.canvas.width, y);
+        context.fillRect(0, y + h, this.canvas.width, this.canvas.height - y - h);
+        context.fillRect(0, y, x, h);
+        context.fillRect(x + w, y, this.canvas.width - x - w, h);
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 2;
+        context.setLineDash([6, 4]);
+        context.strokeRect(x + 1, y + 1, Math.max(0, w - 2), Math.max(0, h - 2));
+        context.setLineDash([]);
+    }
+
+    /**
+     * Apply the colour adjustments pixel by pixel, for browsers without canvas filters
+     * @param {CanvasRenderingContext2D} context - Context holding the drawing
+     * @param {number} width - Drawing width
+     * @param {number} height - Drawing height
+     */
+    applyAdjustments(context, width, height) {
+        const brightness = this.state.brightness / 100;
+        const contrast = this.state.contrast / 100;
+        const saturation = this.state.saturation / 100;
+        if (brightness === 1 && contrast === 1 && saturation === 1) return;
+
+        const imageData = context.getImageData(0, 0, width, height);
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            let r = data[i] * brightness;
+            let g = data[i + 1] * brightness;
+            let b = data[i + 2] * brightness;
+            r = (r - 128) * contrast + 128;
+            g = (g - 128) * contrast + 128;
+            b = (b - 128) * contrast + 128;
+            const gray = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            data[i] = gray + (r - gray) * saturation;
+            data[i + 1] = gray + (g - gray) * saturation;
+            data[i + 2] = gray + (b - gray) * saturation;
+        }
+        context.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Render the edited image at full size
+     * @param {string} mimeType - Preferred output type
+     * @returns {Promise<Blob>} Encoded image
+     */
+    toBlob(mimeType) {
+        const type = this.getOutputType(mimeType);
+        const crop = this.getCropRect();
+        const size = this.getOutputSize();
+        const output = document.createElement('canvas');
+        output.width = size.width;
+        output.height = size.height;
+        const context = output.getContext('2d');
+        if (type === 'image/jpeg') {
+            // JPEG has no alpha; keep transparent areas white
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, size.width, size.height);
+        }
+        // Drawn straight at the output size: a canvas as large as the source may be more than the browser allows
+        context.imageSmoothingQuality = 'high';
+        context.filter = this.getFilter();
+        context.save();
+        context.scale(size.width / crop.width, size.height / crop.height);
+        context.translate(-crop.x, -crop.y);
+        this.drawRotated(context, 1);
+        context.restore();
+        context.filter = 'none';
+        if (!this.filterSupported) {
+            this.applyAdjustments(context, size.width, size.height);
+        }
+
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    const error = new Error('Edited image could not be encoded');
+                    error.name = 'EncodingError';
+                    reject(error);
+                }
+            }, type, 0.92);
+        });
+    }
+
+    /**
+     * Pick an encodable output type, keeping the original where possible
+     * @param {string} mimeType - Original MIME type
+     * @returns {string} 'image/jpeg', 'image/webp' or 'image/png'
+     */
+    getOutputType(mimeType) {
+        return ['image/jpeg', 'image/webp', 'image/png'].includes(mimeType) ? mimeType : 'image/png';
+    }
+
+    /**
+     * Convert a pointer position to rotated image pixels
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {Object} { x, y }
+     */
+    toImagePoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { width, height } = this.getRotatedSize();
+        return {
+            x: Math.min(width, Math.max(0, (event.clientX - rect.left) * width / rect.width)),
+            y: Math.min(height, Math.max(0, (event.clientY - rect.top) * height / rect.height))
+        };
+    }
+
+    /**
+     * Start moving the crop area, or drawing a new one
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        if (!this.image || event.button !== 0) return;
+
+        const point = this.toImagePoint(event);
+        const crop = this.state.crop;
+        const inside = crop && point.x >= crop.x && point.x <= crop.x + crop.width &&
+            point.y >= crop.y && point.y <= crop.y + crop.height;
+
+        this.drag = { mode: inside ? 'move' : 'draw', startX: point.x, startY: point.y, crop: crop && { ...crop } };
+        this.canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    /**
+     * Move or resize the crop area with the pointer
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerMove(event) {
+        if (!this.drag) return;
+
+        const point = this.toImagePoint(event);
+        const { mode, startX, startY, crop } = this.drag;
+
+        if (mode === 'move') {
+            this.setCrop({ ...crop, x: crop.x + point.x - startX, y: crop.y + point.y - startY });
+            return;
+        }
+
+        let width = Math.abs(point.x - startX);
+        let height = Math.abs(point.y - startY);
+        if (this.state.aspect) {
+            // Follow whichever side the pointer moved further along
+            if (width / height > this.state.aspect) {
+                height = width / this.state.aspect;
+            } else {
+                width = height * this.state.aspect;
+            }
+            // Keep the whole area inside the image on the side being dragged towards
+            const bounds = this.getRotatedSize();
+            const roomX = point.x < startX ? startX : bounds.width - startX;
+            const roomY = point.y < startY ? startY : bounds.height - startY;
+            const fit = Math.min(1, roomX / width, roomY / height);
+            width *= fit;
+            height *= fit;
+        }
+        this.setCrop({
+            x: point.x < startX ? startX - width : startX,
+            y: point.y < startY ? startY - height : startY,
+            width,
+            height
+        });
+    }
+
+    /**
+     * Finish a crop gesture; a click without dragging clears the crop
+     */
+    handlePointerUp() {
+        if (!this.drag) return;
+
+        const crop = this.state.crop;
+        if (this.drag.mode === 'draw' && crop && (crop.width < 4 || crop.height < 4)) {
+            this.setCrop(null);
+        }
+        this.drag = null;
+    }
+}
+
+// Application Initialization
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!AppConfig.autoStart) return;
+    console.log('MediaMix Hub initializing...');
+    
+    // Cache DOM elements
+    initializeDOMElements();
+    
+    // Translate the page before anything renders
+    await I18n.setLocale(I18n.detectLocale());
+    renderLocaleOptions();
+    
+    // Set up event listeners
+    setupEventListeners();
+    // Toasts stay usable above dialogs
+    DialogFocus.init([document.querySelector('.app-container'), DOM.miniPlayer]);
+    
+    // Restore gallery filters from the URL
+    AppState.filters = GalleryFilters.fromQueryString(window.location.search);
+    syncFilterControls();
+    
+    // Enter the share view before anything renders; item dialogs open once the library has loaded
+    const route = HashRouter.parse(window.location.hash);
+    setShareView(route.shareIds);
+    setGalleryLayout(Preferences.get('layout', 'grid'));
+    
+    // Dock the player's media element and restore its shuffle and repeat modes
+    DOM.playerScreen.appendChild(mediaPlayer.media);
+    mediaPlayer.setShuffle(Preferences.get('playerShuffle', false));
+    mediaPlayer.setRepeat(Preferences.get('playerRepeat', 'off'));
+    
+    // Offline support
+    registerServiceWorker();
+    setupSyncStatus();
+    
+    // Initialize configured backend
+    await mediaAPI.init();
+    reportLoadProblems(mediaAPI.loadReport);
+    
+    // Stay in step with the hub open in other tabs
+    mediaAPI.on('externalChange', handleExternalChange);
+    mediaAPI.watchOtherTabs();
+    
+    // Initial render
+    await renderGallery();
+    await purgeExpiredTrash();
+    await warnIfStorageLow();
+    applyRoute(route);
+    
+    console.log('MediaMix Hub initialized successfully');
+});
+
+/**
+ * Tell the user about stored data that could not be loaded normally
+ * @param {Object|null} report - Backend load report
+ */
+function reportLoadProblems(report) {
+    if (!report) return;
+
+    if (report.readOnly) {
+        Utils.showMessage(I18n.t('load.readOnly'), 'error', 15000);
+    } else if (report.fallback) {
+        Utils.showMessage(I18n.t(report.fallback === 'backup' ? 'load.fromBackup' : 'load.unreadable'), 'warning', 15000);
+    } else if (report.quarantined > 0) {
+        Utils.showMessage(I18n.t('load.quarantined', { count: report.quarantined }), 'warning', 10000);
+    }
+}
+
+/**
+ * Cache all DOM elements for performance
+ */
+function initializeDOMElements() {
+    // Upload Section
+    DOM.uploadSection = document.getElementById('uploadSection');
+    DOM.uploadForm = document.getElementById('uploadForm');
+    DOM.fileInput = document.getElementById('fileInput');
+    DOM.descriptionInput = document.getElementById('descriptionInput');
+    DOM.uploadBtn = document.getElementById('uploadBtn');
+    DOM.uploadSpinner = document.getElementById('uploadSpinner');
+    DOM.fileInfo = document.getElementById('fileInfo');
+    DOM.uploadQueue = document.getElementById('uploadQueue');
+    DOM.clearQueue = document.getElementById('clearQueue');
+    DOM.charCount = document.getElementById('charCount');
+    DOM.uploadTagInput = new TagInput(document.getElementById('uploadTags'));
+    
+    // Gallery Section
+    DOM.galleryContainer = document.getElementById('galleryContainer');
+    DOM.galleryView = new GalleryView(DOM.galleryContainer, createMediaCard);
+    DOM.galleryStats = document.getElementById('galleryStats');
+    DOM.emptyState = document.getElementById('emptyState');
+    DOM.noResults = document.getElementById('noResults');
+    
+    // Gallery Toolbar
+    DOM.searchInput = document.getElementById('searchInput');
+    DOM.typeFilters = document.getElementById('typeFilters');
+    DOM.minSizeFilter = document.getElementById('minSizeFilter');
+    DOM.maxSizeFilter = document.getElementById('maxSizeFilter');
+    DOM.fromDateFilter = document.getElementById('fromDateFilter');
+    DOM.toDateFilter = document.getElementById('toDateFilter');
+    DOM.minDurationFilter = document.getElementById('minDurationFilter');
+    DOM.maxDurationFilter = document.getElementById('maxDurationFilter');
+    DOM.orientationFilter = document.getElementById('orientationFilter');
+    DOM.sortField = document.getElementById('sortField');
+    DOM.sortOrder = document.getElementById('sortOrder');
+    DOM.clearFilters = document.getElementById('clearFilters');
+    DOM.layoutToggle = document.getElementById('layoutToggle');
+    
+    // Collections and Tags Sidebar
+    DOM.collectionList = document.getElementById('collectionList');
+    DOM.tagList = document.getElementById('tagList');
+    DOM.newCollection = document.getElementById('newCollection');
+    DOM.newTag = document.getElementById('newTag');
+    DOM.tagSuggestions = document.getElementById('tagSuggestions');
+    DOM.trashList = document.getElementById('trashList');
+    DOM.playlistList = document.getElementById('playlistList');
+    DOM.newPlaylist = document.getElementById('newPlaylist');
+    
+    // Bulk Action Bar
+    DOM.bulkBar = document.getElementById('bulkBar');
+    DOM.selectAll = document.getElementById('selectAll');
+    DOM.selectionCount = document.getElementById('selectionCount');
+    DOM.bulkDelete = document.getElementById('bulkDelete');
+    DOM.bulkDownload = document.getElementById('bulkDownload');
+    DOM.bulkShare = document.getElementById('bulkShare');
+    DOM.bulkRestore = document.getElementById('bulkRestore');
+    DOM.bulkPurge = document.getElementById('bulkPurge');
+    DOM.bulkPlaylist = document.getElementById('bulkPlaylist');
+    DOM.bulkReplace = document.getElementById('bulkReplace');
+    DOM.findText = document.getElementById('findText');
+    DOM.replaceText = document.getElementById('replaceText');
+    DOM.matchCase = document.getElementById('matchCase');
+    DOM.replaceButton = document.getElementById('replaceButton');
+    
+    // Trash View
+    DOM.trashBanner = document.getElementById('trashBanner');
+    DOM.trashInfo = document.getElementById('trashInfo');
+    DOM.emptyTrash = document.getElementById('emptyTrash');
+    DOM.trashEmpty = document.getElementById('trashEmpty');
+    
+    // Edit Modal
+    DOM.editModal = document.getElementById('editModal');
+    DOM.editDescriptionInput = document.getElementById('editDescriptionInput');
+    DOM.editCharCount = document.getElementById('editCharCount');
+    DOM.editTagInput = new TagInput(document.getElementById('editTags'));
+    DOM.editCollections = document.getElementById('editCollections');
+    DOM.modalClose = document.getElementById('modalClose');
+    DOM.cancelEdit = document.getElementById('cancelEdit');
+    DOM.saveEdit = document.getElementById('saveEdit');
+    
+    // View Modal
+    DOM.viewModal = document.getElementById('viewModal');
+    DOM.viewModalTitle = document.getElementById('viewModalTitle');
+    DOM.viewModalClose = document.getElementById('viewModalClose');
+    DOM.mediaPreview = document.getElementById('mediaPreview');
+    DOM.mediaDetails = document.getElementById('mediaDetails');
+    DOM.closeView = document.getElementById('closeView');
+    DOM.setThumbnail = document.getElementById('setThumbnail');
+    DOM.editImage = document.getElementById('editImage');
+    
+    // Clip Trimming
+    DOM.clipEditor = document.getElementById('clipEditor');
+    DOM.clipRange = document.getElementById('clipRange');
+    DOM.clipTimeline = document.getElementById('clipTimeline');
+    DOM.clipSelection = document.getElementById('clipSelection');
+    DOM.clipPlayhead = document.getElementById('clipPlayhead');
+    DOM.setClipStart = document.getElementById('setClipStart');
+    DOM.setClipEnd = document.getElementById('setClipEnd');
+    DOM.playClip = document.getElementById('playClip');
+    DOM.exportClip = document.getElementById('exportClip');
+    DOM.clipStatus = document.getElementById('clipStatus');
+    
+    // Image Editor
+    DOM.imageEditorModal = document.getElementById('imageEditorModal');
+    DOM.imageEditorTitle = document.getElementById('imageEditorTitle');
+    DOM.imageEditorClose = document.getElementById('imageEditorClose');
+    DOM.imageEditor = new ImageEditor(document.getElementById('imageEditorCanvas'));
+    DOM.cropAspect = document.getElementById('cropAspect');
+    DOM.clearCrop = document.getElementById('clearCrop');
+    DOM.imageTransforms = document.getElementById('imageTransforms');
+    DOM.resizeWidth = document.getElementById('resizeWidth');
+    DOM.resizeHeight = document.getElementById('resizeHeight');
+    DOM.resizeLock = document.getElementById('resizeLock');
+    DOM.imageAdjustments = document.getElementById('imageAdjustments');
+    DOM.imageEditorSize = document.getElementById('imageEditorSize');
+    DOM.resetImageEdit = document.getElementById('resetImageEdit');
+    DOM.cancelImageEdit = document.getElementById('cancelImageEdit');
+    DOM.saveImageEdit = document.getElementById('saveImageEdit');
+    
+    // Library Export and Import
+    DOM.exportZip = document.getElementById('exportZip');
+    DOM.exportJson = document.getElementById('exportJson');
+    DOM.exportCsv = document.getElementById('exportCsv');
+    DOM.importLibrary = document.getElementById('importLibrary');
+    DOM.importFile = document.getElementById('importFile');
+    DOM.findDuplicates = document.getElementById('findDuplicates');
+    DOM.openStorage = document.getElementById('openStorage');
+    DOM.importModal = document.getElementById('importModal');
+    DOM.importModalClose = document.getElementById('importModalClose');
+    DOM.importFileName = document.getElementById('importFileName');
+    DOM.importModes = document.getElementById('importModes');
+    DOM.importSummary = document.getElementById('importSummary');
+    DOM.cancelImport = document.getElementById('cancelImport');
+    DOM.confirmImport = document.getElementById('confirmImport');
+    
+    // Share View
+    DOM.shareBanner = document.getElementById('shareBanner');
+    DOM.shareInfo = document.getElementById('shareInfo');
+    DOM.copyShareLink = document.getElementById('copyShareLink');
+    
+    // Offline Sync
+    DOM.syncStatus = document.getElementById('syncStatus');
+    DOM.syncMessage = document.getElementById('syncMessage');
+    DOM.reviewConflicts = document.getElementById('reviewConflicts');
+    DOM.conflictModal = document.getElementById('conflictModal');
+    DOM.conflictModalClose = document.getElementById('conflictModalClose');
+    DOM.conflictList = document.getElementById('conflictList');
+    DOM.closeConflicts = document.getElementById('closeConflicts');
+    
+    // Duplicate Detection
+    DOM.duplicateModal = document.getElementById('duplicateModal');
+    DOM.duplicateModalClose = document.getElementById('duplicateModalClose');
+    DOM.duplicateList = document.getElementById('duplicateList');
+    DOM.cancelDuplicates = document.getElementById('cancelDuplicates');
+    DOM.confirmDuplicates = document.getElementById('confirmDuplicates');
+    DOM.duplicateFinderModal = document.getElementById('duplicateFinderModal');
+    DOM.duplicateFinderClose = document.getElementById('duplicateFinderClose');
+    DOM.duplicateFinderStatus = document.getElementById('duplicateFinderStatus');
+    DOM.duplicateGroups = document.getElementById('duplicateGroups');
+    DOM.closeDuplicateFinder = document.getElementById('closeDuplicateFinder');
+    DOM.storageModal = document.getElementById('storageModal');
+    DOM.storageModalClose = document.getElementById('storageModalClose');
+    DOM.storageAlert = document.getElementById('storageAlert');
+    DOM.storageMeter = document.getElementById('storageMeter');
+    DOM.storageMeterFill = document.getElementById('storageMeterFill');
+    DOM.storageUsage = document.getElementById('storageUsage');
+    DOM.storagePersistence = document.getElementById('storagePersistence');
+    DOM.persistStorage = document.getElementById('persistStorage');
+    DOM.storageBreakdown = document.getElementById('storageBreakdown');
+    DOM.storageActions = document.getElementById('storageActions');
+    DOM.storageLargest = document.getElementById('storageLargest');
+    DOM.closeStorage = document.getElementById('closeStorage');
+    
+    // Playlist Dialog
+    DOM.playlistModal = document.getElementById('playlistModal');
+    DOM.playlistTitle = document.getElementById('playlistTitle');
+    DOM.playlistModalClose = document.getElementById('playlistModalClose');
+    DOM.playlistInfo = document.getElementById('playlistInfo');
+    DOM.playlistItems = document.getElementById('playlistItems');
+    DOM.renamePlaylist = document.getElementById('renamePlaylist');
+    DOM.deletePlaylist = document.getElementById('deletePlaylist');
+    DOM.playPlaylist = document.getElementById('playPlaylist');
+    
+    // Mini-Player
+    DOM.miniPlayer = document.getElementById('miniPlayer');
+    DOM.playerScreen = document.getElementById('playerScreen');
+    DOM.playerTitle = document.getElementById('playerTitle');
+    DOM.playerSubtitle = document.getElementById('playerSubtitle');
+    DOM.playerShuffle = document.getElementById('playerShuffle');
+    DOM.playerPrevious = document.getElementById('playerPrevious');
+    DOM.playerPlay = document.getElementById('playerPlay');
+    DOM.playerNext = document.getElementById('playerNext');
+    DOM.playerRepeat = document.getElementById('playerRepeat');
+    DOM.playerSeek = document.getElementById('playerSeek');
+    DOM.playerTime = document.getElementById('playerTime');
+    DOM.playerDuration = document.getElementById('playerDuration');
+    DOM.playerClose = document.getElementById('playerClose');
+    
+    // Notifications and Activity Feed
+    DOM.notifications = document.getElementById('notifications');
+    DOM.openActivity = document.getElementById('openActivity');
+    DOM.activityModal = document.getElementById('activityModal');
+    DOM.activityModalClose = document.getElementById('activityModalClose');
+    DOM.activityFilter = document.getElementById('activityFilter');
+    DOM.activityList = document.getElementById('activityList');
+    DOM.clearActivity = document.getElementById('clearActivity');
+    DOM.closeActivity = document.getElementById('closeActivity');
+    
+    // Keyboard Shortcuts
+    DOM.shortcutsModal = document.getElementById('shortcutsModal');
+    DOM.shortcutsModalClose = document.getElementById('shortcutsModalClose');
+    DOM.closeShortcuts = document.getElementById('closeShortcuts');
+    
+    // Screen Reader Announcements
+    DOM.liveStatus = document.getElementById('liveStatus');
+    DOM.liveAlert = document.getElementById('liveAlert');
+    
+    // Language
+    DOM.localeSelect = document.getElementById('localeSelect');
+}
+
+/**
+ * Set up all event listeners
+ */
+function setupEventListeners() {
+    // Upload form events
+    DOM.uploadForm.addEventListener('submit', handleUpload);
+    DOM.fileInput.addEventListener('change', handleFileSelect);
+    DOM.descriptionInput.addEventListener('input', updateCharCount);
+    
+    // Drag and drop onto the upload section
+    DOM.uploadSection.addEventListener('dragover', handleDragOver);
+    DOM.uploadSection.addEventListener('dragleave', handleDragLeave);
+    DOM.uploadSection.addEventListener('drop', handleDrop);
+    
+    // Upload queue events
+    DOM.uploadQueue.addEventListener('click', handleQueueClick);
+    DOM.uploadQueue.addEventListener('input', handleQueueInput);
+    DOM.clearQueue.addEventListener('click', handleClearQueue);
+    uploadQueue.on('change', updateQueueRow);
+    uploadQueue.on('uploaded', handleQueueUploaded);
+    uploadQueue.on('drained', handleQueueDrained);
+    
+    // Media library events
+    library.on('item:created', scheduleGalleryRefresh);
+    library.on('item:updated', scheduleGalleryRefresh);
+    library.on('item:deleted', scheduleGalleryRefresh);
+    library.on('item:deleted', handleItemDeleted);
+    ActivityLog.watch(library);
+    
+    // Edit modal events
+    DOM.modalClose.addEventListener('click', closeEditModal);
+    DOM.cancelEdit.addEventListener('click', closeEditModal);
+    DOM.saveEdit.addEventListener('click', handleSaveEdit);
+    DOM.editDescriptionInput.addEventListener('input', updateEditCharCount);
+    
+    // View modal events
+    DOM.viewModalClose.addEventListener('click', closeViewModal);
+    DOM.closeView.addEventListener('click', closeViewModal);
+    DOM.setThumbnail.addEventListener('click', handleSetThumbnail);
+    DOM.editImage.addEventListener('click', openImageEditor);
+    
+    // Clip trimming events
+    DOM.clipTimeline.addEventListener('pointerdown', handleClipPointerDown);
+    DOM.clipTimeline.addEventListener('pointermove', handleClipPointerMove);
+    DOM.clipTimeline.addEventListener('pointerup', handleClipPointerUp);
+    DOM.clipTimeline.addEventListener('pointercancel', handleClipPointerUp);
+    DOM.clipTimeline.addEventListener('keydown', handleClipMarkerKeydown);
+    DOM.setClipStart.addEventListener('click', () => setClipMarker('start', AppState.clip.media.currentTime));
+    DOM.setClipEnd.addEventListener('click', () => setClipMarker('end', AppState.clip.media.currentTime));
+    DOM.playClip.addEventListener('click', handlePlayClip);
+    DOM.exportClip.addEventListener('click', handleExportClip);
+    
+    // Image editor events
+    DOM.imageEditor.on('change', renderImageEditorControls);
+    DOM.cropAspect.addEventListener('change', handleCropAspectChange);
+    DOM.clearCrop.addEventListener('click', () => DOM.imageEditor.setCrop(null));
+    DOM.imageTransforms.addEventListener('click', handleImageTransformClick);
+    DOM.resizeWidth.addEventListener('change', () => handleResizeInput('width'));
+    DOM.resizeHeight.addEventListener('change', () => handleResizeInput('height'));
+    DOM.imageAdjustments.addEventListener('input', handleImageAdjustmentInput);
+    DOM.resetImageEdit.addEventListener('click', handleResetImageEdit);
+    DOM.imageEditorClose.addEventListener('click', closeImageEditor);
+    DOM.cancelImageEdit.addEventListener('click', closeImageEditor);
+    DOM.saveImageEdit.addEventListener('click', handleSaveImageEdit);
+    
+    // Close modals on overlay click
+    DOM.editModal.addEventListener('click', (e) => {
+        if (e.target === DOM.editModal) {
+            closeEditModal();
+        }
+    });
+    
+    DOM.viewModal.addEventListener('click', (e) => {
+        if (e.target === DOM.viewModal) {
+            closeViewModal();
+        }
+    });
+    
+    DOM.imageEditorModal.addEventListener('click', (e) => {
+        if (e.target === DOM.imageEditorModal) {
+            closeImageEditor();
+        }
+    });
+    
+    DOM.duplicateModal.addEventListener('click', (e) => {
+        if (e.target === DOM.duplicateModal) {
+            closeDuplicateModal(false);
+        }
+    });
+    
+    DOM.duplicateFinderModal.addEventListener('click', (e) => {
+        if (e.target === DOM.duplicateFinderModal) {
+            closeDuplicateFinder();
+        }
+    });
+    
+    DOM.shortcutsModal.addEventListener('click', (e) => {
+        if (e.target === DOM.shortcutsModal) {
+            closeShortcutsModal();
+        }
+    });
+    
+    DOM.storageModal.addEventListener('click', (e) => {
+        if (e.target === DOM.storageModal) {
+            closeStoragePanel();
+        }
+    });
+    
+    DOM.activityModal.addEventListener('click', (e) => {
+        if (e.target === DOM.activityModal) {
+            closeActivityPanel();
+        }
+    });
+    
+    DOM.playlistModal.addEventListener('click', (e) => {
+        if (e.target === DOM.playlistModal) {
+            closePlaylistModal();
+        }
+    });
+    
+    DOM.importModal.addEventListener('click', (e) => {
+        if (e.target === DOM.importModal) {
+            closeImportModal();
+        }
+    });
+    
+    DOM.conflictModal.addEventListener('click', (e) => {
+        if (e.target === DOM.conflictModal) {
+            closeConflictModal();
+        }
+    });
+    
+    // Item links and the share view
+    window.addEventListener('popstate', handleRouteChange);
+    DOM.copyShareLink.addEventListener('click', handleCopyShareLink);
+    
+    // Offline sync events
+    DOM.reviewConflicts.addEventListener('click', openConflictModal);
+    DOM.conflictList.addEventListener('click', handleConflictListClick);
+    DOM.conflictModalClose.addEventListener('click', closeConflictModal);
+    DOM.closeConflicts.addEventListener('click', closeConflictModal);
+    
+    // Library export and import events
+    DOM.exportZip.addEventListener('click', () => handleExport('zip'));
+    DOM.exportJson.addEventListener('click', () => handleExport('json'));
+    DOM.exportCsv.addEventListener('click', () => handleExport('csv'));
+    DOM.importLibrary.addEventListener('click', () => DOM.importFile.click());
+    DOM.importFile.addEventListener('change', handleImportFileSelect);
+    DOM.importModes.addEventListener('change', renderImportSummary);
+    DOM.importModalClose.addEventListener('click', closeImportModal);
+    DOM.cancelImport.addEventListener('click', closeImportModal);
+    DOM.confirmImport.addEventListener('click', handleConfirmImport);
+    
+    // Duplicate detection events
+    DOM.duplicateModalClose.addEventListener('click', () => closeDuplicateModal(false));
+    DOM.cancelDuplicates.addEventListener('click', () => closeDuplicateModal(false));
+    DOM.confirmDuplicates.addEventListener('click', () => closeDuplicateModal(true));
+    DOM.findDuplicates.addEventListener('click', openDuplicateFinder);
+    DOM.duplicateGroups.addEventListener('click', handleDuplicateGroupsClick);
+    DOM.duplicateFinderClose.addEventListener('click', closeDuplicateFinder);
+    DOM.closeDuplicateFinder.addEventListener('click', closeDuplicateFinder);
+    
+    // Storage panel events
+    DOM.openStorage.addEventListener('click', () => openStoragePanel());
+    DOM.persistStorage.addEventListener('click', handlePersistStorage);
+    DOM.storageActions.addEventListener('click', handleStorageActionsClick);
+    DOM.storageLargest.addEventListener('click', handleStorageLargestClick);
+    DOM.storageModalClose.addEventListener('click', closeStoragePanel);
+    DOM.closeStorage.addEventListener('click', closeStoragePanel);
+    
+    // Activity feed events
+    DOM.openActivity.addEventListener('click', openActivityPanel);
+    DOM.activityFilter.addEventListener('change', renderActivityPanel);
+    DOM.activityList.addEventListener('click', handleActivityListClick);
+    DOM.clearActivity.addEventListener('click', handleClearActivity);
+    DOM.activityModalClose.addEventListener('click', closeActivityPanel);
+    DOM.closeActivity.addEventListener('click', closeActivityPanel);
+    
+    // Gallery toolbar events
+    DOM.searchInput.addEventListener('input', handleFilterInput);
+    [
+        DOM.minSizeFilter, DOM.maxSizeFilter, DOM.fromDateFilter, DOM.toDateFilter,
+        DOM.minDurationFilter, DOM.maxDurationFilter, DOM.orientationFilter, DOM.sortField
+    ].forEach(control => {
+        control.addEventListener('change', handleFilterInput);
+    });
+    DOM.typeFilters.addEventListener('click', handleTypeFilterClick);
+    DOM.sortOrder.addEventListener('click', handleSortOrderClick);
+    DOM.clearFilters.addEventListener('click', handleClearFilters);
+    DOM.layoutToggle.addEventListener('click', handleLayoutToggleClick);
+    
+    // Collections and tags sidebar events
+    DOM.collectionList.addEventListener('click', handleCollectionListClick);
+    DOM.tagList.addEventListener('click', handleTagListClick);
+    DOM.newCollection.addEventListener('click', handleNewCollection);
+    DOM.newTag.addEventListener('click', handleNewTag);
+    DOM.trashList.addEventListener('click', handleTrashListClick);
+    DOM.emptyTrash.addEventListener('click', handleEmptyTrash);
+    
+    // Bulk action bar events
+    DOM.selectAll.addEventListener('change', handleSelectAllChange);
+    DOM.bulkDelete.addEventListener('click', handleBulkDelete);
+    DOM.bulkDownload.addEventListener('click', handleBulkDownload);
+    DOM.bulkShare.addEventListener('click', handleBulkShare);
+    DOM.bulkRestore.addEventListener('click', handleBulkRestore);
+    DOM.bulkPurge.addEventListener('click', handleBulkPurge);
+    DOM.bulkPlaylist.addEventListener('change', handleBulkPlaylistChange);
+    DOM.bulkReplace.addEventListener('submit', handleFindReplace);
+    
+    // Playlist events
+    DOM.playlistList.addEventListener('click', handlePlaylistListClick);
+    DOM.newPlaylist.addEventListener('click', handleNewPlaylist);
+    DOM.playlistItems.addEventListener('click', handlePlaylistItemsClick);
+    DOM.playlistItems.addEventListener('dragstart', handlePlaylistDragStart);
+    DOM.playlistItems.addEventListener('dragover', handlePlaylistDragOver);
+    DOM.playlistItems.addEventListener('dragleave', clearPlaylistDropMarkers);
+    DOM.playlistItems.addEventListener('drop', handlePlaylistDrop);
+    DOM.playlistItems.addEventListener('dragend', handlePlaylistDragEnd);
+    DOM.renamePlaylist.addEventListener('click', handleRenamePlaylist);
+    DOM.deletePlaylist.addEventListener('click', handleDeletePlaylist);
+    DOM.playPlaylist.addEventListener('click', () => playPlaylist(AppState.openPlaylistId));
+    DOM.playlistModalClose.addEventListener('click', closePlaylistModal);
+    
+    // Mini-player events
+    mediaPlayer.on('change', renderMiniPlayer);
+    mediaPlayer.on('time', renderPlayerProgress);
+    mediaPlayer.on('error', error => Utils.showMessage(error.message));
+    DOM.playerPlay.addEventListener('click', () => mediaPlayer.togglePlay());
+    DOM.playerPrevious.addEventListener('click', () => mediaPlayer.previous());
+    DOM.playerNext.addEventListener('click', () => mediaPlayer.next());
+    DOM.playerShuffle.addEventListener('click', handlePlayerShuffle);
+    DOM.playerRepeat.addEventListener('click', handlePlayerRepeat);
+    DOM.playerSeek.addEventListener('input', () => mediaPlayer.seek(Number(DOM.playerSeek.value)));
+    DOM.playerClose.addEventListener('click', () => mediaPlayer.stop());
+    
+    // Undo and redo
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Gallery card actions, and keyboard navigation of the gallery and the shortcut list
+    DOM.galleryContainer.addEventListener('keydown', handleGalleryKeydown);
+    DOM.galleryContainer.addEventListener('click', handleGalleryClick);
+    DOM.galleryView.on('render', handleGalleryRender);
+    DOM.galleryContainer.addEventListener('focusin', handleGalleryFocusIn);
+    document.addEventListener('keydown', handleShortcutHelpKey);
+    DOM.shortcutsModalClose.addEventListener('click', closeShortcutsModal);
+    DOM.closeShortcuts.addEventListener('click', closeShortcutsModal);
+    
+    // Language switcher
+    DOM.localeSelect.addEventListener('change', handleLocaleChange);
+    
+    // Close only the topmost dialog on Escape key; the ones it was opened over stay open
+    const closeDialog = new Map([
+        [DOM.editModal, closeEditModal],
+        [DOM.viewModal, closeViewModal],
+        [DOM.imageEditorModal, closeImageEditor],
+        [DOM.duplicateModal, () => closeDuplicateModal(false)],
+        [DOM.duplicateFinderModal, closeDuplicateFinder],
+        [DOM.storageModal, closeStoragePanel],
+        [DOM.activityModal, closeActivityPanel],
+        [DOM.shortcutsModal, closeShortcutsModal],
+        [DOM.playlistModal, closePlaylistModal],
+        [DOM.importModal, closeImportModal],
+        [DOM.conflictModal, closeConflictModal]
+    ]);
+    document.addEventListener('keydown', (e) => {
+        const top = DialogFocus.stack[DialogFocus.stack.length - 1];
+        if (e.key === 'Escape' && top) {
+            closeDialog.get(top.overlay)();
+        }
+    });
+}
+
+/**
+ * Handle file selection
+ * @param {Event} event - File input change event
+ */
+function handleFileSelect(event) {
+    addFilesToQueue(event.target.files);
+
+    // Reset the input so the same file can be picked again later
+    event.target.value = '';
+}
+
+/**
+ * Highlight the upload section while files are dragged over it
+ * @param {DragEvent} event - Drag event
+ */
+function handleDragOver(event) {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    DOM.uploadSection.classList.add('drag-over');
+}
+
+/**
+ * Remove the drop highlight once the drag leaves the upload section
+ * @param {DragEvent} event - Drag event
+ */
+function handleDragLeave(event) {
+    if (!DOM.uploadSection.contains(event.relatedTarget)) {
+        DOM.uploadSection.classList.remove('drag-over');
+    }
+}
+
+/**
+ * Add dropped files to the upload queue
+ * @param {DragEvent} event - Drop event
+ */
+function handleDrop(event) {
+    if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+
+    event.preventDefault();
+    DOM.uploadSection.classList.remove('drag-over');
+    addFilesToQueue(event.dataTransfer.files);
+}
+
+/**
+ * Add files to the upload queue and show them
+ * @param {FileList|Array<File>} files - Files to add
+ */
+function addFilesToQueue(files) {
+    if (!files || files.length === 0) return;
+
+    // Trashed items still take up storage until they are purged
+    const usedBytes = library.items.reduce((sum, item) => sum + (item.fileSize || 0), 0);
+    uploadQueue.add(files, usedBytes);
+    renderUploadQueue();
+}
+
+/**
+ * Render the upload queue rows and summary
+ */
+function renderUploadQueue() {
+    const entries = uploadQueue.entries;
+
+    DOM.uploadQueue.innerHTML = entries.map(entry => createQueueRow(entry)).join('');
+    DOM.clearQueue.style.display = entries.length > 0 ? 'inline-block' : 'none';
+    updateQueueSummary();
+}
+
+/**
+ * Update the "N files selected" summary line
+ */
+function updateQueueSummary() {
+    const entries = uploadQueue.entries;
+
+    if (entries.length === 0) {
+        DOM.fileInfo.textContent = '';
+        return;
+    }
+
+    const invalid = entries.filter(entry => entry.status === 'invalid');
+    const checking = entries.filter(entry => entry.status === 'checking').length;
+    const pending = uploadQueue.getPending().length;
+    const parts = [
+        I18n.t('queue.inQueue', { count: entries.length }),
+        I18n.t('queue.ready', { count: pending })
+    ];
+    if (checking > 0) {
+        parts.push(I18n.t('queue.checking', { count: checking }));
+    }
+    if (invalid.length > 0) {
+        parts.push(I18n.t('queue.rejected', { count: invalid.length }));
+    }
+    const summary = parts.join(I18n.t('common.listSeparator'));
+
+    // Say which rule each rejected file broke
+    const reasons = invalid.map(entry => `
+        <li><span class="file-info-name">${escapeHtml(entry.file.name)}</span>: ${escapeHtml(entry.error)}</li>
+    `).join('');
+    DOM.fileInfo.innerHTML = escapeHtml(summary) + (reasons ? `<ul class="file-info-errors">${reasons}</ul>` : '');
+}
+
+/**
+ * Create HTML for an upload queue row
+ * @param {Object} entry - Queue entry
+ * @returns {string} HTML string
+ */
+function createQueueRow(entry) {
+    const { file } = entry;
+    const fileType = Utils.getFileType(file.type);
+    const icon = Utils.getFileIcon(fileType);
+    const editable = ['checking', 'pending', 'failed', 'cancelled'].includes(entry.status);
+
+    return `
+        <div class="queue-row status-${entry.status}" data-entry-id="${entry.id}">
+            <div class="queue-file">
+                <span class="queue-icon">${icon}</span>
+                <span class="queue-name">${escapeHtml(file.name)}</span>
+                <span class="queue-size">${Utils.formatFileSize(file.size)}</span>
+                <span class="queue-status">${getQueueStatusText(entry)}</span>
+            </div>
+            <input
+                type="text"
+                class="queue-description"
+                data-entry-id="${entry.id}"
+                placeholder="${I18n.html('queue.sharedDescription')}"
+                maxlength="500"
+                value="${escapeHtml(entry.description)}"
+                ${editable ? '' : 'disabled'}
+            >
+            <div class="queue-progress">
+                <div class="queue-progress-bar" style="width: ${Math.round(entry.progress * 100)}%"></div>
+            </div>
+            <div class="queue-actions">
+                ${createQueueActions(entry)}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Create the action buttons for an upload queue row
+ * @param {Object} entry - Queue entry
+ * @returns {string} HTML string
+ */
+function createQueueActions(entry) {
+    const buttons = [];
+
+    if (entry.status === 'queued' || entry.status === 'uploading') {
+        buttons.push(`<button type="button" class="action-btn queue-cancel-btn" data-entry-id="${entry.id}">${I18n.html('common.cancel')}</button>`);
+    }
+    if (entry.status === 'failed' || entry.status === 'cancelled') {
+        buttons.push(`<button type="button" class="action-btn queue-retry-btn" data-entry-id="${entry.id}">${I18n.html('queue.retry')}</button>`);
+    }
+    if (entry.status !== 'uploading' && entry.status !== 'queued') {
+        buttons.push(`<button type="button" class="action-btn queue-remove-btn" data-entry-id="${entry.id}">${I18n.html('queue.remove')}</button>`);
+    }
+
+    return buttons.join('');
+}
+
+/**
+ * Get the status label for an upload queue row
+ * @param {Object} entry - Queue entry
+ * @returns {string} Escaped status text
+ */
+function getQueueStatusText(entry) {
+    const labels = {
+        checking: `🔍 ${I18n.html('queue.status.checking')}`,
+        pending: `✅ ${I18n.html('queue.status.pending')}`,
+        queued: `⏳ ${I18n.html('queue.status.queued')}`,
+        uploading: `⬆️ ${I18n.formatNumber(entry.progress, { style: 'percent' })}`,
+        done: `✔️ ${I18n.html('queue.status.done')}`,
+        cancelled: `⏹️ ${I18n.html('queue.status.cancelled')}`,
+        skipped: `⏭️ ${I18n.html('queue.status.skipped')}`,
+        merged: `🔗 ${I18n.html('queue.status.merged')}`,
+        failed: `❌ ${escapeHtml(entry.error)}`,
+        invalid: `❌ ${I18n.html('queue.status.invalid')}`
+    };
+    return labels[entry.status] || '';
+}
+
+/**
+ * Update a single queue row in place, keeping focus in other rows
+ * @param {Object} entry - Queue entry
+ */
+function updateQueueRow(entry) {
+    const row = DOM.uploadQueue.querySelector(`.queue-row[data-entry-id="${entry.id}"]`);
+    if (!row) return;
+
+    const editable = ['checking', 'pending', 'failed', 'cancelled'].includes(entry.status);
+
+    row.className = `queue-row status-${entry.status}`;
+    row.querySelector('.queue-status').innerHTML = getQueueStatusText(entry);
+    row.querySelector('.queue-progress-bar').style.width = `${Math.round(entry.progress * 100)}%`;
+    row.querySelector('.queue-description').disabled = !editable;
+    row.querySelector('.queue-actions').innerHTML = createQueueActions(entry);
+    updateQueueSummary();
+}
+
+/**
+ * Handle clicks on upload queue row buttons
+ * @param {Event} event - Click event
+ */
+function handleQueueClick(event) {
+    const button = event.target.closest('button[data-entry-id]');
+    if (!button) return;
+
+    const id = button.getAttribute('data-entry-id');
+
+    if (button.classList.contains('queue-cancel-btn')) {
+        uploadQueue.cancel(id);
+    } else if (button.classList.contains('queue-retry-btn')) {
+        uploadQueue.retry(id);
+        Utils.setLoadingState(true);
+    } else if (button.classList.contains('queue-remove-btn')) {
+        uploadQueue.remove(id);
+        renderUploadQueue();
+    }
+}
+
+/**
+ * Store per-file description edits on the queue entry
+ * @param {Event} event - Input event
+ */
+function handleQueueInput(event) {
+    if (!event.target.classList.contains('queue-description')) return;
+
+    const entry = uploadQueue.get(event.target.getAttribute('data-entry-id'));
+    if (entry) {
+        entry.description = event.target.value;
+    }
+}
+
+/**
+ * Remove finished rows from the upload queue
+ */
+function handleClearQueue() {
+    uploadQueue.clearFinished();
+    renderUploadQueue();
+}
+
+/**
+ * Update character count for description input
+ */
+function updateCharCount() {
+    const count = DOM.descriptionInput.value.length;
+    DOM.charCount.textContent = `${count}/500`;
+    DOM.charCount.style.color = count > 450 ? '#dc3545' : '#6c757d';
+}
+
+/**
+ * Update character count for edit modal
+ */
+function updateEditCharCount() {
+    const count = DOM.editDescriptionInput.value.length;
+    DOM.editCharCount.textContent = `${count}/500`;
+    DOM.editCharCount.style.color = count > 450 ? '#dc3545' : '#6c757d';
+}
+
+/**
+ * Handle upload form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleUpload(event) {
+    event.preventDefault();
+
+    if (AppState.isLoading) return;
+
+    const entries = uploadQueue.entries;
+    const pending = uploadQueue.getPending();
+    const description = DOM.descriptionInput.value.trim();
+
+    // Validation
+    if (entries.length === 0) {
+        Utils.showMessage(I18n.t('upload.noFiles'));
+        return;
+    }
+
+    if (entries.some(entry => entry.status === 'checking')) {
+        Utils.showMessage(I18n.t('upload.stillChecking'));
+        return;
+    }
+
+    if (pending.length === 0) {
+        Utils.showMessage(I18n.t('upload.noValidFiles'));
+        return;
+    }
+
+    // Each file is uploaded with its own description, or the shared one if it has none
+    const descriptionError = pending
+        .map(entry => MediaValidation.checkDescription(entry.description.trim() || description))
+        .find(Boolean);
+    if (descriptionError) {
+        Utils.showMessage(I18n.t(descriptionError.code === 'description.empty'
+            ? 'upload.descriptionRequired'
+            : 'common.descriptionTooLong'));
+        return;
+    }
+
+    Utils.setLoadingState(true);
+    const tags = DOM.uploadTagInput.getTags();
+    
+    // Offer to skip files whose exact content is already in the library
+    await hashQueueEntries(pending);
+    const duplicates = findUploadDuplicates(pending);
+    if (duplicates.length > 0) {
+        const decisions = await askAboutDuplicates(duplicates);
+        if (!decisions) {
+            Utils.setLoadingState(false);
+            return;
+        }
+        
+        for (const { entry, existing } of duplicates) {
+            const decision = decisions.get(entry.id);
+            if (decision === 'skip') {
+                uploadQueue.skip(entry.id);
+            } else if (decision === 'merge') {
+                try {
+                    await mergeIntoExisting(existing, entry.description.trim() || description, tags);
+                    uploadQueue.skip(entry.id, 'merged');
+                } catch (error) {
+                    console.error('Failed to merge descriptions:', error);
+                    uploadQueue.skip(entry.id);
+                    Utils.showMessage(I18n.t('upload.mergeFailed', { name: entry.file.name }));
+                }
+            }
+        }
+    }
+    
+    const uploading = uploadQueue.getPending();
+    const bytes = uploading.reduce((sum, entry) => sum + entry.file.size, 0);
+    if (!await confirmStorageSpace(bytes, uploading.length)) {
+        Utils.setLoadingState(false);
+        return;
+    }
+    
+    uploadQueue.start(description, tags);
+}
+
+/**
+ * Check there is room before storing more, asking first when storage would be nearly full
+ * @param {number} bytes - File content about to be stored
+ * @param {number} records - Number of items about to be added
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function confirmStorageSpace(bytes, records) {
+    const report = await StorageMonitor.report(mediaAPI);
+    const { level, free } = StorageMonitor.forecast(report, bytes, records);
+
+    if (level === 'full') {
+        Utils.showMessage(free !== null && bytes > free
+            ? I18n.t('storage.notEnoughSpace', { needed: Utils.formatFileSize(bytes), free: Utils.formatFileSize(free) })
+            : I18n.t('storage.indexFull'));
+        openStoragePanel(true);
+        return false;
+    }
+    if (level === 'low') {
+        return confirm(I18n.t('storage.confirmLow'));
+    }
+    return true;
+}
+
+/**
+ * Compute the SHA-256 of queue entries not hashed yet
+ * @param {Array<Object>} entries - Queue entries
+ */
+async function hashQueueEntries(entries) {
+    for (const entry of entries) {
+        if (entry.contentHash !== undefined) continue;
+        try {
+            entry.contentHash = await ContentHasher.sha256(entry.file);
+        } catch (error) {
+            // Unhashed files are uploaded without a duplicate check
+            console.warn('Failed to hash file:', entry.file.name, error);
+            entry.contentHash = null;
+        }
+    }
+}
+
+/**
+ * Find pending entries whose content is already in the library or earlier in the batch
+ * @param {Array<Object>} entries - Pending queue entries, hashed
+ * @returns {Array<Object>} { entry, existing, earlier } where existing is a media item and earlier a queue entry
+ */
+function findUploadDuplicates(entries) {
+    // Items in the library win over copies in the trash
+    const byHash = new Map();
+    [...library.items]
+        .sort((a, b) => Boolean(b.deletedAt) - Boolean(a.deletedAt))
+        .filter(item => item.contentHash)
+        .forEach(item => byHash.set(item.contentHash, item));
+
+    const seen = new Map();
+    const duplicates = [];
+    entries.filter(entry => entry.contentHash).forEach(entry => {
+        const existing = byHash.get(entry.contentHash) || null;
+        const earlier = seen.get(entry.contentHash) || null;
+        if (existing || earlier) {
+            duplicates.push({ entry, existing, earlier });
+        } else {
+            seen.set(entry.contentHash, entry);
+        }
+    });
+    return duplicates;
+}
+
+/**
+ * Ask what to do with each duplicate file
+ * @param {Array<Object>} duplicates - From findUploadDuplicates()
+ * @returns {Promise<Map<string, string>|null>} 'skip', 'upload' or 'merge' per entry ID; null to cancel the upload
+ */
+function askAboutDuplicates(duplicates) {
+    return new Promise(resolve => {
+        AppState.duplicatePrompt = { duplicates, resolve };
+        DOM.duplicateList.innerHTML = duplicates.map(({ entry, existing, earlier }) => `
+            <li class="duplicate-item">
+                ${existing ? createThumbPlaceholder(existing, 'duplicate-thumb') : ''}
+                <div class="duplicate-details">
+                    <div class="duplicate-name">${escapeHtml(entry.file.name)} <span class="duplicate-meta">${Utils.formatFileSize(entry.file.size)}</span></div>
+                    <div class="duplicate-meta">
+                        ${existing
+                            ? I18n.html(existing.deletedAt ? 'duplicates.sameAsTrashed' : 'duplicates.sameAs', {
+                                name: `<strong>${escapeHtml(existing.fileName)}</strong>`,
+                                date: escapeHtml(Utils.formatDate(existing.uploadDate))
+                            })
+                            : I18n.html('duplicates.sameAsEarlier', { name: `<strong>${escapeHtml(earlier.file.name)}</strong>` })}
+                    </div>
+                    ${existing && existing.description ? `<div class="duplicate-description">${escapeHtml(existing.description)}</div>` : ''}
+                    <div class="duplicate-choices" role="radiogroup" aria-label="${I18n.html('duplicates.choiceLabel', { name: escapeHtml(entry.file.name) })}">
+                        <label><input type="radio" name="duplicate-${entry.id}" value="skip" checked> ${I18n.html('duplicates.skip')}</label>
+                        <label><input type="radio" name="duplicate-${entry.id}" value="upload"> ${I18n.html('duplicates.upload')}</label>
+                        ${existing ? `<label><input type="radio" name="duplicate-${entry.id}" value="merge"> ${I18n.html('duplicates.merge')}</label>` : ''}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+        DOM.duplicateModal.classList.add('show');
+        loadCardThumbnails(DOM.duplicateList);
+    });
+}
+
+/**
+ * Close the duplicate dialog, answering its question
+ * @param {boolean} confirmed - Whether to go ahead with the chosen actions
+ */
+function closeDuplicateModal(confirmed) {
+    const prompt = AppState.duplicatePrompt;
+    DOM.duplicateModal.classList.remove('show');
+    AppState.duplicatePrompt = null;
+    if (!prompt) return;
+
+    if (!confirmed) {
+        prompt.resolve(null);
+        return;
+    }
+    const decisions = new Map(prompt.duplicates.map(({ entry }) => [
+        entry.id,
+        DOM.duplicateList.querySelector(`input[name="duplicate-${entry.id}"]:checked`).value
+    ]));
+    prompt.resolve(decisions);
+}
+
+/**
+ * Add an upload's description and tags to the item it duplicates instead of uploading it again
+ * @param {Object} item - Existing media item
+ * @param {string} description - Description given for the upload
+ * @param {Array<string>} tags - Tags given for the upload
+ */
+async function mergeIntoExisting(item, description, tags) {
+    const before = { description: item.description, tags: item.tags || [] };
+    const text = description.trim();
+    const after = {
+        description: !text || item.description.includes(text)
+            ? item.description
+            : [item.description, text].filter(Boolean).join('\n\n').slice(0, MediaValidation.descriptionLimit),
+        tags: [...new Set([...before.tags, ...tags])]
+    };
+    if (after.description === before.description && after.tags.length === before.tags.length) return;
+
+    await library.update(item.id, after);
+    undoHistory.record({
+        label: I18n.t('history.merge', { name: item.fileName }),
+        ids: [item.id],
+        undo: options => library.update(item.id, before, options),
+        redo: options => library.update(item.id, after, options)
+    });
+}
+
+/**
+ * Make each queued upload undoable as it completes
+ * @param {Object} entry - Queue entry
+ * @param {Object} item - Created media item
+ */
+function handleQueueUploaded(entry, item) {
+    undoHistory.record({
+        label: I18n.t('history.upload', { name: item.fileName }),
+        ids: [item.id],
+        // The file content stays stored in the trash so the upload can be redone
+        undo: options => library.trash([item.id], options),
+        redo: options => library.restore([item.id], options)
+    });
+}
+
+/**
+ * Report the result of a finished upload batch
+ * @param {Object} summary - Counts of done, failed and cancelled entries
+ */
+function handleQueueDrained(summary) {
+    Utils.setLoadingState(false);
+
+    if (summary.outOfSpace > 0) {
+        Utils.showMessage(I18n.t('upload.outOfSpace', { count: summary.outOfSpace }));
+        openStoragePanel(true);
+        return;
+    }
+    if (summary.failed > 0) {
+        Utils.showMessage(I18n.t('upload.failed', { count: summary.failed }));
+        return;
+    }
+
+    const duplicates = [];
+    if (summary.skipped > 0) duplicates.push(I18n.t('upload.skipped', { count: summary.skipped }));
+    if (summary.merged > 0) duplicates.push(I18n.t('upload.merged', { count: summary.merged }));
+    const note = duplicates.join(I18n.t('common.listSeparator'));
+    if (summary.done > 0) {
+        Utils.showMessage(note
+            ? I18n.t('upload.successWithNote', { count: summary.done, note })
+            : I18n.t('upload.success', { count: summary.done }), 'success');
+    } else if (duplicates.length > 0) {
+        Utils.showMessage(I18n.t('upload.nothingNew', { note }), 'success');
+    }
+
+    // Clear form once everything in the batch went through
+    if (summary.cancelled === 0) {
+        uploadQueue.clearFinished();
+        DOM.uploadForm.reset();
+        DOM.uploadTagInput.setTags([]);
+        updateCharCount();
+        renderUploadQueue();
+    }
+}
+
+/**
+ * Reload the media items from the backend and render the gallery; changes made through
+ * the library re-render it by themselves (see scheduleGalleryRefresh)
+ * @param {string|null} [source] - What changed the items past the library, reported with the
+ *     changes the reload finds (see ActivityLog); null when it was the user
+ */
+async function renderGallery(source = null) {
+    try {
+        await library.load({ source });
+        await refreshGallery();
+    } catch (error) {
+        console.error('Failed to render gallery:', error);
+        Utils.showMessage(I18n.t('gallery.loadFailed'));
+    }
+}
+
+/**
+ * Re-render the gallery after a library change event
+ */
+function scheduleGalleryRefresh() {
+    // A batch of changes, e.g. a bulk action or an import, causes a single re-render
+    clearTimeout(AppState.galleryRefreshTimer);
+    AppState.galleryRefreshTimer = setTimeout(async () => {
+        try {
+            await refreshGallery();
+        } catch (error) {
+            console.error('Failed to render gallery:', error);
+            Utils.showMessage(I18n.t('gallery.loadFailed'));
+        }
+    });
+}
+
+/**
+ * Render the loaded media items along with the current tags, collections and playlists
+ * @returns {Promise<void>}
+ */
+async function refreshGallery() {
+    clearTimeout(AppState.galleryRefreshTimer);
+    await loadLibraryMeta();
+    pruneThumbnailCache();
+    renderGalleryItems();
+}
+
+/**
+ * Render the loaded media items through the current filters
+ */
+function renderGalleryItems() {
+    if (AppState.shareIds) {
+        renderSharedItems();
+        return;
+    }
+    
+    const inTrash = AppState.filters.trash;
+    // The gallery shows either the library or the trash, never both
+    const mediaItems = library.items.filter(item => Boolean(item.deletedAt) === inTrash);
+    const visibleItems = library.query(AppState.filters);
+    
+    // Bulk actions only ever apply to cards on screen
+    AppState.visibleIds = visibleItems.map(item => item.id);
+    const visibleIds = new Set(AppState.visibleIds);
+    AppState.selectedIds.forEach(id => {
+        if (!visibleIds.has(id)) AppState.selectedIds.delete(id);
+    });
+    
+    renderSidebar();
+    renderBulkBar();
+
+    // Update stats
+    const filtered = MediaQuery.isActive(AppState.filters);
+    const statsKey = `gallery.${filtered ? 'shown' : 'count'}${inTrash ? 'InTrash' : ''}`;
+    DOM.galleryStats.textContent = I18n.t(statsKey, { count: mediaItems.length, shown: visibleItems.length });
+
+    DOM.trashBanner.classList.toggle('show', inTrash && mediaItems.length > 0);
+    DOM.trashInfo.textContent = I18n.t('trash.retention', { count: AppConfig.trashRetentionDays });
+
+    // Show/hide empty state
+    if (mediaItems.length === 0) {
+        DOM.emptyState.classList.toggle('show', !inTrash);
+        DOM.trashEmpty.classList.toggle('show', inTrash);
+        DOM.noResults.classList.remove('show');
+        DOM.galleryView.setItems([]);
+        return;
+    }
+
+    DOM.emptyState.classList.remove('show');
+    DOM.trashEmpty.classList.remove('show');
+    DOM.noResults.classList.toggle('show', visibleItems.length === 0);
+
+    // Only the cards near the viewport are rendered; the rest follow as the page scrolls
+    DOM.galleryView.setItems(visibleItems);
+}
+
+/**
+ * Fill in card thumbnails, fetching those not loaded yet
+ * @param {HTMLElement} [container] - Element holding the placeholders, the gallery by default
+ */
+async function loadCardThumbnails(container = DOM.galleryContainer) {
+    const placeholders = container.querySelectorAll('.media-thumb[data-thumb-id]');
+
+    for (const placeholder of placeholders) {
+        const id = placeholder.getAttribute('data-thumb-id');
+        let url = AppState.thumbnailUrls.get(id);
+
+        if (!url) {
+            const blob = await mediaAPI.getMediaThumbnail(id);
+            if (!blob) continue;
+            url = URL.createObjectURL(blob);
+            AppState.thumbnailUrls.set(id, url);
+        }
+
+        // The gallery may have been re-rendered while we were loading
+        if (placeholder.isConnected) {
+            showCardThumbnail(placeholder, url);
+        }
+    }
+}
+
+/**
+ * Show a loaded thumbnail inside a card placeholder
+ * @param {HTMLElement} placeholder - .media-thumb element
+ * @param {string} url - Thumbnail object URL
+ */
+function showCardThumbnail(placeholder, url) {
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = '';
+    placeholder.replaceChildren(img);
+    placeholder.classList.add('loaded');
+}
+
+/**
+ * Release thumbnail URLs of items that are gone or whose thumbnail changed
+ * @param {string} [changedId] - Item whose thumbnail was replaced
+ */
+function pruneThumbnailCache(changedId) {
+    const ids = new Set(library.items.map(item => item.id));
+
+    AppState.thumbnailUrls.forEach((url, id) => {
+        if (!ids.has(id) || id === changedId) {
+            URL.revokeObjectURL(url);
+            AppState.thumbnailUrls.delete(id);
+            DOM.galleryView.invalidate(id);
+        }
+    });
+}
+
+/**
+ * Switch the gallery layout and remember the choice
+ * @param {string} layout - 'grid', 'list' or 'large'
+ */
+function setGalleryLayout(layout) {
+    const layouts = ['grid', 'list', 'large'];
+    AppState.layout = layouts.includes(layout) ? layout : 'grid';
+    Preferences.set('layout', AppState.layout);
+
+    layouts.forEach(name => DOM.galleryContainer.classList.toggle(`layout-${name}`, name === AppState.layout));
+    DOM.galleryView.relayout();
+    DOM.layoutToggle.querySelectorAll('.layout-btn').forEach(btn => {
+        const active = btn.getAttribute('data-layout') === AppState.layout;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+    });
+}
+
+/**
+ * Handle clicks on the layout toggle buttons
+ * @param {Event} event - Click event
+ */
+function handleLayoutToggleClick(event) {
+    const button = event.target.closest('.layout-btn');
+    if (button) {
+        setGalleryLayout(button.getAttribute('data-layout'));
+    }
+}
+
+/**
+ * Copy the filter state into the toolbar controls
+ */
+function syncFilterControls() {
+    const filters = AppState.filters;
+
+    DOM.searchInput.value = filters.query;
+    DOM.minSizeFilter.value = filters.minSize;
+    DOM.maxSizeFilter.value = filters.maxSize;
+    DOM.fromDateFilter.value = filters.from;
+    DOM.toDateFilter.value = filters.to;
+    DOM.minDurationFilter.value = filters.minDuration;
+    DOM.maxDurationFilter.value = filters.maxDuration;
+    DOM.orientationFilter.value = filters.orientation;
+    DOM.sortField.value = filters.sort;
+    DOM.sortOrder.textContent = filters.order === 'asc' ? `↑ ${I18n.t('sort.ascending')}` : `↓ ${I18n.t('sort.descending')}`;
+    DOM.sortOrder.setAttribute('data-order', filters.order);
+
+    DOM.typeFilters.querySelectorAll('.filter-chip').forEach(chip => {
+        const active = filters.types.includes(chip.getAttribute('data-type'));
+        chip.classList.toggle('active', active);
+        chip.setAttribute('aria-pressed', String(active));
+    });
+
+    DOM.clearFilters.disabled = !MediaQuery.isActive(filters);
+}
+
+/**
+ * Apply a filter change: update the URL, the controls and the gallery
+ * @param {Object} changes - Filter state changes
+ */
+function updateFilters(changes) {
+    AppState.filters = { ...AppState.filters, ...changes };
+
+    // replaceState keeps filter tweaks out of the back-button history
+    const query = GalleryFilters.toQueryString(AppState.filters, window.location.search);
+    history.replaceState(history.state, '', `${window.location.pathname}${query}${window.location.hash}`);
+
+    syncFilterControls();
+    renderGalleryItems();
+}
+
+/**
+ * Handle input in the toolbar's text, number and date fields
+ */
+function handleFilterInput() {
+    updateFilters({
+        query: DOM.searchInput.value,
+        minSize: GalleryFilters.parseNumberParam(DOM.minSizeFilter.value),
+        maxSize: GalleryFilters.parseNumberParam(DOM.maxSizeFilter.value),
+        from: GalleryFilters.parseDateParam(DOM.fromDateFilter.value),
+        to: GalleryFilters.parseDateParam(DOM.toDateFilter.value),
+        minDuration: GalleryFilters.parseNumberParam(DOM.minDurationFilter.value),
+        maxDuration: GalleryFilters.parseNumberParam(DOM.maxDurationFilter.value),
+        orientation: DOM.orientationFilter.value,
+        sort: DOM.sortField.value
+    });
+}
+
+/**
+ * Toggle a file type filter chip
+ * @param {Event} event - Click event
+ */
+function handleTypeFilterClick(event) {
+    const chip = event.target.closest('.filter-chip');
+    if (!chip) return;
+
+    const type = chip.getAttribute('data-type');
+    const types = AppState.filters.types.includes(type)
+        ? AppState.filters.types.filter(t => t !== type)
+        : [...AppState.filters.types, type];
+
+    updateFilters({ types });
+}
+
+/**
+ * Flip the sort direction
+ */
+function handleSortOrderClick() {
+    updateFilters({ order: AppState.filters.order === 'asc' ? 'desc' : 'asc' });
+}
+
+/**
+ * Reset every filter, keeping the chosen sort and view
+ */
+function handleClearFilters() {
+    const { sort, order, trash } = AppState.filters;
+    updateFilters({ ...MediaQuery.defaults(), sort, order, trash });
+}
+
+/**
+ * Load tags, collections and playlists from the backend
+ */
+async function loadLibraryMeta() {
+    const [tags, collections, playlists] = await Promise.all([
+        mediaAPI.getTags(),
+        mediaAPI.getCollections(),
+        mediaAPI.getPlaylists()
+    ]);
+
+    // Tags used on items count as existing even if never registered
+    const usedTags = library.items.flatMap(item => item.tags || []);
+    AppState.tags = [...new Set([...tags, ...usedTags])].sort();
+    AppState.collections = collections;
+    AppState.playlists = playlists;
+
+    DOM.tagSuggestions.innerHTML = AppState.tags
+        .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+}
+
+/**
+ * Render the collections, playlists and tags sidebar
+ */
+function renderSidebar() {
+    const filters = AppState.filters;
+    const libraryItems = library.items.filter(item => !item.deletedAt);
+    const countBy = predicate => libraryItems.filter(predicate).length;
+
+    const allItem = `
+        <li class="sidebar-item ${filters.collection || filters.trash ? '' : 'active'}">
+            <button type="button" class="sidebar-link" data-collection="">
+                <span class="sidebar-name">${I18n.html('sidebar.allMedia')}</span>
+                <span class="sidebar-count">${libraryItems.length}</span>
+            </button>
+        </li>
+    `;
+
+    DOM.collectionList.innerHTML = allItem + AppState.collections.map(collection => `
+        <li class="sidebar-item ${filters.collection === collection.id && !filters.trash ? 'active' : ''}">
+            <button type="button" class="sidebar-link" data-collection="${collection.id}">
+                <span class="sidebar-name">📁 ${escapeHtml(collection.name)}</span>
+                <span class="sidebar-count">${countBy(item => (item.collectionIds || []).includes(collection.id))}</span>
+            </button>
+            <button type="button" class="sidebar-action rename-collection-btn" data-collection="${collection.id}" title="${I18n.html('collection.rename')}">✏️</button>
+            <button type="button" class="sidebar-action delete-collection-btn" data-collection="${collection.id}" title="${I18n.html('collection.delete')}">🗑️</button>
+        </li>
+    `).join('');
+
+    DOM.tagList.innerHTML = AppState.tags.length === 0
+        ? `<li class="sidebar-empty">${I18n.html('sidebar.noTags')}</li>`
+        : AppState.tags.map(tag => `
+            <li class="sidebar-item ${filters.tags.includes(tag) ? 'active' : ''}">
+                <button type="button" class="sidebar-link" data-tag="${escapeHtml(tag)}" aria-pressed="${filters.tags.includes(tag)}">
+                    <span class="sidebar-name"># ${escapeHtml(tag)}</span>
+                    <span class="sidebar-count">${countBy(item => (item.tags || []).includes(tag))}</span>
+                </button>
+                <button type="button" class="sidebar-action rename-tag-btn" data-tag="${escapeHtml(tag)}" title="${I18n.html('tag.rename')}">✏️</button>
+                <button type="button" class="sidebar-action delete-tag-btn" data-tag="${escapeHtml(tag)}" title="${I18n.html('tag.delete')}">🗑️</button>
+            </li>
+        `).join('');
+
+    DOM.trashList.innerHTML = `
+        <li class="sidebar-item ${filters.trash ? 'active' : ''}">
+            <button type="button" class="sidebar-link" data-view="trash">
+                <span class="sidebar-name">🗑️ ${I18n.html('sidebar.trash')}</span>
+                <span class="sidebar-count">${library.items.length - libraryItems.length}</span>
+            </button>
+        </li>
+    `;
+
+    renderPlaylists();
+}
+
+/**
+ * Toggle a tag in the gallery filter
+ * @param {string} tag - Tag name
+ */
+function toggleTagFilter(tag) {
+    const tags = AppState.filters.tags.includes(tag)
+        ? AppState.filters.tags.filter(t => t !== tag)
+        : [...AppState.filters.tags, tag];
+
+    updateFilters({ tags });
+}
+
+/**
+ * Handle clicks in the collections list
+ * @param {Event} event - Click event
+ */
+async function handleCollectionListClick(event) {
+    const button = event.target.closest('button[data-collection]');
+    if (!button) return;
+
+    const id = button.getAttribute('data-collection');
+
+    if (button.classList.contains('rename-collection-btn')) {
+        await handleRenameCollection(id);
+    } else if (button.classList.contains('delete-collection-btn')) {
+        await handleDeleteCollection(id);
+    } else {
+        updateFilters({ collection: id, trash: false });
+    }
+}
+
+/**
+ * Handle clicks in the tags list
+ * @param {Event} event - Click event
+ */
+async function handleTagListClick(event) {
+    const button = event.target.closest('button[data-tag]');
+    if (!button) return;
+
+    const tag = button.getAttribute('data-tag');
+
+    if (button.classList.contains('rename-tag-btn')) {
+        await handleRenameTag(tag);
+    } else if (button.classList.contains('delete-tag-btn')) {
+        await handleDeleteTag(tag);
+    } else {
+        toggleTagFilter(tag);
+    }
+}
+
+/**
+ * Create a new collection
+ */
+async function handleNewCollection() {
+    const name = prompt(I18n.t('collection.newPrompt'));
+    if (name === null) return;
+
+    try {
+        await mediaAPI.createCollection(name);
+        await renderGallery();
+        Utils.showMessage(I18n.t('collection.created', { name: name.trim() }), 'success');
+    } catch (error) {
+        console.error('Failed to create collection:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'collection.createFailed'));
+    }
+}
+
+/**
+ * Rename a collection
+ * @param {string} id - Collection ID
+ */
+async function handleRenameCollection(id) {
+    const collection = AppState.collections.find(c => c.id === id);
+    if (!collection) return;
+
+    const name = prompt(I18n.t('collection.renamePrompt'), collection.name);
+    if (name === null || name.trim() === collection.name) return;
+
+    try {
+        await mediaAPI.renameCollection(id, name);
+        await renderGallery();
+        Utils.showMessage(I18n.t('collection.renamed'), 'success');
+    } catch (error) {
+        console.error('Failed to rename collection:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'collection.renameFailed'));
+    }
+}
+
+/**
+ * Delete a collection, keeping its items
+ * @param {string} id - Collection ID
+ */
+async function handleDeleteCollection(id) {
+    const collection = AppState.collections.find(c => c.id === id);
+    if (!collection) return;
+
+    if (!confirm(I18n.t('collection.confirmDelete', { name: collection.name }))) {
+        return;
+    }
+
+    try {
+        await mediaAPI.deleteCollection(id);
+        if (AppState.filters.collection === id) {
+            updateFilters({ collection: '' });
+        }
+        await renderGallery();
+        Utils.showMessage(I18n.t('collection.deleted'), 'success');
+    } catch (error) {
+        console.error('Failed to delete collection:', error);
+        Utils.showMessage(I18n.t('collection.deleteFailed'));
+    }
+}
+
+/**
+ * Register a new tag
+ */
+async function handleNewTag() {
+    const name = prompt(I18n.t('tag.newPrompt'));
+    if (name === null) return;
+
+    try {
+        const tag = await mediaAPI.createTag(name);
+        await renderGallery();
+        Utils.showMessage(I18n.t('tag.created', { name: tag }), 'success');
+    } catch (error) {
+        console.error('Failed to create tag:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'tag.createFailed'));
+    }
+}
+
+/**
+ * Rename a tag on every item
+ * @param {string} tag - Current tag name
+ */
+async function handleRenameTag(tag) {
+    const name = prompt(I18n.t('tag.renamePrompt'), tag);
+    if (name === null || MediaValidation.normalizeTag(name) === tag) return;
+
+    try {
+        const renamed = await mediaAPI.renameTag(tag, name);
+        if (AppState.filters.tags.includes(tag)) {
+            updateFilters({ tags: [...new Set(AppState.filters.tags.map(t => (t === tag ? renamed : t)))] });
+        }
+        await renderGallery();
+        Utils.showMessage(I18n.t('tag.renamed'), 'success');
+    } catch (error) {
+        console.error('Failed to rename tag:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'tag.renameFailed'));
+    }
+}
+
+/**
+ * Delete a tag from every item
+ * @param {string} tag - Tag name
+ */
+async function handleDeleteTag(tag) {
+    if (!confirm(I18n.t('tag.confirmDelete', { name: tag }))) {
+        return;
+    }
+
+    try {
+        await mediaAPI.deleteTag(tag);
+        if (AppState.filters.tags.includes(tag)) {
+            updateFilters({ tags: AppState.filters.tags.filter(t => t !== tag) });
+        }
+        await renderGallery();
+        Utils.showMessage(I18n.t('tag.deleted'), 'success');
+    } catch (error) {
+        console.error('Failed to delete tag:', error);
+        Utils.showMessage(I18n.t('tag.deleteFailed'));
+    }
+}
+
+/**
+ * Create HTML for a thumbnail placeholder, filled in by loadCardThumbnails()
+ * @param {Object} item - Media item
+ * @param {string} [className] - Extra class for the placeholder
+ * @returns {string} HTML string
+ */
+function createThumbPlaceholder(item, className = '') {
+    return `
+        <div class="media-thumb media-thumb-${item.fileType} ${className}" ${item.hasThumbnail ? `data-thumb-id="${item.id}"` : ''}>
+            <span class="media-thumb-icon">${Utils.getFileIcon(item.fileType)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Create HTML for a media card
+ * @param {Object} item - Media item
+ * @returns {string} HTML string
+ */
+function createMediaCard(item) {
+    const icon = Utils.getFileIcon(item.fileType);
+    const daysLeft = item.deletedAt ? getTrashDaysLeft(item) : 0;
+    const formattedDate = item.deletedAt
+        ? I18n.t('card.deleted', { date: Utils.formatDate(item.deletedAt), count: daysLeft })
+        : Utils.formatDate(item.uploadDate);
+    let actions = item.deletedAt
+        ? `
+                <button class="action-btn restore-btn" data-id="${item.id}">${I18n.html('card.restore')}</button>
+                <button class="action-btn purge-btn" data-id="${item.id}">${I18n.html('card.purge')}</button>
+        `
+        : `
+                <button class="action-btn view-btn" data-id="${item.id}">${I18n.html('card.view')}</button>
+                <button class="action-btn edit-btn" data-id="${item.id}">${I18n.html('card.edit')}</button>
+                <button class="action-btn copy-link-btn" data-id="${item.id}">${I18n.html('card.copyLink')}</button>
+                <button class="action-btn delete-btn" data-id="${item.id}">${I18n.html('card.delete')}</button>
+        `;
+    // The share view is read-only
+    if (AppState.shareIds) {
+        actions = `<button class="action-btn view-btn" data-id="${item.id}">${I18n.html('card.view')}</button>`;
+    }
+    
+    return `
+        <div class="media-card ${item.deletedAt ? 'trashed' : ''}" data-id="${item.id}" tabindex="-1" role="group" aria-label="${escapeHtml(item.fileName)}">
+            ${AppState.shareIds ? '' : `<input type="checkbox" class="media-select" data-id="${item.id}" aria-label="${I18n.html('card.select', { name: escapeHtml(item.fileName) })}">`}
+            ${createThumbPlaceholder(item)}
+            <div class="media-header">
+                <div class="media-icon">${icon}</div>
+                <div class="media-info">
+                    <h3>${escapeHtml(item.fileName)}</h3>
+                    <div class="media-date">${formattedDate}</div>
+                </div>
+            </div>
+            <div class="media-description">${escapeHtml(item.description)}</div>
+            ${createTagChips(item.tags)}
+            <div class="media-actions">${actions}</div>
+        </div>
+    `;
+}
+
+/**
+ * Create HTML for an item's clickable tag chips
+ * @param {Array<string>} [tags] - Tag names
+ * @returns {string} HTML string
+ */
+function createTagChips(tags) {
+    if (!tags || tags.length === 0) return '';
+
+    // Shared items can't be filtered, so their tags are plain labels
+    if (AppState.shareIds) {
+        return `
+            <div class="media-tags">
+                ${tags.map(tag => `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    const active = AppState.filters.tags;
+    return `
+        <div class="media-tags">
+            ${tags.map(tag => `
+                <button class="tag-chip ${active.includes(tag) ? 'active' : ''}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Handle clicks on the buttons, checkboxes and tag chips of gallery cards
+ * @param {MouseEvent} event - Click event
+ */
+function handleGalleryClick(event) {
+    const target = event.target.closest('.action-btn, .media-select, button.tag-chip');
+    if (!target) return;
+
+    if (target.classList.contains('media-select')) {
+        handleSelectClick(event);
+        return;
+    }
+    if (target.classList.contains('tag-chip')) {
+        toggleTagFilter(target.getAttribute('data-tag'));
+        return;
+    }
+
+    const actions = {
+        'view-btn': openViewModal,
+        'edit-btn': openEditModal,
+        'copy-link-btn': handleCopyItemLink,
+        'delete-btn': handleDelete,
+        'restore-btn': handleRestore,
+        'purge-btn': handlePurge
+    };
+    const action = Object.keys(actions).find(name => target.classList.contains(name));
+    if (action) {
+        actions[action](target.getAttribute('data-id'));
+    }
+}
+
+/**
+ * Finish the cards the gallery view has just rendered
+ * @param {Array<HTMLElement>} added - New .media-card elements
+ */
+function handleGalleryRender(added) {
+    added.forEach(showCardSelection);
+    updateCardTabStop();
+    added.forEach(card => loadCardThumbnails(card));
+}
+
+/**
+ * Open view modal for a media item
+ * @param {string} id - Media item ID
+ */
+async function openViewModal(id) {
+    const item = library.items.find(item => item.id === id);
+    if (!item) return;
+    
+    releasePreviewUrl();
+    AppState.currentViewId = id;
+    syncRoute();
+    
+    // Set modal title
+    DOM.viewModalTitle.textContent = I18n.t('view.itemTitle', { name: item.fileName });
+    
+    // Show a loading placeholder while the stored file is read
+    const icon = Utils.getFileIcon(item.fileType);
+    DOM.mediaPreview.innerHTML = `
+        <div class="file-placeholder">
+            <div class="file-icon">${icon}</div>
+            <p>${I18n.html('view.loading')}</p>
+        </div>
+    `;
+    
+    // Create media details
+    const detailRows = [
+        [I18n.t('details.fileName'), item.fileName],
+        [I18n.t('details.fileType'), I18n.t(`fileType.${item.fileType}`)],
+        [I18n.t('details.fileSize'), item.fileSize ? Utils.formatFileSize(item.fileSize) : I18n.t('details.unknown')],
+        [I18n.t('details.uploadDate'), Utils.formatDate(item.uploadDate)],
+        [I18n.t('details.description'), item.description],
+        ...getMetadataRows(item),
+        [I18n.t('details.tags'), (item.tags || []).length ? item.tags.map(tag => `#${tag}`).join(' ') : I18n.t('details.none')],
+        [I18n.t('details.collections'), I18n.formatList(getCollectionNames(item)) || I18n.t('details.none')]
+    ];
+    if (item.version > 1) detailRows.push([I18n.t('details.version'), I18n.formatNumber(item.version)]);
+    if (item.originalId) detailRows.push([I18n.t('details.derivedFrom'), getOriginalName(item)]);
+    
+    const detailsHTML = `
+        <h4>${I18n.html('details.title')}</h4>
+        ${detailRows.map(([label, value]) => `
+            <div class="detail-row">
+                <span class="detail-label">${I18n.html('details.label', { label: escapeHtml(label) })}</span>
+                <span class="detail-value">${escapeHtml(value)}</span>
+            </div>
+        `).join('')}
+    `;
+    
+    DOM.mediaDetails.innerHTML = detailsHTML;
+    
+    // Show modal
+    DOM.viewModal.classList.add('show');
+    
+    const blob = await mediaAPI.getMediaFile(id);
+    
+    // The modal may have been closed or switched to another item meanwhile
+    if (AppState.currentViewId !== id) return;
+    
+    renderMediaPreview(item, blob);
+    
+    // The share view only shows items
+    const editable = !AppState.shareIds;
+    if (editable) setupClipEditor(item, blob);
+    DOM.setThumbnail.style.display = editable && blob && item.fileType === 'video' ? 'inline-flex' : 'none';
+    DOM.editImage.style.display = editable && blob && item.fileType === 'image' && !item.deletedAt ? 'inline-flex' : 'none';
+    
+    // Items uploaded before thumbnails existed get one the first time they are viewed
+    if (editable && blob && !item.hasThumbnail) {
+        backfillThumbnail(item, blob);
+    }
+}
+
+/**
+ * Get the extracted metadata of an item as label/value pairs
+ * @param {Object} item - Media item
+ * @returns {Array<Array<string>>} [label, value] pairs for known fields
+ */
+function getMetadataRows(item) {
+    const metadata = item.metadata || {};
+    const rows = [];
+    const add = (key, value) => rows.push([I18n.t(`metadata.${key}`), value]);
+
+    if (metadata.width && metadata.height) add('dimensions', I18n.t('metadata.pixels', { width: metadata.width, height: metadata.height }));
+    if (Number.isFinite(metadata.duration)) add('duration', Utils.formatDuration(metadata.duration));
+    if (metadata.codec) add('codec', metadata.codec);
+    if (metadata.sampleRate) {
+        const kilohertz = I18n.formatNumber(metadata.sampleRate / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        add('sampleRate', I18n.t('metadata.kilohertz', { value: kilohertz }));
+    }
+    if (metadata.channels) add('channels', [1, 2].includes(metadata.channels) ? I18n.t(`metadata.channels.${metadata.channels}`) : I18n.formatNumber(metadata.channels));
+    if (metadata.title) add('title', metadata.title);
+    if (metadata.artist) add('artist', metadata.artist);
+    if (metadata.album) add('album', metadata.album);
+    if (metadata.camera) add('camera', metadata.camera);
+    if (metadata.lens) add('lens', metadata.lens);
+    if (metadata.captureDate) add('captured', Utils.formatDate(metadata.captureDate));
+    if (metadata.orientation) {
+        add('orientation', metadata.orientation >= 1 && metadata.orientation <= 8
+            ? I18n.t(`metadata.orientation.${metadata.orientation}`)
+            : String(metadata.orientation));
+    }
+    if (metadata.gps) add('location', `${metadata.gps.latitude}, ${metadata.gps.longitude}`);
+
+    return rows;
+}
+
+/**
+ * Get the names of the collections an item belongs to
+ * @param {Object} item - Media item
+ * @returns {Array<string>} Collection names
+ */
+function getCollectionNames(item) {
+    return AppState.collections
+        .filter(collection => (item.collectionIds || []).includes(collection.id))
+        .map(collection => collection.name);
+}
+
+/**
+ * Render the media preview element for an item
+ * @param {Object} item - Media item
+ * @param {Blob|null} blob - Stored file content
+ */
+function renderMediaPreview(item, blob) {
+    const icon = Utils.getFileIcon(item.fileType);
+    
+    if (!blob) {
+        DOM.mediaPreview.innerHTML = `
+            <div class="file-placeholder">
+                <div class="file-icon">${icon}</div>
+                <p><strong>${escapeHtml(item.fileName)}</strong></p>
+                <p>${I18n.html('view.noPreview')}</p>
+                <small>${I18n.html('view.notStored')}</small>
+            </div>
+        `;
+        return;
+    }
+    
+    AppState.previewUrl = URL.createObjectURL(blob);
+    const fileName = escapeHtml(item.fileName);
+    
+    if (item.fileType === 'image') {
+        DOM.mediaPreview.innerHTML = `<img src="${AppState.previewUrl}" alt="${fileName}">`;
+    } else if (item.fileType === 'video') {
+        DOM.mediaPreview.innerHTML = `<video src="${AppState.previewUrl}" controls preload="metadata"></video>`;
+    } else if (item.fileType === 'audio') {
+        DOM.mediaPreview.innerHTML = `<audio src="${AppState.previewUrl}" controls preload="metadata"></audio>`;
+    } else {
+        releasePreviewUrl();
+        DOM.mediaPreview.innerHTML = `
+            <div class="file-placeholder">
+                <div class="file-icon">${icon}</div>
+                <p><strong>${fileName}</strong></p>
+                <p>${I18n.html('view.noPreview')}</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Show the trim timeline under an audio or video preview
+ * @param {Object} item - Media item
+ * @param {Blob|null} blob - Stored file content
+ */
+function setupClipEditor(item, blob) {
+    const media = DOM.mediaPreview.querySelector('audio, video');
+    if (!blob || !media || item.deletedAt) return;
+    
+    const clip = { id: item.id, file: blob, media, duration: 0, start: 0, end: 0, drag: null, playing: false, controller: null };
+    AppState.clip = clip;
+    
+    const ready = () => {
+        if (AppState.clip !== clip) return;
+        // Recorded WebM can report an infinite duration; fall back to the extracted one
+        const duration = Number.isFinite(media.duration) ? media.duration : (item.metadata || {}).duration;
+        if (!(duration >= ClipExtractor.minDuration)) return;
+        
+        clip.duration = duration;
+        clip.end = duration;
+        DOM.clipEditor.classList.add('show');
+        renderClipEditor();
+    };
+    
+    media.addEventListener('timeupdate', handleClipTimeUpdate);
+    if (media.readyState >= 1) {
+        ready();
+    } else {
+        media.addEventListener('loadedmetadata', ready, { once: true });
+    }
+}
+
+/**
+ * Hide the trim timeline and cancel any clip being exported
+ */
+function resetClipEditor() {
+    if (AppState.clip && AppState.clip.controller) {
+        AppState.clip.controller.abort();
+    }
+    AppState.clip = null;
+    DOM.clipEditor.classList.remove('show');
+    DOM.clipStatus.textContent = '';
+    DOM.exportClip.textContent = I18n.t('clip.export');
+}
+
+/**
+ * Format a clip time with tenths of a second
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Time as m:ss.s
+ */
+function formatClipTime(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = (tenths % 600) / 10;
+    return `${minutes}:${rest.toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Position the trim markers, selection and playhead
+ */
+function renderClipEditor() {
+    const clip = AppState.clip;
+    if (!clip || !clip.duration) return;
+    
+    const percent = time => `${(time / clip.duration) * 100}%`;
+    DOM.clipSelection.style.left = percent(clip.start);
+    DOM.clipSelection.style.width = percent(clip.end - clip.start);
+    DOM.clipPlayhead.style.left = percent(Math.min(clip.media.currentTime, clip.duration));
+    
+    ['start', 'end'].forEach(marker => {
+        const button = DOM.clipTimeline.querySelector(`[data-marker="${marker}"]`);
+        button.style.left = percent(clip[marker]);
+        button.setAttribute('aria-label', I18n.t(`clip.${marker}MarkerAt`, { time: formatClipTime(clip[marker]) }));
+    });
+    
+    DOM.clipRange.textContent = `${formatClipTime(clip.start)} – ${formatClipTime(clip.end)} ` +
+        `(${formatClipTime(clip.end - clip.start)})`;
+}
+
+/**
+ * Move the in or out marker, keeping the clip at least the minimum length
+ * @param {string} marker - 'start' or 'end'
+ * @param {number} time - Requested time in seconds
+ */
+function setClipMarker(marker, time) {
+    const clip = AppState.clip;
+    if (!clip || !clip.duration || !Number.isFinite(time)) return;
+    
+    if (marker === 'start') {
+        clip.start = Math.min(Math.max(0, time), clip.end - ClipExtractor.minDuration);
+    } else {
+        clip.end = Math.max(Math.min(clip.duration, time), clip.start + ClipExtractor.minDuration);
+    }
+    renderClipEditor();
+}
+
+/**
+ * Convert a pointer position on the timeline to a time
+ * @param {PointerEvent} event - Pointer event
+ * @returns {number} Time in seconds
+ */
+function getClipTimeFromPointer(event) {
+    const rect = DOM.clipTimeline.getBoundingClientRect();
+    const fraction = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+    return Math.min(1, Math.max(0, fraction)) * AppState.clip.duration;
+}
+
+/**
+ * Start dragging a marker, or seek when the bare timeline is pressed
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleClipPointerDown(event) {
+    const clip = AppState.clip;
+    if (!clip || !clip.duration || event.button !== 0) return;
+    
+    const marker = event.target.closest('[data-marker]');
+    if (marker) {
+        clip.drag = marker.getAttribute('data-marker');
+        DOM.clipTimeline.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    } else {
+        clip.media.currentTime = getClipTimeFromPointer(event);
+        renderClipEditor();
+    }
+}
+
+/**
+ * Drag a marker along the timeline
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleClipPointerMove(event) {
+    const clip = AppState.clip;
+    if (clip && clip.drag) {
+        setClipMarker(clip.drag, getClipTimeFromPointer(event));
+    }
+}
+
+/**
+ * Stop dragging a marker
+ */
+function handleClipPointerUp() {
+    if (AppState.clip) {
+        AppState.clip.drag = null;
+    }
+}
+
+/**
+ * Nudge a focused marker with the arrow keys: 0.1s, or 1s with Shift
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleClipMarkerKeydown(event) {
+    const marker = event.target.closest('[data-marker]');
+    const clip = AppState.clip;
+    if (!marker || !clip || !['ArrowLeft', 'ArrowRight'].includes(event.key)) return;
+    
+    event.preventDefault();
+    const name = marker.getAttribute('data-marker');
+    const step = (event.shiftKey ? 1 : 0.1) * (event.key === 'ArrowLeft' ? -1 : 1);
+    setClipMarker(name, clip[name] + step);
+}
+
+/**
+ * Follow playback on the timeline and stop at the out marker when playing the clip
+ */
+function handleClipTimeUpdate() {
+    const clip = AppState.clip;
+    if (!clip) return;
+    
+    if (clip.playing && clip.media.currentTime >= clip.end) {
+        clip.playing = false;
+        clip.media.pause();
+    }
+    renderClipEditor();
+}
+
+/**
+ * Play from the in marker to the out marker
+ */
+function handlePlayClip() {
+    const clip = AppState.clip;
+    if (!clip) return;
+    
+    clip.media.currentTime = clip.start;
+    clip.playing = true;
+    clip.media.play().catch(error => {
+        clip.playing = false;
+        console.warn('Failed to play clip:', error);
+    });
+}
+
+/**
+ * Export the marked range as a new item derived from the viewed one; pressing again cancels
+ */
+async function handleExportClip() {
+    const clip = AppState.clip;
+    if (!clip) return;
+    if (clip.controller) {
+        clip.controller.abort();
+        return;
+    }
+    
+    const item = library.items.find(item => item.id === clip.id);
+    if (!item) return;
+    
+    clip.controller = new AbortController();
+    DOM.exportClip.textContent = I18n.t('common.cancel');
+    DOM.clipStatus.textContent = item.fileType === 'video'
+        ? I18n.t('clip.recording')
+        : I18n.t('clip.extracting');
+    
+    try {
+        const { file, metadata } = await ClipExtractor.extract(clip.file, item.fileType, clip.start, clip.end, {
+            signal: clip.controller.signal,
+            onProgress: fraction => {
+                if (AppState.clip === clip && item.fileType === 'video') {
+                    DOM.clipStatus.textContent = I18n.t('clip.recordingProgress', { percent: I18n.formatNumber(fraction, { style: 'percent' }) });
+                }
+            }
+        });
+        const clipMetadata = { ...item.metadata, ...metadata };
+        const thumbnail = await ThumbnailGenerator.generate(file, item.fileType, clipMetadata);
+        
+        const created = await createDerivedItem(item, {
+            fileName: getClipFileName(item.fileName, clip.start, clip.end, item.fileType === 'audio' ? 'wav' : 'webm'),
+            fileType: item.fileType,
+            fileSize: file.size,
+            mimeType: file.type,
+            metadata: clipMetadata,
+            file,
+            thumbnail
+        });
+        
+        if (AppState.clip === clip) DOM.clipStatus.textContent = '';
+        showHistoryToast(I18n.t('clip.saved', { name: created.fileName }), 'undo');
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            if (AppState.clip === clip) DOM.clipStatus.textContent = I18n.t('clip.cancelled');
+        } else {
+            console.error('Failed to export clip:', error);
+            if (AppState.clip === clip) DOM.clipStatus.textContent = '';
+            Utils.showMessage(I18n.t('clip.exportFailed', { reason: error.message }));
+        }
+    } finally {
+        clip.controller = null;
+        if (AppState.clip === clip) DOM.exportClip.textContent = I18n.t('clip.export');
+    }
+}
+
+/**
+ * File name for a clip, noting the range it covers
+ * @param {string} fileName - Source file name
+ * @param {number} start - Clip start in seconds
+ * @param {number} end - Clip end in seconds
+ * @param {string} extension - Extension for the clip's format
+ * @returns {string} File name
+ */
+function getClipFileName(fileName, start, end, extension) {
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    return `${base} (clip ${start.toFixed(1)}s-${end.toFixed(1)}s).${extension}`;
+}
+
+/**
+ * Generate and store a missing thumbnail in the background
+ * @param {Object} item - Media item
+ * @param {Blob} blob - Stored file content
+ */
+async function backfillThumbnail(item, blob) {
+    const thumbnail = await ThumbnailGenerator.generate(blob, item.fileType, item.metadata);
+    if (!thumbnail) return;
+
+    try {
+        await library.setThumbnail(item.id, thumbnail, { source: 'background' });
+    } catch (error) {
+        console.warn('Failed to store generated thumbnail:', error);
+    }
+}
+
+/**
+ * Use the video frame currently shown in the View modal as the item's thumbnail
+ */
+async function handleSetThumbnail() {
+    const id = AppState.currentViewId;
+    const video = DOM.mediaPreview.querySelector('video');
+    if (!id || !video) return;
+
+    try {
+        const thumbnail = await ThumbnailGenerator.fromVideoElement(video);
+        await library.setThumbnail(id, thumbnail);
+        pruneThumbnailCache(id);
+        Utils.showMessage(I18n.t('view.thumbnailUpdated'), 'success');
+    } catch (error) {
+        console.error('Failed to set thumbnail:', error);
+        Utils.showMessage(I18n.t('view.thumbnailFailed'));
+    }
+}
+
+/**
+ * Revoke the object URL used by the current preview, if any
+ */
+function releasePreviewUrl() {
+    if (AppState.previewUrl) {
+        URL.revokeObjectURL(AppState.previewUrl);
+        AppState.previewUrl = null;
+    }
+}
+
+/**
+ * Close view modal
+ */
+function closeViewModal() {
+    AppState.currentViewId = null;
+    syncRoute();
+    resetClipEditor();
+    DOM.setThumbnail.style.display = 'none';
+    DOM.editImage.style.display = 'none';
+    DOM.viewModal.classList.remove('show');
+    DOM.mediaPreview.innerHTML = '';
+    DOM.mediaDetails.innerHTML = '';
+    releasePreviewUrl();
+}
+
+/**
+ * Name of the item an edited copy or clip was made from
+ * @param {Object} item - Derived item
+ * @returns {string} File name, or a note that the original is gone
+ */
+function getOriginalName(item) {
+    const original = library.items.find(other => other.id === item.originalId);
+    return original ? original.fileName : I18n.t('details.deletedOriginal');
+}
+
+/**
+ * Open the image editor on the item shown in the View modal
+ */
+async function openImageEditor() {
+    const id = AppState.currentViewId;
+    const item = library.items.find(item => item.id === id);
+    if (!item) return;
+    
+    try {
+        const original = await mediaAPI.getMediaFile(id);
+        if (!original) {
+            throw new Error('No stored file content');
+        }
+        await DOM.imageEditor.load(original);
+        AppState.imageEdit = { id, original, saving: false };
+    } catch (error) {
+        console.error('Failed to open image editor:', error);
+        Utils.showMessage(I18n.t('editor.openFailed'));
+        return;
+    }
+    
+    closeViewModal();
+    DOM.imageEditorTitle.textContent = I18n.t('editor.itemTitle', { name: item.fileName });
+    DOM.cropAspect.value = 'free';
+    DOM.imageEditorModal.classList.add('show');
+}
+
+/**
+ * Show the editor's current settings in its controls
+ */
+function renderImageEditorControls() {
+    const editor = DOM.imageEditor;
+    if (!editor.image) return;
+    
+    const { width, height } = editor.getOutputSize();
+    DOM.resizeWidth.value = width;
+    DOM.resizeHeight.value = height;
+    DOM.resizeWidth.max = AppConfig.maxImageDimension;
+    DOM.resizeHeight.max = AppConfig.maxImageDimension;
+    
+    DOM.imageAdjustments.querySelectorAll('input[data-adjust]').forEach(input => {
+        input.value = editor.state[input.getAttribute('data-adjust')];
+        input.nextElementSibling.textContent = I18n.formatNumber(input.value / 100, { style: 'percent' });
+    });
+    
+    const source = { sourceWidth: editor.image.naturalWidth, sourceHeight: editor.image.naturalHeight };
+    DOM.imageEditorSize.textContent = editor.isModified()
+        ? I18n.t('editor.sizeChange', { ...source, width, height })
+        : I18n.t('editor.size', source);
+    DOM.saveImageEdit.disabled = !editor.isModified();
+}
+
+/**
+ * Hold the crop area to the chosen aspect ratio
+ */
+function handleCropAspectChange() {
+    const editor = DOM.imageEditor;
+    const value = DOM.cropAspect.value;
+    let aspect = null;
+    
+    if (value === 'original') {
+        const { width, height } = editor.getRotatedSize();
+        aspect = width / height;
+    } else if (value !== 'free') {
+        const [width, height = 1] = value.split(':').map(Number);
+        aspect = width / height;
+    }
+    editor.setAspect(aspect);
+}
+
+/**
+ * Rotate or flip the image from the toolbar buttons
+ * @param {Event} event - Click event
+ */
+function handleImageTransformClick(event) {
+    const button = event.target.closest('[data-transform]');
+    if (!button) return;
+    
+    const transforms = {
+        rotateLeft: () => DOM.imageEditor.rotate(-90),
+        rotateRight: () => DOM.imageEditor.rotate(90),
+        flipX: () => DOM.imageEditor.flip('x'),
+        flipY: () => DOM.imageEditor.flip('y')
+    };
+    transforms[button.getAttribute('data-transform')]();
+}
+
+/**
+ * Apply a typed output size, keeping proportions if asked
+ * @param {string} changed - 'width' or 'height', the field that was edited
+ */
+function handleResizeInput(changed) {
+    const editor = DOM.imageEditor;
+    const crop = editor.getCropRect();
+    const ratio = crop.width / crop.height;
+    let width = parseInt(DOM.resizeWidth.value, 10);
+    let height = parseInt(DOM.resizeHeight.value, 10);
+    
+    if (DOM.resizeLock.checked) {
+        if (changed === 'width') {
+            height = Math.max(1, Math.round(width / ratio));
+        } else {
+            width = Math.max(1, Math.round(height * ratio));
+        }
+    }
+    
+    const max = AppConfig.maxImageDimension;
+    if (!(width >= 1 && height >= 1 && width <= max && height <= max)) {
+        Utils.showMessage(I18n.t('editor.sizeInvalid', { max }));
+        renderImageEditorControls();
+        return;
+    }
+    editor.setOutputSize(width, height);
+}
+
+/**
+ * Apply a brightness, contrast or saturation slider
+ * @param {Event} event - Input event
+ */
+function handleImageAdjustmentInput(event) {
+    const input = event.target.closest('input[data-adjust]');
+    if (input) {
+        DOM.imageEditor.setAdjustment(input.getAttribute('data-adjust'), Number(input.value));
+    }
+}
+
+/**
+ * Discard every change made in the editor
+ */
+function handleResetImageEdit() {
+    DOM.cropAspect.value = 'free';
+    DOM.imageEditor.reset();
+}
+
+/**
+ * Save the edited image as a new version or as a new linked item
+ */
+async function handleSaveImageEdit() {
+    const edit = AppState.imageEdit;
+    const item = edit && library.items.find(item => item.id === edit.id);
+    if (!item || edit.saving) return;
+    
+    const editor = DOM.imageEditor;
+    const mode = DOM.imageEditorModal.querySelector('input[name="imageSaveMode"]:checked').value;
+    edit.saving = true;
+    DOM.saveImageEdit.disabled = true;
+    
+    try {
+        const file = await editor.toBlob(item.mimeType);
+        const { width, height } = editor.getOutputSize();
+        const thumbnail = await ThumbnailGenerator.generate(file, 'image');
+        // The saved pixels are upright, so an EXIF orientation no longer applies
+        const { orientation, ...metadata } = item.metadata || {};
+        const changes = {
+            fileSize: file.size,
+            mimeType: file.type,
+            metadata: { ...metadata, width, height }
+        };
+        
+        const resultId = mode === 'copy'
+            ? await saveImageAsCopy(item, file, thumbnail, changes)
+            : await saveImageVersion(item, edit.original, file, thumbnail, changes);
+        
+        edit.saving = false;
+        closeImageEditor();
+        openViewModal(resultId);
+        showHistoryToast(I18n.t(mode === 'copy' ? 'editor.copySaved' : 'editor.versionSaved'), 'undo');
+    } catch (error) {
+        console.error('Failed to save edited image:', error);
+        showSaveError(error, I18n.t(error.name === 'EncodingError' ? 'editor.encodeFailed' : 'editor.saveFailed'));
+        edit.saving = false;
+        DOM.saveImageEdit.disabled = false;
+    }
+}
+
+/**
+ * Replace an item's image, keeping the previous one for undo
+ * @param {Object} item - Media item
+ * @param {Blob} original - Image before the edit
+ * @param {Blob} file - Edited image
+ * @param {Blob|null} thumbnail - Thumbnail of the edited image
+ * @param {Object} changes - fileSize, mimeType and metadata of the edited image
+ * @returns {Promise<string>} ID of the item
+ */
+async function saveImageVersion(item, original, file, thumbnail, changes) {
+    const previousThumbnail = item.hasThumbnail ? await mediaAPI.getMediaThumbnail(item.id) : null;
+    // Uploading the file sets fileSize
+    const { fileSize, ...fields } = changes;
+    const before = {
+        fileName: item.fileName,
+        mimeType: item.mimeType,
+        metadata: item.metadata,
+        version: item.version || 1,
+        contentHash: item.contentHash || null,
+        perceptualHash: item.perceptualHash || null
+    };
+    const after = {
+        ...fields,
+        ...(await ContentHasher.hash(file, 'image', thumbnail)),
+        fileName: getEditedFileName(item.fileName, file.type),
+        version: before.version + 1
+    };
+    
+    const apply = async (content, preview, fields, options) => {
+        await mediaAPI.uploadMediaFile(item.id, content);
+        if (preview) await mediaAPI.uploadMediaThumbnail(item.id, preview);
+        await library.update(item.id, fields, options);
+        pruneThumbnailCache(item.id);
+    };
+    
+    await apply(file, thumbnail, after);
+    undoHistory.record({
+        label: I18n.t('history.imageEdit', { name: item.fileName }),
+        ids: [item.id],
+        undo: options => apply(original, previousThumbnail, before, options),
+        redo: options => apply(file, thumbnail, after, options)
+    });
+    return item.id;
+}
+
+/**
+ * Store the edited image as a new item linked to the original
+ * @param {Object} item - Original media item
+ * @param {Blob} file - Edited image
+ * @param {Blob|null} thumbnail - Thumbnail of the edited image
+ * @param {Object} changes - fileSize, mimeType and metadata of the edited image
+ * @returns {Promise<string>} ID of the new item
+ */
+async function saveImageAsCopy(item, file, thumbnail, changes) {
+    const created = await createDerivedItem(item, {
+        ...changes,
+        fileName: getEditedFileName(item.fileName, file.type, ' (edited)'),
+        fileType: 'image',
+        file,
+        thumbnail
+    });
+    return created.id;
+}
+
+/**
+ * Create an item made from another one, inheriting its description, tags and collections
+ * @param {Object} source - Item it was made from
+ * @param {Object} mediaData - createMedia() data for the new item
+ * @returns {Promise<Object>} Created media item
+ */
+async function createDerivedItem(source, mediaData) {
+    const hashes = await ContentHasher.hash(mediaData.file, mediaData.fileType, mediaData.thumbnail);
+    const created = await library.create({
+        description: source.description,
+        tags: source.tags,
+        collectionIds: source.collectionIds,
+        ...hashes,
+        ...mediaData,
+        originalId: source.id
+    });
+    
+    undoHistory.record({
+        label: I18n.t('history.create', { name: created.fileName }),
+        ids: [created.id],
+        undo: options => library.trash([created.id], options),
+        redo: options => library.restore([created.id], options)
+    });
+    return created;
+}
+
+/**
+ * File name for an edited image, with an extension matching its type
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - Type of the edited image
+ * @param {string} [suffix] - Text added before the extension
+ * @returns {string} File name
+ */
+function getEditedFileName(fileName, mimeType, suffix = '') {
+    const extensions = { 'image/jpeg': ['jpg', 'jpeg'], 'image/png': ['png'], 'image/webp': ['webp'] };
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot + 1) : '';
+    const allowed = extensions[mimeType];
+    return `${base}${suffix}.${allowed.includes(extension.toLowerCase()) ? extension : allowed[0]}`;
+}
+
+/**
+ * Close the image editor without saving
+ */
+function closeImageEditor() {
+    // Leaving mid-save would hide whether the save worked
+    if (AppState.imageEdit && AppState.imageEdit.saving) return;
+    
+    AppState.imageEdit = null;
+    DOM.imageEditorModal.classList.remove('show');
+}
+
+/**
+ * Open edit modal for a media item
+ * @param {string} id - Media item ID
+ */
+function openEditModal(id) {
+    const item = library.items.find(item => item.id === id);
+    if (!item) return;
+    
+    AppState.currentEditId = id;
+    syncRoute();
+    DOM.editDescriptionInput.value = item.description;
+    DOM.editTagInput.setTags(item.tags);
+    renderEditCollections(item.collectionIds || []);
+    updateEditCharCount();
+    DOM.editModal.classList.add('show');
+    DOM.editDescriptionInput.focus();
+}
+
+/**
+ * Render the collection checkboxes in the edit modal
+ * @param {Array<string>} selectedIds - IDs of the collections the item belongs to
+ */
+function renderEditCollections(selectedIds) {
+    if (AppState.collections.length === 0) {
+        DOM.editCollections.innerHTML = `<p class="edit-collections-empty">${I18n.html('edit.noCollections')}</p>`;
+        return;
+    }
+
+    DOM.editCollections.innerHTML = AppState.collections.map(collection => `
+        <label class="edit-collection-option">
+            <input type="checkbox" value="${collection.id}" ${selectedIds.includes(collection.id) ? 'checked' : ''}>
+            ${escapeHtml(collection.name)}
+        </label>
+    `).join('');
+}
+
+/**
+ * Close edit modal
+ */
+function closeEditModal() {
+    AppState.currentEditId = null;
+    syncRoute();
+    DOM.editModal.classList.remove('show');
+    DOM.editDescriptionInput.value = '';
+    DOM.editTagInput.setTags([]);
+    DOM.editCollections.innerHTML = '';
+}
+
+/**
+ * Handle save edit
+ */
+async function handleSaveEdit() {
+    if (!AppState.currentEditId) return;
+    
+    const newDescription = DOM.editDescriptionInput.value.trim();
+    const tags = DOM.editTagInput.getTags();
+    const collectionIds = Array.from(DOM.editCollections.querySelectorAll('input:checked'))
+        .map(checkbox => checkbox.value);
+    
+    const descriptionError = MediaValidation.checkDescription(newDescription);
+    if (descriptionError) {
+        Utils.showMessage(Utils.getErrorMessage(descriptionError, 'edit.saveFailed'));
+        return;
+    }
+    
+    const id = AppState.currentEditId;
+    const original = library.items.find(item => item.id === id);
+    const before = {
+        description: original.description,
+        tags: original.tags || [],
+        collectionIds: original.collectionIds || []
+    };
+    const after = { description: newDescription, tags, collectionIds };
+    
+    try {
+        await library.update(id, after);
+        undoHistory.record({
+            label: I18n.t('history.edit', { name: original.fileName }),
+            ids: [id],
+            undo: options => library.update(id, before, options),
+            redo: options => library.update(id, after, options)
+        });
+        closeEditModal();
+        showHistoryToast(I18n.t('edit.saved'), 'undo');
+    } catch (error) {
+        console.error('Failed to update media item:', error);
+        showSaveError(error, I18n.t('edit.saveFailed'));
+    }
+}
+
+/**
+ * Handle delete media item
+ * @param {string} id - Media item ID
+ */
+async function handleDelete(id) {
+    const item = library.items.find(item => item.id === id);
+    if (!item) return;
+    
+    try {
+        await library.trash([id]);
+        undoHistory.record({
+            label: I18n.t('history.delete', { name: item.fileName }),
+            ids: [id],
+            undo: options => library.restore([id], options),
+            redo: options => library.trash([id], options)
+        });
+        showHistoryToast(I18n.t('trash.moved', { name: item.fileName }), 'undo');
+    } catch (error) {
+        console.error('Failed to delete media item:', error);
+        Utils.showMessage(I18n.t('trash.deleteFailed'));
+    }
+}
+
+/**
+ * Bring a media item back from the trash
+ * @param {string} id - Media item ID
+ */
+async function handleRestore(id) {
+    const item = library.items.find(item => item.id === id);
+    if (!item) return;
+    
+    try {
+        await library.restore([id]);
+        undoHistory.record({
+            label: I18n.t('history.restore', { name: item.fileName }),
+            ids: [id],
+            undo: options => library.trash([id], options),
+            redo: options => library.restore([id], options)
+        });
+        showHistoryToast(I18n.t('trash.restored', { name: item.fileName }), 'undo');
+    } catch (error) {
+        console.error('Failed to restore media item:', error);
+        Utils.showMessage(I18n.t('trash.restoreFailed'));
+    }
+}
+
+/**
+ * Permanently delete a media item from the trash
+ * @param {string} id - Media item ID
+ */
+async function handlePurge(id) {
+    const item = library.items.find(item => item.id === id);
+    if (!item) return;
+    
+    if (!confirm(I18n.t('trash.confirmPurge', { name: item.fileName }))) {
+        return;
+    }
+    
+    try {
+        await library.delete([id]);
+        Utils.showMessage(I18n.t('trash.purged'), 'success');
+    } catch (error) {
+        console.error('Failed to delete media item:', error);
+        Utils.showMessage(I18n.t('trash.deleteFailed'));
+    }
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+async function handleEmptyTrash() {
+    const trashed = library.items.filter(item => item.deletedAt);
+    if (trashed.length === 0) return;
+    
+    if (!confirm(I18n.t('trash.confirmEmpty', { count: trashed.length }))) {
+        return;
+    }
+    
+    const purged = await purgeItems(trashed);
+    if (purged < trashed.length) {
+        Utils.showMessage(I18n.t('trash.purgeFailed', { count: trashed.length - purged }));
+    } else {
+        Utils.showMessage(I18n.t('trash.emptied'), 'success');
+    }
+}
+
+/**
+ * Permanently delete trashed items older than the retention period
+ */
+async function purgeExpiredTrash() {
+    const expired = library.items.filter(item => item.deletedAt && getTrashDaysLeft(item) === 0);
+    if (expired.length === 0) return;
+    
+    const purged = await purgeItems(expired, 'retention');
+    console.log('Purged', purged, 'expired item(s) from the trash');
+}
+
+/**
+ * Forget a permanently deleted item, however it was deleted
+ * @param {Object} event - { item } from the library's item:deleted event
+ */
+function handleItemDeleted({ item }) {
+    // Its undo entries could only bring back a record that no longer exists
+    undoHistory.forget([item.id]);
+    AppState.selectedIds.delete(item.id);
+}
+
+/**
+ * Permanently delete media items and take them out of playlists
+ * @param {Array<Object>} items - Media items to delete
+ * @param {string|null} [source] - What deleted them, for the activity feed, when not the user
+ * @returns {Promise<number>} Number of items deleted
+ */
+async function purgeItems(items, source = null) {
+    const ids = items.map(item => item.id);
+    try {
+        await library.delete(ids, { source });
+    } catch (error) {
+        console.error('Failed to purge media items:', error);
+        return 0;
+    }
+    await removeFromPlaylists(ids);
+    return ids.length;
+}
+
+/**
+ * Days until a trashed item is deleted permanently
+ * @param {Object} item - Trashed media item
+ * @returns {number} Whole days left, 0 when expired
+ */
+function getTrashDaysLeft(item) {
+    const expires = new Date(item.deletedAt).getTime() + AppConfig.trashRetentionDays * 24 * 60 * 60 * 1000;
+    return Math.max(0, Math.ceil((expires - Date.now()) / (24 * 60 * 60 * 1000)));
+}
+
+/**
+ * Handle clicks on the Trash link in the sidebar
+ * @param {Event} event - Click event
+ */
+function handleTrashListClick(event) {
+    if (!event.target.closest('button[data-view="trash"]')) return;
+    updateFilters({ trash: true, collection: '' });
+}
+
+/**
+ * Show a toast with an Undo or Redo button, replacing the previous one
+ * @param {string} message - Message text
+ * @param {string} action - Button action, 'undo' or 'redo'
+ */
+function showHistoryToast(message, action) {
+    hideHistoryToast();
+    AppState.historyToast = Notifications.show(message, {
+        type: 'success',
+        duration: 6000,
+        actions: [action === 'redo'
+            ? { label: I18n.t('history.redoButton'), run: performRedo }
+            : { label: I18n.t('history.undoButton'), run: performUndo }]
+    });
+}
+
+/**
+ * Close the undo toast
+ */
+function hideHistoryToast() {
+    if (AppState.historyToast) {
+        Notifications.dismiss(AppState.historyToast);
+        AppState.historyToast = null;
+    }
+}
+
+/**
+ * Undo the most recent action
+ */
+async function performUndo() {
+    try {
+        const action = await undoHistory.undo();
+        if (!action) return;
+        showHistoryToast(I18n.t('history.undid', { action: action.label }), 'redo');
+    } catch (error) {
+        console.error('Failed to undo:', error);
+        hideHistoryToast();
+        await renderGallery();
+        Utils.showMessage(I18n.t('history.undoFailed'));
+    }
+}
+
+/**
+ * Redo the most recently undone action
+ */
+async function performRedo() {
+    try {
+        const action = await undoHistory.redo();
+        if (!action) return;
+        showHistoryToast(I18n.t('history.redid', { action: action.label }), 'undo');
+    } catch (error) {
+        console.error('Failed to redo:', error);
+        hideHistoryToast();
+        await renderGallery();
+        Utils.showMessage(I18n.t('history.redoFailed'));
+    }
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) and Ctrl+Y
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || AppState.shareIds) return;
+    
+    // Leave text fields their own undo, and don't change items behind an open dialog
+    const target = event.target;
+    if (target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal-overlay.show')) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        performUndo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        performRedo();
+    }
+}
+
+/**
+ * Export the library in the given format and download it
+ * @param {string} format - 'zip', 'json' or 'csv'
+ */
+async function handleExport(format) {
+    const buttons = [DOM.exportZip, DOM.exportJson, DOM.exportCsv];
+    buttons.forEach(button => { button.disabled = true; });
+    
+    try {
+        let blob;
+        if (format === 'zip') {
+            blob = await LibraryTransfer.exportZip(mediaAPI);
+        } else if (format === 'json') {
+            blob = await LibraryTransfer.exportJson(mediaAPI);
+        } else {
+            const [items, collections] = await Promise.all([mediaAPI.getMedia(), mediaAPI.getCollections()]);
+            blob = LibraryTransfer.exportCsv(items, collections);
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        Utils.downloadBlob(blob, `mediamix-library-${date}.${format}`);
+    } catch (error) {
+        console.error('Failed to export library:', error);
+        Utils.showMessage(I18n.t('export.failed'));
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+/**
+ * Read the chosen library export and open the import dialog
+ * @param {Event} event - File input change event
+ */
+async function handleImportFileSelect(event) {
+    const file = event.target.files[0];
+    // Allow picking the same file again later
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+        const { manifest, entries } = await LibraryTransfer.readArchive(file);
+        AppState.pendingImport = { fileName: file.name, manifest, entries, plan: null, inProgress: false };
+    } catch (error) {
+        console.error('Failed to read library export:', error);
+        Utils.showMessage(I18n.t('import.readFailed', { name: file.name, reason: error.message }));
+        return;
+    }
+    
+    DOM.importFileName.textContent = file.name;
+    DOM.importModes.querySelector('input[value="merge"]').checked = true;
+    renderImportSummary();
+    DOM.importModal.classList.add('show');
+}
+
+/**
+ * Get the import mode selected in the import dialog
+ * @returns {string} 'merge' or 'replace'
+ */
+function getImportMode() {
+    return DOM.importModes.querySelector('input[name="importMode"]:checked').value;
+}
+
+/**
+ * Plan the pending import for the selected mode and show the dry-run summary
+ */
+function renderImportSummary() {
+    const pending = AppState.pendingImport;
+    if (!pending) return;
+    
+    const plan = LibraryImport.plan(pending.manifest, pending.entries, {
+        items: library.items,
+        tags: AppState.tags,
+        collections: AppState.collections,
+        playlists: AppState.playlists
+    }, getImportMode());
+    pending.plan = plan;
+    
+    const total = Array.isArray(pending.manifest.mediaItems) ? pending.manifest.mediaItems.length : 0;
+    const lines = [[I18n.t('import.summary.total', { count: total })]];
+    
+    if (plan.remove.length > 0) {
+        lines.push([I18n.t('import.summary.remove', { count: plan.remove.length }), 'warning']);
+    }
+    lines.push([I18n.t('import.summary.add', { count: plan.add.length, size: Utils.formatFileSize(plan.bytes) })]);
+    if (plan.unchanged > 0) {
+        lines.push([I18n.t('import.summary.unchanged', { count: plan.unchanged })]);
+    }
+    if (plan.renamed > 0) {
+        lines.push([I18n.t('import.summary.renamed', { count: plan.renamed })]);
+    }
+    if (plan.missingFiles > 0) {
+        lines.push([I18n.t('import.summary.missingFiles', { count: plan.missingFiles }), 'warning']);
+    }
+    if (plan.invalid.length > 0) {
+        lines.push([I18n.t('import.summary.invalid', { count: plan.invalid.length }), 'warning']);
+        plan.invalid.slice(0, 5).forEach(({ item, errors }) => {
+            const name = item && item.fileName ? item.fileName : I18n.t('import.summary.unnamed');
+            lines.push([`${name}: ${errors.join(', ')}`, 'note']);
+        });
+    }
+    lines.push([[
+        I18n.t('import.summary.newTags', { count: plan.newTags }),
+        I18n.t('import.summary.newCollections', { count: plan.newCollections }),
+        I18n.t('import.summary.newPlaylists', { count: plan.newPlaylists })
+    ].join(I18n.t('common.listSeparator'))]);
+    
+    DOM.importSummary.innerHTML = lines
+        .map(([text, className]) => `<li${className ? ` class="${className}"` : ''}>${escapeHtml(text)}</li>`)
+        .join('');
+    DOM.confirmImport.disabled = plan.add.length === 0 && plan.remove.length === 0 && plan.newTags === 0 &&
+        plan.newCollections === 0 && plan.newPlaylists === 0;
+}
+
+/**
+ * Apply the pending import
+ */
+async function handleConfirmImport() {
+    const pending = AppState.pendingImport;
+    if (!pending || !pending.plan) return;
+    
+    const plan = pending.plan;
+    if (plan.mode === 'replace' && plan.remove.length > 0 &&
+        !confirm(I18n.t('import.confirmReplace', { count: plan.remove.length }))) {
+        return;
+    }
+    
+    // Replaced items keep their file content in the trash, so nothing is freed
+    if (!await confirmStorageSpace(plan.bytes, plan.add.length)) {
+        return;
+    }
+    
+    pending.inProgress = true;
+    DOM.confirmImport.disabled = true;
+    DOM.cancelImport.disabled = true;
+    
+    try {
+        const result = await LibraryImport.apply(library, plan, {
+            onProgress: (done, total) => {
+                DOM.confirmImport.textContent = I18n.t('import.progress', { done, total });
+            },
+            isFatal: error => StorageMonitor.isQuotaError(error)
+        });
+        pending.inProgress = false;
+        closeImportModal();
+        recordImport(plan, result);
+        
+        if (result.failed > 0) {
+            Utils.showMessage(I18n.t('import.partial', { count: result.imported, failed: result.failed }));
+        } else {
+            showHistoryToast(I18n.t('import.success', { count: result.imported }), 'undo');
+        }
+    } catch (error) {
+        console.error('Failed to import library:', error);
+        pending.inProgress = false;
+        closeImportModal();
+        await renderGallery();
+        showSaveError(error, I18n.t('import.failed'));
+    }
+}
+
+/**
+ * Make a finished import undoable
+ * @param {Object} plan - Plan the import applied
+ * @param {Object} result - Result of LibraryImport.apply()
+ */
+function recordImport(plan, result) {
+    // Items exported from the trash were imported into it and stay there
+    const ids = result.items.filter(item => !item.deletedAt).map(item => item.id);
+    const replaced = plan.remove;
+    const meta = { tags: plan.tags, collections: plan.collections, playlists: plan.playlists };
+    
+    undoHistory.record({
+        label: I18n.t('history.import', { count: result.imported }),
+        ids: [...ids, ...replaced],
+        // Tags, collections and playlists first, so the re-render the item changes cause shows them
+        undo: async options => {
+            await mediaAPI.saveLibraryMeta(result.previousMeta);
+            if (ids.length > 0) await library.trash(ids, options);
+            if (replaced.length > 0) await library.restore(replaced, options);
+        },
+        redo: async options => {
+            await mediaAPI.saveLibraryMeta(meta);
+            if (ids.length > 0) await library.restore(ids, options);
+            if (replaced.length > 0) await library.trash(replaced, options);
+        }
+    });
+}
+
+/**
+ * Close the import dialog and drop the pending import
+ */
+function closeImportModal() {
+    // Keep the dialog open until a running import finishes
+    if (AppState.pendingImport && AppState.pendingImport.inProgress) return;
+    
+    DOM.importModal.classList.remove('show');
+    DOM.importSummary.innerHTML = '';
+    DOM.confirmImport.textContent = I18n.t('import.confirm');
+    DOM.confirmImport.disabled = false;
+    DOM.cancelImport.disabled = false;
+    AppState.pendingImport = null;
+}
+
+/**
+ * Tick or untick a card, or a range of cards with Shift held
+ * @param {MouseEvent} event - Checkbox click event
+ */
+function handleSelectClick(event) {
+    const checkbox = event.target;
+    const id = checkbox.getAttribute('data-id');
+    const anchorIndex = AppState.visibleIds.indexOf(AppState.selectionAnchor);
+    
+    let ids = [id];
+    if (event.shiftKey && anchorIndex !== -1) {
+        const index = AppState.visibleIds.indexOf(id);
+        ids = AppState.visibleIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+    }
+    
+    ids.forEach(rangeId => {
+        if (checkbox.checked) {
+            AppState.selectedIds.add(rangeId);
+        } else {
+            AppState.selectedIds.delete(rangeId);
+        }
+    });
+    AppState.selectionAnchor = id;
+    updateSelectionDisplay();
+}
+
+/**
+ * Tick or untick every card on screen
+ */
+function handleSelectAllChange() {
+    if (DOM.selectAll.checked) {
+        AppState.visibleIds.forEach(id => AppState.selectedIds.add(id));
+    } else {
+        AppState.selectedIds.clear();
+    }
+    AppState.selectionAnchor = null;
+    updateSelectionDisplay();
+}
+
+/**
+ * Reflect the selection on the cards and the bulk action bar without re-rendering
+ */
+function updateSelectionDisplay() {
+    DOM.galleryContainer.querySelectorAll('.media-card').forEach(showCardSelection);
+    renderBulkBar();
+}
+
+/**
+ * Show whether a card is ticked
+ * @param {HTMLElement} card - .media-card element
+ */
+function showCardSelection(card) {
+    const selected = AppState.selectedIds.has(card.getAttribute('data-id'));
+    const checkbox = card.querySelector('.media-select');
+    card.classList.toggle('selected', selected);
+    // Shared cards have no checkbox
+    if (checkbox) checkbox.checked = selected;
+}
+
+/**
+ * Update the bulk action bar for the current selection and view
+ */
+function renderBulkBar() {
+    const count = AppState.selectedIds.size;
+    const total = AppState.visibleIds.length;
+    const view = AppState.filters.trash ? 'trash' : 'library';
+    
+    DOM.bulkBar.classList.toggle('show', total > 0);
+    DOM.selectAll.checked = count > 0 && count === total;
+    DOM.selectAll.indeterminate = count > 0 && count < total;
+    DOM.selectionCount.textContent = count > 0
+        ? I18n.t('bulk.selected', { count, total })
+        : I18n.t('bulk.selectAllShown', { count: total });
+    
+    [DOM.bulkDelete, DOM.bulkDownload, DOM.bulkShare, DOM.bulkRestore, DOM.bulkPurge, DOM.bulkPlaylist, DOM.replaceButton].forEach(button => {
+        button.disabled = count === 0;
+    });
+    DOM.bulkBar.querySelectorAll('[data-view]').forEach(element => {
+        element.hidden = element.getAttribute('data-view') !== view;
+    });
+}
+
+/**
+ * Get the selected media items in display order
+ * @returns {Array<Object>} Selected media items
+ */
+function getSelectedItems() {
+    const byId = new Map(library.items.map(item => [item.id, item]));
+    return AppState.visibleIds
+        .filter(id => AppState.selectedIds.has(id))
+        .map(id => byId.get(id));
+}
+
+/**
+ * Move the selected items to the trash
+ */
+async function handleBulkDelete() {
+    const items = getSelectedItems();
+    const ids = items.map(item => item.id);
+    if (ids.length === 0) return;
+    
+    try {
+        await library.trash(ids);
+        undoHistory.record({
+            label: I18n.t('history.deleteItems', { count: ids.length }),
+            ids,
+            undo: options => library.restore(ids, options),
+            redo: options => library.trash(ids, options)
+        });
+        AppState.selectedIds.clear();
+        showHistoryToast(I18n.t('bulk.moved', { count: ids.length }), 'undo');
+    } catch (error) {
+        console.error('Failed to delete media items:', error);
+        Utils.showMessage(I18n.t('bulk.deleteFailed'));
+    }
+}
+
+/**
+ * Bring the selected items back from the trash
+ */
+async function handleBulkRestore() {
+    const items = getSelectedItems();
+    const ids = items.map(item => item.id);
+    if (ids.length === 0) return;
+    
+    try {
+        await library.restore(ids);
+        undoHistory.record({
+            label: I18n.t('history.restoreItems', { count: ids.length }),
+            ids,
+            undo: options => library.trash(ids, options),
+            redo: options => library.restore(ids, options)
+        });
+        AppState.selectedIds.clear();
+        showHistoryToast(I18n.t('bulk.restored', { count: ids.length }), 'undo');
+    } catch (error) {
+        console.error('Failed to restore media items:', error);
+        Utils.showMessage(I18n.t('bulk.restoreFailed'));
+    }
+}
+
+/**
+ * Permanently delete the selected items from the trash
+ */
+async function handleBulkPurge() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    if (!confirm(I18n.t('bulk.confirmPurge', { count: items.length }))) {
+        return;
+    }
+    
+    const purged = await purgeItems(items);
+    AppState.selectedIds.clear();
+    if (purged < items.length) {
+        Utils.showMessage(I18n.t('bulk.deleteFailed'));
+    } else {
+        Utils.showMessage(I18n.t('bulk.purged', { count: purged }), 'success');
+    }
+}
+
+/**
+ * Download the stored files of the selected items as one ZIP archive
+ */
+async function handleBulkDownload() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    DOM.bulkDownload.disabled = true;
+    DOM.bulkDownload.textContent = I18n.t('bulk.preparing');
+    
+    try {
+        const entries = [];
+        const usedNames = new Set();
+        
+        for (const item of items) {
+            const blob = item.hasFile ? await mediaAPI.getMediaFile(item.id) : null;
+            if (!blob) continue;
+            
+            // Keep every entry name unique: photo.jpg, photo (2).jpg, ...
+            const safeName = LibraryTransfer.safeFileName(item.fileName);
+            const dot = safeName.lastIndexOf('.');
+            const base = dot > 0 ? safeName.slice(0, dot) : safeName;
+            const extension = dot > 0 ? safeName.slice(dot) : '';
+            let name = safeName;
+            for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                name = `${base} (${n})${extension}`;
+            }
+            usedNames.add(name.toLowerCase());
+            
+            entries.push({ name, data: blob, date: new Date(item.uploadDate) });
+        }
+        
+        if (entries.length === 0) {
+            Utils.showMessage(I18n.t('bulk.nothingToDownload'));
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        Utils.downloadBlob(await ZipArchive.create(entries), `mediamix-selection-${date}.zip`);
+        
+        const skipped = items.length - entries.length;
+        if (skipped > 0) {
+            Utils.showMessage(I18n.t('bulk.downloadSkipped', { count: skipped }));
+        }
+    } catch (error) {
+        console.error('Failed to download selection:', error);
+        Utils.showMessage(I18n.t('bulk.downloadFailed'));
+    } finally {
+        DOM.bulkDownload.textContent = I18n.t('bulk.download');
+        renderBulkBar();
+    }
+}
+
+/**
+ * Find and replace text in the descriptions of the selected items
+ * @param {Event} event - Form submit event
+ */
+async function handleFindReplace(event) {
+    event.preventDefault();
+    
+    const find = DOM.findText.value;
+    const replacement = DOM.replaceText.value;
+    const items = getSelectedItems();
+    if (!find) {
+        Utils.showMessage(I18n.t('bulk.findEmpty'));
+        return;
+    }
+    if (items.length === 0) return;
+    
+    const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(escaped, DOM.matchCase.checked ? 'g' : 'gi');
+    
+    const before = [];
+    const after = [];
+    let skipped = 0;
+    items.forEach(item => {
+        // A function replacement keeps "$" in the replacement text literal
+        const description = item.description.replace(pattern, () => replacement);
+        if (description === item.description) return;
+        
+        if (MediaValidation.checkDescription(description)) {
+            skipped++;
+            return;
+        }
+        before.push({ id: item.id, changes: { description: item.description } });
+        after.push({ id: item.id, changes: { description: description.trim() } });
+    });
+    
+    if (after.length === 0) {
+        Utils.showMessage(skipped > 0
+            ? I18n.t('bulk.replaceInvalid')
+            : I18n.t('bulk.notFound', { text: find }));
+        return;
+    }
+    
+    try {
+        await library.updateMany(after);
+        undoHistory.record({
+            label: I18n.t('history.replace', { count: after.length }),
+            ids: after.map(update => update.id),
+            undo: options => library.updateMany(before, options),
+            redo: options => library.updateMany(after, options)
+        });
+        
+        let message = I18n.t('bulk.replaced', { count: after.length });
+        if (skipped > 0) {
+            message += ' ' + I18n.t('bulk.replaceSkipped', { count: skipped });
+        }
+        showHistoryToast(message, 'undo');
+    } catch (error) {
+        console.error('Failed to replace in descriptions:', error);
+        showSaveError(error, I18n.t('bulk.replaceFailed'));
+    }
+}
+
+/**
+ * Re-render after another tab changed the library
+ */
+function handleExternalChange() {
+    // A burst of saves in the other tab causes a single re-render
+    clearTimeout(AppState.externalChangeTimer);
+    AppState.externalChangeTimer = setTimeout(async () => {
+        // Thumbnails may have been replaced too, so reload them all
+        AppState.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        AppState.thumbnailUrls.clear();
+        await renderGallery('external');
+        
+        const isGone = id => id && !library.items.some(item => item.id === id);
+        if (isGone(AppState.currentViewId)) {
+            closeViewModal();
+            Utils.showMessage(I18n.t('sync.viewingDeleted'));
+        }
+        if (isGone(AppState.currentEditId)) {
+            closeEditModal();
+            Utils.showMessage(I18n.t('sync.editingDeleted'));
+        }
+        if (AppState.openPlaylistId) {
+            renderPlaylistModal();
+        }
+    }, 100);
+}
+
+/**
+ * Register the service worker that caches the app shell
+ */
+function registerServiceWorker() {
+    // Service workers need a secure context (https or localhost)
+    if (!AppConfig.serviceWorker || !('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    navigator.serviceWorker.register('service-worker.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Show offline queue progress when the backend queues changes
+ */
+function setupSyncStatus() {
+    if (!(mediaAPI instanceof OfflineBackendAPI)) return;
+    
+    mediaAPI.on('change', handleSyncChange);
+    window.addEventListener('online', renderSyncStatus);
+    window.addEventListener('offline', renderSyncStatus);
+    renderSyncStatus();
+}
+
+/**
+ * React to outbox changes and finished syncs
+ * @param {Object} [result] - { replayed, idMap } after a sync
+ */
+async function handleSyncChange(result) {
+    renderSyncStatus();
+    if (DOM.conflictModal.classList.contains('show')) {
+        renderConflictList();
+    }
+    if (!result || result.replayed === 0) return;
+    
+    // Items created offline now have server IDs; reloading drops the old ones
+    await renderGallery('external');
+    
+    const conflicts = mediaAPI.getConflicts().length;
+    if (conflicts > 0) {
+        Utils.showMessage(I18n.t('sync.syncedWithConflicts', { count: conflicts }));
+    } else {
+        Utils.showMessage(I18n.t('sync.synced', { count: result.replayed }), 'success');
+    }
+}
+
+/**
+ * Update the header's offline and sync indicator
+ */
+function renderSyncStatus() {
+    const pending = mediaAPI.getPendingCount();
+    const conflicts = mediaAPI.getConflicts().length;
+    
+    let message = '';
+    if (!navigator.onLine) {
+        message = pending > 0
+            ? I18n.t('sync.offlinePending', { count: pending })
+            : I18n.t('sync.offline');
+    } else if (mediaAPI.syncing) {
+        message = I18n.t('sync.syncing', { count: pending });
+    } else if (pending > 0) {
+        message = I18n.t('sync.waiting', { count: pending });
+    }
+    
+    DOM.syncMessage.textContent = message;
+    DOM.syncMessage.hidden = !message;
+    DOM.reviewConflicts.textContent = I18n.t('sync.review', { count: conflicts });
+    DOM.reviewConflicts.hidden = conflicts === 0;
+    DOM.syncStatus.hidden = !message && conflicts === 0;
+}
+
+/**
+ * Open the sync conflicts dialog
+ */
+function openConflictModal() {
+    renderConflictList();
+    DOM.conflictModal.classList.add('show');
+}
+
+/**
+ * Render the held-back changes with their resolution buttons
+ */
+function renderConflictList() {
+    const conflicts = mediaAPI.getConflicts();
+    if (conflicts.length === 0) {
+        DOM.conflictList.innerHTML = `<li class="conflict-message">${I18n.html('sync.resolved')}</li>`;
+        return;
+    }
+    
+    const describe = conflict => {
+        if (conflict.op === 'create') return I18n.t('sync.youAdded');
+        if (conflict.op === 'delete') return I18n.t('sync.youDeleted');
+        return I18n.t('sync.youChanged', { fields: I18n.formatList(Object.keys(conflict.changes || {})) });
+    };
+    // Refusals carry the server's message, as do conflicts saved before reasons were recorded
+    const explain = conflict => (conflict.reason && conflict.reason !== 'refused'
+        ? I18n.t(`sync.${conflict.reason}`, { fields: I18n.formatList(conflict.fields) })
+        : conflict.message);
+    
+    DOM.conflictList.innerHTML = conflicts.map(conflict => `
+        <li class="conflict-item">
+            <div class="conflict-name">${escapeHtml(conflict.fileName || I18n.t('sync.unknownItem'))}</div>
+            <div class="conflict-message">${escapeHtml(describe(conflict))} ${escapeHtml(explain(conflict))}</div>
+            <div class="conflict-actions">
+                ${conflict.entries ? `
+                    <button type="button" class="action-btn" data-conflict="${conflict.id}" data-keep="mine">${I18n.html('sync.retry')}</button>
+                    <button type="button" class="action-btn" data-conflict="${conflict.id}" data-keep="theirs">${I18n.html('sync.discardMine')}</button>
+                ` : conflict.remote ? `
+                    <button type="button" class="action-btn" data-conflict="${conflict.id}" data-keep="mine">${I18n.html('sync.keepMine')}</button>
+                    <button type="button" class="action-btn" data-conflict="${conflict.id}" data-keep="theirs">${I18n.html('sync.keepTheirs')}</button>
+                ` : `
+                    <button type="button" class="action-btn" data-conflict="${conflict.id}" data-keep="theirs">${I18n.html('sync.discardMine')}</button>
+                `}
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Resolve a conflict from its button
+ * @param {Event} event - Click event
+ */
+async function handleConflictListClick(event) {
+    const button = event.target.closest('button[data-conflict]');
+    if (!button) return;
+    
+    button.disabled = true;
+    try {
+        await mediaAPI.resolveConflict(button.getAttribute('data-conflict'), button.getAttribute('data-keep'));
+        renderConflictList();
+        await renderGallery();
+    } catch (error) {
+        console.error('Failed to resolve conflict:', error);
+        button.disabled = false;
+        Utils.showMessage(I18n.t('sync.resolveFailed'));
+    }
+}
+
+/**
+ * Close the sync conflicts dialog
+ */
+function closeConflictModal() {
+    DOM.conflictModal.classList.remove('show');
+}
+
+/**
+ * Render the playlists in the sidebar and the bulk bar's playlist picker
+ */
+function renderPlaylists() {
+    const libraryIds = new Set(library.items.filter(item => !item.deletedAt).map(item => item.id));
+
+    DOM.playlistList.innerHTML = AppState.playlists.length === 0
+        ? `<li class="sidebar-empty">${I18n.html('sidebar.noPlaylists')}</li>`
+        : AppState.playlists.map(playlist => `
+            <li class="sidebar-item ${AppState.playingPlaylistId === playlist.id ? 'active' : ''}">
+                <button type="button" class="sidebar-link" data-playlist="${playlist.id}">
+                    <span class="sidebar-name">🎵 ${escapeHtml(playlist.name)}</span>
+                    <span class="sidebar-count">${playlist.itemIds.filter(id => libraryIds.has(id)).length}</span>
+                </button>
+                <button type="button" class="sidebar-action play-playlist-btn" data-playlist="${playlist.id}" title="${I18n.html('playlist.play')}">▶</button>
+            </li>
+        `).join('');
+
+    DOM.bulkPlaylist.innerHTML = `<option value="">${I18n.html('bulk.addToPlaylist')}</option>` +
+        AppState.playlists.map(playlist => `<option value="${playlist.id}">${escapeHtml(playlist.name)}</option>`).join('') +
+        `<option value="new">${I18n.html('bulk.newPlaylist')}</option>`;
+}
+
+/**
+ * Handle clicks in the playlists list
+ * @param {Event} event - Click event
+ */
+function handlePlaylistListClick(event) {
+    const button = event.target.closest('button[data-playlist]');
+    if (!button) return;
+
+    const id = button.getAttribute('data-playlist');
+
+    if (button.classList.contains('play-playlist-btn')) {
+        playPlaylist(id);
+    } else {
+        openPlaylistModal(id);
+    }
+}
+
+/**
+ * Create a new playlist
+ * @returns {Promise<Object|null>} Created playlist, or null if cancelled or failed
+ */
+async function handleNewPlaylist() {
+    const name = prompt(I18n.t('playlist.newPrompt'));
+    if (name === null) return null;
+
+    try {
+        const playlist = await mediaAPI.createPlaylist(name);
+        await renderGallery();
+        Utils.showMessage(I18n.t('playlist.created', { name: playlist.name }), 'success');
+        return playlist;
+    } catch (error) {
+        console.error('Failed to create playlist:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'playlist.createFailed'));
+        return null;
+    }
+}
+
+/**
+ * Rename the playlist open in the playlist dialog
+ */
+async function handleRenamePlaylist() {
+    const playlist = AppState.playlists.find(p => p.id === AppState.openPlaylistId);
+    if (!playlist) return;
+
+    const name = prompt(I18n.t('playlist.renamePrompt'), playlist.name);
+    if (name === null || name.trim() === playlist.name) return;
+
+    try {
+        await mediaAPI.updatePlaylist(playlist.id, { name });
+        await renderGallery();
+        renderPlaylistModal();
+        Utils.showMessage(I18n.t('playlist.renamed'), 'success');
+    } catch (error) {
+        console.error('Failed to rename playlist:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'playlist.renameFailed'));
+    }
+}
+
+/**
+ * Delete the playlist open in the playlist dialog, keeping its items
+ */
+async function handleDeletePlaylist() {
+    const playlist = AppState.playlists.find(p => p.id === AppState.openPlaylistId);
+    if (!playlist) return;
+
+    if (!confirm(I18n.t('playlist.confirmDelete', { name: playlist.name }))) {
+        return;
+    }
+
+    try {
+        await mediaAPI.deletePlaylist(playlist.id);
+        closePlaylistModal();
+        await renderGallery();
+        Utils.showMessage(I18n.t('playlist.deleted'), 'success');
+    } catch (error) {
+        console.error('Failed to delete playlist:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'playlist.deleteFailed'));
+    }
+}
+
+/**
+ * Add the selected audio and video items to the playlist picked in the bulk bar
+ */
+async function handleBulkPlaylistChange() {
+    const value = DOM.bulkPlaylist.value;
+    DOM.bulkPlaylist.value = '';
+    if (!value) return;
+
+    const items = getSelectedItems();
+    const playable = items.filter(item => item.fileType === 'audio' || item.fileType === 'video');
+    if (playable.length === 0) {
+        Utils.showMessage(I18n.t('playlist.onlyPlayable'));
+        return;
+    }
+
+    const playlist = value === 'new'
+        ? await handleNewPlaylist()
+        : AppState.playlists.find(p => p.id === value);
+    if (!playlist) return;
+
+    try {
+        const updated = await mediaAPI.updatePlaylist(playlist.id, {
+            itemIds: [...playlist.itemIds, ...playable.map(item => item.id)]
+        });
+        await renderGallery();
+        if (AppState.openPlaylistId === playlist.id) renderPlaylistModal();
+
+        const added = updated.itemIds.length - playlist.itemIds.length;
+        const skipped = items.length - playable.length;
+        let message = I18n.t('playlist.added', { count: added, name: updated.name });
+        if (added < playable.length) message += ' ' + I18n.t('playlist.alreadyIn', { count: playable.length - added });
+        if (skipped > 0) message += ' ' + I18n.t('playlist.imagesSkipped', { count: skipped });
+        Utils.showMessage(message, 'success');
+    } catch (error) {
+        console.error('Failed to add items to playlist:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'playlist.addFailed'));
+    }
+}
+
+/**
+ * Open the playlist dialog
+ * @param {string} id - Playlist ID
+ */
+function openPlaylistModal(id) {
+    AppState.openPlaylistId = id;
+    renderPlaylistModal();
+    DOM.playlistModal.classList.add('show');
+}
+
+/**
+ * Render the items of the open playlist in order
+ */
+function renderPlaylistModal() {
+    const playlist = AppState.playlists.find(p => p.id === AppState.openPlaylistId);
+    if (!playlist) {
+        closePlaylistModal();
+        return;
+    }
+
+    const byId = new Map(library.items.map(item => [item.id, item]));
+    const isAvailable = item => item && !item.deletedAt;
+    const available = playlist.itemIds.map(id => byId.get(id)).filter(isAvailable);
+    const totalDuration = available.reduce((sum, item) => sum + (item.metadata?.duration || 0), 0);
+    const playingId = AppState.playingPlaylistId === playlist.id && mediaPlayer.current ? mediaPlayer.current.id : null;
+
+    DOM.playlistTitle.textContent = playlist.name;
+    DOM.playlistInfo.textContent = playlist.itemIds.length === 0
+        ? I18n.t('playlist.emptyHint')
+        : I18n.t('playlist.info', { count: available.length, duration: Utils.formatDuration(totalDuration) });
+    DOM.playPlaylist.disabled = available.length === 0;
+
+    if (playlist.itemIds.length === 0) {
+        DOM.playlistItems.innerHTML = `<li class="playlist-empty">${I18n.html('playlist.empty')}</li>`;
+        return;
+    }
+
+    const last = playlist.itemIds.length - 1;
+    DOM.playlistItems.innerHTML = playlist.itemIds.map((id, index) => {
+        const item = byId.get(id);
+        const usable = isAvailable(item);
+        const name = item ? item.metadata?.title || item.fileName : I18n.t('playlist.deletedItem');
+        const duration = item && Number.isFinite(item.metadata?.duration) ? Utils.formatDuration(item.metadata.duration) : '';
+        return `
+            <li class="playlist-item ${usable ? '' : 'unavailable'} ${id === playingId ? 'playing' : ''}" draggable="true" data-index="${index}">
+                <span class="playlist-handle" aria-hidden="true">⠿</span>
+                <span class="playlist-item-name" title="${escapeHtml(item ? item.fileName : '')}">${item && item.fileType === 'video' ? '🎬' : '🎵'} ${escapeHtml(name)}${item && item.deletedAt ? ' ' + I18n.html('playlist.inTrash') : ''}</span>
+                <span class="playlist-item-duration">${duration}</span>
+                <button type="button" class="playlist-item-btn" data-action="play" title="${I18n.html('playlist.playFrom')}" ${usable ? '' : 'disabled'}>▶</button>
+                <button type="button" class="playlist-item-btn" data-action="up" title="${I18n.html('playlist.moveUp')}" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button type="button" class="playlist-item-btn" data-action="down" title="${I18n.html('playlist.moveDown')}" ${index === last ? 'disabled' : ''}>▼</button>
+                <button type="button" class="playlist-item-btn" data-action="remove" title="${I18n.html('playlist.remove')}">✕</button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle the play, move and remove buttons of playlist items
+ * @param {Event} event - Click event
+ */
+async function handlePlaylistItemsClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const playlist = AppState.playlists.find(p => p.id === AppState.openPlaylistId);
+    const index = Number(button.closest('.playlist-item').getAttribute('data-index'));
+    const action = button.getAttribute('data-action');
+
+    if (action === 'play') {
+        playPlaylist(playlist.id, index);
+    } else if (action === 'up') {
+        await movePlaylistItem(index, index - 1);
+    } else if (action === 'down') {
+        await movePlaylistItem(index, index + 2);
+    } else if (action === 'remove') {
+        await savePlaylistItems(playlist.itemIds.filter((id, i) => i !== index));
+    }
+}
+
+/**
+ * Move an item of the open playlist
+ * @param {number} from - Index of the item
+ * @param {number} before - Index of the item it should end up in front of; the length for the end
+ */
+async function movePlaylistItem(from, before) {
+    const playlist = AppState.playlists.find(p => p.id === AppState.openPlaylistId);
+    const itemIds = [...playlist.itemIds];
+    const [id] = itemIds.splice(from, 1);
+    itemIds.splice(before > from ? before - 1 : before, 0, id);
+    await savePlaylistItems(itemIds);
+}
+
+/**
+ * Save a new item list for the open playlist
+ * @param {Array<string>} itemIds - Item IDs in order
+ */
+async function savePlaylistItems(itemIds) {
+    try {
+        await mediaAPI.updatePlaylist(AppState.openPlaylistId, { itemIds });
+        await renderGallery();
+        renderPlaylistModal();
+    } catch (error) {
+        console.error('Failed to update playlist:', error);
+        Utils.showMessage(Utils.getErrorMessage(error, 'playlist.updateFailed'));
+    }
+}
 
-// Initialize mock backend
-const mockAPI = new MockBackendAPI();
+/**
+ * Start dragging a playlist item
+ * @param {DragEvent} event - Drag event
+ */
+function handlePlaylistDragStart(event) {
+    const row = event.target.closest('.playlist-item');
+    if (!row) return;
 
-// Application Initialization
-document.addEventListener('DOMContentLoaded', async () => {
-    console.log('MediaMix Hub initializing...');
-    
-    // Cache DOM elements
-    initializeDOMElements();
-    
-    // Set up event listeners
-    setupEventListeners();
-    
-    // Initialize mock backend
-    await mockAPI.init();
-    
-    // Initial render
-    await renderGallery();
-    
-    console.log('MediaMix Hub initialized successfully');
-});
+    AppState.playlistDragIndex = Number(row.getAttribute('data-index'));
+    event.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag when some data is set
+    event.dataTransfer.setData('text/plain', row.querySelector('.playlist-item-name').textContent.trim());
+    row.classList.add('dragging');
+}
 
 /**
- * Cache all DOM elements for performance
+ * Show where a dragged playlist item would be dropped
+ * @param {DragEvent} event - Drag event
  */
-function initializeDOMElements() {
-    // Upload Section
-    DOM.uploadForm = document.getElementById('uploadForm');
-    DOM.fileInput = document.getElementById('fileInput');
-    DOM.descriptionInput = document.getElementById('descriptionInput');
-    DOM.uploadBtn = document.getElementById('uploadBtn');
-    DOM.uploadSpinner = document.getElementById('uploadSpinner');
-    DOM.uploadError = document.getElementById('uploadError');
-    DOM.uploadSuccess = document.getElementById('uploadSuccess');
-    DOM.fileInfo = document.getElementById('fileInfo');
-    DOM.charCount = document.getElementById('charCount');
-    
-    // Gallery Section
-    DOM.galleryContainer = document.getElementById('galleryContainer');
-    DOM.galleryStats = document.getElementById('galleryStats');
-    DOM.emptyState = document.getElementById('emptyState');
-    
-    // Edit Modal
-    DOM.editModal = document.getElementById('editModal');
-    DOM.editDescriptionInput = document.getElementById('editDescriptionInput');
-    DOM.editCharCount = document.getElementById('editCharCount');
-    DOM.modalClose = document.getElementById('modalClose');
-    DOM.cancelEdit = document.getElementById('cancelEdit');
-    DOM.saveEdit = document.getElementById('saveEdit');
-    
-    // View Modal
-    DOM.viewModal = document.getElementById('viewModal');
-    DOM.viewModalTitle = document.getElementById('viewModalTitle');
-    DOM.viewModalClose = document.getElementById('viewModalClose');
-    DOM.mediaPreview = document.getElementById('mediaPreview');
-    DOM.mediaDetails = document.getElementById('mediaDetails');
-    DOM.closeView = document.getElementById('closeView');
+function handlePlaylistDragOver(event) {
+    const row = event.target.closest('.playlist-item');
+    if (!row || AppState.playlistDragIndex === null) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    const after = isDropAfter(row, event);
+    clearPlaylistDropMarkers();
+    row.classList.add(after ? 'drop-after' : 'drop-before');
 }
 
 /**
- * Set up all event listeners
+ * Whether a drop on a row goes after it rather than before it
+ * @param {HTMLElement} row - Playlist item row
+ * @param {DragEvent} event - Drag event
+ * @returns {boolean} True when the pointer is over the lower half of the row
  */
-function setupEventListeners() {
-    // Upload form events
-    DOM.uploadForm.addEventListener('submit', handleUpload);
-    DOM.fileInput.addEventListener('change', handleFileSelect);
-    DOM.descriptionInput.addEventListener('input', updateCharCount);
-    
-    // Edit modal events
-    DOM.modalClose.addEventListener('click', closeEditModal);
-    DOM.cancelEdit.addEventListener('click', closeEditModal);
-    DOM.saveEdit.addEventListener('click', handleSaveEdit);
-    DOM.editDescriptionInput.addEventListener('input', updateEditCharCount);
-    
-    // View modal events
-    DOM.viewModalClose.addEventListener('click', closeViewModal);
-    DOM.closeView.addEventListener('click', closeViewModal);
-    
-    // Close modals on overlay click
-    DOM.editModal.addEventListener('click', (e) => {
-        if (e.target === DOM.editModal) {
-            closeEditModal();
-        }
+function isDropAfter(row, event) {
+    const rect = row.getBoundingClientRect();
+    return event.clientY > rect.top + rect.height / 2;
+}
+
+/**
+ * Move a dragged playlist item to where it was dropped
+ * @param {DragEvent} event - Drop event
+ */
+async function handlePlaylistDrop(event) {
+    const row = event.target.closest('.playlist-item');
+    const from = AppState.playlistDragIndex;
+    if (!row || from === null) return;
+
+    event.preventDefault();
+    const index = Number(row.getAttribute('data-index'));
+    const before = isDropAfter(row, event) ? index + 1 : index;
+    handlePlaylistDragEnd();
+
+    if (before !== from && before !== from + 1) {
+        await movePlaylistItem(from, before);
+    }
+}
+
+/**
+ * Clear drag state once a playlist item drag finishes or is cancelled
+ */
+function handlePlaylistDragEnd() {
+    AppState.playlistDragIndex = null;
+    clearPlaylistDropMarkers();
+    DOM.playlistItems.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+}
+
+/**
+ * Remove the drop position highlight from every playlist item
+ */
+function clearPlaylistDropMarkers() {
+    DOM.playlistItems.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+        row.classList.remove('drop-before', 'drop-after');
     });
-    
-    DOM.viewModal.addEventListener('click', (e) => {
-        if (e.target === DOM.viewModal) {
-            closeViewModal();
+}
+
+/**
+ * Close the playlist dialog
+ */
+function closePlaylistModal() {
+    DOM.playlistModal.classList.remove('show');
+    AppState.openPlaylistId = null;
+}
+
+/**
+ * Play a playlist in the mini-player
+ * @param {string} id - Playlist ID
+ * @param {number} [startIndex] - Index of the playlist item to start from
+ */
+function playPlaylist(id, startIndex = 0) {
+    const playlist = AppState.playlists.find(p => p.id === id);
+    if (!playlist) return;
+
+    // Items in the trash or gone from the library are left out of the queue
+    const libraryIds = new Set(library.items.filter(item => !item.deletedAt).map(item => item.id));
+    const queue = playlist.itemIds.filter(itemId => libraryIds.has(itemId));
+    if (queue.length === 0) {
+        Utils.showMessage(I18n.t('playlist.nothingToPlay'));
+        return;
+    }
+
+    AppState.playingPlaylistId = id;
+    mediaPlayer.load(queue, Math.max(0, queue.indexOf(playlist.itemIds[startIndex])), playlist.name);
+}
+
+/**
+ * Drop permanently deleted items from every playlist
+ * @param {Array<string>} ids - IDs of purged items
+ */
+async function removeFromPlaylists(ids) {
+    const gone = new Set(ids);
+    for (const playlist of AppState.playlists) {
+        if (!playlist.itemIds.some(id => gone.has(id))) continue;
+        try {
+            await mediaAPI.updatePlaylist(playlist.id, { itemIds: playlist.itemIds.filter(id => !gone.has(id)) });
+        } catch (error) {
+            // The playlist dialog lists the deleted items so they can still be removed by hand
+            console.warn('Failed to remove deleted items from playlist:', playlist.name, error);
         }
+    }
+}
+
+/**
+ * Show what the mini-player is playing
+ * @param {Object} state - Player state from MediaPlayer.getState()
+ */
+function renderMiniPlayer(state) {
+    const { item } = state;
+    DOM.miniPlayer.classList.toggle('show', Boolean(item));
+    document.body.classList.toggle('player-open', Boolean(item));
+    DOM.playerScreen.classList.toggle('show', Boolean(item) && item.fileType === 'video');
+
+    if (item) {
+        const artist = item.metadata?.artist;
+        DOM.playerTitle.textContent = item.metadata?.title || item.fileName;
+        DOM.playerSubtitle.textContent = [artist, I18n.t('player.position', { title: state.title, index: state.index + 1, count: state.count })]
+            .filter(Boolean)
+            .join(' — ');
+    } else if (AppState.playingPlaylistId) {
+        AppState.playingPlaylistId = null;
+        renderPlaylists();
+    }
+
+    DOM.playerPlay.textContent = state.playing ? '⏸' : '▶';
+    DOM.playerPlay.title = I18n.t(state.playing ? 'player.pause' : 'player.play');
+    DOM.playerNext.disabled = state.index >= state.count - 1 && state.repeat !== 'all';
+    DOM.playerShuffle.setAttribute('aria-pressed', String(state.shuffle));
+    DOM.playerRepeat.setAttribute('aria-pressed', String(state.repeat !== 'off'));
+    DOM.playerRepeat.textContent = state.repeat === 'one' ? '🔂' : '🔁';
+    DOM.playerRepeat.title = I18n.t(`player.repeat.${state.repeat}`);
+    renderPlayerProgress(mediaPlayer.media.currentTime, mediaPlayer.getDuration());
+
+    if (AppState.openPlaylistId) {
+        renderPlaylistModal();
+    }
+}
+
+/**
+ * Move the mini-player's seek bar and time labels
+ * @param {number} time - Current time in seconds
+ * @param {number} duration - Duration in seconds
+ */
+function renderPlayerProgress(time, duration) {
+    DOM.playerSeek.max = duration;
+    DOM.playerSeek.value = time;
+    DOM.playerTime.textContent = Utils.formatDuration(Math.floor(time));
+    DOM.playerDuration.textContent = Utils.formatDuration(duration);
+}
+
+/**
+ * Toggle shuffle, remembering the choice
+ */
+function handlePlayerShuffle() {
+    mediaPlayer.setShuffle(!mediaPlayer.shuffle);
+    Preferences.set('playerShuffle', mediaPlayer.shuffle);
+}
+
+/**
+ * Cycle the repeat mode (off, all, current item), remembering the choice
+ */
+function handlePlayerRepeat() {
+    const modes = ['off', 'all', 'one'];
+    mediaPlayer.setRepeat(modes[(modes.indexOf(mediaPlayer.repeat) + 1) % modes.length]);
+    Preferences.set('playerRepeat', mediaPlayer.repeat);
+}
+
+/**
+ * Open the duplicate finder, hashing items uploaded before hashes were stored
+ */
+async function openDuplicateFinder() {
+    const scan = { cancelled: false };
+    AppState.duplicateScan = scan;
+    DOM.duplicateGroups.innerHTML = '';
+    DOM.duplicateFinderModal.classList.add('show');
+
+    await hashLibraryItems(scan, (done, total) => {
+        DOM.duplicateFinderStatus.textContent = I18n.t('duplicates.reading', { done, total });
     });
-    
-    // Close modals on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            if (DOM.editModal.classList.contains('show')) {
-                closeEditModal();
-            }
-            if (DOM.viewModal.classList.contains('show')) {
-                closeViewModal();
-            }
+    if (scan.cancelled) return;
+
+    renderDuplicateGroups();
+}
+
+/**
+ * Fill in missing hashes of items in the library
+ * @param {Object} scan - { cancelled } flag set when the finder is closed
+ * @param {Function} onProgress - Called with (done, total)
+ * @returns {Promise<void>}
+ */
+async function hashLibraryItems(scan, onProgress) {
+    const items = library.items.filter(item => !item.deletedAt && item.hasFile &&
+        (!item.contentHash || (item.fileType === 'image' && !item.perceptualHash)));
+    const updates = [];
+
+    for (const [index, item] of items.entries()) {
+        if (scan.cancelled) return;
+        onProgress(index, items.length);
+        try {
+            const file = await mediaAPI.getMediaFile(item.id);
+            if (!file) continue;
+            const thumbnail = item.fileType === 'image' && item.hasThumbnail
+                ? await mediaAPI.getMediaThumbnail(item.id)
+                : null;
+            const changes = await ContentHasher.hash(file, item.fileType, thumbnail, item.contentHash);
+            updates.push({ id: item.id, changes });
+        } catch (error) {
+            console.warn('Failed to hash media item:', item.fileName, error);
         }
+    }
+
+    if (updates.length === 0) return;
+    try {
+        await library.updateMany(updates, { source: 'background' });
+    } catch (error) {
+        // The groups are still shown; the hashes are just computed again next time
+        console.error('Failed to save content hashes:', error);
+        updates.forEach(({ id, changes }) => AppState.unsavedHashes.set(id, changes));
+    }
+}
+
+/**
+ * Show the library's identical files and similar images in groups
+ */
+function renderDuplicateGroups() {
+    const libraryItems = library.items.filter(item => !item.deletedAt)
+        .map(item => ({ ...item, ...AppState.unsavedHashes.get(item.id) }));
+    const { exact, similar } = ContentHasher.findDuplicates(libraryItems);
+
+    DOM.duplicateFinderStatus.textContent = exact.length + similar.length === 0
+        ? I18n.t('duplicates.none', { count: libraryItems.length })
+        : I18n.t('duplicates.found', {
+            identical: I18n.t('duplicates.identicalSets', { count: exact.length }),
+            similar: I18n.t('duplicates.similarSets', { count: similar.length })
+        });
+
+    const renderGroup = (group, heading) => `
+        <section class="duplicate-group">
+            <h4>${heading}</h4>
+            <ul class="duplicate-list">
+                ${group.map(item => `
+                    <li class="duplicate-item">
+                        ${createThumbPlaceholder(item, 'duplicate-thumb')}
+                        <div class="duplicate-details">
+                            <div class="duplicate-name">${escapeHtml(item.fileName)}</div>
+                            <div class="duplicate-meta">
+                                ${Utils.formatFileSize(item.fileSize)}
+                                ${item.metadata?.width ? ` · ${item.metadata.width} × ${item.metadata.height}` : ''}
+                                · ${Utils.formatDate(item.uploadDate)}
+                            </div>
+                            ${item.description ? `<div class="duplicate-description">${escapeHtml(item.description)}</div>` : ''}
+                        </div>
+                        <div class="duplicate-actions">
+                            <button type="button" class="action-btn" data-action="view" data-id="${item.id}">${I18n.html('card.view')}</button>
+                            <button type="button" class="action-btn delete-btn" data-action="trash" data-id="${item.id}">${I18n.html('duplicates.trash')}</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `;
+
+    DOM.duplicateGroups.innerHTML = [
+        ...exact.map(group => {
+            const wasted = group.slice(1).reduce((sum, item) => sum + item.fileSize, 0);
+            return renderGroup(group, I18n.html('duplicates.identicalGroup', { count: group.length, size: Utils.formatFileSize(wasted) }));
+        }),
+        ...similar.map(group => renderGroup(group, I18n.html('duplicates.similarGroup', { count: group.length })))
+    ].join('');
+    loadCardThumbnails(DOM.duplicateGroups);
+}
+
+/**
+ * Handle the View and Move to Trash buttons of the duplicate finder
+ * @param {Event} event - Click event
+ */
+async function handleDuplicateGroupsClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const id = button.getAttribute('data-id');
+    if (button.getAttribute('data-action') === 'view') {
+        closeDuplicateFinder();
+        openViewModal(id);
+    } else {
+        button.disabled = true;
+        await handleDelete(id);
+        renderDuplicateGroups();
+    }
+}
+
+/**
+ * Close the duplicate finder, stopping any scan in progress
+ */
+function closeDuplicateFinder() {
+    if (AppState.duplicateScan) {
+        AppState.duplicateScan.cancelled = true;
+        AppState.duplicateScan = null;
+    }
+    DOM.duplicateFinderModal.classList.remove('show');
+}
+
+/**
+ * Warn at startup when storage is nearly full, before a save fails
+ */
+async function warnIfStorageLow() {
+    const report = await StorageMonitor.report(mediaAPI);
+    if (StorageMonitor.forecast(report, 0).level === 'ok') return;
+
+    Notifications.show(I18n.t('storage.lowWarning'), {
+        type: 'warning',
+        duration: 10000,
+        actions: [{ label: I18n.t('storage.manage'), run: () => openStoragePanel() }]
+    });
+}
+
+/**
+ * Tell the user a change could not be saved, pointing them at the storage panel when storage is full
+ * @param {Error} error - Error from the backend
+ * @param {string} message - What failed
+ */
+function showSaveError(error, message) {
+    if (StorageMonitor.isQuotaError(error)) {
+        Utils.showMessage(I18n.t('storage.fullRetry', { message }));
+        openStoragePanel(true);
+    } else {
+        Utils.showMessage(I18n.t('common.tryAgain', { message }));
+    }
+}
+
+/**
+ * Open the storage panel
+ * @param {boolean} [full=false] - Whether a save just failed because storage is full
+ */
+async function openStoragePanel(full = false) {
+    DOM.storageAlert.hidden = !full;
+    DOM.storageModal.classList.add('show');
+    await renderStoragePanel();
+}
+
+/**
+ * Show storage usage, its breakdown, and what can be done to free space
+ */
+async function renderStoragePanel() {
+    const [report, items] = await Promise.all([StorageMonitor.report(mediaAPI), mediaAPI.getMedia()]);
+    const summary = StorageMonitor.summarize(items);
+    const { estimate, index } = report;
+    const percent = (used, total) => Math.min(100, Math.round((used / total) * 100));
+
+    DOM.storageMeter.hidden = !estimate || !estimate.quota;
+    if (estimate && estimate.quota) {
+        const used = percent(estimate.usage, estimate.quota);
+        DOM.storageMeterFill.style.width = `${used}%`;
+        DOM.storageMeter.classList.toggle('low', estimate.usage > estimate.quota * AppConfig.storageWarningRatio);
+        DOM.storageUsage.textContent = I18n.t('storage.usage', {
+            used: Utils.formatFileSize(estimate.usage),
+            quota: Utils.formatFileSize(estimate.quota),
+            percent: I18n.formatNumber(used / 100, { style: 'percent' })
+        });
+    } else if (report.local) {
+        DOM.storageUsage.textContent = I18n.t('storage.noEstimate');
+    } else {
+        DOM.storageUsage.textContent = I18n.t('storage.onServer');
+    }
+    if (index) {
+        DOM.storageUsage.textContent += ' ' + I18n.t('storage.indexUsage', {
+            used: Utils.formatFileSize(index.bytes),
+            limit: Utils.formatFileSize(index.limit),
+            percent: I18n.formatNumber(percent(index.bytes, index.limit) / 100, { style: 'percent' })
+        });
+    }
+
+    const canPersist = report.local && estimate && !estimate.persisted && StorageMonitor.canPersist();
+    DOM.storagePersistence.textContent = !report.local || !estimate
+        ? ''
+        : estimate.persisted
+            ? I18n.t('storage.persistent')
+            : I18n.t('storage.notPersistent');
+    DOM.persistStorage.hidden = !canPersist;
+
+    const rows = [
+        [I18n.t('filters.image'), 'image', summary.types.image],
+        [I18n.t('filters.video'), 'video', summary.types.video],
+        [I18n.t('filters.audio'), 'audio', summary.types.audio],
+        [I18n.t('sidebar.trash'), 'trash', summary.trash]
+    ];
+    DOM.storageBreakdown.innerHTML = rows.map(([label, kind, group]) => `
+        <li class="storage-row">
+            <span class="storage-label">${escapeHtml(label)}</span>
+            <span class="storage-bar"><span class="storage-bar-fill ${kind}" style="width: ${summary.total.bytes ? percent(group.bytes, summary.total.bytes) : 0}%"></span></span>
+            <span class="storage-amount">${Utils.formatFileSize(group.bytes)} · ${I18n.html('storage.items', { count: group.count })}</span>
+        </li>
+    `).join('');
+
+    const actions = [];
+    if (summary.trash.count > 0) {
+        actions.push({
+            action: 'empty-trash',
+            label: I18n.t('storage.emptyTrash', { count: summary.trash.count }),
+            bytes: summary.trash.bytes,
+            button: I18n.t('trash.empty')
+        });
+    }
+    report.reclaimable.forEach(entry => {
+        actions.push({ action: 'reclaim', key: entry.key, label: entry.label, bytes: entry.bytes, button: I18n.t('card.delete') });
+    });
+    actions.push({
+        action: 'export',
+        label: I18n.t('storage.exportHint'),
+        bytes: null,
+        button: I18n.t('storage.export')
     });
+    DOM.storageActions.innerHTML = actions.map(({ action, key, label, bytes, button }) => `
+        <li class="storage-action">
+            <span>${escapeHtml(label)}${bytes !== null ? ` <span class="storage-amount">${I18n.html('storage.frees', { size: Utils.formatFileSize(bytes) })}</span>` : ''}</span>
+            <button type="button" class="action-btn" data-action="${action}"${key ? ` data-key="${escapeHtml(key)}"` : ''}>${escapeHtml(button)}</button>
+        </li>
+    `).join('');
+
+    DOM.storageLargest.innerHTML = summary.largest.length === 0
+        ? `<li class="storage-empty">${I18n.html('storage.noFiles')}</li>`
+        : summary.largest.map(item => `
+            <li class="storage-item">
+                <span class="storage-item-name">${escapeHtml(item.fileName)}${item.deletedAt ? ` <span class="storage-amount">${I18n.html('storage.inTrash')}</span>` : ''}</span>
+                <span class="storage-amount">${Utils.formatFileSize(item.fileSize)}</span>
+                <button type="button" class="action-btn" data-action="download" data-id="${item.id}">${I18n.html('storage.download')}</button>
+                <button type="button" class="action-btn delete-btn" data-action="purge" data-id="${item.id}">${I18n.html('card.purge')}</button>
+            </li>
+        `).join('');
+}
+
+/**
+ * Ask the browser to keep the library's storage when space runs low
+ */
+async function handlePersistStorage() {
+    DOM.persistStorage.disabled = true;
+    const persisted = await StorageMonitor.requestPersistence();
+    DOM.persistStorage.disabled = false;
+
+    if (persisted) {
+        Utils.showMessage(I18n.t('storage.persisted'), 'success');
+    } else {
+        Utils.showMessage(I18n.t('storage.persistDeclined'));
+    }
+    await renderStoragePanel();
+}
+
+/**
+ * Handle the recovery actions of the storage panel
+ * @param {Event} event - Click event
+ */
+async function handleStorageActionsClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const action = button.getAttribute('data-action');
+    if (action === 'empty-trash') {
+        await handleEmptyTrash();
+    } else if (action === 'export') {
+        button.disabled = true;
+        await handleExport('zip');
+        button.disabled = false;
+        return;
+    } else {
+        if (!confirm(I18n.t('storage.confirmReclaim'))) return;
+        try {
+            await mediaAPI.reclaimStorage(button.getAttribute('data-key'));
+            Utils.showMessage(I18n.t('storage.freed'), 'success');
+        } catch (error) {
+            console.error('Failed to free storage:', error);
+            Utils.showMessage(I18n.t('storage.freeFailed'));
+        }
+    }
+    await renderStoragePanel();
+}
+
+/**
+ * Handle the Download and Delete Forever buttons of the largest items
+ * @param {Event} event - Click event
+ */
+async function handleStorageLargestClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const item = library.items.find(media => media.id === button.getAttribute('data-id'));
+    if (!item) return;
+
+    if (button.getAttribute('data-action') === 'download') {
+        const blob = await mediaAPI.getMediaFile(item.id);
+        if (blob) {
+            Utils.downloadBlob(blob, item.fileName);
+        } else {
+            Utils.showMessage(I18n.t('storage.noFile'));
+        }
+        return;
+    }
+
+    if (!confirm(I18n.t('storage.confirmPurge', { name: item.fileName, size: Utils.formatFileSize(item.fileSize) }))) {
+        return;
+    }
+    button.disabled = true;
+    const purged = await purgeItems([item]);
+    if (purged === 0) {
+        Utils.showMessage(I18n.t('storage.purgeFailed'));
+    }
+    await renderStoragePanel();
+}
+
+/**
+ * Close the storage panel
+ */
+function closeStoragePanel() {
+    DOM.storageModal.classList.remove('show');
+}
+
+/**
+ * Open the activity feed
+ */
+function openActivityPanel() {
+    DOM.activityModal.classList.add('show');
+    renderActivityPanel();
 }
 
 /**
- * Handle file selection
- * @param {Event} event - File input change event
+ * List the saved activity of the chosen type, newest first
  */
-function handleFileSelect(event) {
-    const file = event.target.files[0];
-    
-    if (!file) {
-        DOM.fileInfo.textContent = '';
-        return;
-    }
-    
-    if (!Utils.isValidFileType(file)) {
-        DOM.fileInfo.innerHTML = `<span style="color: #dc3545;">❌ Invalid file type. Please select an image, video, or audio file.</span>`;
+function renderActivityPanel() {
+    const type = DOM.activityFilter.value;
+    const entries = ActivityLog.load();
+    const shown = type ? entries.filter(entry => entry.type === type) : entries;
+    const available = new Set(library.items.filter(item => !item.deletedAt).map(item => item.id));
+
+    DOM.clearActivity.disabled = entries.length === 0;
+    if (shown.length === 0) {
+        DOM.activityList.innerHTML = `<li class="activity-empty">${I18n.html(entries.length === 0 ? 'activity.empty' : 'activity.noMatches')}</li>`;
         return;
     }
-    
-    const fileSize = (file.size / 1024 / 1024).toFixed(2);
-    const fileType = Utils.getFileType(file.type);
-    const icon = Utils.getFileIcon(fileType);
-    
-    DOM.fileInfo.innerHTML = `
-        <span style="color: #28a745;">
-            ${icon} ${file.name} (${fileSize} MB) - ${fileType}
-        </span>
-    `;
+
+    DOM.activityList.innerHTML = shown.map(entry => {
+        const names = entry.items.map(item => item.name);
+        const more = entry.count - names.length;
+        const itemText = more > 0
+            ? I18n.t('activity.more', { names: names.join(I18n.t('common.listSeparator')), count: more })
+            : I18n.formatList(names);
+        // A single item can be opened from the feed while it is still in the library
+        const viewId = entry.count === 1 && available.has(entry.items[0].id) ? entry.items[0].id : null;
+        const meta = [Utils.formatDate(entry.time)];
+        if (entry.source) meta.push(I18n.t(`activity.source.${entry.source}`));
+
+        return `
+            <li class="activity-entry">
+                <span class="activity-type activity-${entry.type}">${I18n.html(`activity.type.${entry.type}`)}</span>
+                <div class="activity-details">
+                    <div class="activity-items">${escapeHtml(itemText)}</div>
+                    <time class="activity-meta" datetime="${escapeHtml(entry.time)}">${escapeHtml(meta.join(' · '))}</time>
+                </div>
+                ${viewId ? `<button type="button" class="action-btn" data-id="${viewId}">${I18n.html('card.view')}</button>` : ''}
+            </li>
+        `;
+    }).join('');
 }
 
 /**
- * Update character count for description input
+ * Handle the View buttons of the activity feed
+ * @param {Event} event - Click event
  */
-function updateCharCount() {
-    const count = DOM.descriptionInput.value.length;
-    DOM.charCount.textContent = `${count}/500`;
-    DOM.charCount.style.color = count > 450 ? '#dc3545' : '#6c757d';
+function handleActivityListClick(event) {
+    const button = event.target.closest('button[data-id]');
+    if (!button) return;
+
+    closeActivityPanel();
+    openViewModal(button.getAttribute('data-id'));
 }
 
 /**
- * Update character count for edit modal
+ * Delete the whole activity feed after confirmation
  */
-function updateEditCharCount() {
-    const count = DOM.editDescriptionInput.value.length;
-    DOM.editCharCount.textContent = `${count}/500`;
-    DOM.editCharCount.style.color = count > 450 ? '#dc3545' : '#6c757d';
+function handleClearActivity() {
+    if (!confirm(I18n.t('activity.confirmClear'))) return;
+
+    ActivityLog.clear();
+    renderActivityPanel();
 }
 
 /**
- * Handle upload form submission
- * @param {Event} event - Form submit event
+ * Close the activity feed
  */
-async function handleUpload(event) {
-    event.preventDefault();
-    
-    if (AppState.isLoading) return;
-    
-    const file = DOM.fileInput.files[0];
-    const description = DOM.descriptionInput.value.trim();
-    
-    // Validation
-    if (!file) {
-        Utils.showMessage('Please select a file to upload.');
-        return;
-    }
-    
-    if (!Utils.isValidFileType(file)) {
-        Utils.showMessage('Invalid file type. Please select an image, video, or audio file.');
-        return;
+function closeActivityPanel() {
+    DOM.activityModal.classList.remove('show');
+}
+
+/**
+ * The route of the open item dialog and the share view
+ * @returns {Object} { shareIds, id, edit }
+ */
+function getCurrentRoute() {
+    return {
+        shareIds: AppState.shareIds,
+        id: AppState.currentEditId || AppState.currentViewId,
+        edit: Boolean(AppState.currentEditId)
+    };
+}
+
+/**
+ * Bring the URL in line with the open item dialog
+ *
+ * Opening a dialog adds a history entry so that Back closes it; closing one
+ * goes back over that entry so that Forward opens it again.
+ */
+function syncRoute() {
+    if (AppState.applyingRoute) return;
+
+    const current = HashRouter.parse(window.location.hash);
+    const route = getCurrentRoute();
+    const hash = HashRouter.format(route);
+    if (hash === HashRouter.format(current)) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (route.id && !current.id) {
+        history.pushState({ dialog: true }, '', url);
+    } else if (!route.id && current.id && history.state && history.state.dialog) {
+        AppState.routeBack = true;
+        history.back();
+    } else {
+        // Switching items, or closing a dialog the page was opened with
+        history.replaceState(history.state, '', url);
     }
-    
-    if (!description) {
-        Utils.showMessage('Please enter a description for your media.');
+}
+
+/**
+ * Follow Back, Forward and edited URLs
+ */
+function handleRouteChange() {
+    if (AppState.routeBack) {
+        AppState.routeBack = false;
+        // A dialog opened while going back needs an entry of its own again
+        syncRoute();
         return;
     }
-    
-    if (description.length > 500) {
-        Utils.showMessage('Description must be 500 characters or less.');
-        return;
+    applyRoute(HashRouter.parse(window.location.hash));
+}
+
+/**
+ * Open or close the share view and item dialogs to match a route
+ * @param {Object} route - From HashRouter.parse()
+ */
+function applyRoute(route) {
+    if (JSON.stringify(route.shareIds) !== JSON.stringify(AppState.shareIds)) {
+        setShareView(route.shareIds);
+        renderGalleryItems();
     }
-    
+
+    // The share view only opens the items it shows
+    const item = route.id && library.items.find(media => media.id === route.id &&
+        (!route.shareIds || (route.shareIds.includes(media.id) && !media.deletedAt)));
+    const edit = Boolean(item) && route.edit && !item.deletedAt;
+
+    AppState.applyingRoute = true;
     try {
-        Utils.setLoadingState(true);
-        
-        const mediaData = {
-            fileName: file.name,
-            description: description,
-            fileType: Utils.getFileType(file.type),
-            fileSize: file.size
-        };
-        
-        const newItem = await mockAPI.createMedia(mediaData);
-        
-        // Clear form
-        DOM.uploadForm.reset();
-        DOM.fileInfo.textContent = '';
-        updateCharCount();
-        
-        // Refresh gallery
-        await renderGallery();
-        
-        Utils.showMessage(`Successfully uploaded ${newItem.fileName}!`, 'success');
-        
-    } catch (error) {
-        console.error('Upload failed:', error);
-        Utils.showMessage('Upload failed. Please try again.');
+        if (AppState.currentViewId && (!item || edit)) closeViewModal();
+        if (AppState.currentEditId && (!item || !edit)) closeEditModal();
+        if (item && edit && AppState.currentEditId !== item.id) openEditModal(item.id);
+        if (item && !edit && AppState.currentViewId !== item.id) openViewModal(item.id);
     } finally {
-        Utils.setLoadingState(false);
+        AppState.applyingRoute = false;
+    }
+
+    if (route.id && !item) {
+        history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${HashRouter.format(getCurrentRoute())}`);
+        Utils.showMessage(I18n.t('share.itemMissing'));
     }
 }
 
 /**
- * Render the media gallery
+ * Enter or leave the read-only share view
+ * @param {Array<string>|null} ids - Items to show, or null for the full hub
  */
-async function renderGallery() {
-    try {
-        const mediaItems = await mockAPI.getMedia();
-        
-        // Update stats
-        DOM.galleryStats.textContent = `${mediaItems.length} item${mediaItems.length !== 1 ? 's' : ''}`;
-        
-        // Show/hide empty state
-        if (mediaItems.length === 0) {
-            DOM.emptyState.classList.add('show');
-            DOM.galleryContainer.innerHTML = '';
-            return;
-        }
-        
-        DOM.emptyState.classList.remove('show');
-        
-        // Render media cards
-        DOM.galleryContainer.innerHTML = mediaItems.map(item => createMediaCard(item)).join('');
-        
-        // Add event listeners to action buttons
-        setupMediaCardEvents();
-        
-    } catch (error) {
-        console.error('Failed to render gallery:', error);
-        Utils.showMessage('Failed to load media gallery.');
-    }
+function setShareView(ids) {
+    AppState.shareIds = ids;
+    AppState.selectedIds.clear();
+    document.body.classList.toggle('share-mode', Boolean(ids));
+    DOM.shareBanner.hidden = !ids;
+    hideHistoryToast();
 }
 
 /**
- * Create HTML for a media card
- * @param {Object} item - Media item
- * @returns {string} HTML string
+ * Render the items of the share view, in the order they were shared
  */
-function createMediaCard(item) {
-    const icon = Utils.getFileIcon(item.fileType);
-    const formattedDate = Utils.formatDate(item.uploadDate);
-    
-    return `
-        <div class="media-card" data-id="${item.id}">
-            <div class="media-header">
-                <div class="media-icon">${icon}</div>
-                <div class="media-info">
-                    <h3>${escapeHtml(item.fileName)}</h3>
-                    <div class="media-date">${formattedDate}</div>
-                </div>
-            </div>
-            <div class="media-description">${escapeHtml(item.description)}</div>
-            <div class="media-actions">
-                <button class="action-btn view-btn" data-id="${item.id}">View</button>
-                <button class="action-btn edit-btn" data-id="${item.id}">Edit</button>
-                <button class="action-btn delete-btn" data-id="${item.id}">Delete</button>
-            </div>
-        </div>
-    `;
+function renderSharedItems() {
+    const byId = new Map(library.items.filter(item => !item.deletedAt).map(item => [item.id, item]));
+    const items = AppState.shareIds.map(id => byId.get(id)).filter(Boolean);
+    const missing = AppState.shareIds.length - items.length;
+    AppState.visibleIds = items.map(item => item.id);
+
+    DOM.shareInfo.textContent = I18n.t('share.info', { count: items.length });
+    DOM.galleryStats.textContent = I18n.t('share.count', { count: items.length }) +
+        (missing > 0 ? ' · ' + I18n.t('share.missing', { count: missing }) : '');
+    DOM.trashBanner.classList.remove('show');
+    DOM.emptyState.classList.remove('show');
+    DOM.trashEmpty.classList.remove('show');
+    DOM.noResults.classList.toggle('show', items.length === 0);
+
+    DOM.galleryView.setItems(items);
 }
 
 /**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
+ * Copy a link to a route, showing it for manual copying if the clipboard is unavailable
+ * @param {Object} route - { shareIds, id, edit }
+ * @returns {Promise<boolean>} Whether the link was copied
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+async function copyRouteLink(route) {
+    const link = HashRouter.link(route);
+    if (await Utils.copyText(link)) return true;
+
+    prompt(I18n.t('share.copyPrompt'), link);
+    return false;
 }
 
 /**
- * Set up event listeners for media card buttons
+ * Copy a link that opens an item in the View dialog
+ * @param {string} id - Media item ID
  */
-function setupMediaCardEvents() {
-    // View buttons
-    document.querySelectorAll('.view-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const id = e.target.getAttribute('data-id');
-            openViewModal(id);
-        });
-    });
-    
-    // Edit buttons
-    document.querySelectorAll('.edit-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const id = e.target.getAttribute('data-id');
-            openEditModal(id);
-        });
-    });
-    
-    // Delete buttons
-    document.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const id = e.target.getAttribute('data-id');
-            handleDelete(id);
-        });
-    });
+async function handleCopyItemLink(id) {
+    if (await copyRouteLink({ shareIds: null, id, edit: false })) {
+        Utils.showMessage(I18n.t('share.linkCopied'), 'success');
+    }
 }
 
 /**
- * Open view modal for a media item
- * @param {string} id - Media item ID
+ * Copy a link to a read-only view of the selected items
  */
-function openViewModal(id) {
-    const item = AppState.mediaItems.find(item => item.id === id);
-    if (!item) return;
-    
-    // Set modal title
-    DOM.viewModalTitle.textContent = `View: ${item.fileName}`;
-    
-    // Create media preview based on file type
-    let previewHTML = '';
-    const icon = Utils.getFileIcon(item.fileType);
-    
-    if (item.fileType === 'image') {
-        // For images, we'll show a placeholder since we don't have actual file data
-        previewHTML = `
-            <div class="file-placeholder">
-                <div class="file-icon">${icon}</div>
-                <p><strong>${item.fileName}</strong></p>
-                <p>Image preview would appear here</p>
-                <small>Note: This is a demo - actual images would be displayed when integrated with real file storage</small>
-            </div>
-        `;
-    } else if (item.fileType === 'video') {
-        previewHTML = `
-            <div class="file-placeholder">
-                <div class="file-icon">${icon}</div>
-                <p><strong>${item.fileName}</strong></p>
-                <p>Video player would appear here</p>
-                <small>Note: This is a demo - actual videos would be playable when integrated with real file storage</small>
-            </div>
-        `;
-    } else if (item.fileType === 'audio') {
-        previewHTML = `
-            <div class="file-placeholder">
-                <div class="file-icon">${icon}</div>
-                <p><strong>${item.fileName}</strong></p>
-                <p>Audio player would appear here</p>
-                <small>Note: This is a demo - actual audio would be playable when integrated with real file storage</small>
-            </div>
-        `;
-    } else {
-        previewHTML = `
-            <div class="file-placeholder">
-                <div class="file-icon">${icon}</div>
-                <p><strong>${item.fileName}</strong></p>
-                <p>File preview not available</p>
-            </div>
-        `;
+async function handleBulkShare() {
+    const ids = getSelectedItems().map(item => item.id);
+    if (ids.length === 0) return;
+
+    if (await copyRouteLink({ shareIds: ids, id: null, edit: false })) {
+        Utils.showMessage(I18n.t('share.shareLinkCopied', { count: ids.length }), 'success');
     }
-    
-    DOM.mediaPreview.innerHTML = previewHTML;
-    
-    // Create media details
-    const detailsHTML = `
-        <h4>File Details</h4>
-        <div class="detail-row">
-            <span class="detail-label">File Name:</span>
-            <span class="detail-value">${escapeHtml(item.fileName)}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">File Type:</span>
-            <span class="detail-value">${item.fileType.charAt(0).toUpperCase() + item.fileType.slice(1)}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">File Size:</span>
-            <span class="detail-value">${item.fileSize ? Utils.formatFileSize(item.fileSize) : 'Unknown'}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">Upload Date:</span>
-            <span class="detail-value">${Utils.formatDate(item.uploadDate)}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">Description:</span>
-            <span class="detail-value">${escapeHtml(item.description)}</span>
-        </div>
-    `;
-    
-    DOM.mediaDetails.innerHTML = detailsHTML;
-    
-    // Show modal
-    DOM.viewModal.classList.add('show');
 }
 
 /**
- * Close view modal
+ * Copy the link of the share view being shown
  */
-function closeViewModal() {
-    DOM.viewModal.classList.remove('show');
-    DOM.mediaPreview.innerHTML = '';
-    DOM.mediaDetails.innerHTML = '';
+async function handleCopyShareLink() {
+    if (await copyRouteLink({ shareIds: AppState.shareIds, id: null, edit: false })) {
+        Utils.showMessage(I18n.t('share.linkCopied'), 'success');
+    }
 }
 
 /**
- * Open edit modal for a media item
- * @param {string} id - Media item ID
+ * Make one gallery card reachable with Tab, the last focused one or else the first
  */
-function openEditModal(id) {
-    const item = AppState.mediaItems.find(item => item.id === id);
-    if (!item) return;
-    
-    AppState.currentEditId = id;
-    DOM.editDescriptionInput.value = item.description;
-    updateEditCharCount();
-    DOM.editModal.classList.add('show');
-    DOM.editDescriptionInput.focus();
+function updateCardTabStop() {
+    const cards = Array.from(DOM.galleryContainer.querySelectorAll('.media-card'));
+    const current = cards.find(card => card.getAttribute('data-id') === AppState.focusedCardId) || cards[0];
+    cards.forEach(card => {
+        card.setAttribute('tabindex', card === current ? '0' : '-1');
+    });
 }
 
 /**
- * Close edit modal
+ * Move keyboard focus to a gallery card
+ * @param {HTMLElement} card - .media-card element
  */
-function closeEditModal() {
-    AppState.currentEditId = null;
-    DOM.editModal.classList.remove('show');
-    DOM.editDescriptionInput.value = '';
+function focusMediaCard(card) {
+    AppState.focusedCardId = card.getAttribute('data-id');
+    updateCardTabStop();
+    card.focus();
 }
 
 /**
- * Handle save edit
+ * Remember the card that focus moved into, by keyboard or mouse
+ * @param {FocusEvent} event - Focusin event
  */
-async function handleSaveEdit() {
-    if (!AppState.currentEditId) return;
-    
-    const newDescription = DOM.editDescriptionInput.value.trim();
-    
-    if (!newDescription) {
-        Utils.showMessage('Description cannot be empty.');
-        return;
-    }
-    
-    if (newDescription.length > 500) {
-        Utils.showMessage('Description must be 500 characters or less.');
-        return;
-    }
-    
-    try {
-        await mockAPI.updateMedia(AppState.currentEditId, { description: newDescription });
-        closeEditModal();
-        await renderGallery();
-        Utils.showMessage('Description updated successfully!', 'success');
-    } catch (error) {
-        console.error('Failed to update description:', error);
-        Utils.showMessage('Failed to update description. Please try again.');
-    }
+function handleGalleryFocusIn(event) {
+    const card = event.target.closest('.media-card');
+    if (!card || card.getAttribute('data-id') === AppState.focusedCardId) return;
+
+    AppState.focusedCardId = card.getAttribute('data-id');
+    updateCardTabStop();
 }
 
 /**
- * Handle delete media item
- * @param {string} id - Media item ID
+ * Arrow keys move between cards; Enter views, E edits and Delete removes the focused card's item
+ * @param {KeyboardEvent} event - Keydown event
  */
-async function handleDelete(id) {
-    const item = AppState.mediaItems.find(item => item.id === id);
-    if (!item) return;
-    
-    if (!confirm(`Are you sure you want to delete "${item.fileName}"?`)) {
-        return;
-    }
-    
-    try {
-        await mockAPI.deleteMedia(id);
-        await renderGallery();
-        Utils.showMessage('Media item deleted successfully!', 'success');
-    } catch (error) {
-        console.error('Failed to delete media item:', error);
-        Utils.showMessage('Failed to delete media item. Please try again.');
+async function handleGalleryKeydown(event) {
+    const card = event.target.closest('.media-card');
+    // Buttons and checkboxes inside a card keep their own keys
+    if (!card || event.target !== card || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    // Cards further away may not be rendered, so moves go by position in the item list
+    const view = DOM.galleryView;
+    const id = card.getAttribute('data-id');
+    const index = view.indexOf(id);
+    const trashed = card.classList.contains('trashed');
+    const readOnly = Boolean(AppState.shareIds);
+    // Cards run from right to left in right-to-left languages
+    const forward = I18n.isRtl() ? -1 : 1;
+    const moves = {
+        ArrowLeft: index - forward,
+        ArrowRight: index + forward,
+        ArrowUp: index - view.columns,
+        ArrowDown: index + view.columns,
+        Home: 0,
+        End: view.items.length - 1
+    };
+
+    if (Object.hasOwn(moves, event.key)) {
+        event.preventDefault();
+        const target = view.reveal(moves[event.key]);
+        if (target) focusMediaCard(target);
+    } else if (event.key === 'Enter' && !trashed) {
+        event.preventDefault();
+        openViewModal(id);
+    } else if (event.key.toLowerCase() === 'e' && !trashed && !readOnly) {
+        event.preventDefault();
+        openEditModal(id);
+    } else if (event.key === 'Delete' && !readOnly) {
+        event.preventDefault();
+        // Focus moves on to the next card once this one is gone
+        const neighbour = view.items[index + 1] || view.items[index - 1];
+        await (trashed ? handlePurge(id) : handleDelete(id));
+        // Render now rather than on the scheduled refresh so the next card can take focus
+        await refreshGallery();
+        const remaining = view.reveal(view.indexOf(id)) || (neighbour && view.reveal(view.indexOf(neighbour.id)));
+        if (remaining) focusMediaCard(remaining);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Open the shortcut list when "?" is typed outside text fields
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleShortcutHelpKey(event) {
+    if (event.key !== '?' || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal-overlay.show')) return;
+
+    event.preventDefault();
+    DOM.shortcutsModal.classList.add('show');
+}
+
+/**
+ * Close the shortcut list
+ */
+function closeShortcutsModal() {
+    DOM.shortcutsModal.classList.remove('show');
+}
+
+/**
+ * Fill the language picker, each language named in itself
+ */
+function renderLocaleOptions() {
+    DOM.localeSelect.innerHTML = Object.entries(I18n.locales)
+        .map(([code, name]) => `<option value="${code}" lang="${code}">${escapeHtml(name)}</option>`)
+        .join('');
+    DOM.localeSelect.value = I18n.locale;
+}
+
+/**
+ * Switch the interface language, remembering the choice
+ */
+async function handleLocaleChange() {
+    await I18n.setLocale(DOM.localeSelect.value);
+    Preferences.set('locale', I18n.locale);
+    DOM.localeSelect.value = I18n.locale;
+
+    // Text built by the app is rendered again; other dialogs pick up the language when next opened
+    renderGalleryItems();
+    renderUploadQueue();
+    renderMiniPlayer(mediaPlayer.getState());
+    if (mediaAPI instanceof OfflineBackendAPI) renderSyncStatus();
+    if (AppState.openPlaylistId) renderPlaylistModal();
+    if (DOM.storageModal.classList.contains('show')) await renderStoragePanel();
+    if (DOM.activityModal.classList.contains('show')) renderActivityPanel();
+}
@@ -0,0 +1,183 @@
+// Gallery Benchmark - Times the gallery on a synthetic library, rebuilding every card against the windowed GalleryView
+const Benchmark = {
+    // Event bindings the gallery made on every render before it delegated them to the container
+    cardSelectors: ['.view-btn', '.edit-btn', '.copy-link-btn', '.delete-btn', '.restore-btn', '.purge-btn', '.media-select', 'button.tag-chip'],
+    view: null, // GalleryView of the windowed run
+
+    /**
+     * Create items shaped like stored media
+     * @param {number} count - Number of items
+     * @returns {Array<Object>} Media items, newest first
+     */
+    createItems(count) {
+        const types = ['image', 'video', 'audio'];
+        const tags = ['holiday', 'family', 'work', 'music', 'drafts'];
+        const now = Date.now();
+
+        return Array.from({ length: count }, (_, i) => ({
+            id: `bench-${i}`,
+            fileName: `${types[i % 3]}-${i}.${['jpg', 'mp4', 'mp3'][i % 3]}`,
+            fileType: types[i % 3],
+            fileSize: 1000 + i * 37,
+            mimeType: ['image/jpeg', 'video/mp4', 'audio/mpeg'][i % 3],
+            description: `Synthetic item ${i}`.repeat(1 + i % 4),
+            uploadDate: new Date(now - i * 60000).toISOString(),
+            tags: tags.slice(i % tags.length, i % tags.length + 1 + i % 2),
+            hasThumbnail: false,
+            deletedAt: null
+        }));
+    },
+
+    /**
+     * Render every card and bind its buttons, the way the gallery rendered before
+     * @param {HTMLElement} container - Gallery container
+     * @param {Array<Object>} items - Items to show
+     */
+    renderAll(container, items) {
+        container.innerHTML = items.map(item => createMediaCard(item)).join('');
+        this.cardSelectors.forEach(selector => {
+            container.querySelectorAll(selector).forEach(element => {
+                element.addEventListener('click', () => {});
+            });
+        });
+    },
+
+    /**
+     * Time a step, including the style and layout work it causes
+     * @param {HTMLElement} container - Gallery container the step changes
+     * @param {Function} step - Step to run
+     * @returns {Promise<number>} Milliseconds taken
+     */
+    async time(container, step) {
+        const start = performance.now();
+        step();
+        // Reading a size makes the browser lay the page out now
+        void container.offsetHeight;
+        const elapsed = performance.now() - start;
+        await this.nextFrame();
+        return elapsed;
+    },
+
+    /**
+     * Wait until the browser has painted
+     * @returns {Promise<void>}
+     */
+    nextFrame() {
+        return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+    },
+
+    /**
+     * Run the same steps against one way of rendering
+     * @param {HTMLElement} container - Gallery container
+     * @param {Array<Object>} items - Synthetic items
+     * @param {Function} render - Shows a list of items in the container
+     * @param {Function} afterScroll - Catches up with a scroll
+     * @returns {Promise<Object>} Milliseconds per step and cards left in the page
+     */
+    async runSteps(container, items, render, afterScroll) {
+        const edited = items.map((item, i) => i === 5 ? { ...item, description: 'Edited description' } : item);
+        const results = {};
+
+        window.scrollTo(0, 0);
+        results.render = await this.time(container, () => render(items));
+        results.edit = await this.time(container, () => render(edited));
+        results.remove = await this.time(container, () => render(edited.slice(1)));
+        results.scroll = await this.time(container, () => {
+            window.scrollTo(0, document.documentElement.scrollHeight);
+            afterScroll();
+        });
+        results.cards = container.querySelectorAll('.media-card').length;
+        window.scrollTo(0, 0);
+        return results;
+    },
+
+    /**
+     * Run the benchmark and show the results
+     * @param {number} count - Number of synthetic items
+     * @param {string} layout - 'grid', 'list' or 'large'
+     */
+    async run(count, layout) {
+        const full = document.getElementById('fullContainer');
+        const windowed = document.getElementById('windowedContainer');
+        const status = document.getElementById('benchmarkStatus');
+        const items = this.createItems(count);
+
+        [full, windowed].forEach(container => {
+            ['grid', 'list', 'large'].forEach(name => container.classList.toggle(`layout-${name}`, name === layout));
+        });
+
+        status.textContent = `Rebuilding ${count.toLocaleString()} cards...`;
+        windowed.hidden = true;
+        full.hidden = false;
+        await this.nextFrame();
+        const before = await this.runSteps(full, items, list => this.renderAll(full, list), () => {});
+        full.innerHTML = '';
+
+        status.textContent = 'Rendering with the windowed view...';
+        full.hidden = true;
+        windowed.hidden = false;
+        await this.nextFrame();
+        // One view serves every run; emptying it makes each run start from nothing
+        this.view = this.view || new GalleryView(windowed, createMediaCard);
+        const view = this.view;
+        view.setItems([]);
+        view.relayout();
+        const after = await this.runSteps(windowed, items, list => view.setItems(list), () => view.update());
+
+        this.showResults(count, before, after);
+        status.textContent = 'Done.';
+    },
+
+    /**
+     * Fill the results table
+     * @param {number} count - Number of synthetic items
+     * @param {Object} before - Results of rebuilding every card
+     * @param {Object} after - Results of the windowed view
+     */
+    showResults(count, before, after) {
+        const table = document.getElementById('benchmarkResults');
+        const ms = value => `${value.toFixed(1)} ms`;
+        const rows = [
+            [`Render ${count.toLocaleString()} items`, 'render'],
+            ['Edit one item', 'edit'],
+            ['Delete one item', 'remove'],
+            ['Scroll to the end', 'scroll']
+        ].map(([label, key]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${ms(before[key])}</td>
+                <td>${ms(after[key])}</td>
+                <td>${(before[key] / Math.max(after[key], 0.1)).toFixed(1)}×</td>
+            </tr>
+        `);
+        rows.push(`
+            <tr>
+                <td>Cards in the page</td>
+                <td>${before.cards.toLocaleString()}</td>
+                <td>${after.cards.toLocaleString()}</td>
+                <td></td>
+            </tr>
+        `);
+
+        table.tBodies[0].innerHTML = rows.join('');
+        table.hidden = false;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Cards are rendered with the default filters in English
+    AppState.filters = MediaQuery.defaults();
+
+    document.getElementById('benchmarkForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const button = document.getElementById('benchmarkRun');
+        const count = Math.max(100, parseInt(document.getElementById('benchmarkCount').value, 10) || 10000);
+
+        button.disabled = true;
+        try {
+            await Benchmark.run(count, document.getElementById('benchmarkLayout').value);
+        } finally {
+            button.disabled = false;
+        }
+    });
+});
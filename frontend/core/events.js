@@ -0,0 +1,53 @@
+/**
+ * MediaMix Hub Core - Events
+ * Subscribe/emit for objects that several listeners watch at once
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // Callbacks by event name
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Called with the event's payload
+     * @returns {Function} Unsubscribes the callback
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback passed to on()
+     */
+    off(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) callbacks.delete(callback);
+    }
+
+    /**
+     * Call every subscriber of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Passed to each callback
+     */
+    emit(event, payload) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+
+        // A failing subscriber must not stop the others or the change that was made
+        [...callbacks].forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`Listener for ${event} failed:`, error);
+            }
+        });
+    }
+}
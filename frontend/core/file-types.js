@@ -0,0 +1,93 @@
+/**
+ * MediaMix Hub Core - File Types
+ * Recognising a file's real format from its first bytes, whatever its name says
+ */
+
+export const FileTypes = {
+    /**
+     * Format name and kind of the formats identify() recognises, for messages
+     */
+    labels: {
+        'image/jpeg': ['JPEG', 'image'],
+        'image/png': ['PNG', 'image'],
+        'image/gif': ['GIF', 'image'],
+        'image/webp': ['WebP', 'image'],
+        'image/bmp': ['BMP', 'image'],
+        'image/heic': ['HEIC', 'image'],
+        'video/mp4': ['MP4', 'video'],
+        'video/quicktime': ['QuickTime', 'video'],
+        'video/webm': ['WebM', 'video'],
+        'video/x-matroska': ['Matroska', 'video'],
+        'video/x-msvideo': ['AVI', 'video'],
+        'video/ogg': ['Ogg', 'video'],
+        'audio/mpeg': ['MP3', 'audio'],
+        'audio/wav': ['WAV', 'audio'],
+        'audio/ogg': ['Ogg', 'audio'],
+        'audio/webm': ['WebM', 'audio'],
+        'audio/mp4': ['MP4', 'audio'],
+        'audio/flac': ['FLAC', 'audio'],
+        'application/x-msdownload': ['Windows', 'program'],
+        'application/x-executable': ['Linux', 'program'],
+        'application/pdf': ['PDF', 'document'],
+        'application/zip': ['ZIP', 'archive']
+    },
+
+    /**
+     * Containers whose first bytes do not say whether they hold audio or video: identify() reports
+     * them as video, and the audio type they may be instead
+     */
+    ambiguousTypes: {
+        'video/mp4': 'audio/mp4',   // MP4 with a generic brand such as isom or mp42
+        'video/webm': 'audio/webm'
+    },
+
+    /**
+     * Work out a file's real format from its first bytes
+     * @param {Uint8Array} bytes - Start of the file; 512 bytes is plenty
+     * @returns {string|null} MIME type, or null if the format is not recognised
+     */
+    identify(bytes) {
+        const ascii = (offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+        const has = (offset, signature) => typeof signature === 'string'
+            ? ascii(offset, signature.length) === signature
+            : signature.every((byte, i) => bytes[offset + i] === byte);
+
+        if (has(0, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+        if (has(0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+        if (has(0, 'GIF87a') || has(0, 'GIF89a')) return 'image/gif';
+        if (has(0, 'RIFF')) {
+            const form = ascii(8, 4);
+            if (form === 'WEBP') return 'image/webp';
+            if (form === 'WAVE') return 'audio/wav';
+            if (form === 'AVI ') return 'video/x-msvideo';
+        }
+        if (has(4, 'ftyp')) {
+            const brand = ascii(8, 4);
+            if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return 'audio/mp4';
+            if (brand === 'qt  ') return 'video/quicktime';
+            if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+            return 'video/mp4';
+        }
+        if (has(0, [0x1A, 0x45, 0xDF, 0xA3])) {
+            // The EBML header names the document type: WebM is a subset of Matroska
+            return ascii(0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+        }
+        if (has(0, 'OggS')) {
+            // The first page holds the first stream's codec header; Theora means video
+            return ascii(0, bytes.length).includes('theora') ? 'video/ogg' : 'audio/ogg';
+        }
+        // MPEG audio: an ID3 tag, or a frame sync with a valid layer (layer 0 is AAC)
+        if (has(0, 'ID3') || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 && (bytes[1] & 0x06) !== 0)) {
+            return 'audio/mpeg';
+        }
+        if (has(0, 'fLaC')) return 'audio/flac';
+        if (has(0, 'BM') && bytes.length >= 26) return 'image/bmp';
+
+        // Common non-media formats, recognised so the user can be told what the file really is
+        if (has(0, 'MZ')) return 'application/x-msdownload';
+        if (has(0, [0x7F, 0x45, 0x4C, 0x46])) return 'application/x-executable';
+        if (has(0, '%PDF')) return 'application/pdf';
+        if (has(0, [0x50, 0x4B, 0x03, 0x04])) return 'application/zip';
+        return null;
+    }
+};
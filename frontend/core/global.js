@@ -0,0 +1,8 @@
+/**
+ * MediaMix Hub Core - Page Entry
+ * app.js is a classic script and cannot import modules, so the core is handed to it on window
+ */
+
+import * as MediaMixCore from './index.js';
+
+window.MediaMixCore = MediaMixCore;
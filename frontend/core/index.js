@@ -0,0 +1,23 @@
+/**
+ * MediaMix Hub Core
+ * The media library without the page: validation, changes, queries and change events.
+ * Nothing here touches the DOM, so it runs in Node and in other tools as well as the app.
+ *
+ *   import { MediaLibrary, MemoryBackend } from './core/index.js';
+ *   const library = new MediaLibrary(new MemoryBackend());
+ *   library.on('item:created', ({ item }) => console.log('Added', item.fileName));
+ *   await library.load();
+ *   await library.create({ fileName: 'a.jpg', fileType: 'image', description: 'Beach' });
+ */
+
+export { EventEmitter } from './events.js';
+export { MediaItems } from './items.js';
+export { MediaValidation } from './validation.js';
+export { MediaQuery } from './query.js';
+export { MediaLibrary } from './media-library.js';
+export { MemoryBackend } from './memory-backend.js';
+export { FileTypes } from './file-types.js';
+export { ZipArchive } from './zip-archive.js';
+export { LibraryImport } from './library-import.js';
+export { LibraryMerge } from './library-merge.js';
+export { OfflineQueue } from './offline-queue.js';
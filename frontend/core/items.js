@@ -0,0 +1,129 @@
+/**
+ * MediaMix Hub Core - Media Items
+ * The shape of a media item record (see BackendAPI in app.js for every field)
+ */
+
+export const MediaItems = {
+    fileTypes: ['image', 'video', 'audio', 'unknown'],
+
+    // Set when an item is created and never changed; fileSize follows the stored file content
+    fixedFields: ['id', 'uploadDate', 'fileType', 'fileSize'],
+
+    /**
+     * Generate a unique ID
+     * @returns {string} ID made of the time and a random part
+     */
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    },
+
+    /**
+     * Build a new media item record from upload data
+     * @param {Object} mediaData - Media item data
+     * @returns {Object} Media item without file content
+     */
+    create(mediaData) {
+        return {
+            id: this.generateId(),
+            fileName: mediaData.fileName,
+            description: mediaData.description,
+            uploadDate: new Date().toISOString(),
+            fileType: mediaData.fileType,
+            fileSize: mediaData.fileSize,
+            mimeType: mediaData.mimeType || '',
+            tags: mediaData.tags || [],
+            collectionIds: mediaData.collectionIds || [],
+            metadata: mediaData.metadata || {},
+            hasFile: false,
+            hasThumbnail: false,
+            deletedAt: null,
+            version: 1,
+            originalId: mediaData.originalId || null,
+            contentHash: mediaData.contentHash || null,
+            perceptualHash: mediaData.perceptualHash || null
+        };
+    },
+
+    /**
+     * Check the fields of a record, or of changes to one
+     * @param {Object} fields - Record or changes
+     * @param {boolean} [complete=false] - Whether fields is a whole record, so fileName and fileType must be there
+     * @returns {Array<string>} Problems found, empty when the fields are valid
+     */
+    fieldErrors(fields, complete = false) {
+        const errors = [];
+        const has = field => complete || fields[field] !== undefined;
+        const given = field => fields[field] !== undefined && fields[field] !== null;
+
+        if (has('fileName') && (typeof fields.fileName !== 'string' || !fields.fileName)) errors.push('Missing fileName');
+        if (has('fileType') && !this.fileTypes.includes(fields.fileType)) errors.push('Invalid fileType');
+        if (fields.description !== undefined && typeof fields.description !== 'string') errors.push('Invalid description');
+        if (given('fileSize') && (typeof fields.fileSize !== 'number' || fields.fileSize < 0)) {
+            errors.push('Invalid fileSize');
+        }
+        if (fields.tags !== undefined && (!Array.isArray(fields.tags) || fields.tags.some(tag => typeof tag !== 'string'))) {
+            errors.push('Invalid tags');
+        }
+        if (fields.collectionIds !== undefined && !Array.isArray(fields.collectionIds)) errors.push('Invalid collectionIds');
+        if (fields.metadata !== undefined && (typeof fields.metadata !== 'object' || fields.metadata === null)) {
+            errors.push('Invalid metadata');
+        }
+        if (given('deletedAt') && (typeof fields.deletedAt !== 'string' || Number.isNaN(Date.parse(fields.deletedAt)))) {
+            errors.push('Invalid deletedAt');
+        }
+        if (fields.version !== undefined && (!Number.isInteger(fields.version) || fields.version < 1)) {
+            errors.push('Invalid version');
+        }
+        if (given('originalId') && typeof fields.originalId !== 'string') errors.push('Invalid originalId');
+        ['contentHash', 'perceptualHash'].forEach(field => {
+            if (given(field) && (typeof fields[field] !== 'string' || !/^[0-9a-f]+$/.test(fields[field]))) {
+                errors.push(`Invalid ${field}`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Validate and normalize a stored record
+     * @param {*} item - Stored item
+     * @returns {Object} { item, errors } where item is null if errors is non-empty
+     */
+    validate(item) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return { item: null, errors: ['Item is not an object'] };
+        }
+
+        const errors = [];
+        if (typeof item.id !== 'string' || !item.id) errors.push('Missing id');
+        if (typeof item.uploadDate !== 'string' || Number.isNaN(Date.parse(item.uploadDate))) {
+            errors.push('Invalid uploadDate');
+        }
+        errors.push(...this.fieldErrors(item, true));
+
+        if (errors.length > 0) {
+            return { item: null, errors };
+        }
+
+        // Fill optional fields so code using the record can rely on them
+        return {
+            item: {
+                ...item,
+                description: item.description || '',
+                fileSize: item.fileSize || 0,
+                mimeType: item.mimeType || '',
+                tags: item.tags || [],
+                collectionIds: item.collectionIds || [],
+                metadata: item.metadata || {},
+                hasFile: Boolean(item.hasFile),
+                hasThumbnail: Boolean(item.hasThumbnail),
+                deletedAt: item.deletedAt || null,
+                version: item.version || 1,
+                originalId: item.originalId || null,
+                contentHash: item.contentHash || null,
+                perceptualHash: item.perceptualHash || null
+            },
+            errors
+        };
+    }
+};
@@ -0,0 +1,206 @@
+/**
+ * MediaMix Hub Core - Library Import
+ * Working out what importing a library export changes, and making the change
+ */
+
+import { MediaItems } from './items.js';
+import { MediaValidation } from './validation.js';
+
+export const LibraryImport = {
+    /**
+     * Work out what an import would change, without changing anything
+     * @param {Object} manifest - Library manifest at the current schema version
+     * @param {Map<string, Blob>} entries - Archive entries
+     * @param {Object} current - { items, tags, collections, playlists } of the current library
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Import plan
+     */
+    plan(manifest, entries, current, mode) {
+        const plan = {
+            mode,
+            add: [],          // { item, file, thumbnail, renamedFrom }
+            remove: [],       // IDs of current items moved to the trash in replace mode
+            unchanged: 0,     // Items already present in merge mode
+            renamed: 0,       // Imported items given a new ID because of a clash
+            invalid: [],      // { item, errors }
+            missingFiles: 0,  // Items whose file content is not in the archive
+            bytes: 0,
+            tags: [],
+            collections: [],
+            playlists: [],
+            newTags: 0,
+            newCollections: 0,
+            newPlaylists: 0
+        };
+
+        // Collections: merge by ID, then by name
+        const collectionIdMap = new Map();
+        const importedCollections = Array.isArray(manifest.collections) ? manifest.collections : [];
+        if (mode === 'replace') {
+            plan.collections = importedCollections.filter(c => c && c.id && c.name);
+            plan.collections.forEach(c => collectionIdMap.set(c.id, c.id));
+            plan.newCollections = plan.collections.filter(c => !current.collections.some(existing => existing.id === c.id)).length;
+        } else {
+            plan.collections = [...current.collections];
+            importedCollections.filter(c => c && c.id && c.name).forEach(collection => {
+                const match = current.collections.find(c => c.id === collection.id) ||
+                    current.collections.find(c => c.name.toLowerCase() === collection.name.toLowerCase());
+                if (match) {
+                    collectionIdMap.set(collection.id, match.id);
+                } else {
+                    plan.collections.push(collection);
+                    collectionIdMap.set(collection.id, collection.id);
+                    plan.newCollections++;
+                }
+            });
+        }
+
+        const importedTags = (Array.isArray(manifest.tags) ? manifest.tags : [])
+            .map(tag => MediaValidation.normalizeTag(tag))
+            .filter(Boolean);
+        const baseTags = mode === 'replace' ? [] : current.tags;
+        plan.tags = [...new Set([...baseTags, ...importedTags])];
+
+        // Items; replaced ones stay in the trash, so imported items must not take their IDs either
+        const existing = new Map(mode === 'replace' ? [] : current.items.map(item => [item.id, item]));
+        const usedIds = new Set(current.items.map(item => item.id));
+        const itemIdMap = new Map(); // Exported item ID -> ID in the library after the import
+        if (mode === 'replace') {
+            plan.remove = current.items.filter(item => !item.deletedAt).map(item => item.id);
+        }
+
+        (Array.isArray(manifest.mediaItems) ? manifest.mediaItems : []).forEach(raw => {
+            const { file: filePath, thumbnail: thumbnailPath, ...record } = raw || {};
+            const { item, errors } = MediaItems.validate(record);
+            if (!item) {
+                plan.invalid.push({ item: raw, errors });
+                return;
+            }
+
+            const clash = existing.get(item.id);
+            if (clash && clash.fileName === item.fileName && clash.uploadDate === item.uploadDate) {
+                plan.unchanged++;
+                itemIdMap.set(item.id, item.id);
+                return;
+            }
+
+            let renamedFrom = null;
+            if (usedIds.has(item.id)) {
+                renamedFrom = item.id;
+                item.id = MediaItems.generateId();
+                plan.renamed++;
+            }
+            usedIds.add(item.id);
+            itemIdMap.set(renamedFrom || item.id, item.id);
+
+            item.collectionIds = item.collectionIds
+                .map(id => collectionIdMap.get(id))
+                .filter(Boolean);
+            item.tags = item.tags.map(tag => MediaValidation.normalizeTag(tag)).filter(Boolean);
+            item.tags.forEach(tag => {
+                if (!plan.tags.includes(tag)) plan.tags.push(tag);
+            });
+
+            const file = filePath ? entries.get(filePath) || null : null;
+            const thumbnail = thumbnailPath ? entries.get(thumbnailPath) || null : null;
+            item.hasFile = Boolean(file);
+            item.hasThumbnail = Boolean(thumbnail);
+            if (record.hasFile && !file) plan.missingFiles++;
+            if (file) plan.bytes += file.size;
+
+            plan.add.push({ item, file, thumbnail, renamedFrom });
+        });
+
+        plan.tags.sort();
+        plan.newTags = plan.tags.filter(tag => !current.tags.includes(tag)).length;
+
+        // Playlists: merge by ID, then by name, following items that got a new ID
+        const importedPlaylists = (Array.isArray(manifest.playlists) ? manifest.playlists : [])
+            .filter(p => p && p.id && p.name && Array.isArray(p.itemIds))
+            .map(p => ({ ...p, itemIds: p.itemIds.map(id => itemIdMap.get(id)).filter(Boolean) }));
+        if (mode === 'replace') {
+            plan.playlists = importedPlaylists;
+            plan.newPlaylists = importedPlaylists.filter(p => !current.playlists.some(existing => existing.id === p.id)).length;
+        } else {
+            plan.playlists = [...current.playlists];
+            importedPlaylists.forEach(playlist => {
+                const index = plan.playlists.findIndex(p => p.id === playlist.id ||
+                    p.name.toLowerCase() === playlist.name.toLowerCase());
+                if (index === -1) {
+                    plan.playlists.push(playlist);
+                    plan.newPlaylists++;
+                } else {
+                    const match = plan.playlists[index];
+                    plan.playlists[index] = { ...match, itemIds: [...new Set([...match.itemIds, ...playlist.itemIds])] };
+                }
+            });
+        }
+
+        return plan;
+    },
+
+    /**
+     * Apply an import plan. Replaced items go to the trash only once the imported ones are
+     * written, and an import that fails part way is rolled back.
+     * @param {MediaLibrary} library - Library to write to; tags, collections and playlists go to its backend
+     * @param {Object} plan - Plan from plan()
+     * @param {Object} [options] - onProgress(done, total), and isFatal(error) for errors that stop the import
+     *     because every later item would fail the same way; by default a full storage
+     * @returns {Promise<Object>} { imported, failed, items, previousMeta } where items are the imported items
+     *     and previousMeta the tags, collections and playlists from before the import
+     */
+    async apply(library, plan, { onProgress = () => {}, isFatal = error => error.name === 'QuotaExceededError' } = {}) {
+        const total = plan.add.length + plan.remove.length;
+        const items = [];
+        const options = { source: 'import' };
+        const previousMeta = await library.backend.getLibraryMeta();
+        let done = 0;
+        let failed = 0;
+
+        try {
+            for (const { item, file, thumbnail } of plan.add) {
+                try {
+                    items.push(await library.put(item, { file, thumbnail }, options));
+                } catch (error) {
+                    if (isFatal(error)) throw error;
+                    console.error('Failed to import media item:', item.fileName, error);
+                    failed++;
+                }
+                onProgress(++done, total);
+            }
+
+            await library.backend.saveLibraryMeta({ tags: plan.tags, collections: plan.collections, playlists: plan.playlists });
+
+            if (plan.remove.length > 0) {
+                await library.trash(plan.remove, options);
+                onProgress(total, total);
+            }
+        } catch (error) {
+            await this.rollBack(library, plan, items, previousMeta);
+            throw error;
+        }
+
+        return { imported: items.length, failed, items, previousMeta };
+    },
+
+    /**
+     * Undo what a failed import wrote
+     * @param {MediaLibrary} library - Library the import wrote to
+     * @param {Object} plan - Plan from plan()
+     * @param {Array<Object>} items - Items the import stored
+     * @param {Object} previousMeta - Tags, collections and playlists from before the import
+     * @returns {Promise<void>}
+     */
+    async rollBack(library, plan, items, previousMeta) {
+        const options = { source: 'import' };
+        try {
+            // Imported items never take an existing ID, so deleting them loses nothing that was there before
+            if (items.length > 0) await library.delete(items.map(item => item.id), options);
+            const trashed = plan.remove.filter(id => (library.get(id) || {}).deletedAt);
+            if (trashed.length > 0) await library.restore(trashed, options);
+            await library.backend.saveLibraryMeta(previousMeta);
+        } catch (error) {
+            console.error('Failed to roll back the import:', error);
+        }
+    }
+};
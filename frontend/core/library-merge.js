@@ -0,0 +1,54 @@
+/**
+ * MediaMix Hub Core - Library Merge
+ * Three-way merges of two copies of the library edited apart, e.g. in two browser tabs
+ */
+
+export const LibraryMerge = {
+    /**
+     * Three-way merge of two edited copies of a list of records with IDs
+     *
+     * A record changed on one side only takes that side. Changed on both, fields are merged
+     * with mine winning where both changed the same field. An edit beats a deletion.
+     * @param {Map<string, string>} base - JSON of each record at the last shared revision
+     * @param {Array<Object>} mine - This copy's records
+     * @param {Array<Object>} theirs - The other copy's records
+     * @returns {Array<Object>} Merged records, in this copy's order then new ones from theirs
+     */
+    records(base, mine, theirs) {
+        const theirsById = new Map(theirs.map(record => [record.id, record]));
+        const ids = [...new Set([...mine.map(record => record.id), ...theirsById.keys()])];
+        const mineById = new Map(mine.map(record => [record.id, record]));
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        return ids.map(id => {
+            const ancestor = base.has(id) ? JSON.parse(base.get(id)) : undefined;
+            const ours = mineById.get(id);
+            const other = theirsById.get(id);
+
+            if (same(ours, ancestor)) return other;
+            if (same(other, ancestor)) return ours;
+            if (!ours || !other) return ours || other;
+
+            const merged = { ...other };
+            Object.keys(ours).forEach(key => {
+                if (!same(ours[key], ancestor ? ancestor[key] : undefined)) {
+                    merged[key] = ours[key];
+                }
+            });
+            return merged;
+        }).filter(Boolean);
+    },
+
+    /**
+     * Three-way merge of the tag registry
+     * @param {Array<string>} base - Tags at the last shared revision
+     * @param {Array<string>} mine - This copy's tags
+     * @param {Array<string>} theirs - The other copy's tags
+     * @returns {Array<string>} Merged tags
+     */
+    tags(base, mine, theirs) {
+        const added = mine.filter(tag => !base.includes(tag));
+        const removed = base.filter(tag => !mine.includes(tag));
+        return [...new Set([...theirs, ...added])].filter(tag => !removed.includes(tag)).sort();
+    }
+};
@@ -0,0 +1,241 @@
+/**
+ * MediaMix Hub Core - Media Library
+ * The items of a backend, with validation, queries and change events
+ */
+
+import { EventEmitter } from './events.js';
+import { MediaItems } from './items.js';
+import { MediaQuery } from './query.js';
+import { MediaValidation } from './validation.js';
+
+/**
+ * Keeps a copy of a backend's items and makes every change to them through the backend.
+ * Invalid data is rejected with a ValidationError (see MediaValidation) before it is saved.
+ *
+ * Subscribe with on(event, callback), which returns a function that unsubscribes:
+ *   item:created - { item, source }
+ *   item:updated - { item, previous, source } where previous is null if the item had not been loaded
+ *   item:deleted - { item, source }
+ * Moving an item to the trash and back updates its deletedAt. Changes made past the
+ * library, e.g. in another tab, are reported when load() finds them.
+ *
+ * source is what made the change, as given in the options of the method that made it
+ * (e.g. { source: 'undo' }), and null when none was given.
+ */
+export class MediaLibrary extends EventEmitter {
+    /**
+     * @param {Object} backend - Implements the item methods of the BackendAPI interface
+     *     (see app.js), e.g. a MemoryBackend or one of the app's backends
+     */
+    constructor(backend) {
+        super();
+        this.backend = backend;
+        this.items = [];     // Loaded items in upload order; replaced, never changed in place
+        this.loaded = false;
+    }
+
+    /**
+     * Load the items from the backend, reporting what changed since the last load
+     * @param {Object} [options] - { source } reported with the changes
+     * @returns {Promise<Array<Object>>} Loaded items
+     */
+    async load(options = {}) {
+        const items = await this.backend.getMedia();
+        const previous = this.loaded ? new Map(this.items.map(item => [item.id, item])) : null;
+        this.items = items;
+        this.loaded = true;
+
+        if (previous) {
+            this.emitDifferences(previous, items, options.source || null);
+        }
+        return this.items;
+    }
+
+    /**
+     * Get a loaded item
+     * @param {string} id - Media item ID
+     * @returns {Object|null} Media item, or null if there is none with that ID
+     */
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Find the loaded items matching a filter state
+     * @param {Object} [filters] - Filter state (see MediaQuery); missing fields take their defaults
+     * @returns {Array<Object>} Matching items in display order
+     */
+    query(filters = {}) {
+        return MediaQuery.apply(this.items, filters);
+    }
+
+    /**
+     * Create a new item, uploading mediaData.file and mediaData.thumbnail when present
+     * @param {Object} mediaData - { fileName, fileType, description, ... } as the backend's createMedia() takes
+     * @param {Object} [options] - Transfer options (onProgress, signal) and the source reported with the change
+     * @returns {Promise<Object>} Created media item
+     */
+    async create(mediaData, options = {}) {
+        const { source = null, ...transfer } = options;
+        const item = await this.backend.createMedia(MediaValidation.prepareNew(mediaData), transfer);
+        this.store(item);
+        this.emit('item:created', { item, source });
+        return item;
+    }
+
+    /**
+     * Store a complete record as-is, e.g. one restored from a library export
+     * @param {Object} record - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @param {Object} [options] - { source } reported with the change
+     * @returns {Promise<Object>} Stored media item
+     */
+    async put(record, content = {}, options = {}) {
+        const { item: valid, errors } = MediaItems.validate(record);
+        if (!valid) {
+            throw MediaValidation.error('item.invalid', { errors: errors.join(', ') });
+        }
+
+        const item = await this.backend.putMedia(valid, content);
+        const previous = this.store(item);
+        const source = options.source || null;
+        if (previous) {
+            this.emit('item:updated', { item, previous, source });
+        } else {
+            this.emit('item:created', { item, source });
+        }
+        return item;
+    }
+
+    /**
+     * Change fields of an item
+     * @param {string} id - Media item ID
+     * @param {Object} changes - Fields to change
+     * @param {Object} [options] - { source } reported with the change
+     * @returns {Promise<Object>} Updated media item
+     */
+    async update(id, changes, options = {}) {
+        const item = await this.backend.updateMedia(id, MediaValidation.prepareChanges(changes));
+        this.report(item, options);
+        return item;
+    }
+
+    /**
+     * Change fields of several items, saving once where the backend can
+     * @param {Array<Object>} updates - { id, changes } per item
+     * @param {Object} [options] - { source } reported with the changes
+     * @returns {Promise<Array<Object>>} Updated media items
+     */
+    async updateMany(updates, options = {}) {
+        // Check every change first so a bad one leaves nothing half-applied
+        const prepared = updates.map(({ id, changes }) => ({ id, changes: MediaValidation.prepareChanges(changes) }));
+        const updated = await this.backend.updateMediaBatch(prepared);
+
+        updated.forEach(item => this.report(item, options));
+        return updated;
+    }
+
+    /**
+     * Store (or replace) an item's thumbnail image
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @param {Object} [options] - { source } reported with the change
+     * @returns {Promise<Object>} Updated media item
+     */
+    async setThumbnail(id, thumbnail, options = {}) {
+        const item = await this.backend.uploadMediaThumbnail(id, thumbnail);
+        // Reported even when the record is unchanged, as its thumbnail is not
+        this.report(item, options);
+        return item;
+    }
+
+    /**
+     * Move items to the trash; delete() removes them for good
+     * @param {Array<string>} ids - Media item IDs
+     * @param {Object} [options] - { source } reported with the changes
+     * @returns {Promise<Array<Object>>} Updated media items
+     */
+    async trash(ids, options = {}) {
+        const deletedAt = new Date().toISOString();
+        return this.updateMany(ids.map(id => ({ id, changes: { deletedAt } })), options);
+    }
+
+    /**
+     * Bring items back from the trash
+     * @param {Array<string>} ids - Media item IDs
+     * @param {Object} [options] - { source } reported with the changes
+     * @returns {Promise<Array<Object>>} Updated media items
+     */
+    async restore(ids, options = {}) {
+        return this.updateMany(ids.map(id => ({ id, changes: { deletedAt: null } })), options);
+    }
+
+    /**
+     * Permanently delete items and their file content. The backend keeps an item that was
+     * edited elsewhere while it was being deleted; that edit is reported as item:updated.
+     * @param {Array<string>} ids - Media item IDs
+     * @param {Object} [options] - { source } reported with the changes
+     * @returns {Promise<Array<Object>>} The items that were kept
+     */
+    async delete(ids, options = {}) {
+        const kept = (await this.backend.deleteMediaBatch(ids)) || [];
+
+        const keptIds = new Set(kept.map(item => item.id));
+        const deleted = ids.filter(id => !keptIds.has(id)).map(id => this.get(id) || { id });
+        const idSet = new Set(deleted.map(item => item.id));
+        this.items = this.items.filter(item => !idSet.has(item.id));
+        const source = options.source || null;
+        deleted.forEach(item => this.emit('item:deleted', { item, source }));
+        kept.forEach(item => this.report(item, { source: 'external' }));
+        return kept;
+    }
+
+    /**
+     * Put an item saved by the backend into the loaded items
+     * @param {Object} item - Media item
+     * @returns {Object|null} The item it replaced, or null if it is new
+     */
+    store(item) {
+        const index = this.items.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+            this.items = [...this.items, item];
+            return null;
+        }
+
+        const previous = this.items[index];
+        this.items = this.items.map((existing, i) => (i === index ? item : existing));
+        return previous;
+    }
+
+    /**
+     * Store an item the backend updated and emit item:updated for it
+     * @param {Object} item - Updated media item
+     * @param {Object} options - { source } reported with the change
+     */
+    report(item, options) {
+        const previous = this.store(item);
+        this.emit('item:updated', { item, previous, source: options.source || null });
+    }
+
+    /**
+     * Emit events for the differences between two loads
+     * @param {Map<string, Object>} previous - Items of the last load by ID
+     * @param {Array<Object>} items - Items just loaded
+     * @param {string|null} source - Source reported with the changes
+     */
+    emitDifferences(previous, items, source) {
+        const ids = new Set();
+        items.forEach(item => {
+            ids.add(item.id);
+            const before = previous.get(item.id);
+            if (!before) {
+                this.emit('item:created', { item, source });
+            } else if (before !== item && JSON.stringify(before) !== JSON.stringify(item)) {
+                this.emit('item:updated', { item, previous: before, source });
+            }
+        });
+        previous.forEach((item, id) => {
+            if (!ids.has(id)) this.emit('item:deleted', { item, source });
+        });
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * MediaMix Hub Core - Memory Backend
+ * Items and file content kept in memory, for Node scripts, tests and tools that save the library themselves
+ */
+
+import { MediaItems } from './items.js';
+
+/**
+ * Implements the item and content methods of the BackendAPI interface (see app.js), which is all
+ * a MediaLibrary needs, and the library meta methods a LibraryImport also uses. Nothing is saved:
+ * the library is gone when the process ends.
+ */
+export class MemoryBackend {
+    /**
+     * @param {Array<Object>} [items] - Records to start with, e.g. the mediaItems of a library export
+     */
+    constructor(items = []) {
+        this.items = new Map();      // Records by ID, in upload order
+        this.files = new Map();      // File content by item ID
+        this.thumbnails = new Map(); // Thumbnail images by item ID
+        this.meta = { tags: [], collections: [], playlists: [] };
+        this.loadReport = null;
+
+        items.forEach(record => {
+            const { item } = MediaItems.validate(record);
+            if (item) this.items.set(item.id, { ...item, hasFile: false, hasThumbnail: false });
+        });
+    }
+
+    /**
+     * Nothing to load
+     * @returns {Promise<void>}
+     */
+    async init() {}
+
+    /**
+     * Create a new media item, storing mediaData.file and mediaData.thumbnail when present
+     * @param {Object} mediaData - Media item data
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Created media item
+     */
+    async createMedia(mediaData, options = {}) {
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('Upload cancelled', 'AbortError');
+        }
+
+        const item = MediaItems.create(mediaData);
+        if (mediaData.file) {
+            this.files.set(item.id, mediaData.file);
+            item.hasFile = true;
+        }
+        if (mediaData.thumbnail) {
+            this.thumbnails.set(item.id, mediaData.thumbnail);
+            item.hasThumbnail = true;
+        }
+        this.items.set(item.id, item);
+        if (options.onProgress) options.onProgress(1);
+
+        return { ...item };
+    }
+
+    /**
+     * Get all media items
+     * @returns {Promise<Array>} Array of media items
+     */
+    async getMedia() {
+        return [...this.items.values()].map(item => ({ ...item }));
+    }
+
+    /**
+     * Get a single media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object>} Media item
+     */
+    async getMediaById(id) {
+        return { ...this.require(id) };
+    }
+
+    /**
+     * Update a media item
+     * @param {string} id - Media item ID
+     * @param {Object} updates - Updates to apply
+     * @returns {Promise<Object>} Updated media item
+     */
+    async updateMedia(id, updates) {
+        const [updated] = await this.updateMediaBatch([{ id, changes: updates }]);
+        return updated;
+    }
+
+    /**
+     * Apply updates to several media items
+     * @param {Array<Object>} updates - { id, changes } per item
+     * @returns {Promise<Array<Object>>} Updated media items
+     */
+    async updateMediaBatch(updates) {
+        // Check every ID first so a bad one leaves nothing half-applied
+        updates.forEach(({ id }) => this.require(id));
+
+        return updates.map(({ id, changes }) => {
+            const updated = { ...this.items.get(id), ...changes };
+            this.items.set(id, updated);
+            return { ...updated };
+        });
+    }
+
+    /**
+     * Delete a media item and its file content
+     * @param {string} id - Media item ID
+     * @returns {Promise<null>} Nothing is changed elsewhere, so the item is never kept
+     */
+    async deleteMedia(id) {
+        await this.deleteMediaBatch([id]);
+        return null;
+    }
+
+    /**
+     * Permanently delete several media items and their file content
+     * @param {Array<string>} ids - Media item IDs
+     * @returns {Promise<Array<Object>>} Always empty, as nothing is changed elsewhere
+     */
+    async deleteMediaBatch(ids) {
+        ids.forEach(id => this.require(id));
+        ids.forEach(id => {
+            this.items.delete(id);
+            this.files.delete(id);
+            this.thumbnails.delete(id);
+        });
+        return [];
+    }
+
+    /**
+     * Store a complete media item record as-is
+     * @param {Object} item - Media item record
+     * @param {Object} [content] - { file, thumbnail } Blobs to store with it
+     * @returns {Promise<Object>} Stored media item
+     */
+    async putMedia(item, content = {}) {
+        const stored = { ...item, hasFile: Boolean(content.file), hasThumbnail: Boolean(content.thumbnail) };
+        this.files.delete(item.id);
+        this.thumbnails.delete(item.id);
+        if (content.file) this.files.set(item.id, content.file);
+        if (content.thumbnail) this.thumbnails.set(item.id, content.thumbnail);
+        this.items.set(item.id, stored);
+
+        return { ...stored };
+    }
+
+    /**
+     * Store (or replace) the file content of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} file - File content
+     * @param {Object} [options] - Transfer options (onProgress, signal)
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaFile(id, file, options = {}) {
+        this.require(id);
+        this.files.set(id, file);
+        if (options.onProgress) options.onProgress(1);
+        return this.updateMedia(id, { hasFile: true, fileSize: file.size });
+    }
+
+    /**
+     * Get stored file content for a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} File content, or null if none was stored
+     */
+    async getMediaFile(id) {
+        return this.files.get(id) || null;
+    }
+
+    /**
+     * Store (or replace) the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @param {Blob} thumbnail - Thumbnail image
+     * @returns {Promise<Object>} Updated media item
+     */
+    async uploadMediaThumbnail(id, thumbnail) {
+        this.require(id);
+        this.thumbnails.set(id, thumbnail);
+        return this.updateMedia(id, { hasThumbnail: true });
+    }
+
+    /**
+     * Get the thumbnail image of a media item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Blob|null>} Thumbnail image, or null if none was stored
+     */
+    async getMediaThumbnail(id) {
+        return this.thumbnails.get(id) || null;
+    }
+
+    /**
+     * Get the tag registry, collections and playlists
+     * @returns {Promise<Object>} { tags, collections, playlists }
+     */
+    async getLibraryMeta() {
+        return structuredClone(this.meta);
+    }
+
+    /**
+     * Save the tag registry, collections and playlists
+     * @param {Object} meta - { tags, collections, playlists }
+     * @returns {Promise<void>}
+     */
+    async saveLibraryMeta(meta) {
+        this.meta = structuredClone({ tags: meta.tags, collections: meta.collections, playlists: meta.playlists });
+    }
+
+    /**
+     * Get a stored record, failing when there is none
+     * @param {string} id - Media item ID
+     * @returns {Object} Stored record
+     */
+    require(id) {
+        const item = this.items.get(id);
+        if (!item) {
+            throw new Error('Media item not found');
+        }
+        return item;
+    }
+}
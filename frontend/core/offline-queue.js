@@ -0,0 +1,313 @@
+/**
+ * MediaMix Hub Core - Offline Queue
+ * Changes made without a connection, and their replay against the server once it is back
+ */
+
+import { MediaItems } from './items.js';
+
+/**
+ * Holds the local copy of a remote library, the outbox of changes not sent yet and the
+ * conflicts replay ran into. The app's OfflineBackendAPI saves this state and decides when to
+ * replay; this class does the bookkeeping, so it runs in Node against any backend that
+ * implements the BackendAPI item methods (see app.js).
+ *
+ * Each queued update or delete remembers the item as it was when the change was made. If the
+ * server copy has changed since, the change is not applied; it becomes a conflict until
+ * settle() picks a side. A change the server refuses becomes a conflict too, keeping its
+ * outbox entries so it can be sent again or discarded.
+ */
+export class OfflineQueue {
+    /**
+     * @param {Object} remote - Backend that talks to the server
+     */
+    constructor(remote) {
+        this.remote = remote;
+        this.items = [];     // Last known server items with queued changes applied
+        // Queued changes { id, op, itemId, item, data, changes, base, file, thumbnail, afterCreate, queuedAt }
+        this.outbox = [];
+        // Changes held back during replay { id, op, itemId, fileName, changes, remote, entries, reason, fields,
+        // message, detectedAt }, where entries are the outbox entries of a change the server refused
+        this.conflicts = [];
+    }
+
+    /**
+     * Whether a failed call may succeed when it is sent again later
+     * @param {Error} error - Error from the remote backend
+     * @returns {boolean} True if the server could not be reached or could not answer for now
+     */
+    isRetryable(error) {
+        if (!error) return false;
+        if (error.name === 'NetworkError') return true;
+        // Request timeout, rate limiting and server errors; 507 means the server is full, which waiting won't fix
+        return error.status === 408 || error.status === 429 || (error.status >= 500 && error.status !== 507);
+    }
+
+    /**
+     * Add a change to the outbox, or to the refused creation of its item
+     * @param {Object} entry - Outbox entry without id and queuedAt
+     * @returns {boolean} True if it went to the outbox, false if it waits with a refused creation
+     */
+    add(entry) {
+        const queued = { ...entry, id: MediaItems.generateId(), queuedAt: new Date().toISOString() };
+        const held = this.findHeldCreate(entry.itemId);
+        if (held) {
+            held.entries.push(queued);
+            return false;
+        }
+        this.outbox.push(queued);
+        return true;
+    }
+
+    /**
+     * Drop every queued or held back change to an item that never reached the server
+     * @param {string} id - Local item ID
+     */
+    forget(id) {
+        const held = this.findHeldCreate(id);
+        this.outbox = this.outbox.filter(entry => entry.itemId !== id);
+        this.conflicts = this.conflicts.filter(conflict => conflict !== held);
+    }
+
+    /**
+     * Replace an item in the local copy
+     * @param {Object} item - Media item
+     */
+    storeLocal(item) {
+        const index = this.items.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+            this.items.push(item);
+        } else {
+            this.items[index] = item;
+        }
+    }
+
+    /**
+     * Find the queued creation of an item that has not reached the server yet
+     * @param {string} id - Local item ID
+     * @returns {Object|undefined} Outbox entry, in the outbox or held back with a conflict
+     */
+    findPendingCreate(id) {
+        const held = this.conflicts.flatMap(conflict => conflict.entries || []);
+        return [...this.outbox, ...held].find(entry => entry.op === 'create' && entry.itemId === id);
+    }
+
+    /**
+     * Find the conflict holding back the creation of an item the server refused
+     * @param {string} id - Local item ID
+     * @returns {Object|undefined} Conflict
+     */
+    findHeldCreate(id) {
+        return this.conflicts.find(conflict => conflict.op === 'create' && conflict.entries && conflict.itemId === id);
+    }
+
+    /**
+     * Take the server's items as the local copy, keeping the items whose creation was held back
+     * @param {Array<Object>} remoteItems - Items listed by the server
+     */
+    adoptRemoteItems(remoteItems) {
+        const ids = new Set(remoteItems.map(item => item.id));
+        const held = this.items.filter(item => !ids.has(item.id) && this.findHeldCreate(item.id));
+        this.items = [...remoteItems, ...held];
+    }
+
+    /**
+     * Send the outbox in order, stopping at the first change that can be retried later
+     * @param {Function} [afterEach] - Awaited after each change, e.g. to save, so an interrupted replay resumes there
+     * @returns {Promise<Object>} { replayed, idMap } with local to server IDs of the items created
+     */
+    async replayAll(afterEach = async () => {}) {
+        const idMap = new Map();
+        let replayed = 0;
+
+        while (this.outbox.length > 0) {
+            const entry = this.outbox[0];
+            try {
+                await this.replay(entry, idMap);
+                replayed++;
+                this.outbox.shift();
+            } catch (error) {
+                if (this.isRetryable(error)) break; // Lost the connection or the server is busy; retry later
+                console.error('Failed to replay queued change:', error);
+                this.holdBack(entry, error.message);
+            }
+            await afterEach();
+        }
+
+        return { replayed, idMap };
+    }
+
+    /**
+     * Send one queued change, holding it back if the server copy changed
+     * @param {Object} entry - Outbox entry
+     * @param {Map<string, string>} idMap - Filled with local to server IDs of items created
+     */
+    async replay(entry, idMap) {
+        const id = entry.itemId;
+
+        if (entry.op === 'create') {
+            const content = { file: entry.file || undefined, thumbnail: entry.thumbnail || undefined };
+            // PUT under the ID made offline, so replaying again after a lost response changes nothing;
+            // entries queued before records were kept are POSTed and get a server ID
+            const created = entry.item
+                ? await this.remote.putMedia(entry.item, content)
+                : await this.remote.createMedia({ ...entry.data, ...content });
+            this.adoptCreated(id, created.id);
+            if (created.id !== id) idMap.set(id, created.id);
+            return;
+        }
+
+        // Items created by the outbox have no other server history to conflict with
+        const remote = entry.afterCreate ? null : await this.getRemoteItem(id);
+        if (!entry.afterCreate) {
+            const conflict = this.describeConflict(entry, remote);
+            if (conflict) {
+                this.addConflict(entry, remote, conflict);
+                return;
+            }
+        }
+
+        if (entry.op === 'update') {
+            await this.remote.updateMedia(id, entry.changes);
+        } else if (entry.op === 'delete' && (remote || entry.afterCreate)) {
+            await this.remote.deleteMedia(id);
+        }
+    }
+
+    /**
+     * Point the queued changes and local copy of an item at the server item its creation made
+     * @param {string} localId - ID the item was given offline
+     * @param {string} serverId - ID of the created server item, usually the same
+     */
+    adoptCreated(localId, serverId) {
+        this.outbox.slice(1).forEach(entry => {
+            if (entry.itemId === localId) {
+                entry.itemId = serverId;
+                entry.afterCreate = true;
+            }
+        });
+        this.items = this.items.map(item => (item.id === localId ? { ...item, id: serverId } : item));
+    }
+
+    /**
+     * Fetch the server copy of an item
+     * @param {string} id - Media item ID
+     * @returns {Promise<Object|null>} Server item, or null if it no longer exists
+     */
+    async getRemoteItem(id) {
+        try {
+            return await this.remote.getMediaById(id);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Explain why a queued change can't be applied safely
+     * @param {Object} entry - Update or delete outbox entry
+     * @param {Object|null} remote - Current server copy
+     * @returns {Object|null} { reason, fields } with reason 'deletedOnServer', 'alsoChanged' or
+     *   'changedAfterDelete' and the fields the server changed, or null if the change can be applied
+     */
+    describeConflict(entry, remote) {
+        const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+        if (entry.op === 'update') {
+            if (!remote) return { reason: 'deletedOnServer', fields: [] };
+            // Only fields this change touches matter, and only if the server moved away from what we started from
+            const changed = Object.keys(entry.changes).filter(key =>
+                !same(remote[key], entry.base[key]) && !same(remote[key], entry.changes[key])
+            );
+            return changed.length > 0 ? { reason: 'alsoChanged', fields: changed } : null;
+        }
+
+        if (entry.op === 'delete' && remote) {
+            const changed = ['description', 'tags', 'collectionIds', 'deletedAt'].filter(key =>
+                !same(remote[key], entry.base[key])
+            );
+            return changed.length > 0 ? { reason: 'changedAfterDelete', fields: changed } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Move a change the server refused from the outbox into a conflict, so it can be sent again.
+     * A refused creation takes the item's later changes with it; without it they would fail too.
+     * @param {Object} entry - Outbox entry
+     * @param {string} message - Why the server refused it
+     */
+    holdBack(entry, message) {
+        const entries = entry.op === 'create'
+            ? this.outbox.filter(queued => queued.itemId === entry.itemId)
+            : [entry];
+        this.outbox = this.outbox.filter(queued => !entries.includes(queued));
+        this.addConflict(entry, null, { reason: 'refused', fields: [], message }, entries);
+    }
+
+    /**
+     * Record a change that was held back
+     * @param {Object} entry - Outbox entry
+     * @param {Object|null} remote - Current server copy
+     * @param {Object} conflict - { reason, fields, message } from describeConflict() or holdBack()
+     * @param {Array<Object>} [entries] - Outbox entries to send again if the user retries
+     */
+    addConflict(entry, remote, { reason, fields, message = null }, entries = null) {
+        const local = entry.base || entry.item || entry.data || {};
+        this.conflicts.push({
+            id: MediaItems.generateId(),
+            op: entry.op,
+            itemId: entry.itemId,
+            fileName: local.fileName || (remote && remote.fileName) || null,
+            changes: entry.changes || null,
+            remote,
+            entries,
+            reason,
+            fields,
+            message,
+            detectedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Settle a conflict
+     * @param {string} conflictId - Conflict ID
+     * @param {string} keep - 'mine' to apply the held-back change (or queue a refused one again), 'theirs' to drop it
+     * @returns {Promise<Object|null>} The settled conflict, or null if there is none with that ID
+     */
+    async settle(conflictId, keep) {
+        const conflict = this.conflicts.find(c => c.id === conflictId);
+        if (!conflict) return null;
+
+        if (conflict.entries) {
+            if (keep === 'mine') {
+                this.outbox.push(...conflict.entries);
+            } else {
+                this.dropHeldChange(conflict);
+            }
+        } else if (keep === 'mine' && conflict.remote) {
+            if (conflict.op === 'update') {
+                await this.remote.updateMedia(conflict.itemId, conflict.changes);
+            } else if (conflict.op === 'delete') {
+                await this.remote.deleteMedia(conflict.itemId);
+            }
+        }
+
+        this.conflicts = this.conflicts.filter(c => c.id !== conflictId);
+        return conflict;
+    }
+
+    /**
+     * Undo a refused change in the local copy
+     * @param {Object} conflict - Conflict holding the change's outbox entries
+     */
+    dropHeldChange(conflict) {
+        const [entry] = conflict.entries;
+        if (entry.op === 'create') {
+            // The item never reached the server
+            this.items = this.items.filter(item => item.id !== entry.itemId);
+        } else if (entry.base) {
+            this.storeLocal(entry.base);
+        }
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * MediaMix Hub Core - Queries
+ * Filtering and sorting of media items
+ */
+
+/**
+ * Filter state, as the gallery keeps it:
+ *   query                    - Text to find in names, descriptions, tags and text metadata
+ *   types, tags              - Media types any of which, and tags all of which, an item must have
+ *   collection               - Collection ID, '' for any
+ *   minSize, maxSize         - MB, as strings; '' for no limit
+ *   from, to                 - Upload days, YYYY-MM-DD; '' for no limit
+ *   minDuration, maxDuration - Seconds, as strings; '' for no limit
+ *   orientation              - 'landscape', 'portrait', 'square' or '' for any
+ *   trash                    - Whether to query the trash instead of the library
+ *   sort, order              - Key of MediaQuery.comparators, and 'asc' or 'desc'
+ */
+export const MediaQuery = {
+    /**
+     * Default filter state
+     * @returns {Object} Filter state showing every item in upload order
+     */
+    defaults() {
+        return {
+            query: '',
+            types: [],
+            tags: [],
+            collection: '',
+            minSize: '',
+            maxSize: '',
+            from: '',
+            to: '',
+            minDuration: '',
+            maxDuration: '',
+            orientation: '',
+            trash: false,
+            sort: 'date',
+            order: 'asc'
+        };
+    },
+
+    /**
+     * Whether any filter narrows the item list
+     * @param {Object} filters - Filter state; missing fields take their defaults
+     * @returns {boolean} True if at least one filter is set
+     */
+    isActive(filters) {
+        filters = { ...this.defaults(), ...filters };
+        return Boolean(filters.query || filters.types.length || filters.tags.length || filters.collection ||
+            filters.minSize !== '' || filters.maxSize !== '' || filters.from || filters.to ||
+            filters.minDuration !== '' || filters.maxDuration !== '' || filters.orientation);
+    },
+
+    /**
+     * Filter and sort media items
+     * @param {Array} items - Media items
+     * @param {Object} filters - Filter state; missing fields take their defaults
+     * @returns {Array} Matching items in display order
+     */
+    apply(items, filters) {
+        filters = { ...this.defaults(), ...filters };
+        const query = filters.query.trim().toLowerCase();
+        const minBytes = filters.minSize !== '' ? parseFloat(filters.minSize) * 1024 * 1024 : null;
+        const maxBytes = filters.maxSize !== '' ? parseFloat(filters.maxSize) * 1024 * 1024 : null;
+        // Date inputs are local calendar days; "to" includes the whole day
+        const fromTime = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+        const toTime = filters.to ? new Date(`${filters.to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : null;
+
+        const matches = items.filter(item => {
+            // Items are either in the library or in the trash, never both
+            if (Boolean(item.deletedAt) !== Boolean(filters.trash)) return false;
+            if (query) {
+                const haystack = [
+                    item.fileName,
+                    item.description,
+                    ...(item.tags || []),
+                    ...this.getSearchableMetadata(item)
+                ].join(' ').toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            if (filters.types.length && !filters.types.includes(item.fileType)) return false;
+            if (filters.tags.length && !filters.tags.every(tag => (item.tags || []).includes(tag))) return false;
+            if (filters.collection && !(item.collectionIds || []).includes(filters.collection)) return false;
+
+            const size = item.fileSize || 0;
+            if (minBytes !== null && size < minBytes) return false;
+            if (maxBytes !== null && size > maxBytes) return false;
+
+            const uploaded = new Date(item.uploadDate).getTime();
+            if (fromTime !== null && uploaded < fromTime) return false;
+            if (toTime !== null && uploaded >= toTime) return false;
+
+            const metadata = item.metadata || {};
+            if (filters.minDuration !== '' || filters.maxDuration !== '') {
+                if (!Number.isFinite(metadata.duration)) return false;
+                if (filters.minDuration !== '' && metadata.duration < parseFloat(filters.minDuration)) return false;
+                if (filters.maxDuration !== '' && metadata.duration > parseFloat(filters.maxDuration)) return false;
+            }
+            if (filters.orientation && this.getOrientation(item) !== filters.orientation) return false;
+
+            return true;
+        });
+
+        const compare = this.comparators[filters.sort] || this.comparators.date;
+        const direction = filters.order === 'desc' ? -1 : 1;
+        return matches.sort((a, b) => compare(a, b) * direction);
+    },
+
+    /**
+     * Comparators for each sort key, ascending
+     */
+    comparators: {
+        name: (a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true, sensitivity: 'base' }),
+        date: (a, b) => a.uploadDate.localeCompare(b.uploadDate),
+        size: (a, b) => (a.fileSize || 0) - (b.fileSize || 0),
+        duration: (a, b) => ((a.metadata || {}).duration || 0) - ((b.metadata || {}).duration || 0),
+        resolution: (a, b) => MediaQuery.getPixelCount(a) - MediaQuery.getPixelCount(b),
+        captured: (a, b) => MediaQuery.getCaptureDate(a).localeCompare(MediaQuery.getCaptureDate(b))
+    },
+
+    /**
+     * Pixel count of an image or video, 0 when unknown
+     * @param {Object} item - Media item
+     * @returns {number} Width times height
+     */
+    getPixelCount(item) {
+        const metadata = item.metadata || {};
+        return (metadata.width || 0) * (metadata.height || 0);
+    },
+
+    /**
+     * Capture date from EXIF, falling back to the upload date
+     * @param {Object} item - Media item
+     * @returns {string} Sortable date string
+     */
+    getCaptureDate(item) {
+        return (item.metadata || {}).captureDate || item.uploadDate;
+    },
+
+    /**
+     * Orientation of an image or video as it is displayed
+     * @param {Object} item - Media item
+     * @returns {string} 'landscape', 'portrait', 'square' or '' when unknown
+     */
+    getOrientation(item) {
+        const { width, height, orientation } = item.metadata || {};
+        if (!width || !height) return '';
+        if (width === height) return 'square';
+        // EXIF orientations 5 to 8 turn the stored pixels a quarter turn
+        const wide = orientation >= 5 && orientation <= 8 ? height > width : width > height;
+        return wide ? 'landscape' : 'portrait';
+    },
+
+    /**
+     * Text metadata fields included in full-text search
+     * @param {Object} item - Media item
+     * @returns {Array<string>} Camera, lens and ID3 values
+     */
+    getSearchableMetadata(item) {
+        const metadata = item.metadata || {};
+        return ['camera', 'lens', 'title', 'artist', 'album']
+            .map(key => metadata[key])
+            .filter(Boolean);
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * MediaMix Hub Core - File Types tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileTypes } from '../index.js';
+
+/**
+ * Build the first bytes of a file
+ * @param {...(string|Array<number>)} parts - Text, or byte values
+ * @returns {Uint8Array} Bytes, padded to 64
+ */
+function bytes(...parts) {
+    const values = parts.flatMap(part => (typeof part === 'string' ? [...part].map(c => c.charCodeAt(0)) : part));
+    return Uint8Array.from([...values, ...new Array(Math.max(0, 64 - values.length)).fill(0)]);
+}
+
+test('identify recognises formats by their signature', () => {
+    assert.equal(FileTypes.identify(bytes([0xFF, 0xD8, 0xFF, 0xE0])), 'image/jpeg');
+    assert.equal(FileTypes.identify(bytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])), 'image/png');
+    assert.equal(FileTypes.identify(bytes('GIF89a')), 'image/gif');
+    assert.equal(FileTypes.identify(bytes('RIFF', [0, 0, 0, 0], 'WEBP')), 'image/webp');
+    assert.equal(FileTypes.identify(bytes('RIFF', [0, 0, 0, 0], 'WAVE')), 'audio/wav');
+    assert.equal(FileTypes.identify(bytes('ID3')), 'audio/mpeg');
+    assert.equal(FileTypes.identify(bytes([0xFF, 0xFB, 0x90])), 'audio/mpeg');
+    assert.equal(FileTypes.identify(bytes('fLaC')), 'audio/flac');
+    assert.equal(FileTypes.identify(bytes('OggS', 'vorbis')), 'audio/ogg');
+    assert.equal(FileTypes.identify(bytes('OggS', 'theora')), 'video/ogg');
+    assert.equal(FileTypes.identify(bytes([0x1A, 0x45, 0xDF, 0xA3], 'webm')), 'video/webm');
+    assert.equal(FileTypes.identify(bytes([0x1A, 0x45, 0xDF, 0xA3], 'matroska')), 'video/x-matroska');
+});
+
+test('identify reads the brand of MP4-family files', () => {
+    const ftyp = brand => bytes([0, 0, 0, 0x18], 'ftyp', brand);
+
+    assert.equal(FileTypes.identify(ftyp('isom')), 'video/mp4');
+    assert.equal(FileTypes.identify(ftyp('M4A ')), 'audio/mp4');
+    assert.equal(FileTypes.identify(ftyp('qt  ')), 'video/quicktime');
+    assert.equal(FileTypes.identify(ftyp('heic')), 'image/heic');
+    assert.equal(FileTypes.ambiguousTypes[FileTypes.identify(ftyp('mp42'))], 'audio/mp4');
+});
+
+test('identify names common non-media formats and gives up on unknown bytes', () => {
+    assert.equal(FileTypes.identify(bytes('MZ')), 'application/x-msdownload');
+    assert.equal(FileTypes.identify(bytes('%PDF-1.7')), 'application/pdf');
+    assert.equal(FileTypes.identify(bytes([0x50, 0x4B, 0x03, 0x04])), 'application/zip');
+    assert.equal(FileTypes.identify(bytes('hello world')), null);
+    assert.equal(FileTypes.identify(new Uint8Array(0)), null);
+    assert.ok(Object.keys(FileTypes.labels).includes('application/pdf'));
+});
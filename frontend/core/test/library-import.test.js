@@ -0,0 +1,131 @@
+/**
+ * MediaMix Hub Core - Library Import tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LibraryImport, MediaLibrary, MemoryBackend } from '../index.js';
+
+const photo = { fileName: 'beach.jpg', fileType: 'image', fileSize: 5, description: 'Beach', tags: ['sun'] };
+
+/**
+ * Create a library with two items, one of them in the trash, and a collection
+ * @returns {Promise<Object>} { library, backend, beach, old }
+ */
+async function createLibrary() {
+    const backend = new MemoryBackend();
+    const library = new MediaLibrary(backend);
+    await library.load();
+    const beach = await library.create({ ...photo, file: new Blob(['beach']) });
+    const old = await library.create({ ...photo, fileName: 'old.jpg' });
+    await library.trash([old.id]);
+    await backend.saveLibraryMeta({ tags: ['sun'], collections: [{ id: 'c1', name: 'Trips' }], playlists: [] });
+    return { library, backend, beach, old };
+}
+
+/**
+ * Build an export of some items, as LibraryTransfer writes it
+ * @param {Array<Object>} items - Records to export
+ * @returns {Object} { manifest, entries }
+ */
+function exportOf(items) {
+    const entries = new Map(items.map(item => [`files/${item.id}`, new Blob([item.fileName])]));
+    const manifest = {
+        mediaItems: items.map(item => ({ ...item, file: `files/${item.id}` })),
+        tags: ['sea'],
+        collections: [{ id: 'c9', name: 'trips' }, { id: 'c2', name: 'Work' }],
+        playlists: []
+    };
+    return { manifest, entries };
+}
+
+/**
+ * The current library, as the app passes it to plan()
+ * @param {MediaLibrary} library - Library
+ * @returns {Promise<Object>} { items, tags, collections, playlists }
+ */
+async function currentOf(library) {
+    return { items: library.items, ...(await library.backend.getLibraryMeta()) };
+}
+
+test('plan merges by ID and name, skipping items already there and renaming clashes', async () => {
+    const { library, beach } = await createLibrary();
+    const edited = { ...beach, uploadDate: new Date(0).toISOString() };
+    const added = { ...beach, id: 'new', fileName: 'dunes.jpg', collectionIds: ['c9'] };
+    const { manifest, entries } = exportOf([beach, edited, added, { id: 'broken' }]);
+
+    const plan = LibraryImport.plan(manifest, entries, await currentOf(library), 'merge');
+
+    assert.equal(plan.unchanged, 1);
+    assert.equal(plan.renamed, 1);
+    assert.equal(plan.invalid.length, 1);
+    assert.deepEqual(plan.remove, []);
+    assert.deepEqual(plan.add.map(({ item, renamedFrom }) => [item.fileName, renamedFrom]), [['beach.jpg', beach.id], ['dunes.jpg', null]]);
+    assert.notEqual(plan.add[0].item.id, beach.id);
+    // The imported "trips" collection is the current "Trips"
+    assert.deepEqual(plan.add[1].item.collectionIds, ['c1']);
+    assert.deepEqual(plan.collections.map(c => c.name), ['Trips', 'Work']);
+    assert.deepEqual(plan.tags, ['sea', 'sun']);
+});
+
+test('replace moves the current items to the trash once the imported ones are in', async () => {
+    const { library, backend, beach, old } = await createLibrary();
+    const { manifest, entries } = exportOf([beach, { ...beach, id: 'new', fileName: 'dunes.jpg' }]);
+    const plan = LibraryImport.plan(manifest, entries, await currentOf(library), 'replace');
+
+    // Items in the trash stay there; an imported item never takes a current item's ID
+    assert.deepEqual(plan.remove, [beach.id]);
+    assert.equal(plan.renamed, 1);
+
+    const result = await LibraryImport.apply(library, plan);
+
+    assert.equal(result.imported, 2);
+    assert.deepEqual(result.previousMeta.collections, [{ id: 'c1', name: 'Trips' }]);
+    assert.ok(library.get(beach.id).deletedAt);
+    assert.ok(library.get(old.id).deletedAt);
+    assert.equal(await (await backend.getMediaFile(beach.id)).text(), 'beach');
+    assert.deepEqual(result.items.map(item => library.get(item.id).deletedAt), [null, null]);
+    assert.deepEqual((await backend.getLibraryMeta()).collections.map(c => c.name), ['trips', 'Work']);
+});
+
+test('a replace that fails part way leaves the library as it was', async () => {
+    const { library, backend, beach } = await createLibrary();
+    const before = structuredClone({ items: library.items, meta: await backend.getLibraryMeta() });
+    const { manifest, entries } = exportOf([{ ...beach, id: 'a' }, { ...beach, id: 'b' }]);
+    const plan = LibraryImport.plan(manifest, entries, await currentOf(library), 'replace');
+
+    let puts = 0;
+    const putMedia = backend.putMedia.bind(backend);
+    backend.putMedia = async (...args) => {
+        if (++puts === 2) throw Object.assign(new Error('Storage is full'), { name: 'QuotaExceededError' });
+        return putMedia(...args);
+    };
+
+    const trashed = [];
+    library.on('item:updated', ({ item }) => item.deletedAt && trashed.push(item.id));
+
+    await assert.rejects(LibraryImport.apply(library, plan), { name: 'QuotaExceededError' });
+    assert.deepEqual(trashed, [], 'nothing went to the trash before the items were written');
+    assert.deepEqual(library.items, before.items);
+    assert.deepEqual(await backend.getMedia(), before.items);
+    assert.deepEqual(await backend.getLibraryMeta(), before.meta);
+});
+
+test('items that fail for their own reasons are counted and the rest are imported', async () => {
+    const { library, backend, beach } = await createLibrary();
+    const { manifest, entries } = exportOf([{ ...beach, id: 'a' }, { ...beach, id: 'b' }]);
+    const plan = LibraryImport.plan(manifest, entries, await currentOf(library), 'merge');
+
+    const putMedia = backend.putMedia.bind(backend);
+    backend.putMedia = async (item, content) => {
+        if (item.id === 'a') throw new Error('Upload failed with status 400');
+        return putMedia(item, content);
+    };
+    const progress = [];
+    const result = await LibraryImport.apply(library, plan, { onProgress: (done, total) => progress.push(`${done}/${total}`) });
+
+    assert.deepEqual([result.imported, result.failed], [1, 1]);
+    assert.deepEqual(progress, ['1/2', '2/2']);
+    assert.ok(library.get('b'));
+});
@@ -0,0 +1,55 @@
+/**
+ * MediaMix Hub Core - Library Merge tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LibraryMerge } from '../index.js';
+
+const beach = { id: 'a', description: 'Beach', tags: ['sun'] };
+const dunes = { id: 'b', description: 'Dunes', tags: [] };
+
+/**
+ * Snapshot records the way the last shared revision is remembered
+ * @param {Array<Object>} records - Records
+ * @returns {Map<string, string>} JSON of each record by ID
+ */
+function baseOf(records) {
+    return new Map(records.map(record => [record.id, JSON.stringify(record)]));
+}
+
+test('records takes each side\'s changes and merges fields changed on both', () => {
+    const base = baseOf([beach, dunes]);
+    const mine = [{ ...beach, description: 'Sandy beach' }, dunes];
+    const theirs = [{ ...beach, tags: ['sun', 'sea'] }, { ...dunes, description: 'Tall dunes' }, { id: 'c', description: 'New' }];
+
+    assert.deepEqual(LibraryMerge.records(base, mine, theirs), [
+        { id: 'a', description: 'Sandy beach', tags: ['sun', 'sea'] },
+        { id: 'b', description: 'Tall dunes', tags: [] },
+        { id: 'c', description: 'New' }
+    ]);
+});
+
+test('records lets mine win a field both sides changed', () => {
+    const merged = LibraryMerge.records(baseOf([beach]), [{ ...beach, description: 'Mine' }], [{ ...beach, description: 'Theirs' }]);
+
+    assert.deepEqual(merged, [{ ...beach, description: 'Mine' }]);
+});
+
+test('records keeps a record edited on one side and deleted on the other', () => {
+    const edited = { ...beach, description: 'Edited' };
+
+    assert.deepEqual(LibraryMerge.records(baseOf([beach, dunes]), [dunes], [edited, dunes]), [dunes, edited]);
+    assert.deepEqual(LibraryMerge.records(baseOf([beach, dunes]), [edited, dunes], [dunes]), [edited, dunes]);
+});
+
+test('records drops a record deleted on one side and left alone on the other', () => {
+    assert.deepEqual(LibraryMerge.records(baseOf([beach, dunes]), [dunes], [beach, dunes]), [dunes]);
+    assert.deepEqual(LibraryMerge.records(baseOf([beach, dunes]), [beach, dunes], [dunes]), [dunes]);
+});
+
+test('tags keeps tags added on either side and drops tags removed on either side', () => {
+    assert.deepEqual(LibraryMerge.tags(['sun', 'sea'], ['sun', 'sea', 'trip'], ['sun', 'beach']), ['beach', 'sun', 'trip']);
+    assert.deepEqual(LibraryMerge.tags(['sun', 'sea'], ['sea'], ['sun', 'sea']), ['sea']);
+});
@@ -0,0 +1,162 @@
+/**
+ * MediaMix Hub Core - Media Library tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MediaLibrary, MemoryBackend } from '../index.js';
+
+/**
+ * Create a library on an empty memory backend that records every event it emits
+ * @returns {Promise<Object>} { library, backend, events } where events are [name, payload] pairs
+ */
+async function createLibrary() {
+    const backend = new MemoryBackend();
+    const library = new MediaLibrary(backend);
+    const events = [];
+    ['item:created', 'item:updated', 'item:deleted'].forEach(name => {
+        library.on(name, payload => events.push([name, payload]));
+    });
+    await library.load();
+    return { library, backend, events };
+}
+
+const photo = { fileName: 'beach.jpg', fileType: 'image', fileSize: 10, description: '  Beach  ', tags: ['Sun', 'sun', ' '] };
+
+test('create stores a normalized item and emits item:created', async () => {
+    const { library, backend, events } = await createLibrary();
+    const item = await library.create(photo);
+
+    assert.equal(item.description, 'Beach');
+    assert.deepEqual(item.tags, ['sun']);
+    assert.deepEqual(library.items, [item]);
+    assert.deepEqual(await backend.getMedia(), [item]);
+    assert.deepEqual(events, [['item:created', { item, source: null }]]);
+});
+
+test('create rejects an item without a description and emits nothing', async () => {
+    const { library, events } = await createLibrary();
+
+    await assert.rejects(library.create({ ...photo, description: ' ' }), { name: 'ValidationError', code: 'description.empty' });
+    assert.equal(library.items.length, 0);
+    assert.equal(events.length, 0);
+});
+
+test('update emits item:updated with the previous item', async () => {
+    const { library, events } = await createLibrary();
+    const previous = await library.create(photo);
+    const item = await library.update(previous.id, { description: 'Sea' });
+
+    assert.equal(library.get(previous.id).description, 'Sea');
+    assert.deepEqual(events.at(-1), ['item:updated', { item, previous, source: null }]);
+});
+
+test('update rejects changes to fixed fields and leaves the item alone', async () => {
+    const { library, events } = await createLibrary();
+    const item = await library.create(photo);
+
+    for (const changes of [{ id: 'other' }, { uploadDate: new Date(0).toISOString() }, { fileType: 'video' }, { fileSize: 1 }]) {
+        await assert.rejects(library.update(item.id, { description: 'Sea', ...changes }),
+            { name: 'ValidationError', code: 'item.fixedField' });
+    }
+    await assert.rejects(library.updateMany([{ id: item.id, changes: { id: 'other' } }]), { code: 'item.fixedField' });
+    assert.deepEqual(library.items, [item]);
+    assert.equal(events.length, 1);
+});
+
+test('trash and restore update deletedAt and move the item between queries', async () => {
+    const { library, events } = await createLibrary();
+    const { id } = await library.create(photo);
+
+    const [trashed] = await library.trash([id]);
+    assert.ok(trashed.deletedAt);
+    assert.equal(library.query({}).length, 0);
+    assert.equal(library.query({ trash: true }).length, 1);
+
+    const [restored] = await library.restore([id]);
+    assert.equal(restored.deletedAt, null);
+    assert.equal(library.query({}).length, 1);
+    assert.deepEqual(events.slice(1).map(([name, { item }]) => [name, item.deletedAt === null]),
+        [['item:updated', false], ['item:updated', true]]);
+});
+
+test('delete removes the items and emits item:deleted for each', async () => {
+    const { library, backend, events } = await createLibrary();
+    const a = await library.create(photo);
+    const b = await library.create({ ...photo, fileName: 'dunes.jpg' });
+
+    await library.delete([a.id, b.id]);
+    assert.deepEqual(library.items, []);
+    assert.deepEqual(await backend.getMedia(), []);
+    assert.deepEqual(events.slice(2), [['item:deleted', { item: a, source: null }], ['item:deleted', { item: b, source: null }]]);
+});
+
+test('delete reports an item the backend kept as updated', async () => {
+    const { library, backend, events } = await createLibrary();
+    const a = await library.create(photo);
+    const b = await library.create({ ...photo, fileName: 'dunes.jpg' });
+
+    // As when another tab edits b while this one deletes it
+    const edited = { ...b, description: 'Changed elsewhere' };
+    backend.deleteMediaBatch = async (ids) => {
+        backend.items.delete(a.id);
+        backend.items.set(b.id, edited);
+        return [{ ...edited }];
+    };
+
+    assert.deepEqual(await library.delete([a.id, b.id]), [edited]);
+    assert.deepEqual(library.items, [edited]);
+    assert.deepEqual(events.slice(2).map(([name, { item, source }]) => [name, item.id, source]),
+        [['item:deleted', a.id, null], ['item:updated', b.id, 'external']]);
+});
+
+test('load reports changes made past the library', async () => {
+    const { library, backend, events } = await createLibrary();
+    const a = await library.create(photo);
+    const b = await library.create({ ...photo, fileName: 'dunes.jpg' });
+
+    await backend.updateMedia(a.id, { description: 'Changed elsewhere' });
+    await backend.deleteMedia(b.id);
+    await library.load({ source: 'sync' });
+
+    assert.deepEqual(events.slice(2).map(([name, { item, source }]) => [name, item.id, source]),
+        [['item:updated', a.id, 'sync'], ['item:deleted', b.id, 'sync']]);
+});
+
+test('events report the source given to the method that made the change', async () => {
+    const { library, events } = await createLibrary();
+    const { id } = await library.create(photo, { source: 'import' });
+    await library.update(id, { description: 'Sea' }, { source: 'undo' });
+    await library.trash([id], { source: 'redo' });
+    await library.delete([id], { source: 'retention' });
+
+    assert.deepEqual(events.map(([name, { source }]) => [name, source]),
+        [['item:created', 'import'], ['item:updated', 'undo'], ['item:updated', 'redo'], ['item:deleted', 'retention']]);
+});
+
+test('setThumbnail emits item:updated even when the record is unchanged', async () => {
+    const { library, backend, events } = await createLibrary();
+    const { id } = await library.create(photo);
+    const thumbnail = new Blob(['jpeg'], { type: 'image/jpeg' });
+
+    await library.setThumbnail(id, thumbnail);
+    await library.setThumbnail(id, thumbnail);
+    assert.equal(library.get(id).hasThumbnail, true);
+    assert.equal(await backend.getMediaThumbnail(id), thumbnail);
+    assert.deepEqual(events.slice(1).map(([name]) => name), ['item:updated', 'item:updated']);
+});
+
+test('a failing listener does not stop the others', async () => {
+    const { library, events } = await createLibrary();
+    const error = console.error;
+    console.error = () => {};
+    library.on('item:created', () => { throw new Error('Listener failed'); });
+
+    try {
+        await library.create(photo);
+    } finally {
+        console.error = error;
+    }
+    assert.equal(events.length, 1);
+});
@@ -0,0 +1,180 @@
+/**
+ * MediaMix Hub Core - Offline Queue tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MediaItems, MemoryBackend, OfflineQueue } from '../index.js';
+
+/**
+ * Build an error as RestBackendAPI throws it for an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Create a server that answers 404 for missing items, as the REST backend does
+ * @returns {MemoryBackend} Server backend
+ */
+function createServer() {
+    const server = new MemoryBackend();
+    server.getMediaById = async id => {
+        if (!server.items.has(id)) throw httpError(404, 'Media item not found');
+        return { ...server.items.get(id) };
+    };
+    return server;
+}
+
+/**
+ * Queue the offline creation of an item, as OfflineBackendAPI does
+ * @param {OfflineQueue} queue - Offline queue
+ * @param {string} description - Description of the new item
+ * @returns {Object} Local item
+ */
+function createOffline(queue, description) {
+    const data = { fileName: 'beach.jpg', fileType: 'image', description };
+    const item = { ...MediaItems.create(data), hasFile: false, hasThumbnail: false };
+    queue.storeLocal(item);
+    queue.add({ op: 'create', itemId: item.id, item, data, file: null, thumbnail: null });
+    return item;
+}
+
+/**
+ * Queue an offline edit of an item, as OfflineBackendAPI does
+ * @param {OfflineQueue} queue - Offline queue
+ * @param {Object} base - Item before the edit
+ * @param {Object} changes - Fields to change
+ * @returns {boolean} True if it went to the outbox
+ */
+function updateOffline(queue, base, changes) {
+    queue.storeLocal({ ...base, ...changes });
+    return queue.add({ op: 'update', itemId: base.id, changes, base });
+}
+
+test('a creation the server refuses is held with its later changes and sent again on retry', async () => {
+    const server = createServer();
+    const queue = new OfflineQueue(server);
+    const item = createOffline(queue, 'Beach');
+    updateOffline(queue, item, { description: 'Beach at noon' });
+
+    server.putMedia = async () => { throw httpError(422, 'File type not allowed'); };
+    const result = await queue.replayAll();
+
+    assert.equal(result.replayed, 0);
+    assert.equal(queue.outbox.length, 0);
+    assert.equal(server.items.size, 0);
+    const [conflict] = queue.conflicts;
+    assert.equal(conflict.op, 'create');
+    assert.equal(conflict.reason, 'refused');
+    assert.equal(conflict.message, 'File type not allowed');
+    assert.equal(conflict.entries.length, 2);
+
+    // The item stays in the local copy when the server's listing doesn't have it
+    queue.adoptRemoteItems(await server.getMedia());
+    assert.deepEqual(queue.items.map(local => local.id), [item.id]);
+
+    // Later changes wait with the creation instead of failing on their own
+    assert.equal(updateOffline(queue, queue.items[0], { tags: ['sun'] }), false);
+    assert.equal(queue.findPendingCreate(item.id), conflict.entries[0]);
+
+    delete server.putMedia;
+    assert.equal(await queue.settle(conflict.id, 'mine'), conflict);
+    assert.equal(queue.outbox.length, 3);
+    assert.equal((await queue.replayAll()).replayed, 3);
+
+    assert.equal(queue.conflicts.length, 0);
+    assert.equal(server.items.get(item.id).description, 'Beach at noon');
+    assert.deepEqual(server.items.get(item.id).tags, ['sun']);
+});
+
+test('discarding a refused creation removes the item and its changes', async () => {
+    const server = createServer();
+    const queue = new OfflineQueue(server);
+    const item = createOffline(queue, 'Beach');
+    const kept = createOffline(queue, 'Harbour');
+
+    server.putMedia = async (record, content) => {
+        if (record.id === item.id) throw httpError(400, 'Bad request');
+        return MemoryBackend.prototype.putMedia.call(server, record, content);
+    };
+    assert.equal((await queue.replayAll()).replayed, 1);
+
+    await queue.settle(queue.conflicts[0].id, 'theirs');
+
+    assert.deepEqual(queue.items.map(local => local.id), [kept.id]);
+    assert.equal(queue.findPendingCreate(item.id), undefined);
+    assert.equal(queue.conflicts.length, 0);
+    assert.equal(queue.outbox.length, 0);
+});
+
+test('a change stays queued while the server is unavailable', async () => {
+    const server = createServer();
+    const stored = await server.createMedia({ fileName: 'beach.jpg', fileType: 'image', description: 'Beach' });
+    const queue = new OfflineQueue(server);
+    queue.adoptRemoteItems(await server.getMedia());
+    updateOffline(queue, stored, { description: 'Beach at noon' });
+
+    server.updateMedia = async () => { throw httpError(503, 'Service unavailable'); };
+    assert.equal((await queue.replayAll()).replayed, 0);
+    assert.equal(queue.outbox.length, 1);
+    assert.equal(queue.conflicts.length, 0);
+
+    delete server.updateMedia;
+    assert.equal((await queue.replayAll()).replayed, 1);
+    assert.equal(server.items.get(stored.id).description, 'Beach at noon');
+});
+
+test('isRetryable waits out connection failures, timeouts, rate limits and server errors', () => {
+    const queue = new OfflineQueue(createServer());
+    const networkError = new Error('Could not reach the server');
+    networkError.name = 'NetworkError';
+
+    assert.equal(queue.isRetryable(networkError), true);
+    [408, 429, 500, 503].forEach(status => assert.equal(queue.isRetryable(httpError(status, '')), true));
+    [400, 404, 409, 507].forEach(status => assert.equal(queue.isRetryable(httpError(status, '')), false));
+    assert.equal(queue.isRetryable(new TypeError('item.tags is not iterable')), false);
+});
+
+test('changes to items the server changed or deleted are held as conflicts', async () => {
+    const server = createServer();
+    const edited = await server.createMedia({ fileName: 'a.jpg', fileType: 'image', description: 'A' });
+    const removed = await server.createMedia({ fileName: 'b.jpg', fileType: 'image', description: 'B' });
+    const gone = await server.createMedia({ fileName: 'c.jpg', fileType: 'image', description: 'C' });
+    const queue = new OfflineQueue(server);
+    queue.adoptRemoteItems(await server.getMedia());
+
+    updateOffline(queue, edited, { description: 'Mine', tags: ['x'] });
+    queue.add({ op: 'delete', itemId: removed.id, base: removed });
+    updateOffline(queue, gone, { description: 'Mine' });
+
+    // Meanwhile, on the server
+    await server.updateMedia(edited.id, { description: 'Theirs' });
+    await server.updateMedia(removed.id, { tags: ['keep'] });
+    await server.deleteMedia(gone.id);
+
+    assert.equal((await queue.replayAll()).replayed, 3);
+    assert.deepEqual(
+        queue.conflicts.map(conflict => [conflict.op, conflict.fileName, conflict.reason, conflict.fields]),
+        [
+            ['update', 'a.jpg', 'alsoChanged', ['description']],
+            ['delete', 'b.jpg', 'changedAfterDelete', ['tags']],
+            ['update', 'c.jpg', 'deletedOnServer', []]
+        ]
+    );
+    assert.equal(server.items.get(edited.id).description, 'Theirs');
+    assert.ok(server.items.has(removed.id));
+
+    const [update, deletion] = queue.conflicts;
+    await queue.settle(update.id, 'mine');
+    await queue.settle(deletion.id, 'theirs');
+    assert.equal(server.items.get(edited.id).description, 'Mine');
+    assert.ok(server.items.has(removed.id));
+    assert.equal(queue.conflicts.length, 1);
+});
@@ -0,0 +1,22 @@
+/**
+ * MediaMix Hub Core - Query tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MediaQuery } from '../index.js';
+
+test('getOrientation classifies by the displayed dimensions', () => {
+    const photo = (metadata) => ({ metadata });
+
+    assert.equal(MediaQuery.getOrientation(photo({ width: 4000, height: 3000 })), 'landscape');
+    assert.equal(MediaQuery.getOrientation(photo({ width: 3000, height: 4000 })), 'portrait');
+    assert.equal(MediaQuery.getOrientation(photo({ width: 3000, height: 3000, orientation: 6 })), 'square');
+    assert.equal(MediaQuery.getOrientation(photo({})), '');
+
+    // A phone photo stored sideways and rotated upright by its EXIF orientation
+    assert.equal(MediaQuery.getOrientation(photo({ width: 4000, height: 3000, orientation: 6 })), 'portrait');
+    assert.equal(MediaQuery.getOrientation(photo({ width: 3000, height: 4000, orientation: 8 })), 'landscape');
+    assert.equal(MediaQuery.getOrientation(photo({ width: 4000, height: 3000, orientation: 3 })), 'landscape');
+});
@@ -0,0 +1,63 @@
+/**
+ * MediaMix Hub Core - ZIP Archive tests
+ * Run with npm test in frontend/core
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipArchive } from '../index.js';
+
+const photo = Uint8Array.from({ length: 100000 }, (_, i) => (i * 7) & 0xFF);
+
+/**
+ * Write entries to a ZIP file and read them back
+ * @param {Object} [settings] - ZipArchive properties to use meanwhile, e.g. { zip64Limit: 0 }
+ * @returns {Promise<Object>} { zip, entries }
+ */
+async function roundTrip(settings = {}) {
+    const saved = { chunkSize: ZipArchive.chunkSize, zip64Limit: ZipArchive.zip64Limit };
+    Object.assign(ZipArchive, settings);
+    try {
+        const zip = await ZipArchive.create([
+            { name: 'manifest.json', data: '{"name":"Café"}' },
+            { name: 'files/1/beach.jpg', data: new Blob([photo]) },
+            { name: 'empty.txt', data: '' }
+        ]);
+        return { zip, entries: await ZipArchive.read(zip) };
+    } finally {
+        Object.assign(ZipArchive, saved);
+    }
+}
+
+test('crc32 gives the standard check value, also when continued over chunks', () => {
+    const bytes = new TextEncoder().encode('123456789');
+
+    assert.equal(ZipArchive.crc32(bytes), 0xCBF43926);
+    assert.equal(ZipArchive.crc32(bytes.subarray(4), ZipArchive.crc32(bytes.subarray(0, 4))), 0xCBF43926);
+});
+
+test('create and read round-trip names and content', async () => {
+    const { zip, entries } = await roundTrip({ chunkSize: 4096 });
+
+    assert.equal(zip.type, 'application/zip');
+    assert.deepEqual([...entries.keys()], ['manifest.json', 'files/1/beach.jpg', 'empty.txt']);
+    assert.equal(await entries.get('manifest.json').text(), '{"name":"Café"}');
+    assert.deepEqual(new Uint8Array(await entries.get('files/1/beach.jpg').arrayBuffer()), photo);
+    assert.equal(entries.get('empty.txt').size, 0);
+});
+
+test('entries past the 32-bit limits are written and read as ZIP64', async () => {
+    // Every size and offset counts as too large, as in an export of several gigabytes
+    const { zip, entries } = await roundTrip({ zip64Limit: 0 });
+    const view = new DataView(await zip.arrayBuffer());
+
+    assert.equal(view.getUint32(view.byteLength - 22, true), 0x06054B50);
+    assert.equal(view.getUint32(view.byteLength - 22 - 20, true), 0x07064B50);
+    assert.equal(view.getUint32(18, true), 0xFFFFFFFF); // First local header's size, moved to its extra field
+    assert.equal(await entries.get('manifest.json').text(), '{"name":"Café"}');
+    assert.deepEqual(new Uint8Array(await entries.get('files/1/beach.jpg').arrayBuffer()), photo);
+});
+
+test('read rejects a file that is not a ZIP archive', async () => {
+    await assert.rejects(ZipArchive.read(new Blob(['not a zip file'])), /Not a ZIP file/);
+});
@@ -0,0 +1,150 @@
+/**
+ * MediaMix Hub Core - Validation
+ * Rules for what users type: descriptions, tags and names
+ */
+
+import { MediaItems } from './items.js';
+
+export const MediaValidation = {
+    descriptionLimit: 500, // Characters
+    nameLimit: 100,        // Characters in a collection or playlist name
+    tagLimit: 50,          // Characters in a tag
+
+    /**
+     * English messages by error code; the app shows its own translations instead
+     */
+    messages: {
+        'description.empty': 'Description cannot be empty',
+        'description.tooLong': 'Description must be {max} characters or less',
+        'tag.empty': 'Tag name cannot be empty',
+        'name.empty': 'Name cannot be empty',
+        'name.tooLong': 'Name must be {max} characters or less',
+        'item.invalid': 'Invalid media item: {errors}',
+        'item.fixedField': 'Media item field cannot be changed: {fields}'
+    },
+
+    /**
+     * Create the error thrown when a rule is broken
+     * @param {string} code - Key of MediaValidation.messages
+     * @param {Object} [params] - Values for the message's placeholders
+     * @returns {Error} Error named ValidationError, with code and params
+     */
+    error(code, params = {}) {
+        const message = this.messages[code].replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+        const error = new Error(message);
+        error.name = 'ValidationError';
+        error.code = code;
+        error.params = params;
+        return error;
+    },
+
+    /**
+     * Normalize a tag name: trimmed, lower-case, single spaces
+     * @param {string} name - Raw tag name
+     * @returns {string} Normalized tag name, '' if nothing is left
+     */
+    normalizeTag(name) {
+        return (name || '').replace(/,/g, ' ').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, this.tagLimit);
+    },
+
+    /**
+     * Normalize a tag list, dropping empty tags and duplicates
+     * @param {Array<string>} tags - Raw tag names
+     * @returns {Array<string>} Normalized tag names
+     */
+    normalizeTags(tags) {
+        return [...new Set(tags.map(tag => this.normalizeTag(tag)).filter(Boolean))];
+    },
+
+    /**
+     * Normalize a tag name, rejecting empty ones
+     * @param {string} name - Tag name
+     * @returns {string} Normalized tag name
+     */
+    requireTag(name) {
+        const tag = this.normalizeTag(name);
+        if (!tag) {
+            throw this.error('tag.empty');
+        }
+        return tag;
+    },
+
+    /**
+     * Trim a collection or playlist name, rejecting empty or overlong ones
+     * @param {string} name - Name
+     * @param {string} kind - 'collection' or 'playlist', passed on in the error's params
+     * @returns {string} Trimmed name
+     */
+    requireName(name, kind) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw this.error('name.empty', { kind });
+        }
+        if (trimmed.length > this.nameLimit) {
+            throw this.error('name.tooLong', { kind, max: this.nameLimit });
+        }
+        return trimmed;
+    },
+
+    /**
+     * Check a description, which every item needs
+     * @param {string} description - Description as typed
+     * @returns {Error|null} ValidationError, or null if the trimmed description is fine
+     */
+    checkDescription(description) {
+        const trimmed = (description || '').trim();
+        if (!trimmed) {
+            return this.error('description.empty');
+        }
+        if (trimmed.length > this.descriptionLimit) {
+            return this.error('description.tooLong', { max: this.descriptionLimit });
+        }
+        return null;
+    },
+
+    /**
+     * Validate the data of a new item
+     * @param {Object} mediaData - createMedia() data
+     * @returns {Object} The data with its description trimmed and its tags normalized
+     */
+    prepareNew(mediaData) {
+        return this.prepare(mediaData, true);
+    },
+
+    /**
+     * Validate changes to an item, which may not include MediaItems.fixedFields
+     * @param {Object} changes - Fields to change
+     * @returns {Object} The changes with a description trimmed and tags normalized
+     */
+    prepareChanges(changes) {
+        const fixed = MediaItems.fixedFields.filter(field => changes[field] !== undefined);
+        if (fixed.length > 0) {
+            throw this.error('item.fixedField', { fields: fixed.join(', ') });
+        }
+        return this.prepare(changes, false);
+    },
+
+    /**
+     * Validate new item data or changes
+     * @param {Object} fields - Data or changes
+     * @param {boolean} complete - Whether fields describe a whole new item
+     * @returns {Object} Normalized copy of fields
+     */
+    prepare(fields, complete) {
+        const errors = MediaItems.fieldErrors(fields, complete);
+        if (errors.length > 0) {
+            throw this.error('item.invalid', { errors: errors.join(', ') });
+        }
+
+        const prepared = { ...fields };
+        if (complete || fields.description !== undefined) {
+            const error = this.checkDescription(fields.description);
+            if (error) throw error;
+            prepared.description = fields.description.trim();
+        }
+        if (fields.tags !== undefined) {
+            prepared.tags = this.normalizeTags(fields.tags);
+        }
+        return prepared;
+    }
+};
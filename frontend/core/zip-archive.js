@@ -0,0 +1,308 @@
+/**
+ * MediaMix Hub Core - ZIP Archive
+ * Minimal ZIP writer (stored entries) and reader (stored and deflate entries), ZIP64 included
+ */
+
+export const ZipArchive = {
+    crcTable: null,
+
+    /**
+     * Bytes read at a time when computing checksums; entries are never held in memory whole
+     */
+    chunkSize: 8 * 1024 * 1024,
+
+    /**
+     * Sizes and offsets from this value up don't fit the classic 32-bit fields and are written as ZIP64
+     */
+    zip64Limit: 0xFFFFFFFF,
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Data
+     * @param {number} [crc] - CRC-32 of the data before these bytes, to continue from
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(bytes, crc = 0) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let value = (crc ^ 0xFFFFFFFF) >>> 0;
+        for (let i = 0; i < bytes.length; i++) {
+            value = this.crcTable[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+        }
+        return (value ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Compute the CRC-32 of a Blob a chunk at a time
+     * @param {Blob} blob - Data
+     * @returns {Promise<number>} Unsigned CRC-32
+     */
+    async blobCrc32(blob) {
+        let crc = 0;
+        for (let offset = 0; offset < blob.size; offset += this.chunkSize) {
+            crc = this.crc32(new Uint8Array(await blob.slice(offset, offset + this.chunkSize).arrayBuffer()), crc);
+        }
+        return crc;
+    },
+
+    /**
+     * Convert a date to MS-DOS time and date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} { time, date }
+     */
+    toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /**
+     * Build a ZIP64 extended information extra field
+     * @param {Array<number>} values - 64-bit sizes and offsets, in the order the format lists them
+     * @returns {DataView} Extra field
+     */
+    zip64Extra(values) {
+        const extra = new DataView(new ArrayBuffer(4 + values.length * 8));
+        extra.setUint16(0, 0x0001, true);
+        extra.setUint16(2, values.length * 8, true);
+        values.forEach((value, i) => extra.setBigUint64(4 + i * 8, BigInt(value), true));
+        return extra;
+    },
+
+    /**
+     * Build a ZIP file from entries; content is stored uncompressed since media is already compressed.
+     * The archive is made of the entries' own Blobs, so building it doesn't copy their content.
+     * @param {Array<Object>} entries - { name, data: Blob|string, date? }
+     * @returns {Promise<Blob>} ZIP archive
+     */
+    async create(entries) {
+        const encoder = new TextEncoder();
+        const limit = this.zip64Limit;
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const data = typeof entry.data === 'string' ? new Blob([entry.data]) : entry.data;
+            const name = encoder.encode(entry.name);
+            const crc = await this.blobCrc32(data);
+            const { time, date } = this.toDosDateTime(entry.date || new Date());
+            const large = data.size >= limit;
+            const far = offset >= limit;
+            // Local headers of large entries carry both sizes in a ZIP64 field
+            const localExtra = large ? this.zip64Extra([data.size, data.size]) : null;
+            const centralExtra = large || far
+                ? this.zip64Extra([...(large ? [data.size, data.size] : []), ...(far ? [offset] : [])])
+                : null;
+            const version = localExtra || centralExtra ? 45 : 20;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, version, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true);      // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, large ? 0xFFFFFFFF : data.size, true);
+            local.setUint32(22, large ? 0xFFFFFFFF : data.size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, localExtra ? localExtra.byteLength : 0, true);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, version, true);
+            header.setUint16(6, version, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, large ? 0xFFFFFFFF : data.size, true);
+            header.setUint32(24, large ? 0xFFFFFFFF : data.size, true);
+            header.setUint16(28, name.length, true);
+            header.setUint16(30, centralExtra ? centralExtra.byteLength : 0, true);
+            header.setUint32(42, far ? 0xFFFFFFFF : offset, true);
+
+            parts.push(local, name, ...(localExtra ? [localExtra] : []), data);
+            central.push(header, name, ...(centralExtra ? [centralExtra] : []));
+            offset += 30 + name.length + (localExtra ? localExtra.byteLength : 0) + data.size;
+        }
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const ends = [];
+        const zip64 = entries.length >= 0xFFFF || centralSize >= limit || offset >= limit;
+        if (zip64) {
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064B50, true);
+            record.setBigUint64(4, 44n, true); // Size of the rest of the record
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            record.setBigUint64(24, BigInt(entries.length), true);
+            record.setBigUint64(32, BigInt(entries.length), true);
+            record.setBigUint64(40, BigInt(centralSize), true);
+            record.setBigUint64(48, BigInt(offset), true);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064B50, true);
+            locator.setBigUint64(8, BigInt(offset + centralSize), true);
+            locator.setUint32(16, 1, true); // Total number of disks
+            ends.push(record, locator);
+        }
+
+        // With ZIP64 the classic record only points readers at the ZIP64 one
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, zip64 ? 0xFFFF : entries.length, true);
+        end.setUint16(10, zip64 ? 0xFFFF : entries.length, true);
+        end.setUint32(12, zip64 ? 0xFFFFFFFF : centralSize, true);
+        end.setUint32(16, zip64 ? 0xFFFFFFFF : offset, true);
+        ends.push(end);
+
+        return new Blob([...parts, ...central, ...ends], { type: 'application/zip' });
+    },
+
+    /**
+     * List and extract the entries of a ZIP file
+     * @param {Blob} blob - ZIP archive
+     * @returns {Promise<Map<string, Blob>>} Entry content keyed by name
+     */
+    async read(blob) {
+        // The end-of-central-directory record is in the last 22 bytes plus an optional comment
+        const tailStart = Math.max(0, blob.size - 65557);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a ZIP file');
+        }
+
+        let count = tail.getUint16(endOffset + 10, true);
+        let centralSize = tail.getUint32(endOffset + 12, true);
+        let centralOffset = tail.getUint32(endOffset + 16, true);
+        if (count === 0xFFFF || centralSize === 0xFFFFFFFF || centralOffset === 0xFFFFFFFF) {
+            ({ count, centralSize, centralOffset } = await this.readZip64End(blob, tailStart + endOffset));
+        }
+        const central = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (central.getUint32(position, true) !== 0x02014B50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = central.getUint16(position + 10, true);
+            let compressedSize = central.getUint32(position + 20, true);
+            const size = central.getUint32(position + 24, true);
+            const nameLength = central.getUint16(position + 28, true);
+            const extraLength = central.getUint16(position + 30, true);
+            const commentLength = central.getUint16(position + 32, true);
+            let localOffset = central.getUint32(position + 42, true);
+            const name = decoder.decode(new Uint8Array(central.buffer, position + 46, nameLength));
+
+            // Fields too small for the value hold 0xFFFFFFFF, and the value is in the ZIP64 extra field
+            if (size === 0xFFFFFFFF || compressedSize === 0xFFFFFFFF || localOffset === 0xFFFFFFFF) {
+                const values = this.readZip64Extra(central, position + 46 + nameLength, extraLength);
+                if (size === 0xFFFFFFFF) values.shift();
+                if (compressedSize === 0xFFFFFFFF) compressedSize = values.shift();
+                if (localOffset === 0xFFFFFFFF) localOffset = values.shift();
+                if (compressedSize === undefined || localOffset === undefined) {
+                    throw new Error('Corrupt ZIP central directory');
+                }
+            }
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // Directory
+
+            const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+            const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+            const data = blob.slice(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                entries.set(name, data);
+            } else if (method === 8) {
+                entries.set(name, await this.inflate(data));
+            } else {
+                console.warn('Skipping ZIP entry with unsupported compression:', name);
+            }
+        }
+
+        return entries;
+    },
+
+    /**
+     * Read the ZIP64 end-of-central-directory record
+     * @param {Blob} blob - ZIP archive
+     * @param {number} endOffset - Position of the classic end-of-central-directory record
+     * @returns {Promise<Object>} { count, centralSize, centralOffset }
+     */
+    async readZip64End(blob, endOffset) {
+        const locator = new DataView(await blob.slice(Math.max(0, endOffset - 20), endOffset).arrayBuffer());
+        if (locator.byteLength < 20 || locator.getUint32(0, true) !== 0x07064B50) {
+            throw new Error('Corrupt ZIP64 end of central directory');
+        }
+        const recordOffset = Number(locator.getBigUint64(8, true));
+        const record = new DataView(await blob.slice(recordOffset, recordOffset + 56).arrayBuffer());
+        if (record.byteLength < 56 || record.getUint32(0, true) !== 0x06064B50) {
+            throw new Error('Corrupt ZIP64 end of central directory');
+        }
+        return {
+            count: Number(record.getBigUint64(32, true)),
+            centralSize: Number(record.getBigUint64(40, true)),
+            centralOffset: Number(record.getBigUint64(48, true))
+        };
+    },
+
+    /**
+     * Read the values of the ZIP64 extra field of a central directory header
+     * @param {DataView} view - Central directory
+     * @param {number} start - Position of the header's extra fields
+     * @param {number} length - Length of the header's extra fields
+     * @returns {Array<number>} 64-bit values in the order they are stored
+     */
+    readZip64Extra(view, start, length) {
+        for (let position = start; position + 4 <= start + length;) {
+            const id = view.getUint16(position, true);
+            const size = view.getUint16(position + 2, true);
+            if (id === 0x0001) {
+                const values = [];
+                for (let i = 0; i + 8 <= size; i += 8) {
+                    values.push(Number(view.getBigUint64(position + 4 + i, true)));
+                }
+                return values;
+            }
+            position += 4 + size;
+        }
+        return [];
+    },
+
+    /**
+     * Decompress a raw deflate stream
+     * @param {Blob} data - Compressed data
+     * @returns {Promise<Blob>} Decompressed data
+     */
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed ZIP entries');
+        }
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).blob();
+    }
+};
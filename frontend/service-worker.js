@@ -0,0 +1,94 @@
+/**
+ * MediaMix Hub - Service Worker
+ * Caches the app shell so the hub opens without a connection
+ */
+
+// Offline copy of the shell. Every online load refreshes it (see networkFirst), so it needs
+// no new name when the shell files change; the worker's install stores files added to APP_SHELL.
+const CACHE_NAME = 'mediamix-hub-shell';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './app.js',
+    './core/index.js',
+    './core/global.js',
+    './core/events.js',
+    './core/items.js',
+    './core/validation.js',
+    './core/query.js',
+    './core/media-library.js',
+    './core/memory-backend.js',
+    './core/file-types.js',
+    './core/zip-archive.js',
+    './core/library-import.js',
+    './core/library-merge.js',
+    './core/offline-queue.js',
+    './manifest.webmanifest',
+    './icon.svg',
+    './locales/de.json',
+    './locales/es.json',
+    './locales/ar.json'
+];
+
+const SHELL_URLS = new Set(APP_SHELL.map(path => new URL(path, self.location).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                // Versioned caches of earlier builds
+                .filter(key => key.startsWith('mediamix-hub-shell') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // The page and its shell files all come from the network when it answers, so a new index.html
+    // never runs the previous deployment's scripts; the cached copies are only used offline.
+    // Everything else (API calls, media content) goes to the network untouched.
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './index.html'));
+    } else if (SHELL_URLS.has(url.origin + url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Answer from the network, keeping the cached shell up to date, and from the cache when offline
+ * @param {Request} request - Page or shell file request
+ * @param {string} [fallback] - Cached URL to answer with when the request itself was never cached
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request, fallback) {
+    const cache = await caches.open(CACHE_NAME);
+    const url = new URL(request.url);
+    const shellUrl = url.origin + url.pathname;
+    try {
+        const response = await fetch(request);
+        // Pages opened with filters in the query string refresh the cached page without them
+        if (response.ok && SHELL_URLS.has(shellUrl)) {
+            await cache.put(shellUrl, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || (fallback && await cache.match(fallback)) || Response.error();
+    }
+}